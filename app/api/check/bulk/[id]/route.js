@@ -0,0 +1,84 @@
+// app/api/check/bulk/[id]/route.js
+import { waitUntil } from "@vercel/functions"
+import { getBatch, runBatch, claimRun, canResume, batchProgress, batchToCsv, batchToJsonl } from "../../../../../lib/bulk.js"
+import { corsHeadersFrom, json, denyUnauthorized } from "../../../../../lib/http.js"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+export const maxDuration = 300
+
+export async function OPTIONS(req) {
+  return new Response(null, { status: 204, headers: corsHeadersFrom(req) })
+}
+
+/** ---------- GET → progress | ?format=csv | ?format=jsonl ---------- */
+export async function GET(req, { params }) {
+  try {
+    const batch = await getBatch(params?.id)
+    if (!batch) return json(req, 404, { ok: false, errors: ["Batch not found"] })
+
+    const format = new URL(req.url).searchParams.get("format")
+    const file = `seo-bulk-${batch.id}`
+
+    if (format === "csv") {
+      return new Response(batchToCsv(batch), {
+        status: 200,
+        headers: {
+          ...corsHeadersFrom(req),
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="${file}.csv"`,
+        },
+      })
+    }
+
+    if (format === "jsonl") {
+      const enc = new TextEncoder()
+      const lines = batchToJsonl(batch)
+      const stream = new ReadableStream({
+        async pull(controller) {
+          const { value, done } = await lines.next()
+          if (done) controller.close()
+          else controller.enqueue(enc.encode(value))
+        },
+      })
+      return new Response(stream, {
+        status: 200,
+        headers: {
+          ...corsHeadersFrom(req),
+          "Content-Type": "application/x-ndjson; charset=utf-8",
+          "Content-Disposition": `attachment; filename="${file}.jsonl"`,
+        },
+      })
+    }
+
+    const { items, ...meta } = batch
+    return json(req, 200, {
+      ok: true,
+      ...meta,
+      progress: batchProgress(batch),
+      items: items.map(({ statuses, ...it }) => it),
+    })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
+
+/** ---------- POST → resume an incomplete or abandoned batch ---------- */
+export async function POST(req, { params }) {
+  const denied = denyUnauthorized(req, process.env.BULK_API_KEY, "BULK_API_KEY")
+  if (denied) return denied
+  try {
+    const batch = await getBatch(params?.id)
+    if (!batch) return json(req, 404, { ok: false, errors: ["Batch not found"] })
+    if (!canResume(batch)) {
+      return json(req, 409, { ok: false, errors: [`Batch is ${batch.status}; only incomplete or stalled batches can be resumed`] })
+    }
+    if (!(await claimRun(batch))) {
+      return json(req, 409, { ok: false, errors: ["Batch is already being resumed"] })
+    }
+    waitUntil(runBatch(batch))
+    return json(req, 202, { ok: true, id: batch.id, status: "running", progress: batchProgress(batch) })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
@@ -0,0 +1,74 @@
+// app/api/check/bulk/route.js
+import { waitUntil } from "@vercel/functions"
+import { createBatch, runBatch, claimRun, batchProgress, parseCsvUrls } from "../../../../lib/bulk.js"
+import { corsHeadersFrom, json, denyUnauthorized } from "../../../../lib/http.js"
+
+export const runtime = "nodejs"
+export const maxDuration = 300
+
+export async function OPTIONS(req) {
+  return new Response(null, { status: 204, headers: corsHeadersFrom(req) })
+}
+
+// JSON { urls: [...] | csv: "..." }, a text/csv body, or multipart with a `file` field
+async function readInput(req) {
+  const type = (req.headers.get("content-type") || "").toLowerCase()
+  const sp = new URL(req.url).searchParams
+  const opts = { concurrency: sp.get("concurrency"), profile: sp.get("profile") || undefined }
+
+  if (type.includes("multipart/form-data")) {
+    const form = await req.formData()
+    const file = form.get("file")
+    const text = typeof file === "string" ? file : file ? await file.text() : ""
+    return {
+      urls: parseCsvUrls(text),
+      concurrency: form.get("concurrency") || opts.concurrency,
+      profile: form.get("profile") || opts.profile,
+    }
+  }
+  if (type.includes("text/csv") || type.includes("text/plain")) {
+    return { ...opts, urls: parseCsvUrls(await req.text()) }
+  }
+  const body = await req.json().catch(() => ({}))
+  const urls = Array.isArray(body?.urls) ? body.urls : parseCsvUrls(body?.csv)
+  return {
+    urls,
+    concurrency: body?.concurrency ?? opts.concurrency,
+    profile: body?.profile ?? opts.profile,
+  }
+}
+
+/** ---------- POST → 202 { id, statusUrl } ---------- */
+export async function POST(req) {
+  const denied = denyUnauthorized(req, process.env.BULK_API_KEY, "BULK_API_KEY")
+  if (denied) return denied
+  try {
+    const created = await createBatch(await readInput(req))
+    if (!created.ok) return json(req, 400, created)
+
+    const { batch } = created
+    const { id, status } = batch
+    const progress = batchProgress(batch)
+    await claimRun(batch)
+    waitUntil(runBatch(batch))
+
+    const base = (() => {
+      try {
+        return `${new URL(req.url).origin}/api/check/bulk/${id}`
+      } catch {
+        return `/api/check/bulk/${id}`
+      }
+    })()
+    return json(req, 202, {
+      ok: true,
+      id,
+      status,
+      progress,
+      statusUrl: base,
+      csvUrl: `${base}?format=csv`,
+      jsonlUrl: `${base}?format=jsonl`,
+    })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
@@ -0,0 +1,40 @@
+// app/api/check/compare/route.js
+import { runComparison, COMPARE_MAX_URLS } from "../../../../lib/compare.js"
+import { resolveProfile, PROFILE_NAMES } from "../../../../lib/scoring.js"
+import { corsHeadersFrom, json } from "../../../../lib/http.js"
+
+export const runtime = "edge"
+
+export async function OPTIONS(req) {
+  return new Response(null, { status: 204, headers: corsHeadersFrom(req) })
+}
+
+/** ---------- POST { urls: [...], profile? } ---------- */
+export async function POST(req) {
+  try {
+    const body = await req.json().catch(() => ({}))
+    const urls = Array.isArray(body?.urls)
+      ? [...new Set(body.urls.map((u) => String(u || "").trim()).filter(Boolean))]
+      : []
+
+    if (urls.length < 2) {
+      return json(req, 400, { ok: false, errors: ["Provide at least 2 distinct URLs in `urls`"] })
+    }
+    if (urls.length > COMPARE_MAX_URLS) {
+      return json(req, 400, { ok: false, errors: [`At most ${COMPARE_MAX_URLS} URLs per comparison`] })
+    }
+
+    const profile = resolveProfile(body?.profile || undefined)
+    if (!profile) {
+      return json(req, 400, {
+        ok: false,
+        errors: [`Unknown scoring profile "${body.profile}" (available: ${PROFILE_NAMES.join(", ")})`],
+      })
+    }
+
+    const out = await runComparison(req, urls, { profile })
+    return json(req, 200, { ok: true, ...out })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
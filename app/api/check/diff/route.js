@@ -0,0 +1,71 @@
+// app/api/check/diff/route.js
+import { runAudit } from "../../../../lib/audit.js"
+import { diffAudits } from "../../../../lib/diff.js"
+import { loadSnapshotByPath } from "../../../../lib/snapshots.js"
+import { resolveProfile, PROFILE_NAMES } from "../../../../lib/scoring.js"
+import { corsHeadersFrom, json } from "../../../../lib/http.js"
+
+// Node, not edge: snapshots and history go through lib/store.js, whose file driver
+// (the default without credentials) needs a filesystem
+export const runtime = "nodejs"
+
+export async function OPTIONS(req) {
+  return new Response(null, { status: 204, headers: corsHeadersFrom(req) })
+}
+
+// One side of the diff: a saved snapshot (?from=<blob>) or a live audit (?fromUrl=<site>)
+async function loadSide(req, { blob, url }) {
+  if (blob) {
+    const out = await loadSnapshotByPath(blob)
+    if (!out.ok) {
+      return out.expired
+        ? { ok: false, status: 410, error: `Snapshot expired: ${blob}` }
+        : { ok: false, status: 404, error: `Snapshot not found: ${blob}`, attempted: out.attempted }
+    }
+    return { ok: true, payload: out.json, source: { type: "snapshot", blob } }
+  }
+  const { _diag, ...payload } = await runAudit(req, url)
+  return { ok: true, payload, source: { type: "live", url } }
+}
+
+/** ---------- GET ?from=&to= | ?fromUrl=&toUrl= (mix allowed) ---------- */
+export async function GET(req) {
+  try {
+    const sp = new URL(req.url).searchParams
+    const from = { blob: sp.get("from"), url: sp.get("fromUrl") }
+    const to = { blob: sp.get("to"), url: sp.get("toUrl") }
+    if (!(from.blob || from.url) || !(to.blob || to.url)) {
+      return json(req, 400, {
+        ok: false,
+        errors: ["Provide ?from=<blob> or ?fromUrl=<url>, and ?to=<blob> or ?toUrl=<url>"],
+      })
+    }
+
+    const profileName = sp.get("profile") || undefined
+    const profile = resolveProfile(profileName)
+    if (!profile) {
+      return json(req, 400, {
+        ok: false,
+        errors: [`Unknown scoring profile "${profileName}" (available: ${PROFILE_NAMES.join(", ")})`],
+      })
+    }
+
+    const [a, b] = await Promise.all([loadSide(req, from), loadSide(req, to)])
+    const missing = [a, b].filter((s) => !s.ok)
+    if (missing.length) {
+      return json(req, missing.every((s) => s.status === 410) ? 410 : 404, {
+        ok: false,
+        errors: missing.map((s) => s.error),
+        attempted: missing.map((s) => s.attempted).filter(Boolean),
+      })
+    }
+
+    const diff = diffAudits(a.payload, b.payload, {
+      profile,
+      sources: { from: a.source, to: b.source },
+    })
+    return json(req, 200, { ok: true, ...diff })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
@@ -0,0 +1,21 @@
+// app/api/check/jobs/[id]/route.js
+import { getJob } from "../../../../../lib/jobs.js"
+import { corsHeadersFrom, json } from "../../../../../lib/http.js"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+export async function OPTIONS(req) {
+  return new Response(null, { status: 204, headers: corsHeadersFrom(req) })
+}
+
+/** ---------- GET → job status, progress and (when done) result ---------- */
+export async function GET(req, { params }) {
+  try {
+    const job = await getJob(params?.id)
+    if (!job) return json(req, 404, { ok: false, errors: ["Job not found"] })
+    return json(req, 200, { ok: true, ...job })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
@@ -0,0 +1,42 @@
+// app/api/check/jobs/route.js
+import { waitUntil } from "@vercel/functions"
+import { createJob, runJob } from "../../../../lib/jobs.js"
+import { corsHeadersFrom, json, denyUnauthorized } from "../../../../lib/http.js"
+
+export const runtime = "nodejs"
+export const maxDuration = 60 // lib/jobs.js derives JOB_BUDGET_MS from this
+
+export async function OPTIONS(req) {
+  return new Response(null, { status: 204, headers: corsHeadersFrom(req) })
+}
+
+/** ---------- POST { url, webhookUrl?, profile? } → 202 { id } ---------- */
+export async function POST(req) {
+  const denied = denyUnauthorized(req, process.env.JOBS_API_KEY, "JOBS_API_KEY")
+  if (denied) return denied
+  try {
+    const body = await req.json().catch(() => ({}))
+    const created = await createJob({
+      url: body?.url,
+      webhookUrl: body?.webhookUrl,
+      profile: body?.profile,
+    })
+    if (!created.ok) return json(req, 400, created)
+
+    const { job } = created
+    const { id, status } = job
+    // keep the function alive after the response until the audit finishes
+    waitUntil(runJob(job))
+
+    const statusUrl = (() => {
+      try {
+        return `${new URL(req.url).origin}/api/check/jobs/${id}`
+      } catch {
+        return `/api/check/jobs/${id}`
+      }
+    })()
+    return json(req, 202, { ok: true, id, status, statusUrl })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
@@ -1,459 +1,224 @@
 // app/api/check/route.js
-import { put } from "@vercel/blob"
-export const runtime = "edge"
-
-/** ---------- polite request headers ---------- */
-const UA_HEADERS = {
-  "user-agent":
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36",
-  "accept-language": "en-GB,en;q=0.9",
-}
-
-// More “browser-like” headers for WAF retry
-const BROWSER_HEADERS = {
-  "user-agent":
-    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36",
-  accept:
-    "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8",
-  "accept-language": "en-GB,en;q=0.9",
-  "upgrade-insecure-requests": "1",
-  "sec-fetch-site": "none",
-  "sec-fetch-mode": "navigate",
-  "sec-fetch-user": "?1",
-  "sec-fetch-dest": "document",
-  "sec-ch-ua":
-    '"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"',
-  "sec-ch-ua-mobile": "?0",
-  "sec-ch-ua-platform": '"macOS"',
-  referer: "https://www.google.com/",
-}
-
-const BLOCK_CODES = new Set([401, 403, 429])
-
-// Global cap for the whole audit (leave headroom for cold start)
-const OVERALL_BUDGET_MS = parseInt(process.env.AUDIT_BUDGET_MS || "8500", 10)
-
-const LIMITS = {
-  SITEMAP_SAMPLES: 1,
-  IMAGE_HEADS: 2,
-  TIME_PAGE_MS: 6000,
-  TIME_ASSET_MS: 2000,
-  TIME_SMALL_MS: 2500,
-  TIME_PSI_MS: 3000,
-  MAX_SUBREQUESTS: 8,
-}
-
-/** ---------- omit compute, but return locked placeholders ---------- */
-const OMIT_CHECKS = new Set([
-  "mixed-content",
-  "security-headers",
-  "https-redirect",
-  "compression",
-  "structured-data",
-])
-
-const LABELS = {
-  "mixed-content": "No mixed content",
-  "security-headers": "Security headers",
-  "https-redirect": "HTTP → HTTPS redirect",
-  compression: "HTML compression",
-  "structured-data": "Structured data (JSON-LD)",
-  "h1-structure": "Headings (H1/H2) Structure",
-  llms: "LLMs.txt",
-  timeout: "Site response timed out",
-}
-
-const LOCK_PLACEHOLDER = (id) => ({
-  id,
-  label: LABELS[id] || id,
-  status: "locked",
-  locked: true,
-})
-
-// --- Meta title quality config ---
-const GENERIC_TITLE_PATTERNS = [
-  /\bhome\b/i,
-  /\bhomepage\b/i,
-  /\bwelcome\b/i,
-  /\bindex\b/i,
-  /\buntitled\b/i,
-  /\bmain\s*page\b/i,
-  /\bstart\b/i,
-]
-
-function isGenericTitle(t = "") {
-  const s = String(t || "").trim()
-  if (!s) return false
-  return GENERIC_TITLE_PATTERNS.some((re) => re.test(s))
-}
-// ---------- Banner copy ----------
-const DEFAULT_CRAWLER_MSG =
-  "This website is not responding properly to our crawler, meaning results shown in this report may be incomplete, or inaccurate. It's likely there is a firewall or other security mechanism in place preventing us viewing the content successfully."
-
-function joinUrl(base, path) {
-  const b = String(base || "").replace(/\/+$/, "")
-  const p = String(path || "").replace(/^\/+/, "")
-  return `${b}/${p}`
-}
-function normPathname(p) {
-  return String(p || "").replace(/^\/+/, "")
-}
-
-// ---- Blob config ----
-const BLOB_PUBLIC_BASE =
-  process.env.BLOB_PUBLIC_BASE ||
-  "https://fqnbg6i9weauas3p.public.blob.vercel-storage.com"
-
-function makeId() {
-  const a = new Uint8Array(12)
-  crypto.getRandomValues(a)
-  return Array.from(a, (b) => b.toString(16).padStart(2, "0")).join("")
-}
-
-// Save snapshot and return server-confirmed path+url
-async function saveSnapshot(payload) {
-  const BLOB_TOKEN =
-    process.env.BLOB_READ_WRITE_TOKEN ||
-    process.env.BLOB_READ_WRITE_TOKEN_READ_WRITE_TOKEN ||
-    ""
-  if (!BLOB_TOKEN) throw new Error("Missing BLOB token")
-
-  const seed = `${makeId()}.json`
-  const blob = await put(seed, JSON.stringify(payload), {
-    access: "public",
-    contentType: "application/json",
-    addRandomSuffix: true,
-    token: BLOB_TOKEN,
-  })
-  return { shareBlobPath: blob.pathname, shareBlobUrl: blob.url }
-}
-
-// Load by full URL OR by path
-async function loadSnapshotByPath(pathOrUrl) {
-  const isAbs = typeof pathOrUrl === "string" && pathOrUrl.includes("://")
-  const url = isAbs
-    ? pathOrUrl
-    : `${BLOB_PUBLIC_BASE}/${String(pathOrUrl).replace(/^\/+/, "")}`
-
-  const r = await fetch(url, { cache: "no-store" })
-  if (!r.ok) {
-    return { ok: false, error: `Blob fetch failed (${r.status})`, attempted: url }
-  }
-  const json = await r.json().catch(() => null)
-  return json
-    ? { ok: true, json }
-    : { ok: false, error: "Blob JSON parse failed", attempted: url }
-}
+import { waitUntil } from "@vercel/functions"
+import {
+  runAudit,
+  abortedAudit,
+  scoreAudit,
+  runCrawl,
+  decodeCursor,
+  normalizeKey,
+} from "../../../lib/audit.js"
+import { normalizeAudit, validateAudit, SCHEMA_VERSION } from "../../../lib/schema.js"
+import { corsHeadersFrom, json } from "../../../lib/http.js"
+import { resolveProfile, PROFILE_NAMES } from "../../../lib/scoring.js"
+import { recordHistory } from "../../../lib/history.js"
+import { getCache } from "../../../lib/cache.js"
+import {
+  saveSnapshot,
+  loadSnapshotByPath,
+  loadSnapshotById,
+  deleteSnapshot,
+  hasSigningSecret,
+} from "../../../lib/snapshots.js"
+// Node, not edge: snapshots and history go through lib/store.js, whose file driver
+// (the default without credentials) needs a filesystem
+export const runtime = "nodejs"
 
 /** ---------- CORS ---------- */
-function corsHeadersFrom(req) {
-  const origin = req?.headers?.get("origin") || "*"
-  const reqHdrs =
-    req?.headers?.get("access-control-request-headers") || "Content-Type"
-  return {
-    "Access-Control-Allow-Origin": origin,
-    Vary: "Origin",
-    "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-    "Access-Control-Allow-Headers": reqHdrs,
-    "Access-Control-Max-Age": "86400",
-  }
-}
-const json = (req, status, body) =>
-  new Response(JSON.stringify(body), {
-    status,
-    headers: { ...corsHeadersFrom(req), "Content-Type": "application/json" },
-  })
-
 export async function OPTIONS(req) {
-  return new Response(null, { status: 204, headers: corsHeadersFrom(req) })
+  return new Response(null, {
+    status: 204,
+    headers: corsHeadersFrom(req, "GET,POST,DELETE,OPTIONS"),
+  })
 }
 
-/** ---------- simple in-memory cache (per process) ---------- */
+/** ---------- result cache (shared KV, in-memory fallback) ---------- */
 const CACHE_TTL_MS = parseInt(process.env.AUDIT_CACHE_TTL_MS || "90000", 10) // 90s
-const CACHE = new Map() // key -> { payload, createdAt, expiresAt }
 
-function normalizeKey(rawUrl) {
+// Cache trouble never fails an audit: a miss is always a safe answer
+async function cacheGet(key) {
   try {
-    const u = new URL(/^https?:\/\//i.test(rawUrl) ? rawUrl : `https://${rawUrl}`)
-    u.hash = ""
-    u.search = ""
-    const path = u.pathname.replace(/\/+$/, "/")
-    return `${u.origin}${path}`
+    return await getCache().get(`audit:${key}`) // { payload, createdAt }
   } catch {
-    return String(rawUrl || "")
-  }
-}
-function cacheGet(key) {
-  const rec = CACHE.get(key)
-  if (!rec) return null
-  if (Date.now() > rec.expiresAt) {
-    CACHE.delete(key)
     return null
   }
-  return rec
 }
 function cacheSet(key, payload) {
-  const now = Date.now()
-  CACHE.set(key, { payload, createdAt: now, expiresAt: now + CACHE_TTL_MS })
+  const rec = { payload, createdAt: Date.now() }
+  waitUntil(getCache().set(`audit:${key}`, rec, { ttlMs: CACHE_TTL_MS }).catch(() => {}))
 }
 
-/** ---------- utils ---------- */
-const isOk = (res) => res && res.status >= 200 && res.status < 400
-
-const withTimeout = (ms = 12000) => {
-  const c = new AbortController()
-  const id = setTimeout(() => c.abort(), ms)
-  return { signal: c.signal, done: () => clearTimeout(id) }
+/** ---------- response helpers ---------- */
+// Every audit response is checked against the published schema before it leaves
+function auditJson(req, body) {
+  const errors = validateAudit(body)
+  if (errors.length) {
+    return json(req, 500, {
+      ok: false,
+      errors: [`Response failed audit schema ${SCHEMA_VERSION}`, ...errors],
+    })
+  }
+  return json(req, 200, body)
 }
 
-// retries on AbortError / common network errors, with backoff + jitter
-async function retry(fn, { tries = 2, baseDelay = 400 } = {}) {
-  let lastErr
-  for (let i = 0; i < tries; i++) {
-    try {
-      return await fn()
-    } catch (e) {
-      lastErr = e
-      const msg = String(e?.message || "")
-      const isAbort = e?.name === "AbortError"
-      const isNetty = /fetch failed|network|ECONNRESET|EAI_AGAIN|ENOTFOUND|ETIMEDOUT/i.test(
-        msg
-      )
-      if (i < tries - 1 && (isAbort || isNetty)) {
-        const jitter = Math.floor(Math.random() * 250)
-        await new Promise((r) => setTimeout(r, baseDelay * (i + 1) + jitter))
-        continue
-      }
-      throw e
-    }
-  }
-  throw lastErr
+// Cached results and snapshots may predate the schema; bring them up to date.
+// A profile re-scores (cache hits); otherwise stored scores are kept when complete.
+function storedAudit(payload, profile) {
+  const p = normalizeAudit(payload)
+  const scored = p.profile && p.catScores && "uncappedOverall" in p && Array.isArray(p.gates)
+  return profile || !scored ? { ...p, ...scoreAudit(p.checks, profile) } : p
 }
 
-const tryHeadThenGet = async (
-  url,
-  {
-    timeoutMs = LIMITS.TIME_ASSET_MS,
-    redirect = "follow",
-    headers = UA_HEADERS,
-    fallbackOnNonOk = true,
-  } = {}
-) => {
-  return retry(async () => {
-    // HEAD
-    const t1 = withTimeout(timeoutMs)
-    let headRes
-    try {
-      headRes = await fetch(url, {
-        method: "HEAD",
-        redirect,
-        signal: t1.signal,
-        headers,
-        cache: "no-store",
-      })
-    } catch {
-      // fall through to GET
-    } finally {
-      t1.done()
-    }
-    if (headRes && headRes.ok) return headRes
+const unknownProfile = (req, name) =>
+  json(req, 400, {
+    ok: false,
+    errors: [`Unknown scoring profile "${name}" (available: ${PROFILE_NAMES.join(", ")})`],
+  })
 
-    // fallback GET
-    const shouldFallback =
-      !headRes ||
-      headRes.status === 405 ||
-      headRes.status === 501 ||
-      (fallbackOnNonOk && headRes && !headRes.ok)
+const looksLikeEmail = (e = "") => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e)
+const invalidOwner = (req) =>
+  json(req, 400, { ok: false, errors: ["Invalid owner email"] })
 
-    if (shouldFallback) {
-      const t2 = withTimeout(timeoutMs)
+function shareUrlFor(req, shareBlobPath) {
+  const base =
+    process.env.SHARE_BASE ||
+    (() => {
       try {
-        return await fetch(url, {
-          method: "GET",
-          redirect,
-          signal: t2.signal,
-          headers,
-          cache: "no-store",
-        })
-      } finally {
-        t2.done()
+        const u = new URL(req.url)
+        return `${u.origin}/seo-check`
+      } catch {
+        return ""
       }
-    }
-    return headRes
-  })
+    })()
+  return base && shareBlobPath
+    ? `${base}?blob=${encodeURIComponent(shareBlobPath)}`
+    : ""
 }
 
-const absUrl = (base, href) => {
+// Where the snapshot JSON is read back: this endpoint, now that snapshots are
+// private. Kept under the old name so clients reading `shareBlobUrl` still work.
+function snapshotUrlFor(req, shareBlobPath) {
   try {
-    return new URL(href, base).toString()
+    const u = new URL(req.url)
+    return `${u.origin}${u.pathname}?blob=${encodeURIComponent(shareBlobPath)}`
   } catch {
-    return undefined
-  }
-}
-const parseTitle = (html) => {
-  const m = /<title>([\s\S]*?)<\/title>/i.exec(html)
-  return m ? m[1].trim() : ""
-}
-const getMetaBy = (html, attr, name) => {
-  const re = new RegExp(`<meta[^>]*${attr}=["']${name}["'][^>]*>`, "i")
-  const m = re.exec(html)
-  if (!m) return undefined
-  const tag = m[0]
-  const c = /content=["']([^"']+)["']/i.exec(tag)
-  return c ? c[1] : ""
-}
-const getMetaName = (html, name) => getMetaBy(html, "name", name)
-const getMetaProp = (html, prop) => getMetaBy(html, "property", prop)
-
-/** ---------- GA Checker ---------- */
-    function makeGACheck(html = "") {
-  if (!html || typeof html !== "string") return null;
-
-  // GA4 gtag.js
-  const hasGA4ByScript = /googletagmanager\.com\/gtag\/js\?id=G-[A-Z0-9]+/i.test(html);
-  const hasGA4ByCode   = /\bgtag\(\s*['"]config['"]\s*,\s*['"]G-[A-Z0-9]+/i.test(html);
-
-  // Google Tag Manager
-  const hasGTMByScript = /googletagmanager\.com\/gtm\.js\?id=GTM-[A-Z0-9]+/i.test(html);
-  const hasGTMId       = /\bGTM-[A-Z0-9]+\b/.test(html);
-
-  // Legacy UA
-  const hasUAByScript  = /google-analytics\.com\/analytics\.js/i.test(html);
-  const hasUAByCode    = /\bga\(\s*['"]create['"]/i.test(html) || /\bUA-\d{4,9}-\d+\b/i.test(html);
-
-  const found = [];
-  if (hasGA4ByScript || hasGA4ByCode) found.push("GA4 gtag.js");
-  if (hasGTMByScript || hasGTMId)     found.push("Google Tag Manager");
-  if (hasUAByScript || hasUAByCode)   found.push("Universal Analytics");
-
-  const present = found.length > 0;
-  return {
-    id: "ga",
-    label: "Google Analytics",
-    status: present ? "pass" : "fail",
-    details: present ? found.join(" + ") : "Not detected",
-    value: present ? found : [],
-  };
-}
-
-/** ---------- H1 check (top-level, unlocked) ---------- */
-const H1_LABEL = LABELS["h1-structure"] || "H1 Structure"
-function makeH1Check(html = "") {
-  if (!html || typeof html !== "string") return null
-  const matches = html.match(/<h1\b[^>]*>/gi)
-  const count = matches ? matches.length : 0
-  let status = "fail"
-  if (count === 1) status = "pass"
-  else if (count > 1) status = "warn"
-  return {
-    id: "h1-structure",
-    label: H1_LABEL,
-    status,
-    details:
-      count === 0
-        ? "No <h1> tag found on the page."
-        : `Found ${count} <h1> ${count === 1 ? "tag" : "tags"}.`,
-    value: count,
+    return ""
   }
 }
 
-// ---- Platform / CMS detector ----
-function makePlatformCheck(html = "", headers, finalUrl = "") {
-  if (!html || typeof html !== "string") return null;
-
-  const h = headers && typeof headers.get === "function" ? headers : null;
-  const header = (k) => (h ? (h.get(k) || "") : "");
-  const generator = (getMetaName(html, "generator") || "").toLowerCase();
-
-  const hints = new Set();
-
-  // --- WordPress ---
-  if (
-    /wp-content|wp-includes|\/wp-json\b|wp-embed\.min\.js/i.test(html) ||
-    generator.includes("wordpress") ||
-    /x-powered-by:\s*wpengine/i.test(header("server") + " " + header("x-powered-by"))
-  ) {
-    hints.add("WordPress");
-  }
-
-  // --- Shopify ---
-  if (
-    /cdn\.shopify\.com|myshopify\.com|shopify\.js/i.test(html) ||
-    /\bShopify\b/.test(generator) ||
-    /x-shopid|x-shopify|x-request-id/i.test(
-      header("x-shopify-stage") + " " + header("x-shopid") + " " + header("x-request-id")
-    )
-  ) {
-    hints.add("Shopify");
-  }
-
-  // --- Wix ---
-  if (
-    /static\.parastorage\.com|wixstatic\.com|wixapps/i.test(html) ||
-    generator.includes("wix") ||
-    /x-wix/i.test(header("server") + " " + header("x-wix-renderer-server"))
-  ) {
-    hints.add("Wix");
-  }
+/** ---------- SSE stream (GET ?stream=1) ---------- */
+// Events: `check` (one row as soon as it is recorded), `progress` (timed() step
+// start/end), `done` (full payload incl. cache/snapshot fields), `error`.
+function streamAudit(req, rawUrl, { key, noCache, wantSnapshot, owner, profile }) {
+  const enc = new TextEncoder()
+  let closed = false
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        if (closed) return
+        try {
+          controller.enqueue(enc.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`))
+        } catch {
+          closed = true
+        }
+      }
+      // `done` carries a full audit result, so it is held to the schema too
+      const sendAudit = (payload) => {
+        const errors = validateAudit(payload)
+        if (!errors.length) return send("done", payload)
+        send("error", { ok: false, errors: [`Response failed audit schema ${SCHEMA_VERSION}`, ...errors] })
+      }
 
-  // --- Framer ---
-  if (
-    /framerusercontent\.com|data-framer|name=["']framer-/i.test(html) ||
-    generator.includes("framer")
-  ) {
-    hints.add("Framer");
-  }
+      try {
+        const hit = !noCache && !wantSnapshot ? await cacheGet(key) : null
+        if (hit) {
+          const payload = storedAudit(hit.payload, profile)
+          for (const c of payload.checks) send("check", c)
+          sendAudit({ ...payload, cached: true, cacheAgeMs: Date.now() - hit.createdAt })
+          return
+        }
 
-  // (You can extend: Webflow, Squarespace, Ghost, etc.)
+        let out
+        try {
+          out = await runAudit(req, rawUrl, {
+            profile,
+            onCheck: (c) => send("check", c),
+            onProgress: (p) => send("progress", p),
+          })
+        } catch (e) {
+          if (e?.name !== "AbortError") throw e
+          out = abortedAudit(rawUrl, profile)
+        }
+        const { _diag, ...copy } = out
+        waitUntil(recordHistory(copy))
+
+        if (wantSnapshot) {
+          const saved = await saveSnapshot(copy, { owner })
+          const shareUrl = shareUrlFor(req, saved.shareBlobPath)
+          const shareBlobUrl = snapshotUrlFor(req, saved.shareBlobPath)
+          sendAudit({ ...copy, ...saved, ...(shareBlobUrl && { shareBlobUrl }), ...(shareUrl && { shareUrl }) })
+          return
+        }
 
-  const list = Array.from(hints);
-  const present = list.length > 0;
+        if (!copy.blocked && !copy.timeout) cacheSet(key, copy)
+        sendAudit({ ...copy, cached: false, _diag })
+      } catch (e) {
+        send("error", { ok: false, errors: [e?.message || "Unknown error"] })
+      } finally {
+        closed = true
+        try {
+          controller.close()
+        } catch {}
+      }
+    },
+    cancel() {
+      closed = true
+    },
+  })
 
-  return {
-    id: "platform",
-    label: "Platform / CMS",
-    status: present ? (list.length > 1 ? "warn" : "pass") : "warn",
-    details: present ? list.join(" + ") : "Not detected (custom or obfuscated)",
-    value: list,
-  };
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      ...corsHeadersFrom(req),
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    },
+  })
 }
 
 /** ---------- GET ---------- */
 export async function GET(req) {
   const { searchParams } = new URL(req.url)
 
-  // Prefer new ?blob=...
+  // ?blob=<snapshot path>
   const blobParam = searchParams.get("blob")
   if (blobParam) {
     const out = await loadSnapshotByPath(blobParam)
     if (out.ok)
-      return json(req, 200, {
-        ...out.json,
+      return auditJson(req, {
+        ...storedAudit(out.json),
         fromSnapshot: true,
         shareBlobPath: blobParam,
       })
-    return json(req, 404, {
+    return json(req, out.expired ? 410 : 404, {
       ok: false,
-      errors: ["Snapshot not found (blob)"],
+      errors: [out.expired ? "Snapshot expired" : "Snapshot not found (blob)"],
       attempted: out.attempted,
     })
   }
 
-  // Legacy ?id=...
+  // Legacy ?id=<id> share links
   const snapId = searchParams.get("id")
   if (snapId) {
-    const try1 = await loadSnapshotByPath(`${snapId}.json`)
-    if (try1.ok)
-      return json(req, 200, { ...try1.json, fromSnapshot: true, shareId: snapId })
-
-    const try2 = await loadSnapshotByPath(snapId)
-    if (try2.ok)
-      return json(req, 200, { ...try2.json, fromSnapshot: true, shareId: snapId })
-
+    const out = await loadSnapshotById(snapId)
+    if (out.ok) return auditJson(req, { ...storedAudit(out.json), fromSnapshot: true, shareId: snapId })
     return json(req, 404, {
       ok: false,
       errors: ["Snapshot not found (id)"],
-      attempted: [try1.attempted, try2.attempted].filter(Boolean),
+      attempted: out.attempted,
     })
   }
 
@@ -462,49 +227,38 @@ export async function GET(req) {
 
   const noCache = searchParams.get("nocache") === "1"
   const key = normalizeKey(rawUrl)
+  const profileName = searchParams.get("profile") || undefined
+  const profile = resolveProfile(profileName)
+  if (!profile) return unknownProfile(req, profileName)
+
+  if (searchParams.get("stream") === "1") {
+    const wantSnapshot = searchParams.get("snapshot") === "1"
+    const owner = searchParams.get("email") || null
+    if (wantSnapshot && owner && !looksLikeEmail(owner)) return invalidOwner(req)
+    return streamAudit(req, rawUrl, { key, noCache, wantSnapshot, owner, profile })
+  }
+
   if (!noCache) {
-    const hit = cacheGet(key)
+    const hit = await cacheGet(key)
     if (hit) {
       const age = Date.now() - hit.createdAt
-      return json(req, 200, { ...hit.payload, cached: true, cacheAgeMs: age })
+      return auditJson(req, {
+        ...storedAudit(hit.payload, profile),
+        cached: true,
+        cacheAgeMs: age,
+      })
     }
   }
 
   try {
-    const out = await runAudit(req, rawUrl)
+    const out = await runAudit(req, rawUrl, { profile })
     const { _diag, ...copy } = out
+    waitUntil(recordHistory(copy))
     if (!copy.blocked && !copy.timeout) cacheSet(key, copy)
-    return json(req, 200, { ...copy, _diag })
+    return auditJson(req, { ...copy, _diag })
   } catch (e) {
     // Safety net: convert AbortError to partial instead of 500
-    if (e?.name === "AbortError") {
-      const normalizedUrl = /^https?:\/\//i.test(rawUrl)
-        ? rawUrl
-        : `https://${rawUrl}`
-      return json(req, 200, {
-        ok: true,
-        timeout: true,
-        crawlerWarning: true,
-        crawlerWarningMsg: DEFAULT_CRAWLER_MSG,
-        url: rawUrl,
-        normalizedUrl,
-        finalUrl: normalizedUrl,
-        fetchedStatus: 0,
-        timingMs: OVERALL_BUDGET_MS,
-        title: "",
-        metaTitle: "",
-        metaDescription: "",
-        checks: [
-          { id: "timeout", label: LABELS.timeout, status: "warn", details: "Operation aborted" },
-          LOCK_PLACEHOLDER("structured-data"),
-          LOCK_PLACEHOLDER("https-redirect"),
-          LOCK_PLACEHOLDER("security-headers"),
-          LOCK_PLACEHOLDER("compression"),
-          LOCK_PLACEHOLDER("h1-structure"),
-          LOCK_PLACEHOLDER("llms"),
-        ],
-      })
-    }
+    if (e?.name === "AbortError") return auditJson(req, abortedAudit(rawUrl, profile))
     const msg = e?.message || "Unknown error"
     return json(req, 500, { ok: false, errors: [msg] })
   }
@@ -512,1150 +266,91 @@ export async function GET(req) {
 
 /** ---------- POST ---------- */
 export async function POST(req) {
+  let rawUrl
+  let profile
   try {
     const body = await req.json().catch(() => ({}))
-    const rawUrl = body?.url
+    rawUrl = body?.url
     const noCache = !!body?.nocache
     const wantSnapshot = !!body?.snapshot
+    const owner = typeof body?.email === "string" ? body.email.trim() || null : null
 
     if (!rawUrl) return json(req, 400, { ok: false, errors: ["Invalid URL"] })
+    if (wantSnapshot && owner && !looksLikeEmail(owner)) return invalidOwner(req)
+
+    profile = resolveProfile(body?.profile || undefined)
+    if (!profile) return unknownProfile(req, body.profile)
+
+    // Multi-page crawl: { url, crawl: { maxPages, maxDepth, cursor? } }
+    if (body?.crawl) {
+      // checked before crawling: every response carries a signed cursor
+      if (!hasSigningSecret()) {
+        return json(req, 503, { ok: false, errors: ["Crawling is unavailable: SNAPSHOT_SECRET is not configured"] })
+      }
+      const opts = typeof body.crawl === "object" ? body.crawl : {}
+      let cursorState = null
+      if (opts.cursor) {
+        cursorState = await decodeCursor(opts.cursor)
+        if (!cursorState || cursorState.start !== normalizeKey(rawUrl)) {
+          return json(req, 400, { ok: false, errors: ["Invalid crawl cursor"] })
+        }
+      }
+      return json(req, 200, await runCrawl(rawUrl, opts, cursorState))
+    }
 
     const key = normalizeKey(rawUrl)
     if (!noCache && !wantSnapshot) {
-      const hit = cacheGet(key)
+      const hit = await cacheGet(key)
       if (hit) {
         const age = Date.now() - hit.createdAt
-        return json(req, 200, { ...hit.payload, cached: true, cacheAgeMs: age })
+        return auditJson(req, {
+          ...storedAudit(hit.payload, profile),
+          cached: true,
+          cacheAgeMs: age,
+        })
       }
     }
 
-    const out = await runAudit(req, rawUrl)
+    const out = await runAudit(req, rawUrl, { profile })
     const { _diag, ...copy } = out
+    waitUntil(recordHistory(copy))
 
     if (!copy.blocked && !copy.timeout && !wantSnapshot) {
       cacheSet(key, copy)
     }
 
     if (wantSnapshot) {
-      const { shareBlobUrl, shareBlobPath } = await saveSnapshot(copy)
-      const base =
-        process.env.SHARE_BASE ||
-        (() => {
-          try {
-            const u = new URL(req.url)
-            return `${u.origin}/seo-check`
-          } catch {
-            return ""
-          }
-        })()
+      const saved = await saveSnapshot(copy, { owner })
+      const shareUrl = shareUrlFor(req, saved.shareBlobPath)
+      const shareBlobUrl = snapshotUrlFor(req, saved.shareBlobPath)
 
-      const shareUrl =
-        base && shareBlobPath
-          ? `${base}?blob=${encodeURIComponent(shareBlobPath)}`
-          : ""
-
-      return json(req, 200, {
-        ok: true,
+      return auditJson(req, {
         ...copy,
-        shareBlobPath,
-        shareBlobUrl,
+        ...saved,
+        ...(shareBlobUrl && { shareBlobUrl }),
         ...(shareUrl && { shareUrl }),
       })
     }
 
-    return json(req, 200, { ...copy, _diag })
+    return auditJson(req, { ...copy, _diag })
   } catch (e) {
-    if (e?.name === "AbortError") {
-      // mirror GET’s graceful partial
-      const rawUrl = "(unknown)"
-      return json(req, 200, {
-        ok: true,
-        timeout: true,
-        crawlerWarning: true,
-        crawlerWarningMsg: DEFAULT_CRAWLER_MSG,
-        url: rawUrl,
-        normalizedUrl: rawUrl,
-        finalUrl: rawUrl,
-        fetchedStatus: 0,
-        timingMs: OVERALL_BUDGET_MS,
-        title: "",
-        metaTitle: "",
-        metaDescription: "",
-        checks: [{ id: "timeout", label: LABELS.timeout, status: "warn", details: "Operation aborted" }],
-      })
-    }
+    // mirror GET’s graceful partial
+    if (e?.name === "AbortError") return auditJson(req, abortedAudit(rawUrl, profile))
     const msg = e?.message || "Unknown error"
     return json(req, 500, { ok: false, errors: [msg] })
   }
 }
 
-/** ---------- audit core ---------- */
-async function runAudit(req, rawUrl) {
-  const normalizedUrl = /^https?:\/\//i.test(rawUrl) ? rawUrl : `https://${rawUrl}`
-
-  // diag (only when DEBUG_AUDIT=1)
-  const DIAG = []
-  const timed = async (label, fn) => {
-    const t = Date.now()
-    try {
-      return await fn()
-    } finally {
-      if (process.env.DEBUG_AUDIT === "1") DIAG.push({ label, ms: Date.now() - t })
-    }
-  }
-
-  // overall budget
-  const startedAt = Date.now()
-  const timeLeft = () => Math.max(0, OVERALL_BUDGET_MS - (Date.now() - startedAt))
-  const within = (ms) => Math.max(150, Math.min(ms, timeLeft()))
-
-  // sub-request budget
-  let budget = LIMITS.MAX_SUBREQUESTS
-  const spend = (n = 1) => {
-    if (budget - n < 0) return false
-    budget -= n
-    return true
-  }
-
-  // Always-defined meta fields
-  let title = ""
-  let metaDesc = ""
-
-  // Helper: partial fallback for TIMEOUT/abort
-  const timeoutPartial = async (
-    statusText = "Main page fetch exceeded time budget"
-  ) => {
-    const checks = []
-
-    checks.push({
-      id: "timeout",
-      label: LABELS.timeout,
-      status: "warn",
-      details: statusText,
-    })
-
-    // favicon (best effort)
-    try {
-      const favUrl = new URL("/favicon.ico", normalizedUrl).toString()
-      const r = await tryHeadThenGet(favUrl, {
-        timeoutMs: within(LIMITS.TIME_ASSET_MS),
-        headers: BROWSER_HEADERS,
-      })
-      checks.push({
-        id: "favicon",
-        label: "Favicon present & loads",
-        status: isOk(r) ? "pass" : "warn",
-        details: favUrl,
-        value: isOk(r),
-      })
-    } catch {
-      checks.push({
-        id: "favicon",
-        label: "Favicon present & loads",
-        status: "warn",
-        details: "Unknown",
-      })
-    }
-
-    // robots + collect Sitemap URLs
-    let robotsSitemaps = []
-    try {
-      const origin = (() => {
-        try {
-          return new URL(normalizedUrl).origin
-        } catch {
-          return normalizedUrl
-        }
-      })()
-      const robotsURL = new URL("/robots.txt", origin).toString()
-      await timed("robots-timeout", async () => {
-        const toR = withTimeout(within(LIMITS.TIME_SMALL_MS))
-        try {
-          const r = await fetch(robotsURL, {
-            signal: toR.signal,
-            headers: BROWSER_HEADERS,
-            cache: "no-store",
-          })
-          if (r.ok) {
-            const txt = await r.text()
-            const matches = [...txt.matchAll(/^\s*Sitemap:\s*(\S+)\s*$/gim)]
-            robotsSitemaps = matches.map((m) => absUrl(robotsURL, m[1])).filter(Boolean)
-
-            const blocks = txt.split(/(?=^User-agent:\s*)/gim)
-            const star = blocks.find((b) => /^User-agent:\s*\*/im.test(b)) || ""
-            const disallowAll = /^\s*Disallow:\s*\/\s*$/im.test(star)
-
-            checks.push({
-              id: "robots",
-              label: "robots.txt allows indexing",
-              status: disallowAll ? "fail" : "warn",
-              details:
-                (disallowAll ? "User-agent: * disallows /" : "Accessible") +
-                (robotsSitemaps.length
-                  ? ` • ${robotsSitemaps.length} sitemap URL(s) listed`
-                  : ""),
-            })
-          } else {
-            checks.push({
-              id: "robots",
-              label: "robots.txt allows indexing",
-              status: "warn",
-              details: `Unavailable (HTTP ${r.status})`,
-            })
-          }
-        } finally {
-          toR.done()
-        }
-      })
-    } catch {
-      checks.push({
-        id: "robots",
-        label: "robots.txt allows indexing",
-        status: "warn",
-        details: "Unavailable",
-      })
-    }
-    //H1 checker
-function makeH1Check(html = "") {
-  if (!html || typeof html !== "string") return null; // no HTML -> skip (partial audits stay partial)
-
-  // Count <h1 ...> tags (simple + fast)
-  const matches = html.match(/<h1\b[^>]*>/gi);
-  const count = matches ? matches.length : 0;
-
-  let status = "fail";
-  if (count === 1) status = "pass";
-  else if (count > 1) status = "warn";
-
-  return {
-    id: "h1-structure",
-    status,                 // "pass" | "warn" | "fail"
-    details:
-      count === 0
-        ? "No <h1> tag found on the page."
-        : `Found ${count} <h1> ${count === 1 ? "tag" : "tags"}.`,
-    value: count,           // numeric value for clients if needed
-  };
-}
-
-    
-
-    // sitemap probe (HEAD/GET some common paths + robots-listed)
-    const origin = (() => {
-      try {
-        return new URL(normalizedUrl).origin
-      } catch {
-        return normalizedUrl
-      }
-    })()
-
-    let sitemapFound = null
-    const candidates = new Set([
-      new URL("/sitemap.xml", origin).toString(),
-      new URL("/sitemap_index.xml", origin).toString(),
-      new URL("/sitemap-index.xml", origin).toString(),
-      new URL("/wp-sitemap.xml", origin).toString(),
-      ...(robotsSitemaps || []),
-    ])
-
-    for (const u of candidates) {
-      if (timeLeft && timeLeft() < 300) break
-      try {
-        const h = await tryHeadThenGet(u, {
-          timeoutMs: within ? within(LIMITS.TIME_SMALL_MS) : LIMITS.TIME_SMALL_MS,
-          headers: BROWSER_HEADERS,
-        })
-        if (isOk(h)) {
-          sitemapFound = h.url || u
-          break
-        }
-      } catch {}
-    }
-
-    checks.push({
-      id: "sitemap",
-      label: "Sitemap exists & URLs valid",
-      status: sitemapFound ? "warn" : "fail",
-      details: sitemapFound
-        ? `Found: ${sitemapFound} (content not parsed in this fast path)`
-        : "No sitemap found at common paths or in robots.txt",
-    })
-
-    // locked teasers
-   for (const id of OMIT_CHECKS) checks.push(LOCK_PLACEHOLDER(id))
-    checks.push(LOCK_PLACEHOLDER("llms"))
-
-    // PSI quick
-    let psi
-    if (timeLeft() > 2000) {
-      await timed("psi-timeout", async () => {
-        try {
-          const key = process.env.PSI_API_KEY
-          const u = new URL(
-            "https://www.googleapis.com/pagespeedonline/v5/runPagespeed"
-          )
-          u.searchParams.set("url", normalizedUrl)
-          u.searchParams.set("strategy", "mobile")
-          if (key) u.searchParams.set("key", key)
-          const to = withTimeout(within(LIMITS.TIME_PSI_MS))
-          try {
-            const res = await fetch(u.toString(), { signal: to.signal })
-            if (res.ok) {
-              const data = await res.json()
-              const score =
-                data?.lighthouseResult?.categories?.performance?.score
-              if (typeof score === "number") psi = Math.round(score * 100)
-            }
-          } finally {
-            to.done()
-          }
-        } catch {}
-      })
-      if (typeof psi === "number") {
-        checks.push({
-          id: "psi",
-          label: "PageSpeed (mobile)",
-          status: psi >= 70 ? "pass" : "warn",
-          details: `${psi}/100`,
-          value: psi,
-        })
-      }
-    }
-
-    const payload = {
-      ok: true,
-      timeout: true,
-      crawlerWarning: true,
-      crawlerWarningMsg: DEFAULT_CRAWLER_MSG,
-      url: rawUrl,
-      normalizedUrl,
-      finalUrl: normalizedUrl,
-      fetchedStatus: 0,
-      timingMs: OVERALL_BUDGET_MS,
-      title,
-      metaTitle: title,
-      metaDescription: metaDesc,
-      speed: undefined,
-      checks,
-    }
-    if (process.env.DEBUG_AUDIT === "1") payload._diag = DIAG
-    return payload
-  }
-
+/** ---------- DELETE ?blob=&token= ---------- */
+// Takes a snapshot down; the token comes from the response that created it
+export async function DELETE(req) {
   try {
-    // MAIN PAGE FETCH (with soft timeout)
-    const t0 = Date.now()
-    let pageRes
-    try {
-      pageRes = await timed("page", () =>
-        retry(async () => {
-          const to = withTimeout(within(LIMITS.TIME_PAGE_MS))
-          try {
-            return await fetch(normalizedUrl, {
-              redirect: "follow",
-              signal: to.signal,
-              headers: UA_HEADERS,
-              cache: "no-store",
-            })
-          } finally {
-            to.done()
-          }
-        })
-      )
-    } catch (e) {
-      // SOFT TIMEOUT: return partial instead of throwing
-      if (e?.name === "AbortError") {
-        return timeoutPartial(`Main page fetch exceeded ~${LIMITS.TIME_PAGE_MS}ms`)
-      }
-      throw e
-    }
-
-    // ---- Blocked handling (401/403/429) ----
-    if (BLOCK_CODES.has(pageRes.status)) {
-      await timed("blocked-retry", async () => {
-        try {
-          const to2 = withTimeout(within(6000))
-          try {
-            const r = await fetch(normalizedUrl, {
-              redirect: "follow",
-              signal: to2.signal,
-              headers: BROWSER_HEADERS,
-              cache: "no-store",
-            })
-            pageRes = r
-          } finally {
-            to2.done()
-          }
-        } catch {}
-      })
-
-      if (BLOCK_CODES.has(pageRes.status)) {
-        const status = pageRes.status
-        const finalUrlBlocked = pageRes.url || normalizedUrl
-
-        // derive origin
-        let originBlocked
-        try {
-          originBlocked = new URL(finalUrlBlocked).origin
-        } catch {
-          originBlocked = normalizedUrl
-        }
-
-        const checks = []
-
-        checks.push({
-          id: "blocked",
-          label: "Blocked by bot protection",
-          status: "fail",
-          details: `Received ${status} from ${finalUrlBlocked}`,
-        })
-
-        // robots (best effort)
-        let robotsSitemaps = []
-        try {
-          const robotsURL = new URL("/robots.txt", originBlocked).toString()
-          await timed("robots-blocked", async () => {
-            const tor = withTimeout(within(LIMITS.TIME_SMALL_MS))
-            try {
-              const r = await fetch(robotsURL, {
-                redirect: "follow",
-                signal: tor.signal,
-                headers: BROWSER_HEADERS,
-                cache: "no-store",
-              })
-              if (r.ok) {
-                const txt = await r.text()
-                const matches = [...txt.matchAll(/^\s*Sitemap:\s*(\S+)\s*$/gim)]
-                robotsSitemaps = matches
-                  .map((m) => absUrl(robotsURL, m[1]))
-                  .filter(Boolean)
-
-                const blocks = txt.split(/(?=^User-agent:\s*)/gim)
-                const star = blocks.find((b) => /^User-agent:\s*\*/im.test(b)) || ""
-                const disallowAll = /^\s*Disallow:\s*\/\s*$/im.test(star)
-
-                checks.push({
-                  id: "robots",
-                  label: "robots.txt allows indexing",
-                  status: disallowAll ? "fail" : "warn",
-                  details:
-                    (disallowAll ? "User-agent: * disallows /" : "Accessible") +
-                    (robotsSitemaps.length
-                      ? ` • ${robotsSitemaps.length} sitemap URL(s) listed`
-                      : ""),
-                })
-              } else {
-                checks.push({
-                  id: "robots",
-                  label: "robots.txt allows indexing",
-                  status: "warn",
-                  details: `Unavailable (HTTP ${r.status})`,
-                })
-              }
-            } finally {
-              tor.done()
-            }
-          })
-        } catch {
-          checks.push({
-            id: "robots",
-            label: "robots.txt allows indexing",
-            status: "warn",
-            details: "Unavailable",
-          })
-        }
-
-        // sitemap probe
-        let sitemapFound = null
-        const candidates = new Set([
-          new URL("/sitemap.xml", originBlocked).toString(),
-          new URL("/sitemap_index.xml", originBlocked).toString(),
-          new URL("/sitemap-index.xml", originBlocked).toString(),
-          new URL("/wp-sitemap.xml", originBlocked).toString(),
-          ...robotsSitemaps,
-        ])
-
-        for (const u of candidates) {
-          if (timeLeft() < 300) break
-          try {
-            const h = await tryHeadThenGet(u, {
-              timeoutMs: within(LIMITS.TIME_SMALL_MS),
-              headers: BROWSER_HEADERS,
-            })
-            if (isOk(h)) {
-              sitemapFound = h.url || u
-              break
-            }
-          } catch {}
-        }
-
-        checks.push({
-          id: "sitemap",
-          label: "Sitemap exists & URLs valid",
-          status: sitemapFound ? "warn" : "fail",
-          details: sitemapFound
-            ? `Found: ${sitemapFound} (content not parsed in blocked path)`
-            : "No sitemap found at common paths or in robots.txt",
-        })
-
-        // favicon quick probe
-        try {
-          const fav = new URL("/favicon.ico", originBlocked).toString()
-          const h = await tryHeadThenGet(fav, {
-            timeoutMs: within(LIMITS.TIME_ASSET_MS),
-            headers: BROWSER_HEADERS,
-          })
-          checks.push({
-            id: "favicon",
-            label: "Favicon present & loads",
-            status: isOk(h) ? "pass" : "warn",
-            details: fav,
-          })
-        } catch {
-          checks.push({
-            id: "favicon",
-            label: "Favicon present & loads",
-            status: "warn",
-            details: "Unknown",
-          })
-        }
-
-        // teasers
-      for (const id of OMIT_CHECKS) checks.push(LOCK_PLACEHOLDER(id))
-    checks.push(LOCK_PLACEHOLDER("llms"))
-
-        const payload = {
-          ok: true,
-          blocked: true,
-          crawlerWarning: true, // still set, UI can choose to only show the red banner
-          crawlerWarningMsg: DEFAULT_CRAWLER_MSG,
-          url: rawUrl,
-          normalizedUrl,
-          finalUrl: finalUrlBlocked,
-          fetchedStatus: status,
-          timingMs: Date.now() - t0,
-          title: "",
-          metaTitle: title,
-          metaDescription: "",
-          checks,
-        }
-        if (process.env.DEBUG_AUDIT === "1") payload._diag = DIAG
-        return payload
-      }
-    }
-
-    // ---- Normal path ----
-    const html = await pageRes.text()
-    const timingMs = Date.now() - Date.now() + Date.now() // noop guard
-    const finalUrl = pageRes.url
-
-    title = parseTitle(html)
-
-    const urlObj = new URL(finalUrl)
-    const origin = `${urlObj.protocol}//${urlObj.host}`
-    const host = urlObj.host
-
-    const checks = []
-
-    /** -------- Open Graph -------- */
-    const ogTitle = getMetaProp(html, "og:title")
-    const ogDesc = getMetaProp(html, "og:description")
-    const ogImageRel = getMetaProp(html, "og:image")
-    const ogImage = ogImageRel ? absUrl(finalUrl, ogImageRel) : undefined
-    let ogImageLoads = undefined
-    if (ogImage && spend() && timeLeft() > 300) {
-      try {
-        await timed("og:image", async () => {
-          const to = withTimeout(within(LIMITS.TIME_ASSET_MS))
-          try {
-            const r = await fetch(ogImage, {
-              method: "GET",
-              signal: to.signal,
-              headers: UA_HEADERS,
-              cache: "no-store",
-            })
-            ogImageLoads = r.ok
-          } finally {
-            to.done()
-          }
-        })
-      } catch {
-        ogImageLoads = false
-      }
-    }
-    checks.push({
-      id: "opengraph",
-      label: "Open Graph tags",
-      status:
-        ogTitle && (ogImage && ogImageLoads !== false)
-          ? "pass"
-          : ogTitle || ogDesc || ogImage
-          ? "warn"
-          : "fail",
-      details: `og:title=${!!ogTitle} og:description=${!!ogDesc} og:image=${!!ogImage} (image loads: ${
-        ogImageLoads === true ? "yes" : ogImageLoads === false ? "no" : "unknown"
-      })`,
-    })
-
-    /** -------- Favicon -------- */
-    let faviconLoads = undefined
-    let faviconUrl = undefined
-    const iconRelMatch = [...html.matchAll(/<link[^>]*rel=["'][^"']*icon[^"']*["'][^>]*>/gi)][0]?.[0]
-    const iconHref = iconRelMatch ? iconRelMatch.match(/href=["']([^"']+)["']/i)?.[1] : null
-    faviconUrl = absUrl(finalUrl, iconHref || "/favicon.ico")
-    if (faviconUrl && spend() && timeLeft() > 250) {
-      try {
-        await timed("favicon", async () => {
-          const r = await tryHeadThenGet(faviconUrl, {
-            timeoutMs: within(LIMITS.TIME_ASSET_MS),
-          })
-          faviconLoads = isOk(r)
-        })
-      } catch {
-        faviconLoads = false
-      }
-    }
-    checks.push({
-      id: "favicon",
-      label: "Favicon present & loads",
-      status:
-        faviconLoads === true ? "pass" : faviconLoads === false ? "fail" : "warn",
-      details: faviconUrl || "No favicon reference found",
-      value: faviconLoads,
-    })
-
-    /** -------- robots.txt -------- */
-    let robotsExists = false
-    let robotsAllowsIndex = true
-    let robotsSitemapListed = false
-    let robotsSitemaps = []
-
-    if (timeLeft() > 250) {
-      try {
-        const robotsURL = absUrl(origin + "/", "/robots.txt")
-        await timed("robots", async () => {
-          const r = await retry(async () => {
-            const tor = withTimeout(within(LIMITS.TIME_SMALL_MS))
-            try {
-              return await fetch(robotsURL, {
-                redirect: "follow",
-                signal: tor.signal,
-                headers: BROWSER_HEADERS,
-                cache: "no-store",
-              })
-            } finally {
-              tor.done()
-            }
-          })
-          if (r.ok) {
-            robotsExists = true
-            const robotsText = await r.text()
-
-            const blocks = robotsText.split(/(?=^User-agent:\s*)/gim)
-            const star = blocks.find((b) => /^User-agent:\s*\*/im.test(b)) || ""
-            if (/^\s*Disallow:\s*\/\s*$/im.test(star)) robotsAllowsIndex = false
-
-            const sitemapMatches = [
-              ...robotsText.matchAll(/^\s*Sitemap:\s*(\S+)\s*$/gim),
-            ]
-            robotsSitemaps = sitemapMatches
-              .map((m) => absUrl(robotsURL, m[1]))
-              .filter(Boolean)
-            robotsSitemapListed = robotsSitemaps.length > 0
-          }
-        })
-      } catch {}
-    }
-
-    checks.push({
-      id: "robots",
-      label: "robots.txt allows indexing",
-      status: robotsExists ? (robotsAllowsIndex ? "pass" : "fail") : "warn",
-      details: robotsExists
-        ? `${robotsAllowsIndex ? "User-agent: * allowed" : "User-agent: * disallows /"}${
-            robotsSitemapListed
-              ? ` • ${robotsSitemaps.length} sitemap URL(s) listed`
-              : ""
-          }`
-        : "robots.txt not found",
-    })
-
-    /** -------- sitemap.xml -------- */
-    let sitemapUrl = null
-    let sitemapHasUrls = false
-    let sitemapSampleOk = 0
-    let sitemapGzipped = false
-
-    const commonPaths = [
-      "/sitemap.xml",
-      "/sitemap_index.xml",
-      "/sitemap-index.xml",
-      "/wp-sitemap.xml",
-    ]
-    const candidateSet = new Set([
-      ...commonPaths.map((p) => absUrl(origin + "/", p)),
-      ...robotsSitemaps,
-    ])
-    const robotsFirst = [...new Set([...(robotsSitemaps || []), ...candidateSet])]
-    sitemapUrl = null
-    for (const u of robotsFirst) {
-      if (timeLeft() < 250) break
-      try {
-        const to = withTimeout(within(LIMITS.TIME_SMALL_MS))
-        let r
-        try {
-          r = await fetch(u, {
-            method: "GET",
-            redirect: "follow",
-            signal: to.signal,
-            headers: BROWSER_HEADERS,
-            cache: "no-store",
-          })
-        } finally {
-          to.done()
-        }
-        if (r.ok) {
-          const final = r.url || u
-          sitemapUrl = final
-          const ct = (r.headers.get("content-type") || "").toLowerCase()
-          sitemapGzipped =
-            /\.gz(\?|#|$)/i.test(final) ||
-            ct.includes("application/gzip") ||
-            ct.includes("application/x-gzip")
-          break
-        }
-      } catch {}
-    }
-
-    if (sitemapUrl) {
-      if (sitemapGzipped) {
-        checks.push({
-          id: "sitemap",
-          label: "Sitemap exists & URLs valid",
-          status: "warn",
-          details: `Found gzipped sitemap: ${sitemapUrl} (content not parsed)`,
-        })
-      } else {
-        try {
-          await timed("sitemap-get", async () => {
-            const r = await retry(async () => {
-              const tos = withTimeout(within(LIMITS.TIME_PAGE_MS))
-              try {
-                return await fetch(sitemapUrl, {
-                  redirect: "follow",
-                  signal: tos.signal,
-                  headers: BROWSER_HEADERS,
-                  cache: "no-store",
-                })
-              } finally {
-                tos.done()
-              }
-            })
-            if (r.ok) {
-              const sitemapFinal = r.url || sitemapUrl
-              const xml = await r.text()
-              const locs = [...xml.matchAll(/<loc>([\s\S]*?)<\/loc>/gi)].map((m) =>
-                m[1].trim()
-              )
-              const absLocs = locs
-                .map((h) => absUrl(sitemapFinal, h))
-                .filter(Boolean)
-              sitemapHasUrls = absLocs.length > 0
-              sitemapUrl = sitemapFinal
-
-              const toCheck = absLocs.slice(0, LIMITS.SITEMAP_SAMPLES)
-              const results = await Promise.all(
-                toCheck.map(async (u, i) => {
-                  if (!spend() || timeLeft() < 200) return false
-                  try {
-                    return await timed(`sitemap-sample-${i}`, async () => {
-                      const rr = await tryHeadThenGet(u, {
-                        timeoutMs: within(LIMITS.TIME_ASSET_MS),
-                        headers: BROWSER_HEADERS,
-                      })
-                      return isOk(rr)
-                    })
-                  } catch {
-                    return false
-                  }
-                })
-              )
-              sitemapSampleOk = results.filter(Boolean).length
-            }
-          })
-        } catch {}
-        checks.push({
-          id: "sitemap",
-          label: "Sitemap exists & URLs valid",
-          status: sitemapHasUrls && sitemapSampleOk > 0 ? "pass" : "warn",
-          details: `Found: ${sitemapUrl} • URLs: ${
-            sitemapHasUrls ? "yes" : "no"
-          } • Valid samples: ${sitemapSampleOk}`,
-        })
-      }
-    } else {
-      checks.push({
-        id: "sitemap",
-        label: "Sitemap exists & URLs valid",
-        status: "fail",
-        details: `No sitemap found at common paths or in robots.txt`,
-      })
-    }
-
-    /** -------- www ↔ non-www redirect -------- */
-    let canonicalization = { tested: false, from: "", to: "", code: 0, good: false }
-    if (timeLeft() > 250) {
-      try {
-        const variantHost = /^www\./i.test(host) ? host.replace(/^www\./i, "") : "www." + host
-        if (variantHost !== host && spend()) {
-          const variantOrigin = `${urlObj.protocol}//${variantHost}`
-          const variantUrl = variantOrigin + "/"
-          await timed("www-variant", async () => {
-            const r = await retry(async () => {
-              const tv = withTimeout(within(LIMITS.TIME_SMALL_MS))
-              try {
-                return await fetch(variantUrl, {
-                  method: "GET",
-                  redirect: "manual",
-                  signal: tv.signal,
-                  headers: UA_HEADERS,
-                  cache: "no-store",
-                })
-              } finally {
-                tv.done()
-              }
-            })
-            const code = r.status
-            const loc = r.headers.get("location")
-            let good = false
-            let to2 = ""
-            if (loc) {
-              const resolved = absUrl(variantUrl, loc)
-              to2 = resolved || loc
-              try {
-                good =
-                  new URL(to2).host === host &&
-                  [301, 308, 302, 307].includes(code)
-              } catch {}
-            }
-            canonicalization = { tested: true, from: variantUrl, to: to2, code, good }
-          })
-        }
-      } catch {
-        canonicalization = { tested: true, from: "", to: "", code: 0, good: false }
-      }
-    }
-    checks.push({
-      id: "www-canonical",
-      label: "www/non-www redirects to canonical",
-      status: canonicalization.tested
-        ? canonicalization.good
-          ? "pass"
-          : "warn"
-        : "warn",
-      details: canonicalization.tested
-        ? `from ${canonicalization.from} → ${canonicalization.to || "(no redirect)"} (${canonicalization.code})`
-        : "Not applicable",
-    })
-
-    /** -------- simple status/ttfb -------- */
-    checks.push({
-      id: "http",
-      label: "HTTP status 200–399",
-      status: pageRes.status < 400 ? "pass" : "fail",
-      details: String(pageRes.status),
-    })
-    const ttfbMs = Date.now() - startedAt
-    checks.push({
-      id: "ttfb",
-      label: "Response time < 1500ms",
-      status: ttfbMs < 1500 ? "pass" : "warn",
-      details: `${ttfbMs} ms`,
-    })
-
-    /** -------- Canonical tag -------- */
-    const canonTags = [...html.matchAll(/<link\b[^>]*>/gi)]
-      .map((m) => m[0])
-      .filter((tag) => /\brel\s*=\s*["']?\s*canonical\s*["']?/i.test(tag))
-    let canonicalHref,
-      canonicalOk,
-      multipleCanon = canonTags.length > 1
-    if (canonTags.length) {
-      const hrefm = canonTags[0].match(/\bhref\s*=\s*["']?([^"'\s>]+)["']?/i)
-      canonicalHref = hrefm ? absUrl(finalUrl, hrefm[1]) : undefined
-      try {
-        const a = new URL(canonicalHref)
-        const b = new URL(finalUrl)
-        a.hash = ""
-        a.search = ""
-        a.hostname = a.hostname.toLowerCase()
-        b.hash = ""
-        b.search = ""
-        b.hostname = b.hostname.toLowerCase()
-        if (a.pathname !== "/") a.pathname = a.pathname.replace(/\/+$/, "")
-        if (b.pathname !== "/") b.pathname = b.pathname.replace(/\/+$/, "")
-        canonicalOk = a.toString() === b.toString()
-      } catch {
-        canonicalOk = undefined
-      }
-    }
-    checks.push({
-      id: "canonical",
-      label: "Canonical tag",
-      status: canonicalHref ? (canonicalOk && !multipleCanon ? "pass" : "warn") : "fail",
-      details: canonicalHref
-        ? `${canonicalOk ? "Matches URL" : `Points to ${canonicalHref}`}${
-            multipleCanon ? " • multiple canonicals" : ""
-          }`
-        : "Missing",
-    })
-
-    /** -------- Noindex + Robots directives -------- */
-    const robotsMeta = (getMetaName(html, "robots") || "").toLowerCase()
-    const googlebotMeta = (getMetaName(html, "googlebot") || "").toLowerCase()
-    const bingbotMeta = (getMetaName(html, "bingbot") || "").toLowerCase()
-    const xRobotsHeader = (pageRes.headers.get("x-robots-tag") || "").toLowerCase()
-    const hasNoindex = (s) => /\bnoindex\b/.test(s) || /\bnone\b/.test(s)
-
-    const noindexSources = []
-    if (hasNoindex(robotsMeta)) noindexSources.push("meta[name=robots]")
-    if (hasNoindex(googlebotMeta)) noindexSources.push("meta[name=googlebot]")
-    if (hasNoindex(bingbotMeta)) noindexSources.push("meta[name=bingbot]")
-    if (hasNoindex(xRobotsHeader)) noindexSources.push("X-Robots-Tag header")
-
-    checks.push({
-      id: "noindex",
-      label: "Noindex directive",
-      status: noindexSources.length ? "fail" : "pass",
-      details: noindexSources.length
-        ? `Found in: ${noindexSources.join(", ")}`
-        : "Not detected",
-    })
-
-    const robotsStrings = [
-      robotsMeta && `meta: ${robotsMeta}`,
-      googlebotMeta && `googlebot: ${googlebotMeta}`,
-      bingbotMeta && `bingbot: ${bingbotMeta}`,
-      xRobotsHeader && `header: ${xRobotsHeader}`,
-    ].filter(Boolean)
-
-    checks.push({
-      id: "meta-robots",
-      label: "Robots directives",
-      status: robotsStrings.length ? (noindexSources.length ? "warn" : "pass") : "pass",
-      details: robotsStrings.length ? robotsStrings.join(" | ") : "None",
-    })
-
-    /** -------- Meta description + title quality -------- */
-metaDesc = getMetaName(html, "description") || ""
-
-const rawTitle = (title || "").trim()
-const titleLen = rawTitle.length
-const genericTitle = isGenericTitle(rawTitle)
-
-checks.push({
-  id: "meta-description",
-  label: "Meta description length",
-  status: metaDesc
-    ? metaDesc.length >= 50 && metaDesc.length <= 160
-      ? "pass"
-      : "warn"
-    : "fail",
-  details: metaDesc ? `${metaDesc.length} chars` : "Missing",
-})
-
-// Fail if <10 chars OR looks generic; otherwise keep your pass/warn bands
-let titleStatus = "fail"
-let titleDetails = "Missing"
-
-if (titleLen) {
-  if (titleLen < 10) {
-    titleStatus = "fail"
-    titleDetails = `${titleLen} chars (too short)`
-  } else if (genericTitle) {
-    titleStatus = "fail"
-    titleDetails = "Generic title detected (e.g., ‘Home’, ‘Homepage’, ‘Welcome’)"
-  } else if (titleLen >= 25 && titleLen <= 60) {
-    titleStatus = "pass"
-    titleDetails = `${titleLen} chars`
-  } else {
-    titleStatus = "warn"
-    titleDetails = `${titleLen} chars`
-  }
-}
-
-checks.push({
-  id: "title-length",        // keep same id so UI/weights still work
-  label: "Title length",     // label can stay as-is
-  status: titleStatus,
-  details: titleDetails,
-})
-
-    /** -------- Viewport -------- */
-    const hasViewport = /<meta[^>]+name=["']viewport["'][^>]*>/i.test(html)
-    checks.push({
-      id: "viewport",
-      label: "Mobile viewport tag",
-      status: hasViewport ? "pass" : "fail",
-      details: hasViewport ? "Present" : "Missing",
-    })
-
-    /** -------- H1 structure -------- */
-    if (html) {
-const h1Check = makeH1Check(html);
-if (h1Check) checks.push(h1Check);
-    }
-
-    /** -------- Google Analytics (GA / GTM) -------- */
-{
-  const gaCheck = makeGACheck(html);
-  if (gaCheck) checks.push(gaCheck);
-}
-
-    /** -------- Platform / CMS -------- */
-{
-  const platformCheck = makePlatformCheck(html, pageRes.headers, finalUrl);
-  if (platformCheck) checks.push(platformCheck);
-}
-
-    
-    /** -------- Images -------- */
-    const imgTags = [...html.matchAll(/<img[^>]*>/gi)]
-      .map((m) => m[0])
-      .slice(0, 40)
-    const imgSrcs = imgTags
-      .map((t) => t.match(/src=["']([^"']+)["']/i)?.[1])
-      .filter(Boolean)
-      .map((s) => absUrl(finalUrl, s))
-      .filter(Boolean)
-    const alts = imgTags
-      .map((t) => t.match(/alt=["']([^"']*)["']/i)?.[1] ?? "")
-      .filter((a) => a !== null)
-    const altOk = alts.length
-      ? alts.filter((a) => a.trim().length > 0).length / alts.length
-      : 1
-    const modernFmt = imgSrcs.filter((u) => /\.(avif|webp)(\?|#|$)/i.test(u)).length
-    const lazyCount = imgTags.filter((t) => /loading=["']lazy["']/i.test(t)).length
-
-    let huge = 0
-    for (const [i, u] of imgSrcs.slice(0, LIMITS.IMAGE_HEADS).entries()) {
-      if (!spend() || timeLeft() < 200) break
-      try {
-        await timed(`img-head-${i}`, async () => {
-          const r = await retry(async () => {
-            const th = withTimeout(within(LIMITS.TIME_ASSET_MS))
-            try {
-              return await fetch(u, {
-                method: "HEAD",
-                signal: th.signal,
-                headers: UA_HEADERS,
-                cache: "no-store",
-              })
-            } finally {
-              th.done()
-            }
-          })
-          const len = parseInt(r.headers.get("content-length") || "0", 10)
-          if (len > 300_000) huge++
-        })
-      } catch {}
-    }
-
-    checks.push({
-      id: "img-alt",
-      label: "Images have alt text",
-      status: altOk >= 0.9 ? "pass" : altOk >= 0.6 ? "warn" : "fail",
-      details: `Alt coverage: ${Math.round(altOk * 100)}%`,
-    })
-    checks.push({
-      id: "img-modern",
-      label: "Modern image formats",
-      status: modernFmt > 0 ? "pass" : "warn",
-      details: `${modernFmt} AVIF/WebP seen`,
-    })
-    checks.push({
-      id: "img-size",
-      label: "Large images",
-      status: huge === 0 ? "pass" : huge <= 2 ? "warn" : "fail",
-      details: `${huge} images >300KB (first ${LIMITS.IMAGE_HEADS})`,
-    })
-    checks.push({
-      id: "img-lazy",
-      label: "Lazy-loading",
-      status: lazyCount > 0 ? "pass" : "warn",
-      details: `${lazyCount} images with loading="lazy"`,
-    })
-
-    /** -------- placeholders -------- */
-    for (const id of OMIT_CHECKS) checks.push(LOCK_PLACEHOLDER(id))
-    checks.push(LOCK_PLACEHOLDER("llms"))
-    
-    /** -------- PSI (optional) -------- */
-    let psi = undefined
-    if (spend(2) && timeLeft() > 2000) {
-      try {
-        await timed("psi", async () => {
-          const key = process.env.PSI_API_KEY
-          const u = new URL(
-            "https://www.googleapis.com/pagespeedonline/v5/runPagespeed"
-          )
-          u.searchParams.set("url", finalUrl)
-          u.searchParams.set("strategy", "mobile")
-          if (key) u.searchParams.set("key", key)
-          const to = withTimeout(within(LIMITS.TIME_PSI_MS))
-          try {
-            const res = await fetch(u.toString(), { signal: to.signal })
-            if (res.ok) {
-              const data = await res.json()
-              const score =
-                data?.lighthouseResult?.categories?.performance?.score
-              if (typeof score === "number") psi = Math.round(score * 100)
-            }
-          } finally {
-            to.done()
-          }
-        })
-      } catch {}
-    }
-    if (typeof psi === "number") {
-      checks.push({
-        id: "psi",
-        label: "PageSpeed (mobile)",
-        status: psi >= 70 ? "pass" : "warn",
-        details: `${psi}/100`,
-        value: psi,
-      })
-    }
-
-    const payload = {
-      ok: true,
-      url: rawUrl,
-      normalizedUrl,
-      finalUrl,
-      fetchedStatus: pageRes.status,
-      timingMs: Date.now() - startedAt,
-      title,
-      metaTitle: title,
-      metaDescription: metaDesc,
-      speed: psi,
-      checks,
-    }
-    if (process.env.DEBUG_AUDIT === "1") payload._diag = DIAG
-    return payload
+    const { searchParams } = new URL(req.url)
+    const blob = searchParams.get("blob")
+    const out = await deleteSnapshot(blob, searchParams.get("token"))
+    if (!out.ok) return json(req, out.status, { ok: false, errors: [out.error] })
+    return json(req, 200, { ok: true, deleted: blob })
   } catch (e) {
-    // Last-resort: translate AbortError anywhere into partial
-    if (e?.name === "AbortError") {
-      return timeoutPartial("Audit aborted due to time limits")
-    }
-    throw e
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
   }
 }
-
-
-
-
-
-
-
-
-
@@ -0,0 +1,22 @@
+// app/api/cron/monitors/route.js
+// Vercel Cron calls GET with `Authorization: Bearer $CRON_SECRET` (see vercel.json).
+// Locally: curl -H "Authorization: Bearer $CRON_SECRET" /api/cron/monitors
+// (add ?id=<monitor> to run one right away).
+import { runDueMonitors } from "../../../../lib/monitors.js"
+import { json, denyUnauthorized } from "../../../../lib/http.js"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+export const maxDuration = 300
+
+export async function GET(req) {
+  const denied = denyUnauthorized(req, process.env.CRON_SECRET, "CRON_SECRET")
+  if (denied) return denied
+  try {
+    const onlyId = new URL(req.url).searchParams.get("id") || undefined
+    const out = await runDueMonitors({ onlyId })
+    return json(req, 200, { ok: true, ...out })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
@@ -0,0 +1,19 @@
+// app/api/cron/snapshots/route.js
+// Daily purge of expired share snapshots (see vercel.json); same CRON_SECRET gate as monitors.
+import { purgeExpiredSnapshots } from "../../../../lib/snapshots.js"
+import { json, denyUnauthorized } from "../../../../lib/http.js"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+export const maxDuration = 300
+
+export async function GET(req) {
+  const denied = denyUnauthorized(req, process.env.CRON_SECRET, "CRON_SECRET")
+  if (denied) return denied
+  try {
+    const out = await purgeExpiredSnapshots()
+    return json(req, 200, { ok: true, ...out })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
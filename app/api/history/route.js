@@ -0,0 +1,24 @@
+// app/api/history/route.js
+import { getHistory } from "../../../lib/history.js"
+import { corsHeadersFrom, json } from "../../../lib/http.js"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+export async function OPTIONS(req) {
+  return new Response(null, { status: 204, headers: corsHeadersFrom(req) })
+}
+
+/** ---------- GET ?url= → score trend + regressions since the previous run ---------- */
+export async function GET(req) {
+  try {
+    const rawUrl = new URL(req.url).searchParams.get("url")
+    if (!rawUrl) return json(req, 400, { ok: false, errors: ["Invalid URL"] })
+
+    const history = await getHistory(rawUrl)
+    if (!history) return json(req, 404, { ok: false, errors: ["No history for this URL"] })
+    return json(req, 200, { ok: true, ...history })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
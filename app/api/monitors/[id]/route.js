@@ -0,0 +1,36 @@
+// app/api/monitors/[id]/route.js
+import { getMonitor, deleteMonitor } from "../../../../lib/monitors.js"
+import { corsHeadersFrom, json, denyUnauthorized } from "../../../../lib/http.js"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+export async function OPTIONS(req) {
+  return new Response(null, { status: 204, headers: corsHeadersFrom(req, "GET,DELETE,OPTIONS") })
+}
+
+/** ---------- GET → monitor incl. last result and last alert ---------- */
+export async function GET(req, { params }) {
+  const denied = denyUnauthorized(req, process.env.MONITORS_API_KEY, "MONITORS_API_KEY")
+  if (denied) return denied
+  try {
+    const monitor = await getMonitor(params?.id)
+    if (!monitor) return json(req, 404, { ok: false, errors: ["Monitor not found"] })
+    return json(req, 200, { ok: true, monitor })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
+
+/** ---------- DELETE ---------- */
+export async function DELETE(req, { params }) {
+  const denied = denyUnauthorized(req, process.env.MONITORS_API_KEY, "MONITORS_API_KEY")
+  if (denied) return denied
+  try {
+    const removed = await deleteMonitor(params?.id)
+    if (!removed) return json(req, 404, { ok: false, errors: ["Monitor not found"] })
+    return json(req, 200, { ok: true })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
@@ -0,0 +1,41 @@
+// app/api/monitors/route.js
+import { createMonitor, listMonitors } from "../../../lib/monitors.js"
+import { corsHeadersFrom, json, denyUnauthorized } from "../../../lib/http.js"
+
+export const runtime = "nodejs"
+export const dynamic = "force-dynamic"
+
+export async function OPTIONS(req) {
+  return new Response(null, { status: 204, headers: corsHeadersFrom(req) })
+}
+
+/** ---------- GET → all monitors ---------- */
+export async function GET(req) {
+  const denied = denyUnauthorized(req, process.env.MONITORS_API_KEY, "MONITORS_API_KEY")
+  if (denied) return denied
+  try {
+    const monitors = await listMonitors()
+    return json(req, 200, { ok: true, monitors })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
+
+/** ---------- POST { url, cadence, recipients, profile? } ---------- */
+export async function POST(req) {
+  const denied = denyUnauthorized(req, process.env.MONITORS_API_KEY, "MONITORS_API_KEY")
+  if (denied) return denied
+  try {
+    const body = await req.json().catch(() => ({}))
+    const created = await createMonitor({
+      url: body?.url,
+      cadence: body?.cadence,
+      recipients: body?.recipients,
+      profile: body?.profile,
+    })
+    if (!created.ok) return json(req, 400, created)
+    return json(req, 201, { ok: true, monitor: created.monitor })
+  } catch (e) {
+    return json(req, 500, { ok: false, errors: [e?.message || "Unknown error"] })
+  }
+}
@@ -11,6 +11,15 @@ import {
   StyleSheet,
   renderToBuffer,
 } from "@react-pdf/renderer";
+import {
+  CATS,
+  isLocked,
+  weightOf,
+  computeOverall,
+  resolveProfile,
+  PROFILE_NAMES,
+} from "../../../lib/scoring.js";
+import { validateAudit, validateDiff, validateComparison, SCHEMA_VERSION } from "../../../lib/schema.js";
 
 /* ----------------------- CORS ----------------------- */
 const ALLOWED =
@@ -63,72 +72,9 @@ function decodeHtmlServer(str = "") {
 }
 
 /* ------------------- Audit constants ------------------- */
-const CATS = {
-  SEO: [
-    "sitemap",
-    "robots",
-    "favicon",
-    "opengraph",
-    "canonical",
-    "noindex",
-    "meta-robots",
-    "meta-description",
-    "title-length",
-    "viewport",
-    "www-canonical",
-    "img-alt",
-    "structured-data",
-    "h1-structure",
-    "llms",
-  ],
-  PERFORMANCE: ["timeout", "psi", "ttfb", "img-modern", "img-size", "img-lazy", "compression"],
-  SECURITY: ["blocked", "http", "https-redirect", "mixed-content", "security-headers"],
-};
-
-const LOCKED_IDS = new Set([
-  "h1-structure",
-  "llms",
-  "mixed-content",
-  "security-headers",
-  "compression",
-  "structured-data",
-  "https-redirect",
-]);
-
-const EXCLUDE_FROM_SCORE = new Set(["blocked", "timeout"]);
-
-const WEIGHTS = {
-  // SEO
-  sitemap: 2.2,
-  canonical: 2.0,
-  "meta-robots": 1.0,
-  robots: 1.6,
-  "www-canonical": 1.2,
-  noindex: 5,
-  "img-alt": 1.2,
-  viewport: 1.1,
-  "meta-description": 0.8,
-  "title-length": 0.8,
-  opengraph: 0.5,
-  favicon: 0.3,
-  // Performance
-  psi: 2.4,
-  ttfb: 1.4,
-  "img-size": 1.2,
-  "img-modern": 0.8,
-  "img-lazy": 0.6,
-  // Security / Tech
-  http: 2.0,
-  // locked (kept for sorting if you ever include them)
-  "https-redirect": 1.8,
-  "mixed-content": 1.8,
-  "security-headers": 1.0,
-  compression: 1.2,
-  "structured-data": 1.4,
-};
-
+// Categories, weights, gates and the score itself live in lib/scoring.js
 const LABELS = {
-  sitemap: ["Sitemap.xml", "Checks if sitemap.xml exists and contains valid URLs"],
+  sitemap: ["Sitemap.xml", "Valid sitemap (incl. indexes and gzip) listing live, indexable URLs"],
   favicon: ["Favicon", "Checks for favicon presence and that it loads successfully"],
   opengraph: ["Open Graph tags", "OG tags used by social platforms for rich previews"],
   robots: ["Robots.txt", "File exists and allows proper indexing"],
@@ -142,74 +88,34 @@ const LABELS = {
   "title-length": ["Title length", "Aim for ~15–60 characters"],
   viewport: ["Mobile viewport tag", "Required for proper mobile rendering"],
   "https-redirect": ["HTTP → HTTPS redirect", "Force secure canonical"],
-  "security-headers": ["Security headers", "CSP, XFO, XCTO, RP, HSTS"],
+  "security-headers": ["Security headers", "CSP, HSTS, XFO, XCTO, RP, PP, COOP/COEP"],
   timeout: ["Site timed out", "Partial results returned"],
   "img-alt": ["Images have alt text", "Accessibility & image SEO"],
   "img-modern": ["Modern image formats", "Prefer WebP/AVIF"],
   "img-size": ["Large images", "Flags images over ~300 KB"],
   "img-lazy": ["Lazy-loading", 'Use loading="lazy" offscreen'],
   "mixed-content": ["No mixed content", "Avoid http:// assets on https:// pages"],
-  "structured-data": ["Structured data (JSON-LD)", "Detects common @type schemas"],
+  "structured-data": ["Structured data", "JSON-LD, Microdata & RDFa types and rich-result properties"],
   compression: ["HTML compression", "Check for br/gzip on HTML"],
   blocked: ["Blocked by WAF/bot protection", "Firewall denied automated requests"],
   psi: ["PageSpeed (mobile)", "Google PSI performance score (0–100)"],
-  "h1-structure": ["H1 Structure", "Single H1 and sensible heading order"],
-  llms: ["LLMs.txt", "Guidance for AI crawlers"],
+  "field-lcp": ["Field LCP", "Real-user Largest Contentful Paint, CrUX p75 (good ≤ 2.5s)"],
+  "field-inp": ["Field INP", "Real-user Interaction to Next Paint, CrUX p75 (good ≤ 200ms)"],
+  "field-cls": ["Field CLS", "Real-user Cumulative Layout Shift, CrUX p75 (good ≤ 0.1)"],
+  "lab-lcp": ["Lab LCP", "Lighthouse Largest Contentful Paint (good ≤ 2.5s)"],
+  "lab-tbt": ["Total Blocking Time", "Lighthouse TBT (good ≤ 200ms)"],
+  "lab-cls": ["Lab CLS", "Lighthouse Cumulative Layout Shift (good ≤ 0.1)"],
+  "lab-fcp": ["First Contentful Paint", "Lighthouse FCP (good ≤ 1.8s)"],
+  "lab-si": ["Speed Index", "Lighthouse Speed Index (good ≤ 3.4s)"],
+  "lighthouse-seo": ["Lighthouse SEO", "Lighthouse SEO category score (0–100)"],
+  "lighthouse-accessibility": ["Lighthouse accessibility", "Lighthouse accessibility category score (0–100)"],
+  "lighthouse-best-practices": ["Lighthouse best practices", "Lighthouse best-practices category score (0–100)"],
+  "h1-structure": ["Heading structure", "Single visible H1 and a logical H1–H6 outline"],
+  llms: ["LLMs.txt", "llms.txt structure and AI crawler access in robots.txt"],
+  links: ["Links", "Broken links, redirect chains, rel attributes and anchor text"],
+  hreflang: ["Hreflang", "Valid language/region codes, self-reference, x-default and return links"],
 };
 
-const CATEGORY_WEIGHTS = { SEO: 0.55, PERFORMANCE: 0.35, SECURITY: 0.1 };
-
-/* ---------------- Score helpers (server-side) ---------------- */
-const usable = (c) => c && !LOCKED_IDS.has(c.id) && !EXCLUDE_FROM_SCORE.has(c.id);
-const vFor = (st) => (st === "pass" ? 1 : st === "warn" ? 0.5 : 0);
-
-function catWeightedScore(checks, ids) {
-  const items = (checks || []).filter((c) => usable(c) && ids.includes(c.id));
-  if (!items.length) return null;
-  let sum = 0, wsum = 0;
-  for (const c of items) {
-    const w = Number.isFinite(WEIGHTS[c.id]) ? WEIGHTS[c.id] : 1;
-    sum += w * vFor(String(c.status).toLowerCase());
-    wsum += w;
-  }
-  return wsum ? sum / wsum : 1;
-}
-
-function harmonicMean(catScores, catWeights) {
-  const entries = Object.entries(catScores).filter(([, v]) => typeof v === "number" && v > 0);
-  if (!entries.length) return 1;
-  let num = 0, denom = 0;
-  for (const [cat, s] of entries) {
-    const w = Number(catWeights?.[cat] ?? 1);
-    const sClamped = Math.max(0.05, Math.min(1, s));
-    num += w;
-    denom += w / sClamped;
-  }
-  return num / denom;
-}
-
-function applyGates(overall0to100, checks = []) {
-  const byId = Object.fromEntries((checks || []).map((c) => [c.id, c]));
-  const isFail = (id) => String(byId[id]?.status || "").toLowerCase() === "fail";
-  let out = overall0to100;
-  if (isFail("noindex")) return 0;
-  if (isFail("http")) out = Math.min(out, 40);
-  if (isFail("canonical")) out = Math.min(out, 65);
-  if (isFail("sitemap") || isFail("robots")) out = Math.min(out, 80);
-  return out;
-}
-
-function computeOverall(checks) {
-  const catScores = {
-    SEO: catWeightedScore(checks, CATS.SEO),
-    PERFORMANCE: catWeightedScore(checks, CATS.PERFORMANCE),
-    SECURITY: catWeightedScore(checks, CATS.SECURITY),
-  };
-  let overall = Math.round(harmonicMean(catScores, CATEGORY_WEIGHTS) * 100);
-  overall = applyGates(overall, checks);
-  return { overall, catScores };
-}
-
 /* --------------------- PDF styles --------------------- */
 const styles = StyleSheet.create({
   page: { padding: 36, fontSize: 11, color: "#111" },
@@ -231,6 +137,10 @@ const styles = StyleSheet.create({
   bFail: { backgroundColor: "#FDECEA" },
   muted: { color: "#666" },
   listItem: { marginBottom: 4 },
+  subTable: { marginTop: 4, marginLeft: 8 },
+  subRow: { display: "flex", flexDirection: "row", paddingVertical: 1 },
+  subName: { flex: 2, fontSize: 9 },
+  subStatus: { flex: 1, fontSize: 9, textAlign: "right" },
 });
 
 /* -------------------- PDF components -------------------- */
@@ -265,16 +175,16 @@ function byCategory(checks) {
 }
 
 function summarize(catList) {
-  const present = (catList || []).filter((c) => !LOCKED_IDS.has(c.id));
+  const present = (catList || []).filter((c) => !isLocked(c));
   const pass = present.filter((c) => c.status === "pass").length;
   const warn = present.filter((c) => c.status === "warn").length;
   const fail = present.filter((c) => c.status === "fail").length;
   return { pass, warn, fail, total: present.length };
 }
 
-function sortIssues(checks) {
+function sortIssues(checks, weights) {
   // fails first, then warns; sort within group by weight desc
-  const score = (c) => Number.isFinite(WEIGHTS[c.id]) ? WEIGHTS[c.id] : 1;
+  const score = (c) => weightOf(c.id, weights);
   const rank = (c) => (c.status === "fail" ? 2 : c.status === "warn" ? 1 : 0);
   return [...checks].sort((a, b) => {
     const r = rank(b) - rank(a);
@@ -283,7 +193,231 @@ function sortIssues(checks) {
   });
 }
 
-function SectionTable({ name, list = [] }) {
+// Per-check breakdown rendered under the check's details (driven by structured `value`)
+function SecurityHeadersBreakdown({ value }) {
+  const rows = Array.isArray(value?.headers) ? value.headers : [];
+  if (!rows.length) return null;
+  return (
+    <View style={styles.subTable}>
+      {rows.map((r, i) => (
+        <View key={`${r.header}-${i}`} style={styles.subRow}>
+          <Text style={styles.subName}>
+            {r.header}
+            {r.notes?.length ? <Text style={styles.muted}> — {r.notes.join("; ")}</Text> : null}
+          </Text>
+          <Text style={styles.subStatus}>{r.status}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+function RedirectChainBreakdown({ value }) {
+  const chains = Array.isArray(value?.chains) ? value.chains : [];
+  if (!chains.length) return null;
+  return (
+    <View style={styles.subTable}>
+      {chains.map((c, i) => (
+        <View key={`${c.from}-${i}`} style={styles.subRow}>
+          <Text style={styles.subName}>
+            {[c.from, ...(c.hops || []).map((h) => (h.location ? `${h.status} → ${h.location}` : `${h.status}`))].join("  ")}
+            {c.issues?.length ? <Text style={styles.muted}> — {c.issues.join("; ")}</Text> : null}
+          </Text>
+          <Text style={styles.subStatus}>{c.status}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+function StructuredDataBreakdown({ value }) {
+  const items = Array.isArray(value?.items) ? value.items : [];
+  const errors = Array.isArray(value?.jsonLd?.errors) ? value.jsonLd.errors : [];
+  if (!items.length && !errors.length) return null;
+  return (
+    <View style={styles.subTable}>
+      {errors.map((e, i) => (
+        <View key={`err-${i}`} style={styles.subRow}>
+          <Text style={styles.subName}>
+            JSON-LD block {e.block + 1}<Text style={styles.muted}> — {e.message}</Text>
+          </Text>
+          <Text style={styles.subStatus}>fail</Text>
+        </View>
+      ))}
+      {items.map((it, i) => {
+        const missing = [
+          it.missingRequired?.length ? `missing ${it.missingRequired.join(", ")}` : "",
+          it.missingRecommended?.length ? `could add ${it.missingRecommended.join(", ")}` : "",
+        ].filter(Boolean);
+        return (
+          <View key={`${it.type}-${i}`} style={styles.subRow}>
+            <Text style={styles.subName}>
+              {it.type}
+              {missing.length ? <Text style={styles.muted}> — {missing.join("; ")}</Text> : null}
+            </Text>
+            <Text style={styles.subStatus}>
+              {it.missingRequired?.length ? "fail" : it.missingRecommended?.length ? "warn" : "pass"}
+            </Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+function AiCrawlersBreakdown({ value }) {
+  const rows = Array.isArray(value?.aiCrawlers) ? value.aiCrawlers : [];
+  if (!rows.length) return null;
+  return (
+    <View style={styles.subTable}>
+      {rows.map((r) => (
+        <View key={r.agent} style={styles.subRow}>
+          <Text style={styles.subName}>
+            {r.agent}
+            {r.group ? <Text style={styles.muted}> — robots.txt group "{r.group}"</Text> : null}
+          </Text>
+          <Text style={styles.subStatus}>{r.state}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+function HreflangBreakdown({ value }) {
+  const rows = Array.isArray(value?.alternates) ? value.alternates : [];
+  if (!rows.length) return null;
+  return (
+    <View style={styles.subTable}>
+      {rows.map((r, i) => {
+        const notes = [
+          r.self ? "self" : "",
+          r.error || "",
+          r.redirectTo !== undefined ? `redirects to ${r.redirectTo || "?"}` : "",
+          r.status !== undefined && r.redirectTo === undefined && r.status !== 200 ? `HTTP ${r.status}` : "",
+          r.noindex ? "noindex" : "",
+          r.canonical ? `canonical → ${r.canonical}` : "",
+          r.returnLink === false && r.status === 200 ? "no return link" : "",
+        ].filter(Boolean);
+        const state = r.error
+          ? "fail"
+          : r.self
+            ? "pass"
+            : r.status === undefined
+              ? "not checked"
+              : r.redirectTo !== undefined
+                ? "warn"
+                : r.indexable && r.returnLink
+                  ? "pass"
+                  : "fail";
+        return (
+          <View key={`hl-${i}`} style={styles.subRow}>
+            <Text style={styles.subName}>
+              {r.hreflang || "(empty)"} {r.href}
+              {notes.length ? <Text style={styles.muted}> — {notes.join("; ")}</Text> : null}
+            </Text>
+            <Text style={styles.subStatus}>{state}</Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+function LinkFailuresBreakdown({ value }) {
+  const rows = [
+    ...(Array.isArray(value?.failures) ? value.failures : []),
+    ...(Array.isArray(value?.redirectChains) ? value.redirectChains : []),
+  ];
+  if (!rows.length) return null;
+  return (
+    <View style={styles.subTable}>
+      {rows.map((r, i) => (
+        <View key={`ln-${i}`} style={styles.subRow}>
+          <Text style={styles.subName}>
+            {r.url}
+            <Text style={styles.muted}>
+              {" "}— {r.internal ? "internal" : "external"}
+              {r.hops?.length ? `, ${r.hops.length} redirect(s) → ${r.hops[r.hops.length - 1]}` : ""}
+              {r.error ? `, ${r.error}` : ""}
+            </Text>
+          </Text>
+          <Text style={styles.subStatus}>{r.status || "error"}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+// The payload's `pagespeed`, per strategy: biggest opportunities first, then the
+// heaviest failing audits
+function PsiBreakdown({ value }) {
+  const rows = [];
+  for (const [strategy, v] of Object.entries(value || {})) {
+    for (const o of Array.isArray(v?.opportunities) ? v.opportunities : []) {
+      rows.push({ strategy, title: o.title, note: `saves ~${(o.savingsMs / 1000).toFixed(1)}s` });
+    }
+    for (const a of Array.isArray(v?.failing) ? v.failing : []) {
+      rows.push({ strategy, title: a.title, note: a.category, score: a.score });
+    }
+  }
+  if (!rows.length) return null;
+  return (
+    <View style={styles.subTable}>
+      {rows.map((r, i) => (
+        <View key={`psi-${i}`} style={styles.subRow}>
+          <Text style={styles.subName}>
+            {r.title}
+            <Text style={styles.muted}> — {r.strategy}, {r.note}</Text>
+          </Text>
+          <Text style={styles.subStatus}>{r.score ?? ""}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const OUTLINE_PDF_ROWS = 30;
+
+function flattenOutline(nodes = [], depth = 0, out = []) {
+  for (const n of nodes) {
+    out.push({ ...n, depth });
+    flattenOutline(n.children || [], depth + 1, out);
+  }
+  return out;
+}
+
+function HeadingOutlineBreakdown({ value }) {
+  const rows = flattenOutline(Array.isArray(value?.outline) ? value.outline : []);
+  if (!rows.length) return null;
+  return (
+    <View style={styles.subTable}>
+      {rows.slice(0, OUTLINE_PDF_ROWS).map((h, i) => (
+        <Text key={`h-${i}`} style={[styles.subName, { marginLeft: h.depth * 10 }]}>
+          H{h.level} {h.text || "(empty)"}
+          {h.hidden ? <Text style={styles.muted}> (hidden)</Text> : null}
+        </Text>
+      ))}
+      {rows.length > OUTLINE_PDF_ROWS ? (
+        <Text style={[styles.subName, styles.muted]}>… {rows.length - OUTLINE_PDF_ROWS} more</Text>
+      ) : null}
+    </View>
+  );
+}
+
+function CheckBreakdown({ check, pagespeed }) {
+  if (check?.id === "psi") return <PsiBreakdown value={pagespeed} />;
+  if (!check?.value || typeof check.value !== "object") return null;
+  if (check.id === "security-headers") return <SecurityHeadersBreakdown value={check.value} />;
+  if (check.id === "https-redirect") return <RedirectChainBreakdown value={check.value} />;
+  if (check.id === "structured-data") return <StructuredDataBreakdown value={check.value} />;
+  if (check.id === "llms") return <AiCrawlersBreakdown value={check.value} />;
+  if (check.id === "h1-structure") return <HeadingOutlineBreakdown value={check.value} />;
+  if (check.id === "hreflang") return <HreflangBreakdown value={check.value} />;
+  if (check.id === "links") return <LinkFailuresBreakdown value={check.value} />;
+  return null;
+}
+
+function SectionTable({ name, list = [], pagespeed }) {
   if (!list.length) return null;
   return (
     <View wrap>
@@ -298,6 +432,7 @@ function SectionTable({ name, list = [] }) {
             <View style={styles.tdName}>
               <Text>{c.label}</Text>
               {c.details ? <Text style={[styles.small, styles.muted]}>{c.details}</Text> : null}
+              <CheckBreakdown check={c} pagespeed={pagespeed} />
             </View>
             <View style={styles.tdStatus}>
               <Badge status={c.status} />
@@ -336,10 +471,13 @@ function AuditPdf({
   metaDescription,
   overall,
   catScores,
+  gate,
+  profileLabel,
   cats,
   topFails = [],
   warns = [],
   shareUrl,
+  pagespeed,
 }) {
   const seoSum = summarize(cats.SEO);
   const perfSum = summarize(cats.PERFORMANCE);
@@ -365,6 +503,14 @@ function AuditPdf({
               SEO {pct(catScores.SEO)} · Performance {pct(catScores.PERFORMANCE)} · Security {pct(catScores.SECURITY)}
             </Text>
           ) : null}
+          {profileLabel ? (
+            <Text style={styles.small}>Scoring profile: {profileLabel}</Text>
+          ) : null}
+          {gate ? (
+            <Text style={styles.small}>
+              Capped at {gate.cap}: {gate.reason}
+            </Text>
+          ) : null}
           <Text style={[styles.small, { marginTop: 4 }]}>
             Legend: <Text>pass</Text> ✓ · <Text>warn</Text> ! · <Text>fail</Text> ✕
           </Text>
@@ -383,7 +529,7 @@ function AuditPdf({
         <IssuesList title="Warnings / opportunities" items={warns.slice(0, 10)} />
 
         <SectionTable name="SEO checks" list={cats.SEO} />
-        <SectionTable name="Performance checks" list={cats.PERFORMANCE} />
+        <SectionTable name="Performance checks" list={cats.PERFORMANCE} pagespeed={pagespeed} />
         <SectionTable name="Security checks" list={cats.SECURITY} />
 
         <Text style={[styles.small, { marginTop: 12 }]}>
@@ -394,6 +540,220 @@ function AuditPdf({
   );
 }
 
+/* ------------------ Before / after (diff) ------------------ */
+// Renders a /api/check/diff response
+function signed(n) {
+  if (!Number.isFinite(n)) return "-";
+  return n > 0 ? `+${n}` : `${n}`;
+}
+
+function fmtDate(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "" : d.toISOString().slice(0, 10);
+}
+
+function sideLine(side = {}) {
+  const src = side.source?.type === "live" ? "live audit" : side.source?.type === "snapshot" ? "snapshot" : "";
+  return [side.url || "-", fmtDate(side.createdAt), src].filter(Boolean).join(" · ");
+}
+
+function DiffPdf({ diff }) {
+  const { from = {}, to = {}, score = {}, summary = {} } = diff;
+  const transitions = diff.transitions || [];
+  const changed = (diff.changed || []).filter((c) => c.details);
+  const catDelta = score.catDelta || {};
+  const pts = (v) => (typeof v === "number" ? signed(Math.round(v * 100)) : "-");
+
+  return (
+    <Document>
+      <Page size="A4" style={styles.page}>
+        <Text style={styles.h1}>SEO Audit: Before / After</Text>
+
+        <View style={{ marginBottom: 10 }}>
+          <Text style={styles.p}>Before: {sideLine(from)}</Text>
+          <Text style={styles.p}>After: {sideLine(to)}</Text>
+          {diff.profile?.label ? (
+            <Text style={styles.small}>Scoring profile: {diff.profile.label}</Text>
+          ) : null}
+        </View>
+
+        <Text style={styles.h2}>Score</Text>
+        <View>
+          <Text style={styles.p}>
+            Overall: {Number.isFinite(score.from) ? score.from : "-"} → {Number.isFinite(score.to) ? score.to : "-"} ({signed(score.delta)})
+          </Text>
+          <Text style={styles.small}>
+            SEO {pts(catDelta.SEO)} · Performance {pts(catDelta.PERFORMANCE)} · Security {pts(catDelta.SECURITY)} (points)
+          </Text>
+          <Text style={[styles.small, { marginTop: 4 }]}>
+            {summary.improved || 0} improved · {summary.regressed || 0} regressed · {summary.added || 0} added ·{" "}
+            {summary.removed || 0} removed · {summary.unchanged || 0} unchanged
+          </Text>
+        </View>
+
+        {transitions.length ? (
+          <View wrap>
+            <Text style={styles.h2}>Status changes</Text>
+            <View style={styles.table}>
+              <View style={styles.tr}>
+                <Text style={styles.th}>Check</Text>
+                <Text style={styles.th2}>Before</Text>
+                <Text style={styles.th2}>After</Text>
+              </View>
+              {transitions.map((t, i) => (
+                <View key={`${t.id}-${i}`} style={styles.tr}>
+                  <View style={styles.tdName}>
+                    <Text>{titleFor(t.id)}</Text>
+                    <Text style={[styles.small, styles.muted]}>{t.direction}</Text>
+                  </View>
+                  <View style={styles.tdStatus}>
+                    <Badge status={t.from} />
+                  </View>
+                  <View style={styles.tdStatus}>
+                    <Badge status={t.to} />
+                  </View>
+                </View>
+              ))}
+            </View>
+          </View>
+        ) : null}
+
+        {changed.length ? (
+          <View wrap>
+            <Text style={styles.h2}>Details changed</Text>
+            {changed.map((c, i) => (
+              <View key={`${c.id}-${i}`} style={styles.listItem}>
+                <Text>• {titleFor(c.id)}</Text>
+                <Text style={[styles.small, styles.muted]}>Before: {decodeHtmlServer(c.details.from) || "-"}</Text>
+                <Text style={[styles.small, styles.muted]}>After: {decodeHtmlServer(c.details.to) || "-"}</Text>
+              </View>
+            ))}
+          </View>
+        ) : null}
+
+        <IssuesList
+          title="New checks"
+          items={(diff.added || []).map((c) => ({ ...c, label: titleFor(c.id) }))}
+        />
+        <IssuesList
+          title="No longer reported"
+          items={(diff.removed || []).map((c) => ({ ...c, label: titleFor(c.id) }))}
+        />
+
+        <Text style={[styles.small, { marginTop: 12 }]}>
+          Generated by Lekker Marketing
+        </Text>
+      </Page>
+    </Document>
+  );
+}
+
+/* ------------------ Competitor comparison ------------------ */
+// Renders a /api/check/compare response; same table styling as SectionTable
+function hostOf(u = "") {
+  try {
+    return new URL(/^https?:\/\//i.test(u) ? u : `https://${u}`).host;
+  } catch {
+    return u;
+  }
+}
+
+function CompareTable({ name, sites, rows = [] }) {
+  if (!rows.length) return null;
+  return (
+    <View wrap>
+      <Text style={styles.h2}>{name}</Text>
+      <View style={styles.table}>
+        <View style={styles.tr}>
+          <Text style={styles.th}>Check</Text>
+          {sites.map((s, i) => (
+            <Text key={i} style={styles.th2}>{hostOf(s.url)}</Text>
+          ))}
+        </View>
+        {rows.map((row, i) => (
+          <View key={`${row.id}-${i}`} style={styles.tr}>
+            <View style={styles.tdName}>
+              <Text>{row.label}</Text>
+            </View>
+            {row.cells.map((cell, j) => (
+              <View key={j} style={styles.tdStatus}>
+                {cell.status ? <Badge status={cell.status} /> : <Text style={styles.muted}>-</Text>}
+                {cell.text ? <Text style={[styles.small, styles.muted]}>{cell.text}</Text> : null}
+                {cell.lead ? <Text style={styles.small}>leads</Text> : null}
+              </View>
+            ))}
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+function ComparisonPdf({ comparison }) {
+  const sites = comparison.sites || [];
+  const matrix = comparison.matrix || [];
+  const categories = comparison.categories || {};
+  const leads = (list, s) => (list || []).includes(s.url);
+
+  const scoreRows = [
+    {
+      id: "overall",
+      label: "Overall",
+      cells: sites.map((s) => ({
+        text: Number.isFinite(s.overall) ? String(s.overall) : "-",
+        lead: leads(comparison.leaders?.overall, s),
+      })),
+    },
+    ...[["SEO", "SEO"], ["PERFORMANCE", "Performance"], ["SECURITY", "Security"]].map(([cat, label]) => ({
+      id: cat,
+      label,
+      cells: sites.map((s, i) => ({
+        text: pct(categories[cat]?.scores?.[i]),
+        lead: leads(categories[cat]?.leaders, s),
+      })),
+    })),
+  ];
+
+  const rowsFor = (ids) =>
+    matrix
+      .filter((row) => ids.includes(row.id))
+      .map((row) => ({
+        id: row.id,
+        label: titleFor(row.id),
+        cells: sites.map((s, i) => ({ status: row.statuses?.[i], lead: leads(row.leaders, s) })),
+      }));
+
+  return (
+    <Document>
+      <Page size="A4" orientation={sites.length > 3 ? "landscape" : "portrait"} style={styles.page}>
+        <Text style={styles.h1}>SEO Competitor Comparison</Text>
+
+        <View style={{ marginBottom: 10 }}>
+          {sites.map((s, i) => (
+            <Text key={i} style={styles.p}>
+              {i + 1}. {s.url}
+              {s.ok === false ? " (audit failed)" : s.blocked ? " (blocked our crawler)" : s.timeout ? " (partial: timed out)" : ""}
+            </Text>
+          ))}
+          {comparison.profile?.label ? (
+            <Text style={styles.small}>Scoring profile: {comparison.profile.label}</Text>
+          ) : null}
+        </View>
+
+        <CompareTable name="Scores" sites={sites} rows={scoreRows} />
+        <CompareTable name="SEO checks" sites={sites} rows={rowsFor(CATS.SEO)} />
+        <CompareTable name="Performance checks" sites={sites} rows={rowsFor(CATS.PERFORMANCE)} />
+        <CompareTable name="Security checks" sites={sites} rows={rowsFor(CATS.SECURITY)} />
+
+        <Text style={[styles.small, { marginTop: 12 }]}>
+          Generated by Lekker Marketing
+        </Text>
+      </Page>
+    </Document>
+  );
+}
+
 /* ---------------------- POST handler ---------------------- */
 export async function POST(request) {
   const headers = { "Content-Type": "application/json", ...corsHeaders(request) };
@@ -409,32 +769,65 @@ export async function POST(request) {
       });
     }
 
+    // Comparison report: { email, comparison: <POST /api/check/compare response> }
+    if (body?.comparison && typeof body.comparison === "object") {
+      return sendComparisonReport(body.comparison, to, headers);
+    }
+
+    // Before/after report: { email, diff: <GET /api/check/diff response> }
+    if (body?.diff && typeof body.diff === "object") {
+      return sendDiffReport(body.diff, to, headers);
+    }
+
+    // Scoring profile: explicit `profile`, else whatever /api/check scored with
+    const profileName =
+      (typeof body?.profile === "string" ? body.profile : undefined) || p?.profile?.id || undefined;
+    const profile = resolveProfile(profileName);
+    if (!profile) {
+      return new Response(
+        JSON.stringify({
+          ok: false,
+          errors: [`Unknown scoring profile "${profileName}" (available: ${PROFILE_NAMES.join(", ")})`],
+        }),
+        { status: 400, headers }
+      );
+    }
+
+    // The payload must be an /api/check result; a flat body's string `profile` is the option above
+    const invalid = validateAudit(
+      p === body && typeof body.profile === "string"
+        ? { ...p, profile: { id: profile.id, label: profile.label } }
+        : p
+    );
+    if (invalid.length) {
+      return new Response(
+        JSON.stringify({ ok: false, errors: [`Invalid audit payload (schema ${SCHEMA_VERSION})`, ...invalid] }),
+        { status: 400, headers }
+      );
+    }
+
     // Extract & decode payload fields
-    const url = p.url || p.finalUrl || p.normalizedUrl || "";
-    const metaTitle = decodeHtmlServer(p.metaTitle || p.title || "");
-    const metaDescription = decodeHtmlServer(p.metaDescription || "");
+    const url = p.finalUrl || p.url;
+    const metaTitle = decodeHtmlServer(p.metaTitle || p.title);
+    const metaDescription = decodeHtmlServer(p.metaDescription);
     const shareUrl = p.shareUrl || "";
 
-    const checks = Array.isArray(p.checks)
-      ? p.checks.map((c) => ({
-          id: String(c.id || ""),
-          status: String(c.status || "").toLowerCase(),
-          details: decodeHtmlServer(c.details ? String(c.details) : ""),
-          value: typeof c.value !== "undefined" ? c.value : undefined,
-        }))
-      : [];
-
-    // Ensure we have a score (compute if missing)
-    const providedOverall = Number.isFinite(p.overall) ? p.overall : null;
-    const providedCatScores = p.catScores && typeof p.catScores === "object" ? p.catScores : null;
-    const { overall, catScores } =
-      providedOverall !== null && providedCatScores
-        ? { overall: providedOverall, catScores: providedCatScores }
-        : computeOverall(checks);
+    const checks = p.checks.map((c) => ({
+      id: c.id,
+      status: c.status,
+      details: decodeHtmlServer(c.details || ""),
+      value: c.value,
+    }));
+
+    // Always score with the shared engine so the PDF matches /api/check;
+    // an audit without checks keeps the score it was sent with
+    const { overall, catScores, gate } = checks.length
+      ? computeOverall(checks, profile)
+      : { overall: p.overall, catScores: p.catScores, gate: p.gate };
 
     // Group & sort issues
     const cats = byCategory(checks);
-    const allVisible = sortIssues(checks.filter((c) => !LOCKED_IDS.has(c.id)));
+    const allVisible = sortIssues(checks.filter((c) => !isLocked(c)), profile.weights);
     const topFails = allVisible.filter((c) => c.status === "fail");
     const warns = allVisible.filter((c) => c.status === "warn");
 
@@ -446,10 +839,13 @@ export async function POST(request) {
         metaDescription={metaDescription}
         overall={overall}
         catScores={catScores}
+        gate={gate}
+        profileLabel={profile.label}
         cats={cats}
         topFails={topFails}
         warns={warns}
         shareUrl={shareUrl}
+        pagespeed={p.pagespeed}
       />
     );
 
@@ -474,7 +870,8 @@ export async function POST(request) {
 
 Attached is your SEO audit snapshot for: ${url || "your site"}.
 
-- Overall score: ${Number.isFinite(overall) ? overall : "-"}
+- Overall score: ${Number.isFinite(overall) ? overall : "-"}${gate ? ` (capped: ${gate.reason})` : ""}
+- Scoring profile: ${profile.label}
 - SEO ${pct(catScores?.SEO)} · Performance ${pct(catScores?.PERFORMANCE)} · Security ${pct(catScores?.SECURITY)}
 ${shareUrl ? `\nView the interactive snapshot: ${shareUrl}\n` : ""}
 
@@ -496,3 +893,101 @@ ${shareUrl ? `\nView the interactive snapshot: ${shareUrl}\n` : ""}
     );
   }
 }
+
+async function sendDiffReport(diff, to, headers) {
+  const invalid = validateDiff(diff);
+  if (invalid.length) {
+    return new Response(
+      JSON.stringify({ ok: false, errors: [`Invalid diff payload (schema ${SCHEMA_VERSION})`, ...invalid] }),
+      { status: 400, headers }
+    );
+  }
+
+  const pdfBuffer = await renderToBuffer(<DiffPdf diff={diff} />);
+
+  const resendKey = process.env.RESEND_API_KEY;
+  const from = process.env.FROM_EMAIL;
+  if (!resendKey || !from) {
+    return new Response(
+      JSON.stringify({ ok: false, errors: ["Server misconfigured: missing RESEND_API_KEY or FROM_EMAIL"] }),
+      { status: 500, headers }
+    );
+  }
+
+  const resend = new Resend(resendKey);
+  const url = diff.to?.url || diff.from?.url || "your site";
+  const { score = {}, summary = {} } = diff;
+
+  await resend.emails.send({
+    from,
+    to,
+    subject: "Your SEO before/after report",
+    text:
+`Hi,
+
+Attached is your before/after SEO report for: ${url}.
+
+- Overall score: ${Number.isFinite(score.from) ? score.from : "-"} → ${Number.isFinite(score.to) ? score.to : "-"} (${signed(score.delta)})
+- ${summary.improved || 0} checks improved, ${summary.regressed || 0} regressed
+
+— Lekker Marketing`,
+    attachments: [
+      {
+        filename: "seo-before-after.pdf",
+        content: pdfBuffer,
+        contentType: "application/pdf",
+      },
+    ],
+  });
+
+  return new Response(JSON.stringify({ ok: true }), { status: 200, headers });
+}
+
+async function sendComparisonReport(comparison, to, headers) {
+  const invalid = validateComparison(comparison);
+  if (invalid.length) {
+    return new Response(
+      JSON.stringify({ ok: false, errors: [`Invalid comparison payload (schema ${SCHEMA_VERSION})`, ...invalid] }),
+      { status: 400, headers }
+    );
+  }
+
+  const pdfBuffer = await renderToBuffer(<ComparisonPdf comparison={comparison} />);
+
+  const resendKey = process.env.RESEND_API_KEY;
+  const from = process.env.FROM_EMAIL;
+  if (!resendKey || !from) {
+    return new Response(
+      JSON.stringify({ ok: false, errors: ["Server misconfigured: missing RESEND_API_KEY or FROM_EMAIL"] }),
+      { status: 500, headers }
+    );
+  }
+
+  const resend = new Resend(resendKey);
+  const lines = comparison.sites
+    .map((s) => `- ${s.url}: ${Number.isFinite(s.overall) ? s.overall : "-"}`)
+    .join("\n");
+
+  await resend.emails.send({
+    from,
+    to,
+    subject: "Your SEO competitor comparison",
+    text:
+`Hi,
+
+Attached is your SEO comparison of ${comparison.sites.length} sites.
+
+${lines}
+
+— Lekker Marketing`,
+    attachments: [
+      {
+        filename: "seo-comparison.pdf",
+        content: pdfBuffer,
+        contentType: "application/pdf",
+      },
+    ],
+  });
+
+  return new Response(JSON.stringify({ ok: true }), { status: 200, headers });
+}
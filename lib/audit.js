@@ -0,0 +1,3323 @@
+// lib/audit.js
+// Audit engine shared by /api/check and the routes built on it (jobs, crawl, …).
+// Edge-safe: fetch + Web APIs only.
+
+import { computeOverall } from "./scoring.js"
+import { normalizeAudit } from "./schema.js"
+import { signValue, signatureMatches } from "./snapshots.js"
+import { parseRobots, rulesFor, robotsAllows } from "./robots.js"
+import { parseLangTag } from "./hreflang.js"
+import { walkSitemaps, spreadSample, createIssueLog, readPrefix, SITEMAP_ISSUES } from "./sitemaps.js"
+import { startPsi, parseStrategies, FIELD_METRICS, LAB_METRICS } from "./psi.js"
+
+/** ---------- polite request headers ---------- */
+const UA_HEADERS = {
+  "user-agent":
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36",
+  "accept-language": "en-GB,en;q=0.9",
+}
+
+// More “browser-like” headers for WAF retry
+const BROWSER_HEADERS = {
+  "user-agent":
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36",
+  accept:
+    "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8",
+  "accept-language": "en-GB,en;q=0.9",
+  "upgrade-insecure-requests": "1",
+  "sec-fetch-site": "none",
+  "sec-fetch-mode": "navigate",
+  "sec-fetch-user": "?1",
+  "sec-fetch-dest": "document",
+  "sec-ch-ua":
+    '"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"',
+  "sec-ch-ua-mobile": "?0",
+  "sec-ch-ua-platform": '"macOS"',
+  referer: "https://www.google.com/",
+}
+
+const BLOCK_CODES = new Set([401, 403, 429])
+
+// Global cap for the whole audit (leave headroom for cold start)
+export const OVERALL_BUDGET_MS = parseInt(process.env.AUDIT_BUDGET_MS || "8500", 10)
+
+const LIMITS = {
+  SITEMAP_SAMPLES: 3,
+  SITEMAP_FILES: 4,
+  SITEMAP_DEPTH: 2,
+  HREFLANG_FETCHES: 4,
+  LINK_FETCHES: 40, // link-check HEAD/GET requests; own budget, not counted against MAX_SUBREQUESTS
+  LINK_CONCURRENCY: 4,
+  LINK_FAILURES_CAP: 20,
+  IMAGE_HEADS: 2,
+  TIME_PAGE_MS: 6000,
+  TIME_ASSET_MS: 2000,
+  TIME_SMALL_MS: 2500,
+  // Runs alongside the audit, so OVERALL_BUDGET_MS clamps it: on the sync route that is
+  // ~8 s, often too short for PSI (no speed then). Jobs get the full 30 s and both strategies.
+  TIME_PSI_MS: 30000,
+  PSI_STRATEGIES: process.env.PSI_STRATEGY || "mobile", // "mobile" | "desktop" | "both"
+  REDIRECT_MAX_HOPS: 5,
+  COMPRESSION_MIN_BYTES: 4096,
+  LLMS_LINK_SAMPLES: 3,
+  // Per audit (link checks have their own budget): 8 for the original page checks
+  // and PSI, 8 for the http:// traces (apex + www, ~4 hops each), 5 for llms.txt,
+  // llms-full.txt and LLMS_LINK_SAMPLES; hreflang and compression probes share the rest
+  MAX_SUBREQUESTS: 24,
+}
+
+/** ---------- labels ---------- */
+export const LABELS = {
+  "mixed-content": "No mixed content",
+  "security-headers": "Security headers",
+  "https-redirect": "HTTP → HTTPS redirect",
+  compression: "HTML compression",
+  "structured-data": "Structured data (JSON-LD / Microdata / RDFa)",
+  "h1-structure": "Heading structure (H1–H6)",
+  llms: "LLMs.txt",
+  robots: "robots.txt allows indexing",
+  sitemap: "Sitemap exists & URLs valid",
+  hreflang: "Hreflang & language targeting",
+  links: "Links (broken, redirects, rel)",
+  psi: "PageSpeed (mobile)",
+  "field-lcp": "Field LCP (CrUX p75)",
+  "field-inp": "Field INP (CrUX p75)",
+  "field-cls": "Field CLS (CrUX p75)",
+  "lab-lcp": "Lab LCP (Lighthouse)",
+  "lab-tbt": "Total Blocking Time (Lighthouse)",
+  "lab-cls": "Lab CLS (Lighthouse)",
+  "lab-fcp": "First Contentful Paint (Lighthouse)",
+  "lab-si": "Speed Index (Lighthouse)",
+  "lighthouse-seo": "Lighthouse SEO score",
+  "lighthouse-accessibility": "Lighthouse accessibility score",
+  "lighthouse-best-practices": "Lighthouse best-practices score",
+  timeout: "Site response timed out",
+}
+
+// --- Meta title quality config ---
+const GENERIC_TITLE_PATTERNS = [
+  /\bhome\b/i,
+  /\bhomepage\b/i,
+  /\bwelcome\b/i,
+  /\bindex\b/i,
+  /\buntitled\b/i,
+  /\bmain\s*page\b/i,
+  /\bstart\b/i,
+]
+
+function isGenericTitle(t = "") {
+  const s = String(t || "").trim()
+  if (!s) return false
+  return GENERIC_TITLE_PATTERNS.some((re) => re.test(s))
+}
+// ---------- Banner copy ----------
+export const DEFAULT_CRAWLER_MSG =
+  "This website is not responding properly to our crawler, meaning results shown in this report may be incomplete, or inaccurate. It's likely there is a firewall or other security mechanism in place preventing us viewing the content successfully."
+
+export function normalizeKey(rawUrl) {
+  try {
+    const u = new URL(/^https?:\/\//i.test(rawUrl) ? rawUrl : `https://${rawUrl}`)
+    u.hash = ""
+    u.search = ""
+    const path = u.pathname.replace(/\/+$/, "/")
+    return `${u.origin}${path}`
+  } catch {
+    return String(rawUrl || "")
+  }
+}
+
+/** ---------- utils ---------- */
+const isOk = (res) => res && res.status >= 200 && res.status < 400
+
+const withTimeout = (ms = 12000) => {
+  const c = new AbortController()
+  const id = setTimeout(() => c.abort(), ms)
+  return { signal: c.signal, done: () => clearTimeout(id) }
+}
+
+// retries on AbortError / common network errors, with backoff + jitter
+async function retry(fn, { tries = 2, baseDelay = 400 } = {}) {
+  let lastErr
+  for (let i = 0; i < tries; i++) {
+    try {
+      return await fn()
+    } catch (e) {
+      lastErr = e
+      const msg = String(e?.message || "")
+      const isAbort = e?.name === "AbortError"
+      const isNetty = /fetch failed|network|ECONNRESET|EAI_AGAIN|ENOTFOUND|ETIMEDOUT/i.test(
+        msg
+      )
+      if (i < tries - 1 && (isAbort || isNetty)) {
+        const jitter = Math.floor(Math.random() * 250)
+        await new Promise((r) => setTimeout(r, baseDelay * (i + 1) + jitter))
+        continue
+      }
+      throw e
+    }
+  }
+  throw lastErr
+}
+
+const tryHeadThenGet = async (
+  url,
+  {
+    timeoutMs = LIMITS.TIME_ASSET_MS,
+    redirect = "follow",
+    headers = UA_HEADERS,
+    fallbackOnNonOk = true,
+    // asked before every request; null when it says no
+    spend = () => true,
+  } = {}
+) => {
+  return retry(async () => {
+    // HEAD
+    if (!spend()) return null
+    const t1 = withTimeout(timeoutMs)
+    let headRes
+    try {
+      headRes = await fetch(url, {
+        method: "HEAD",
+        redirect,
+        signal: t1.signal,
+        headers,
+        cache: "no-store",
+      })
+    } catch {
+      // fall through to GET
+    } finally {
+      t1.done()
+    }
+    if (headRes && headRes.ok) return headRes
+
+    // fallback GET (a 3xx is an answer: with redirect "manual" it is the hop itself)
+    const shouldFallback =
+      !headRes ||
+      headRes.status === 405 ||
+      headRes.status === 501 ||
+      (fallbackOnNonOk && headRes.status >= 400)
+
+    if (shouldFallback) {
+      if (!spend()) return null
+      const t2 = withTimeout(timeoutMs)
+      try {
+        return await fetch(url, {
+          method: "GET",
+          redirect,
+          signal: t2.signal,
+          headers,
+          cache: "no-store",
+        })
+      } finally {
+        t2.done()
+      }
+    }
+    return headRes
+  })
+}
+
+const absUrl = (base, href) => {
+  try {
+    return new URL(href, base).toString()
+  } catch {
+    return undefined
+  }
+}
+const decodeEntities = (s = "") =>
+  String(s)
+    .replace(/&#(\d+);/g, (m, n) => {
+      try { return String.fromCodePoint(parseInt(n, 10)) } catch { return m }
+    })
+    .replace(/&#x([\da-f]+);/gi, (m, n) => {
+      try { return String.fromCodePoint(parseInt(n, 16)) } catch { return m }
+    })
+    .replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (m, name) =>
+      ({ amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " }[name])
+    )
+const parseTitle = (html) => {
+  const m = /<title>([\s\S]*?)<\/title>/i.exec(html)
+  return m ? m[1].trim() : ""
+}
+const getMetaBy = (html, attr, name) => {
+  const re = new RegExp(`<meta[^>]*${attr}=["']${name}["'][^>]*>`, "i")
+  const m = re.exec(html)
+  if (!m) return undefined
+  const tag = m[0]
+  const c = /content=["']([^"']+)["']/i.exec(tag)
+  return c ? c[1] : ""
+}
+const getMetaName = (html, name) => getMetaBy(html, "name", name)
+const getMetaProp = (html, prop) => getMetaBy(html, "property", prop)
+// Attribute value from a single tag string (quoted or bare)
+const getAttr = (tag, name) => {
+  const re = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, "i")
+  const m = re.exec(tag)
+  return m ? (m[1] ?? m[2] ?? m[3] ?? "") : undefined
+}
+
+/** ---------- GA Checker ---------- */
+    function makeGACheck(html = "") {
+  if (!html || typeof html !== "string") return null;
+
+  // GA4 gtag.js
+  const hasGA4ByScript = /googletagmanager\.com\/gtag\/js\?id=G-[A-Z0-9]+/i.test(html);
+  const hasGA4ByCode   = /\bgtag\(\s*['"]config['"]\s*,\s*['"]G-[A-Z0-9]+/i.test(html);
+
+  // Google Tag Manager
+  const hasGTMByScript = /googletagmanager\.com\/gtm\.js\?id=GTM-[A-Z0-9]+/i.test(html);
+  const hasGTMId       = /\bGTM-[A-Z0-9]+\b/.test(html);
+
+  // Legacy UA
+  const hasUAByScript  = /google-analytics\.com\/analytics\.js/i.test(html);
+  const hasUAByCode    = /\bga\(\s*['"]create['"]/i.test(html) || /\bUA-\d{4,9}-\d+\b/i.test(html);
+
+  const found = [];
+  if (hasGA4ByScript || hasGA4ByCode) found.push("GA4 gtag.js");
+  if (hasGTMByScript || hasGTMId)     found.push("Google Tag Manager");
+  if (hasUAByScript || hasUAByCode)   found.push("Universal Analytics");
+
+  const present = found.length > 0;
+  return {
+    id: "ga",
+    label: "Google Analytics",
+    status: present ? "pass" : "fail",
+    details: present ? found.join(" + ") : "Not detected",
+    value: present ? found : [],
+  };
+}
+
+/** ---------- Heading outline (H1–H6) ---------- */
+const OUTLINE_CAP = 80
+const STOPWORDS = new Set(
+  "the and for with your you our are from that this into over about home page welcome more best how what why"
+    .split(" ")
+)
+
+const stripTags = (s = "") =>
+  decodeEntities(
+    String(s)
+      .replace(/<img\b[^>]*>/gi, (tag) => ` ${getAttr(tag, "alt") || ""} `)
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/\s+/g, " ")
+    .trim()
+
+const keywords = (s = "") =>
+  new Set(
+    String(s)
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((w) => w.length >= 3 && !STOPWORDS.has(w))
+  )
+
+function extractHeadings(html = "") {
+  const doc = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|template|noscript)\b[\s\S]*?<\/\1\s*>/gi, "")
+  return [...doc.matchAll(/<h([1-6])\b([^>]*)>([\s\S]*?)<\/h\1\s*>/gi)].map((m) => {
+    const attrs = m[2] || ""
+    const hidden =
+      /\shidden(\s|=|$)/i.test(attrs) ||
+      /\saria-hidden\s*=\s*["']?true/i.test(attrs) ||
+      /display\s*:\s*none|visibility\s*:\s*hidden/i.test(getAttr(` ${attrs}`, "style") || "")
+    return { level: Number(m[1]), text: stripTags(m[3]).slice(0, 120), hidden }
+  })
+}
+
+// Flat heading list -> nested tree (a heading nests under the nearest shallower one)
+function buildOutline(headings = []) {
+  const root = { level: 0, children: [] }
+  const stack = [root]
+  for (const h of headings) {
+    const node = { level: h.level, text: h.text, ...(h.hidden && { hidden: true }), children: [] }
+    while (stack.length > 1 && stack[stack.length - 1].level >= h.level) stack.pop()
+    stack[stack.length - 1].children.push(node)
+    stack.push(node)
+  }
+  return root.children
+}
+
+export function makeHeadingOutlineCheck(html = "", title = "") {
+  if (!html || typeof html !== "string") return null
+
+  const all = extractHeadings(html)
+  const headings = all.slice(0, OUTLINE_CAP)
+  const counts = { h1: 0, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0 }
+  for (const h of all) counts[`h${h.level}`]++
+
+  const issues = []
+  const h1s = all.filter((h) => h.level === 1)
+  const visibleH1s = h1s.filter((h) => !h.hidden)
+
+  if (!h1s.length) issues.push("No <h1> on the page")
+  else if (!visibleH1s.length) issues.push("The only <h1> is hidden")
+  else if (visibleH1s.length > 1) issues.push(`${visibleH1s.length} visible <h1> tags`)
+
+  if (all.length && all[0].level !== 1) issues.push(`First heading is <h${all[0].level}>`)
+  const skips = []
+  for (let i = 1; i < all.length; i++) {
+    if (all[i].level > all[i - 1].level + 1) skips.push(`H${all[i - 1].level}→H${all[i].level}`)
+  }
+  if (skips.length) issues.push(`Skipped levels: ${[...new Set(skips)].slice(0, 3).join(", ")}`)
+
+  const empty = all.filter((h) => !h.text).length
+  if (empty) issues.push(`${empty} empty heading(s)`)
+  const hidden = all.filter((h) => h.hidden).length
+  if (hidden) issues.push(`${hidden} hidden heading(s)`)
+
+  const h2Seen = new Map()
+  for (const h of all.filter((h) => h.level === 2 && h.text)) {
+    const k = h.text.toLowerCase()
+    h2Seen.set(k, (h2Seen.get(k) || 0) + 1)
+  }
+  const dupH2 = [...h2Seen].filter(([, n]) => n > 1).map(([t]) => t)
+  if (dupH2.length) issues.push(`Duplicate H2: "${dupH2.slice(0, 2).join('", "')}"`)
+
+  const titleWords = keywords(title)
+  const h1Words = keywords((visibleH1s[0] || h1s[0])?.text || "")
+  const shared = [...h1Words].filter((w) => titleWords.has(w))
+  if (h1s.length && titleWords.size && h1Words.size && !shared.length) {
+    issues.push("H1 shares no keywords with <title>")
+  }
+
+  let status = "pass"
+  if (!visibleH1s.length) status = "fail"
+  else if (issues.length) status = "warn"
+
+  return {
+    id: "h1-structure",
+    label: LABELS["h1-structure"],
+    status,
+    details: `${counts.h1} H1, ${all.length} heading(s)${issues.length ? ` • ${issues.slice(0, 3).join("; ")}` : ""}`,
+    value: {
+      counts,
+      outline: buildOutline(headings),
+      truncated: all.length > headings.length,
+      issues,
+      titleKeywordOverlap: shared,
+    },
+  }
+}
+
+// ---- Platform / CMS detector ----
+function makePlatformCheck(html = "", headers, finalUrl = "") {
+  if (!html || typeof html !== "string") return null;
+
+  const h = headers && typeof headers.get === "function" ? headers : null;
+  const header = (k) => (h ? (h.get(k) || "") : "");
+  const generator = (getMetaName(html, "generator") || "").toLowerCase();
+
+  const hints = new Set();
+
+  // --- WordPress ---
+  if (
+    /wp-content|wp-includes|\/wp-json\b|wp-embed\.min\.js/i.test(html) ||
+    generator.includes("wordpress") ||
+    /x-powered-by:\s*wpengine/i.test(header("server") + " " + header("x-powered-by"))
+  ) {
+    hints.add("WordPress");
+  }
+
+  // --- Shopify ---
+  if (
+    /cdn\.shopify\.com|myshopify\.com|shopify\.js/i.test(html) ||
+    /\bShopify\b/.test(generator) ||
+    /x-shopid|x-shopify|x-request-id/i.test(
+      header("x-shopify-stage") + " " + header("x-shopid") + " " + header("x-request-id")
+    )
+  ) {
+    hints.add("Shopify");
+  }
+
+  // --- Wix ---
+  if (
+    /static\.parastorage\.com|wixstatic\.com|wixapps/i.test(html) ||
+    generator.includes("wix") ||
+    /x-wix/i.test(header("server") + " " + header("x-wix-renderer-server"))
+  ) {
+    hints.add("Wix");
+  }
+
+  // --- Framer ---
+  if (
+    /framerusercontent\.com|data-framer|name=["']framer-/i.test(html) ||
+    generator.includes("framer")
+  ) {
+    hints.add("Framer");
+  }
+
+  // (You can extend: Webflow, Squarespace, Ghost, etc.)
+
+  const list = Array.from(hints);
+  const present = list.length > 0;
+
+  return {
+    id: "platform",
+    label: "Platform / CMS",
+    status: present ? (list.length > 1 ? "warn" : "pass") : "warn",
+    details: present ? list.join(" + ") : "Not detected (custom or obfuscated)",
+    value: list,
+  };
+}
+
+/** ---------- Per-page checks (shared by audit + crawl) ---------- */
+// Same page for canonical purposes: ignores hash, query, host case and a trailing slash
+function canonicalMatches(href, pageUrl) {
+  try {
+    const a = new URL(href)
+    const b = new URL(pageUrl)
+    a.hash = ""
+    a.search = ""
+    a.hostname = a.hostname.toLowerCase()
+    b.hash = ""
+    b.search = ""
+    b.hostname = b.hostname.toLowerCase()
+    if (a.pathname !== "/") a.pathname = a.pathname.replace(/\/+$/, "")
+    if (b.pathname !== "/") b.pathname = b.pathname.replace(/\/+$/, "")
+    return a.toString() === b.toString()
+  } catch {
+    return undefined
+  }
+}
+
+function makeCanonicalCheck(html = "", finalUrl = "") {
+  const canonTags = [...html.matchAll(/<link\b[^>]*>/gi)]
+    .map((m) => m[0])
+    .filter((tag) => /\brel\s*=\s*["']?\s*canonical\s*["']?/i.test(tag))
+  let canonicalHref,
+    canonicalOk,
+    multipleCanon = canonTags.length > 1
+  if (canonTags.length) {
+    const hrefm = canonTags[0].match(/\bhref\s*=\s*["']?([^"'\s>]+)["']?/i)
+    canonicalHref = hrefm ? absUrl(finalUrl, hrefm[1]) : undefined
+    canonicalOk = canonicalMatches(canonicalHref, finalUrl)
+  }
+  return {
+    id: "canonical",
+    label: "Canonical tag",
+    status: canonicalHref ? (canonicalOk && !multipleCanon ? "pass" : "warn") : "fail",
+    details: canonicalHref
+      ? `${canonicalOk ? "Matches URL" : `Points to ${canonicalHref}`}${
+          multipleCanon ? " • multiple canonicals" : ""
+        }`
+      : "Missing",
+    ...(canonicalHref && { value: canonicalHref }),
+  }
+}
+
+// -> [noindex check, meta-robots check]
+function makeRobotsDirectiveChecks(html = "", headers) {
+  const robotsMeta = (getMetaName(html, "robots") || "").toLowerCase()
+  const googlebotMeta = (getMetaName(html, "googlebot") || "").toLowerCase()
+  const bingbotMeta = (getMetaName(html, "bingbot") || "").toLowerCase()
+  const xRobotsHeader = (headers?.get?.("x-robots-tag") || "").toLowerCase()
+  const hasNoindex = (s) => /\bnoindex\b/.test(s) || /\bnone\b/.test(s)
+
+  const noindexSources = []
+  if (hasNoindex(robotsMeta)) noindexSources.push("meta[name=robots]")
+  if (hasNoindex(googlebotMeta)) noindexSources.push("meta[name=googlebot]")
+  if (hasNoindex(bingbotMeta)) noindexSources.push("meta[name=bingbot]")
+  if (hasNoindex(xRobotsHeader)) noindexSources.push("X-Robots-Tag header")
+
+  const robotsStrings = [
+    robotsMeta && `meta: ${robotsMeta}`,
+    googlebotMeta && `googlebot: ${googlebotMeta}`,
+    bingbotMeta && `bingbot: ${bingbotMeta}`,
+    xRobotsHeader && `header: ${xRobotsHeader}`,
+  ].filter(Boolean)
+
+  return [
+    {
+      id: "noindex",
+      label: "Noindex directive",
+      status: noindexSources.length ? "fail" : "pass",
+      details: noindexSources.length
+        ? `Found in: ${noindexSources.join(", ")}`
+        : "Not detected",
+    },
+    {
+      id: "meta-robots",
+      label: "Robots directives",
+      status: robotsStrings.length ? (noindexSources.length ? "warn" : "pass") : "pass",
+      details: robotsStrings.length ? robotsStrings.join(" | ") : "None",
+    },
+  ]
+}
+
+function makeMetaDescriptionCheck(metaDesc = "") {
+  return {
+    id: "meta-description",
+    label: "Meta description length",
+    status: metaDesc
+      ? metaDesc.length >= 50 && metaDesc.length <= 160
+        ? "pass"
+        : "warn"
+      : "fail",
+    details: metaDesc ? `${metaDesc.length} chars` : "Missing",
+  }
+}
+
+// Fail if <10 chars OR looks generic; otherwise keep the pass/warn bands
+function makeTitleCheck(title = "") {
+  const rawTitle = (title || "").trim()
+  const titleLen = rawTitle.length
+  let titleStatus = "fail"
+  let titleDetails = "Missing"
+
+  if (titleLen) {
+    if (titleLen < 10) {
+      titleStatus = "fail"
+      titleDetails = `${titleLen} chars (too short)`
+    } else if (isGenericTitle(rawTitle)) {
+      titleStatus = "fail"
+      titleDetails = "Generic title detected (e.g., ‘Home’, ‘Homepage’, ‘Welcome’)"
+    } else if (titleLen >= 25 && titleLen <= 60) {
+      titleStatus = "pass"
+      titleDetails = `${titleLen} chars`
+    } else {
+      titleStatus = "warn"
+      titleDetails = `${titleLen} chars`
+    }
+  }
+
+  return {
+    id: "title-length", // keep same id so UI/weights still work
+    label: "Title length",
+    status: titleStatus,
+    details: titleDetails,
+  }
+}
+
+function makeImageAltCheck(imgTags = []) {
+  const alts = imgTags
+    .map((t) => t.match(/alt=["']([^"']*)["']/i)?.[1] ?? "")
+    .filter((a) => a !== null)
+  const altOk = alts.length
+    ? alts.filter((a) => a.trim().length > 0).length / alts.length
+    : 1
+  return {
+    id: "img-alt",
+    label: "Images have alt text",
+    status: altOk >= 0.9 ? "pass" : altOk >= 0.6 ? "warn" : "fail",
+    details: `Alt coverage: ${Math.round(altOk * 100)}%`,
+  }
+}
+
+/** ---------- Mixed content ---------- */
+// Active (blockable) content can rewrite the page; passive (upgradable) only displays.
+const MIXED_LIST_CAP = 10
+
+export function makeMixedContentCheck(html = "", finalUrl = "") {
+  if (!html || typeof html !== "string") return null
+
+  let isHttps = false
+  try {
+    isHttps = new URL(finalUrl).protocol === "https:"
+  } catch {}
+  if (!isHttps) {
+    return {
+      id: "mixed-content",
+      label: LABELS["mixed-content"],
+      status: "warn",
+      details: "Page is not served over HTTPS, so every resource is insecure",
+      value: { active: [], passive: [] },
+    }
+  }
+
+  const doc = html.replace(/<!--[\s\S]*?-->/g, "")
+  const active = new Set()
+  const passive = new Set()
+  const isHttp = (u) => /^\s*http:\/\//i.test(u || "")
+  const add = (bucket, u) => {
+    if (isHttp(u)) bucket.add(u.trim())
+  }
+  const srcsetUrls = (v = "") =>
+    v.split(",").map((part) => part.trim().split(/\s+/)[0]).filter(Boolean)
+  const cssUrls = (css = "") => {
+    for (const m of css.matchAll(/@import\s+(?:url\(\s*)?["']?([^"')\s;]+)/gi)) add(active, m[1])
+    for (const m of css.matchAll(/@font-face\s*{[^}]*}/gi)) {
+      for (const u of m[0].matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/gi)) add(active, u[1])
+    }
+    const rest = css.replace(/@font-face\s*{[^}]*}/gi, "").replace(/@import[^;]*;?/gi, "")
+    for (const m of rest.matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/gi)) add(passive, m[1])
+  }
+
+  for (const [tag, name] of doc.matchAll(/<([a-z]+)\b[^>]*>/gi)) {
+    const el = name.toLowerCase()
+    if (el === "script" || el === "iframe" || el === "embed") {
+      add(active, getAttr(tag, "src"))
+    } else if (el === "object") {
+      add(active, getAttr(tag, "data"))
+    } else if (el === "link") {
+      const rel = (getAttr(tag, "rel") || "").toLowerCase().split(/\s+/)
+      if (rel.includes("stylesheet")) add(active, getAttr(tag, "href"))
+    } else if (el === "img" || el === "source") {
+      add(passive, getAttr(tag, "src"))
+      for (const u of srcsetUrls(getAttr(tag, "srcset"))) add(passive, u)
+    } else if (el === "video" || el === "audio") {
+      add(passive, getAttr(tag, "src"))
+      add(passive, getAttr(tag, "poster"))
+    }
+    const style = getAttr(tag, "style")
+    if (style) cssUrls(style)
+  }
+  for (const m of doc.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/gi)) cssUrls(m[1])
+
+  const activeList = [...active]
+  const passiveList = [...passive].filter((u) => !active.has(u))
+  const status = activeList.length ? "fail" : passiveList.length ? "warn" : "pass"
+  const sample = [...activeList, ...passiveList].slice(0, 3)
+
+  return {
+    id: "mixed-content",
+    label: LABELS["mixed-content"],
+    status,
+    details:
+      status === "pass"
+        ? "No http:// subresources found"
+        : `${activeList.length} active, ${passiveList.length} passive http:// resource(s): ${sample.join(", ")}${
+            activeList.length + passiveList.length > sample.length ? ", …" : ""
+          }`,
+    value: {
+      active: activeList.slice(0, MIXED_LIST_CAP),
+      passive: passiveList.slice(0, MIXED_LIST_CAP),
+    },
+  }
+}
+
+/** ---------- Security headers ---------- */
+const HSTS_MIN_MAX_AGE = 15552000 // 180 days
+const STRICT_REFERRER_POLICIES = new Set([
+  "no-referrer",
+  "same-origin",
+  "strict-origin",
+  "strict-origin-when-cross-origin",
+])
+
+// "script-src 'self' x; object-src 'none'" -> { "script-src": ["'self'", "x"], ... }
+function parseCsp(value = "") {
+  const out = {}
+  for (const part of String(value).split(";")) {
+    const [name, ...sources] = part.trim().split(/\s+/)
+    if (!name) continue
+    const key = name.toLowerCase()
+    if (!(key in out)) out[key] = sources.map((s) => s.toLowerCase())
+  }
+  return out
+}
+
+function gradeCsp(value, reportOnly) {
+  if (!value) {
+    return reportOnly
+      ? { status: "warn", notes: ["Only Content-Security-Policy-Report-Only is set (not enforced)"] }
+      : { status: "fail", notes: ["Missing"] }
+  }
+  const csp = parseCsp(value)
+  const scriptSrc = csp["script-src"] || csp["default-src"]
+  const notes = []
+  if (!scriptSrc) {
+    notes.push("No script-src or default-src directive")
+  } else {
+    const hasNonceOrHash = scriptSrc.some((s) => /^'(nonce-|sha(256|384|512)-)/.test(s))
+    const strictDynamic = scriptSrc.includes("'strict-dynamic'")
+    if (scriptSrc.includes("'unsafe-inline'") && !hasNonceOrHash && !strictDynamic)
+      notes.push("script-src allows 'unsafe-inline'")
+    if (scriptSrc.includes("'unsafe-eval'")) notes.push("script-src allows 'unsafe-eval'")
+    if (scriptSrc.some((s) => s === "*" || s === "http:" || s === "https:" || s === "data:"))
+      notes.push("script-src allows any host or scheme")
+  }
+  if (!csp["object-src"] && !(csp["default-src"] || []).includes("'none'"))
+    notes.push("object-src not restricted")
+  return { status: notes.length ? "warn" : "pass", notes }
+}
+
+function gradeHsts(value, isHttps) {
+  if (!isHttps) return { status: "warn", notes: ["Not applicable: page is not served over HTTPS"] }
+  if (!value) return { status: "fail", notes: ["Missing"] }
+  const m = /max-age\s*=\s*"?(\d+)"?/i.exec(value)
+  const maxAge = m ? parseInt(m[1], 10) : NaN
+  if (!Number.isFinite(maxAge)) return { status: "fail", notes: ["max-age missing or invalid"] }
+  if (maxAge === 0) return { status: "fail", notes: ["max-age=0 disables HSTS"] }
+  const notes = []
+  if (maxAge < HSTS_MIN_MAX_AGE) notes.push(`max-age ${maxAge}s is shorter than 180 days`)
+  if (!/\bincludeSubDomains\b/i.test(value)) notes.push("includeSubDomains missing")
+  return { status: notes.length ? "warn" : "pass", notes }
+}
+
+function gradeFraming(xfo, csp) {
+  const ancestors = parseCsp(csp)["frame-ancestors"]
+  if (ancestors) {
+    return ancestors.includes("*")
+      ? { status: "warn", notes: ["frame-ancestors allows any origin"] }
+      : { status: "pass", notes: [`frame-ancestors ${ancestors.join(" ")}`] }
+  }
+  const v = String(xfo || "").trim().toUpperCase()
+  if (!v) return { status: "fail", notes: ["Neither X-Frame-Options nor frame-ancestors set"] }
+  if (v === "DENY" || v === "SAMEORIGIN") return { status: "pass", notes: [] }
+  if (v.startsWith("ALLOW-FROM"))
+    return { status: "warn", notes: ["ALLOW-FROM is obsolete; use CSP frame-ancestors"] }
+  return { status: "warn", notes: [`Unrecognised value "${xfo}"`] }
+}
+
+function gradeXcto(value) {
+  if (!value) return { status: "fail", notes: ["Missing"] }
+  return String(value).trim().toLowerCase() === "nosniff"
+    ? { status: "pass", notes: [] }
+    : { status: "fail", notes: [`Expected "nosniff", got "${value}"`] }
+}
+
+function gradeReferrerPolicy(value) {
+  if (!value) return { status: "warn", notes: ["Missing (browser default applies)"] }
+  // Last recognised token wins per spec
+  const tokens = String(value).toLowerCase().split(",").map((s) => s.trim()).filter(Boolean)
+  const policy = tokens[tokens.length - 1]
+  if (STRICT_REFERRER_POLICIES.has(policy)) return { status: "pass", notes: [] }
+  if (policy === "unsafe-url") return { status: "fail", notes: ["unsafe-url leaks full URLs cross-origin"] }
+  return { status: "warn", notes: [`"${policy}" can leak URL data to other origins`] }
+}
+
+function gradePermissionsPolicy(value, legacyFeaturePolicy) {
+  if (!value) {
+    return legacyFeaturePolicy
+      ? { status: "warn", notes: ["Only the deprecated Feature-Policy header is set"] }
+      : { status: "warn", notes: ["Missing"] }
+  }
+  const wildcard = /=\s*\*/.test(value)
+  return wildcard
+    ? { status: "warn", notes: ["Grants some features to all origins (*)"] }
+    : { status: "pass", notes: [] }
+}
+
+function gradeCoop(value) {
+  const v = String(value || "").trim().toLowerCase()
+  if (!v) return { status: "warn", notes: ["Missing"] }
+  if (v === "same-origin" || v === "same-origin-allow-popups") return { status: "pass", notes: [] }
+  return { status: "warn", notes: [`"${v}" does not isolate the browsing context`] }
+}
+
+function gradeCoep(value) {
+  const v = String(value || "").trim().toLowerCase()
+  if (!v) return { status: "warn", notes: ["Missing"] }
+  if (v === "require-corp" || v === "credentialless") return { status: "pass", notes: [] }
+  return { status: "warn", notes: [`"${v}" does not enable cross-origin isolation`] }
+}
+
+export function makeSecurityHeadersCheck(headers, finalUrl = "") {
+  if (!headers || typeof headers.get !== "function") return null
+  const header = (k) => headers.get(k) || ""
+
+  let isHttps = false
+  try {
+    isHttps = new URL(finalUrl).protocol === "https:"
+  } catch {}
+
+  const csp = header("content-security-policy")
+  const hsts = header("strict-transport-security")
+  const xfo = header("x-frame-options")
+  const xcto = header("x-content-type-options")
+  const rp = header("referrer-policy")
+  const pp = header("permissions-policy")
+  const coop = header("cross-origin-opener-policy")
+  const coep = header("cross-origin-embedder-policy")
+
+  const rows = [
+    ["CSP", "Content-Security-Policy", csp, gradeCsp(csp, !!header("content-security-policy-report-only"))],
+    ["HSTS", "Strict-Transport-Security", hsts, gradeHsts(hsts, isHttps)],
+    ["XFO", "X-Frame-Options / frame-ancestors", xfo, gradeFraming(xfo, csp)],
+    ["XCTO", "X-Content-Type-Options", xcto, gradeXcto(xcto)],
+    ["RP", "Referrer-Policy", rp, gradeReferrerPolicy(rp)],
+    ["PP", "Permissions-Policy", pp, gradePermissionsPolicy(pp, !!header("feature-policy"))],
+    ["COOP", "Cross-Origin-Opener-Policy", coop, gradeCoop(coop)],
+    ["COEP", "Cross-Origin-Embedder-Policy", coep, gradeCoep(coep)],
+  ].map(([short, name, value, grade]) => ({
+    short,
+    header: name,
+    value: value ? value.slice(0, 200) : null,
+    status: grade.status,
+    notes: grade.notes,
+  }))
+
+  const points = rows.reduce((s, r) => s + (r.status === "pass" ? 1 : r.status === "warn" ? 0.5 : 0), 0)
+  const ratio = points / rows.length
+  const passed = rows.filter((r) => r.status === "pass").length
+  const issues = rows
+    .filter((r) => r.status !== "pass")
+    .map((r) => `${r.short}: ${r.notes[0] || r.status}`)
+
+  return {
+    id: "security-headers",
+    label: LABELS["security-headers"],
+    status: ratio >= 0.75 ? "pass" : ratio >= 0.4 ? "warn" : "fail",
+    details: `${passed}/${rows.length} headers pass${issues.length ? ` • ${issues.slice(0, 3).join("; ")}` : ""}`,
+    value: { headers: rows },
+  }
+}
+
+/** ---------- HTTP → HTTPS redirect chain ---------- */
+const PERMANENT_REDIRECTS = new Set([301, 308])
+const TEMPORARY_REDIRECTS = new Set([302, 303, 307])
+
+// Second-level public suffixes common enough to matter (co.uk, com.au…); no full PSL on the edge
+const SECOND_LEVEL_SUFFIX = /^(?:co|com|net|org|gov|edu|ac|ne|or|go)\.[a-z]{2}$/i
+
+// http:// starting points: the apex and its www host when the page sits on the
+// registrable domain, else only the page's own host (blog.example.com has no www.blog.)
+export function httpStarts(hostname = "") {
+  const bare = hostname.toLowerCase().replace(/^www\./, "")
+  const labels = bare.split(".")
+  const suffix = SECOND_LEVEL_SUFFIX.test(labels.slice(-2).join(".")) ? 2 : 1
+  const isApex = labels.length === suffix + 1 && !/^[\d.]+$/.test(bare)
+  return isApex ? [`http://${bare}/`, `http://www.${bare}/`] : [`http://${hostname.toLowerCase()}/`]
+}
+
+// Follow redirects one hop at a time so every status + Location is visible
+export async function traceRedirects(
+  startUrl,
+  { maxHops = LIMITS.REDIRECT_MAX_HOPS, timeoutMs = () => LIMITS.TIME_SMALL_MS, spend = () => true } = {}
+) {
+  const hops = []
+  const seen = new Set()
+  let url = startUrl
+  let loop = false
+  let error = ""
+
+  while (hops.length <= maxHops) {
+    if (seen.has(url)) {
+      loop = true
+      break
+    }
+    seen.add(url)
+    if (!spend()) {
+      error = "Sub-request budget exhausted"
+      break
+    }
+    let r
+    const to = withTimeout(timeoutMs())
+    try {
+      r = await fetch(url, {
+        method: "GET",
+        redirect: "manual",
+        signal: to.signal,
+        headers: UA_HEADERS,
+        cache: "no-store",
+      })
+    } catch (e) {
+      error = e?.name === "AbortError" ? "Timed out" : "Unreachable"
+      break
+    } finally {
+      to.done()
+    }
+    r.body?.cancel().catch(() => {})
+
+    const location = r.headers.get("location")
+    const next = location ? absUrl(url, location) : undefined
+    hops.push({ url, status: r.status, location: next || location || null })
+    if (r.status < 300 || r.status >= 400 || !next) break
+    url = next
+  }
+
+  const last = hops[hops.length - 1]
+  // still redirecting when we stopped (loop, hop cap, budget or error)
+  const pending = !!last && last.status >= 300 && last.status < 400 && !!last.location
+  return {
+    from: startUrl,
+    hops,
+    finalUrl: last ? (pending ? last.location : last.url) : null,
+    finalStatus: last && !pending ? last.status : 0,
+    loop,
+    truncated: pending && !loop && !error,
+    error,
+  }
+}
+
+export function gradeRedirectChain(chain, canonicalHost) {
+  const issues = []
+  let status = "pass"
+  const worsen = (to) => {
+    if (to === "fail" || status === "pass") status = to
+  }
+
+  if (chain.error && !chain.hops.length) {
+    return { status: "warn", issues: [`${chain.error}: ${chain.from}`] }
+  }
+  if (chain.loop) {
+    issues.push("Redirect loop")
+    worsen("fail")
+  }
+  if (chain.truncated) {
+    issues.push(`More than ${LIMITS.REDIRECT_MAX_HOPS} hops`)
+    worsen("fail")
+  }
+  if (chain.error) {
+    issues.push(`${chain.error} mid-chain`)
+    worsen("warn")
+  }
+
+  const redirects = chain.hops.filter((h) => h.status >= 300 && h.status < 400)
+  if (!redirects.length && chain.hops.length) {
+    issues.push(`Served over http:// without redirect (${chain.hops[0].status})`)
+    worsen("fail")
+  }
+  for (const h of redirects) {
+    if (TEMPORARY_REDIRECTS.has(h.status)) {
+      issues.push(`${h.status} (temporary) at ${h.url}; use 301/308`)
+      worsen("warn")
+    } else if (!PERMANENT_REDIRECTS.has(h.status)) {
+      issues.push(`Unexpected ${h.status} at ${h.url}`)
+      worsen("warn")
+    }
+    if (/^https:/i.test(h.url) && /^http:/i.test(h.location || "")) {
+      issues.push(`Downgrade to http at ${h.url}`)
+      worsen("fail")
+    }
+  }
+  if (redirects.length > 2) {
+    issues.push(`${redirects.length} hops (more than 2)`)
+    worsen("warn")
+  }
+
+  if (redirects.length && chain.finalUrl && !chain.loop && !chain.truncated) {
+    try {
+      const f = new URL(chain.finalUrl)
+      if (f.protocol !== "https:") {
+        issues.push(`Ends on http: ${chain.finalUrl}`)
+        worsen("fail")
+      } else if (canonicalHost && f.host !== canonicalHost) {
+        issues.push(`Ends on ${f.host}, not ${canonicalHost}`)
+        worsen("warn")
+      }
+    } catch {}
+    if (chain.finalStatus >= 400) {
+      issues.push(`Final response ${chain.finalStatus}`)
+      worsen("fail")
+    }
+  }
+  return { status, issues }
+}
+
+export function makeHttpsRedirectCheck(chains = [], canonicalHost = "") {
+  if (!chains.length) return null
+  const graded = chains.map((c) => ({ ...c, ...gradeRedirectChain(c, canonicalHost) }))
+  const reachable = graded.filter((c) => c.hops.length)
+  const rank = { pass: 0, warn: 1, fail: 2 }
+  const status = reachable.length
+    ? reachable.reduce((w, c) => (rank[c.status] > rank[w] ? c.status : w), "pass")
+    : "warn"
+
+  const summary = graded.map((c) => {
+    const codes = c.hops.map((h) => h.status).join(" → ")
+    return `${c.from} ${codes ? `[${codes}]` : "(unreachable)"}`
+  })
+  const issues = graded.flatMap((c) => c.issues)
+
+  return {
+    id: "https-redirect",
+    label: LABELS["https-redirect"],
+    status,
+    details: `${summary.join(" • ")}${issues.length ? ` • ${issues.slice(0, 3).join("; ")}` : ""}`,
+    value: {
+      chains: graded.map(({ from, hops, finalUrl, finalStatus, status, issues }) => ({
+        from,
+        hops,
+        finalUrl,
+        finalStatus,
+        status,
+        issues,
+      })),
+    },
+  }
+}
+
+/** ---------- HTML compression ---------- */
+const COMPRESSION_ENCODINGS = ["br", "gzip", "identity"]
+const COMPRESSION_MAX_BYTES = 2 * 1024 * 1024 // decoded bytes counted per probe; nothing is kept
+
+// fetch() decodes transparently and never shows the raw stream, so the transferred
+// size is content-length, or the decoded size for identity; otherwise null (unknown).
+// decodedOver: the page is larger than decodedBytes, where counting stopped.
+async function probeEncoding(url, encoding, { timeoutMs = LIMITS.TIME_PAGE_MS } = {}) {
+  const to = withTimeout(timeoutMs)
+  try {
+    const r = await fetch(url, {
+      method: "GET",
+      redirect: "follow",
+      signal: to.signal,
+      headers: { ...UA_HEADERS, "accept-encoding": encoding },
+      cache: "no-store",
+    })
+    const read = r.body ? await readPrefix(r.body, 0, COMPRESSION_MAX_BYTES) : { total: 0, over: false }
+    const decodedBytes = read.total
+    const contentEncoding = (r.headers.get("content-encoding") || "").toLowerCase() || "identity"
+    const len = parseInt(r.headers.get("content-length") || "", 10)
+    const transferredBytes = Number.isFinite(len)
+      ? len
+      : contentEncoding === "identity" && !read.over
+      ? decodedBytes
+      : null
+    return {
+      requested: encoding,
+      status: r.status,
+      contentEncoding,
+      transferredBytes,
+      decodedBytes,
+      ...(read.over && { decodedOver: true }),
+      ratio:
+        transferredBytes && decodedBytes && !read.over ? +(transferredBytes / decodedBytes).toFixed(3) : null,
+      vary: r.headers.get("vary") || "",
+    }
+  } catch (e) {
+    return { requested: encoding, error: e?.name === "AbortError" ? "Timed out" : "Request failed" }
+  } finally {
+    to.done()
+  }
+}
+
+const fmtKB = (n) => (Number.isFinite(n) ? `${(n / 1024).toFixed(1)} KB` : "?")
+
+function makeCompressionCheck(probes = []) {
+  const done = probes.filter((p) => !p.error)
+  if (!done.length) {
+    return {
+      id: "compression",
+      label: LABELS.compression,
+      status: "warn",
+      details: "Could not fetch the page to test compression",
+      value: { probes },
+    }
+  }
+
+  const compressed = done.filter((p) => p.contentEncoding !== "identity")
+  const encodings = [...new Set(compressed.map((p) => p.contentEncoding))]
+  const size = Math.max(...done.map((p) => p.decodedBytes || 0))
+  const sizeText = done.some((p) => p.decodedOver) ? `over ${fmtKB(size)}` : fmtKB(size)
+  const varyOk = compressed.every((p) => /(^|,)\s*(accept-encoding|\*)\s*(,|$)/i.test(p.vary))
+  const best = compressed
+    .filter((p) => Number.isFinite(p.ratio))
+    .sort((a, b) => a.ratio - b.ratio)[0]
+
+  const notes = []
+  let status = "pass"
+  if (!compressed.length) {
+    if (size >= LIMITS.COMPRESSION_MIN_BYTES) {
+      status = "fail"
+      notes.push(`Uncompressed HTML (${sizeText})`)
+    } else {
+      notes.push(`Not compressed, but small (${sizeText})`)
+    }
+  } else {
+    notes.push(`Serves ${encodings.join(" + ")}`)
+    if (!encodings.includes("br")) notes.push("no Brotli")
+    if (best) {
+      const saved = Math.round((1 - best.ratio) * 100)
+      notes.push(`${fmtKB(best.transferredBytes)} of ${fmtKB(best.decodedBytes)} (${saved}% saved)`)
+    } else if (compressed.some((p) => p.transferredBytes === null)) {
+      notes.push("compressed size unknown (no Content-Length)")
+    }
+    if (!varyOk) {
+      status = "warn"
+      notes.push("Vary: Accept-Encoding missing")
+    }
+  }
+
+  return {
+    id: "compression",
+    label: LABELS.compression,
+    status,
+    details: notes.join(" • "),
+    value: { encodings, varyAcceptEncoding: compressed.length ? varyOk : null, probes },
+  }
+}
+
+/** ---------- Structured data ---------- */
+// Rich-result property rules (Google Search Central docs). `anyOf` = at least one of.
+const STRUCTURED_DATA_RULES = {
+  Organization: {
+    required: ["name"],
+    recommended: ["url", "logo", "sameAs", "contactPoint"],
+  },
+  LocalBusiness: {
+    required: ["name", "address"],
+    recommended: ["telephone", "url", "geo", "openingHoursSpecification", "priceRange", "image"],
+  },
+  Product: {
+    required: ["name"],
+    anyOf: [["offers", "review", "aggregateRating"]],
+    recommended: ["image", "description", "brand", "sku", "offers", "aggregateRating"],
+  },
+  Article: {
+    required: ["headline"],
+    recommended: ["image", "author", "datePublished", "dateModified", "publisher"],
+  },
+  BreadcrumbList: {
+    required: ["itemListElement"],
+    recommended: [],
+    each: { prop: "itemListElement", required: ["position", "name"] },
+  },
+  FAQPage: {
+    required: ["mainEntity"],
+    recommended: [],
+    each: { prop: "mainEntity", required: ["name", "acceptedAnswer"] },
+  },
+}
+
+// Subtypes validated with their parent's rules
+const STRUCTURED_DATA_ALIASES = {
+  Corporation: "Organization",
+  NGO: "Organization",
+  OnlineStore: "Organization",
+  NewsArticle: "Article",
+  BlogPosting: "Article",
+  TechArticle: "Article",
+  Restaurant: "LocalBusiness",
+  Store: "LocalBusiness",
+  ProfessionalService: "LocalBusiness",
+  HomeAndConstructionBusiness: "LocalBusiness",
+  MedicalBusiness: "LocalBusiness",
+  Dentist: "LocalBusiness",
+  LegalService: "LocalBusiness",
+  AutomotiveBusiness: "LocalBusiness",
+  FoodEstablishment: "LocalBusiness",
+  HealthAndBeautyBusiness: "LocalBusiness",
+  LodgingBusiness: "LocalBusiness",
+  Hotel: "LocalBusiness",
+  RealEstateAgent: "LocalBusiness",
+  ProductGroup: "Product",
+}
+const SD_LIST_CAP = 20
+
+// "https://schema.org/Product" | "schema:Product" | "Product" -> "Product"
+const schemaTypeName = (t) => String(t || "").trim().split(/[/#:]/).pop()
+
+const hasProp = (node, prop) => {
+  const v = node?.[prop]
+  if (v === undefined || v === null || v === "") return false
+  return !(Array.isArray(v) && v.length === 0)
+}
+
+function collectTypes(node, out) {
+  if (Array.isArray(node)) {
+    for (const n of node) collectTypes(n, out)
+    return
+  }
+  if (!node || typeof node !== "object") return
+  const t = node["@type"]
+  for (const name of Array.isArray(t) ? t : t ? [t] : []) out.add(schemaTypeName(name))
+  for (const [k, v] of Object.entries(node)) {
+    if (k !== "@context" && v && typeof v === "object") collectTypes(v, out)
+  }
+}
+
+function validateEntity(node) {
+  const raw = node["@type"]
+  const types = (Array.isArray(raw) ? raw : [raw]).map(schemaTypeName).filter(Boolean)
+  const results = []
+  for (const type of types) {
+    const ruleName = STRUCTURED_DATA_RULES[type] ? type : STRUCTURED_DATA_ALIASES[type]
+    const rule = STRUCTURED_DATA_RULES[ruleName]
+    if (!rule) continue
+    const missingRequired = rule.required.filter((p) => !hasProp(node, p))
+    for (const group of rule.anyOf || []) {
+      if (!group.some((p) => hasProp(node, p))) missingRequired.push(group.join(" | "))
+    }
+    if (rule.each && hasProp(node, rule.each.prop)) {
+      const list = [].concat(node[rule.each.prop])
+      list.forEach((item, i) => {
+        for (const p of rule.each.required) {
+          if (!hasProp(item, p)) missingRequired.push(`${rule.each.prop}[${i}].${p}`)
+        }
+      })
+    }
+    const missingRecommended = rule.recommended.filter((p) => !hasProp(node, p))
+    results.push({ type, rule: ruleName, missingRequired, missingRecommended })
+  }
+  return results
+}
+
+export function makeStructuredDataCheck(html = "") {
+  if (!html || typeof html !== "string") return null
+
+  // JSON-LD
+  const blocks = [...html.matchAll(
+    /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi
+  )].map((m) => m[1])
+  const errors = []
+  const entities = []
+  const jsonLdTypes = new Set()
+  blocks.forEach((raw, index) => {
+    const text = raw
+      .trim()
+      .replace(/^<!--|-->$/g, "")
+      .replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, "")
+      .trim()
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (e) {
+      errors.push({ block: index, message: String(e?.message || "Invalid JSON").slice(0, 160) })
+      return
+    }
+    collectTypes(data, jsonLdTypes)
+    for (const node of [].concat(data)) {
+      if (!node || typeof node !== "object") continue
+      if (Array.isArray(node["@graph"])) {
+        entities.push(...node["@graph"].filter((n) => n && typeof n === "object"))
+      }
+      if (node["@type"]) entities.push(node)
+    }
+  })
+
+  // Microdata + RDFa (types only)
+  const microdataTypes = new Set()
+  for (const m of html.matchAll(/<[a-z][^>]*\sitemscope\b[^>]*>/gi)) {
+    for (const t of (getAttr(m[0], "itemtype") || "").split(/\s+/).filter(Boolean)) {
+      microdataTypes.add(schemaTypeName(t))
+    }
+  }
+  const rdfaTypes = new Set()
+  for (const m of html.matchAll(/<[a-z][^>]*\stypeof\s*=[^>]*>/gi)) {
+    for (const t of (getAttr(m[0], "typeof") || "").split(/\s+/).filter(Boolean)) {
+      rdfaTypes.add(schemaTypeName(t))
+    }
+  }
+
+  const items = entities.flatMap(validateEntity)
+  const types = [...new Set([...jsonLdTypes, ...microdataTypes, ...rdfaTypes])]
+  const withRequiredGaps = items.filter((i) => i.missingRequired.length)
+  const withRecommendedGaps = items.filter((i) => i.missingRecommended.length)
+
+  let status = "pass"
+  if (!types.length && !errors.length) status = "warn"
+  else if (errors.length || withRequiredGaps.length) status = "fail"
+  else if (withRecommendedGaps.length) status = "warn"
+
+  const parts = []
+  if (types.length) parts.push(`Types: ${types.slice(0, 8).join(", ")}${types.length > 8 ? ", …" : ""}`)
+  else if (!errors.length) parts.push("No structured data found")
+  if (errors.length) parts.push(`${errors.length} JSON-LD block(s) failed to parse`)
+  for (const i of withRequiredGaps.slice(0, 2)) parts.push(`${i.type} missing ${i.missingRequired.join(", ")}`)
+  if (!withRequiredGaps.length && withRecommendedGaps.length) {
+    const i = withRecommendedGaps[0]
+    parts.push(`${i.type} could add ${i.missingRecommended.join(", ")}`)
+  }
+
+  return {
+    id: "structured-data",
+    label: LABELS["structured-data"],
+    status,
+    details: parts.join(" • "),
+    value: {
+      types,
+      jsonLd: { blocks: blocks.length, types: [...jsonLdTypes], errors },
+      microdata: [...microdataTypes],
+      rdfa: [...rdfaTypes],
+      items: items.slice(0, SD_LIST_CAP),
+    },
+  }
+}
+
+/** ---------- llms.txt + AI crawlers ---------- */
+const AI_CRAWLERS = ["GPTBot", "ClaudeBot", "Google-Extended", "PerplexityBot", "CCBot"]
+
+function aiCrawlerAccess(robotsText) {
+  const parsed = parseRobots(robotsText)
+  return AI_CRAWLERS.map((agent) => {
+    const { group, rules } = rulesFor(parsed, agent)
+    let state = "allowed"
+    if (!robotsAllows(rules, "/")) state = "blocked"
+    else if (rules.some((r) => r.type === "disallow" && r.path)) state = "partial"
+    return { agent, state, group: group === "*" || !group ? group : agent }
+  })
+}
+
+// llms.txt spec: H1 title, optional > summary, then H2 sections of "- [name](url): notes"
+function parseLlmsTxt(text = "", baseUrl = "") {
+  const lines = String(text).split(/\r?\n/)
+  const issues = []
+  const h1s = []
+  const summary = []
+  const sections = []
+  let firstContent = null
+  let current = null
+
+  for (const raw of lines) {
+    const line = raw.trim()
+    if (!line) continue
+    if (firstContent === null) firstContent = line
+    let m
+    if ((m = /^#\s+(.+)$/.exec(line))) {
+      h1s.push(m[1].trim())
+    } else if ((m = /^##\s+(.+)$/.exec(line))) {
+      current = { title: m[1].trim(), links: [], malformed: 0 }
+      sections.push(current)
+    } else if (!current && (m = /^>\s?(.*)$/.exec(line))) {
+      summary.push(m[1])
+    } else if (current && /^[-*+]\s+/.test(line)) {
+      const lm = /^[-*+]\s+\[([^\]]+)\]\(([^)\s]+)\)(?:\s*:\s*(.*))?$/.exec(line)
+      if (lm) current.links.push({ name: lm[1], url: absUrl(baseUrl, lm[2]) || lm[2], notes: lm[3] || "" })
+      else current.malformed++
+    }
+  }
+
+  if (!h1s.length) issues.push("Missing H1 title")
+  else if (!/^#\s/.test(firstContent || "")) issues.push("H1 title is not the first line")
+  if (h1s.length > 1) issues.push(`${h1s.length} H1 headings (expected 1)`)
+  if (!summary.length) issues.push("No blockquote summary")
+  if (!sections.length) issues.push("No H2 sections")
+  for (const sec of sections) {
+    if (!sec.links.length) issues.push(`Section "${sec.title}" has no links`)
+    if (sec.malformed) issues.push(`Section "${sec.title}" has ${sec.malformed} malformed list item(s)`)
+  }
+
+  return {
+    title: h1s[0] || "",
+    summary: summary.join(" ").trim(),
+    sections: sections.map(({ title, links }) => ({ title, links: links.length })),
+    links: sections.flatMap((sec) => sec.links.map((l) => l.url)),
+    issues,
+  }
+}
+
+// Many sites answer unknown paths with a 200 HTML page; treat that as missing
+// text: the first TEXT_KEEP_BYTES, decoded; bytes: the whole size, counted up to
+// TEXT_MAX_BYTES (over: larger than that), so a huge llms-full.txt is never buffered
+const TEXT_KEEP_BYTES = 512 * 1024
+const TEXT_MAX_BYTES = 10 * 1024 * 1024
+async function fetchTextFile(url, { timeoutMs = LIMITS.TIME_SMALL_MS, headers = BROWSER_HEADERS } = {}) {
+  const to = withTimeout(timeoutMs)
+  try {
+    const r = await fetch(url, { redirect: "follow", signal: to.signal, headers, cache: "no-store" })
+    if (!r.ok) {
+      r.body?.cancel().catch(() => {})
+      return { found: false, status: r.status }
+    }
+    const ct = (r.headers.get("content-type") || "").toLowerCase()
+    const read = r.body
+      ? await readPrefix(r.body, TEXT_KEEP_BYTES, TEXT_MAX_BYTES)
+      : { bytes: new Uint8Array(), total: 0, over: false }
+    const text = new TextDecoder("utf-8").decode(read.bytes)
+    if (ct.includes("text/html") || /^\s*<(!doctype|html)\b/i.test(text)) {
+      return { found: false, status: r.status, soft404: true }
+    }
+    return {
+      found: true,
+      status: r.status,
+      text,
+      bytes: read.total,
+      over: read.over,
+      finalUrl: r.url || url,
+      contentType: ct,
+    }
+  } finally {
+    to.done()
+  }
+}
+
+/** ---------- robots.txt ---------- */
+const ROBOTS_AGENTS = ["*", "Googlebot", "Bingbot"]
+const ROBOTS_SLOW_CRAWL_DELAY = 10 // seconds; Bing honours crawl-delay, Google ignores it
+
+// One fetch of /robots.txt → { url, status (0 = unreachable), text, parsed, sitemaps }
+async function fetchRobots(origin, { timeoutMs = () => LIMITS.TIME_SMALL_MS, tries = 1, headers = BROWSER_HEADERS } = {}) {
+  const url = absUrl(origin + "/", "/robots.txt")
+  let status = 0
+  let text = ""
+  let html = false
+  try {
+    const r = await retry(
+      async () => {
+        const to = withTimeout(timeoutMs())
+        try {
+          return await fetch(url, { redirect: "follow", signal: to.signal, headers, cache: "no-store" })
+        } finally {
+          to.done()
+        }
+      },
+      { tries }
+    )
+    status = r.status
+    if (r.ok) {
+      text = await r.text()
+      // an HTML page at /robots.txt has no usable rules
+      if (/^\s*<(!doctype|html)\b/i.test(text)) {
+        html = true
+        text = ""
+      }
+    }
+  } catch {}
+  const parsed = parseRobots(text)
+  const sitemaps = parsed.sitemaps.map((u) => absUrl(url, u)).filter(Boolean)
+  return { url, origin, status, html, text, parsed, sitemaps }
+}
+
+const sameOriginPath = (origin, u) => {
+  try {
+    const x = new URL(u)
+    return x.origin === origin ? x.pathname + x.search : null
+  } catch {
+    return null
+  }
+}
+
+// Evaluates the page, its same-origin CSS/JS and its sitemaps for * / Googlebot / Bingbot
+function robotsCheck(robots, { pageUrl, assets = [] } = {}) {
+  const base = { id: "robots", label: LABELS.robots }
+  const listed = robots.sitemaps.length
+    ? ` • ${robots.sitemaps.length} sitemap URL(s) listed`
+    : ""
+
+  // RFC 9309 §2.3.1: 4xx = no restrictions, 5xx/unreachable = assume full disallow
+  if (robots.status >= 500) {
+    return {
+      ...base,
+      status: "fail",
+      details: `robots.txt unreachable (HTTP ${robots.status}); crawlers treat the whole site as disallowed`,
+      value: { status: robots.status },
+    }
+  }
+  if (robots.status === 0) {
+    return { ...base, status: "warn", details: "robots.txt could not be fetched", value: { status: 0 } }
+  }
+  if (robots.status >= 400 || robots.html) {
+    return {
+      ...base,
+      status: "warn",
+      details: robots.html
+        ? "robots.txt serves an HTML page (no rules apply)"
+        : `robots.txt not found (HTTP ${robots.status}); everything is crawlable`,
+      value: { status: robots.status },
+    }
+  }
+
+  const { parsed, origin } = robots
+  const sitemapUrls = robots.sitemaps.length ? robots.sitemaps : [absUrl(origin + "/", "/sitemap.xml")]
+  const assetPaths = [...new Set(assets.map((u) => sameOriginPath(origin, u)).filter(Boolean))]
+  const pagePath = sameOriginPath(origin, pageUrl) || "/"
+
+  const agents = ROBOTS_AGENTS.map((agent) => {
+    const { group, rules, crawlDelay } = rulesFor(parsed, agent)
+    const allowed = (path) => robotsAllows(rules, path)
+    return {
+      agent,
+      group,
+      page: allowed(pagePath),
+      blockedAssets: assetPaths.filter((p) => !allowed(p)),
+      blockedSitemaps: sitemapUrls.filter((u) => {
+        const p = sameOriginPath(origin, u)
+        return p !== null && !allowed(p)
+      }),
+      crawlDelay,
+    }
+  })
+
+  const name = (a) => (a.agent === "*" ? "all crawlers (*)" : a.agent)
+  const pageBlocked = agents.filter((a) => !a.page)
+  const assetsBlocked = agents.filter((a) => a.blockedAssets.length)
+  const sitemapBlocked = agents.filter((a) => a.blockedSitemaps.length)
+  const slow = agents.filter((a) => a.crawlDelay > ROBOTS_SLOW_CRAWL_DELAY)
+  const delays = agents.filter((a) => a.crawlDelay !== null)
+
+  const notes = [
+    pageBlocked.length
+      ? `Page disallowed for ${pageBlocked.map(name).join(", ")}`
+      : "Page allowed for *, Googlebot, Bingbot",
+    assetsBlocked.length &&
+      `CSS/JS blocked: ${assetsBlocked
+        .map((a) => `${a.blockedAssets.length}/${assetPaths.length} for ${name(a)}`)
+        .join(", ")} (e.g. ${assetsBlocked[0].blockedAssets[0]})`,
+    sitemapBlocked.length &&
+      `Sitemap disallowed for ${sitemapBlocked.map(name).join(", ")}`,
+    delays.length &&
+      `Crawl-delay: ${delays.map((a) => `${a.agent} ${a.crawlDelay}s`).join(", ")}`,
+    parsed.errors.length &&
+      `${parsed.errors.length} syntax error(s) (line ${parsed.errors[0].line}: ${parsed.errors[0].message})`,
+    parsed.unknown.length &&
+      `Unknown directive(s): ${[...new Set(parsed.unknown.map((u) => u.directive))].join(", ")}`,
+    parsed.truncated && "Larger than 500 KiB; the rest is ignored",
+  ].filter(Boolean)
+
+  const status = pageBlocked.length
+    ? "fail"
+    : assetsBlocked.length ||
+        sitemapBlocked.length ||
+        slow.length ||
+        parsed.errors.length ||
+        parsed.unknown.length ||
+        parsed.truncated
+      ? "warn"
+      : "pass"
+
+  return {
+    ...base,
+    status,
+    details: notes.join(" • ") + listed,
+    value: {
+      status: robots.status,
+      agents: agents.map((a) => ({
+        ...a,
+        blockedAssets: a.blockedAssets.slice(0, 5),
+        blockedSitemaps: a.blockedSitemaps.slice(0, 5),
+      })),
+      assetsChecked: assetPaths.length,
+      sitemaps: robots.sitemaps,
+      errors: parsed.errors,
+      unknown: parsed.unknown,
+    },
+  }
+}
+
+// Same-origin stylesheets and scripts Googlebot needs to render the page
+function renderAssetUrls(html = "", baseUrl = "") {
+  const out = new Set()
+  const doc = html.replace(/<!--[\s\S]*?-->/g, "")
+  for (const [tag, name] of doc.matchAll(/<(script|link)\b[^>]*>/gi)) {
+    let u
+    if (name.toLowerCase() === "script") u = getAttr(tag, "src")
+    else {
+      const rel = (getAttr(tag, "rel") || "").toLowerCase().split(/\s+/)
+      const as = (getAttr(tag, "as") || "").toLowerCase()
+      if (rel.includes("stylesheet") || rel.includes("modulepreload") || (rel.includes("preload") && /^(script|style)$/.test(as))) {
+        u = getAttr(tag, "href")
+      }
+    }
+    const abs = u && absUrl(baseUrl, u)
+    if (abs) out.add(abs)
+  }
+  return [...out].slice(0, 50)
+}
+
+/** ---------- sitemaps ---------- */
+const SITEMAP_PATHS = ["/sitemap.xml", "/sitemap_index.xml", "/sitemap-index.xml", "/wp-sitemap.xml"]
+
+// Every sitemap robots.txt lists, else the first common path that answers
+async function findSitemaps(origin, robotsSitemaps = [], { timeoutMs, canFetch, headers = BROWSER_HEADERS }) {
+  if (robotsSitemaps.length) return [...new Set(robotsSitemaps)]
+  for (const p of SITEMAP_PATHS) {
+    if (!canFetch()) break
+    const u = absUrl(origin + "/", p)
+    try {
+      const r = await tryHeadThenGet(u, { timeoutMs: timeoutMs(), headers })
+      if (r.ok) return [r.url || u]
+    } catch {}
+  }
+  return []
+}
+
+// A URL as a crawler meets it: first response only (no redirects followed), then
+// noindex and canonical from the page itself. Used for sitemap samples and hreflang
+// alternates; `withPage` also hands back { html, headers } for further parsing.
+async function inspectUrl(url, { timeoutMs, headers = BROWSER_HEADERS, withPage = false }) {
+  const to = withTimeout(timeoutMs)
+  try {
+    const r = await fetch(url, { redirect: "manual", signal: to.signal, headers, cache: "no-store" })
+    const out = { url, status: r.status }
+    const ct = (r.headers.get("content-type") || "").toLowerCase()
+    if (r.status >= 300 && r.status < 400) {
+      out.redirectTo = absUrl(url, r.headers.get("location") || "") || null
+    }
+    if (!r.ok || !ct.includes("html")) {
+      r.body?.cancel().catch(() => {})
+      return out
+    }
+    const html = await r.text()
+    out.noindex = makeRobotsDirectiveChecks(html, r.headers)[0].status === "fail"
+    const canonical = makeCanonicalCheck(html, url).value
+    if (canonical && canonicalMatches(canonical, url) === false) out.canonical = canonical
+    if (withPage) out.page = { html, headers: r.headers }
+    return out
+  } catch (e) {
+    return { url, status: 0, error: e?.name === "AbortError" ? "Timed out" : "Fetch failed" }
+  } finally {
+    to.done()
+  }
+}
+
+function sitemapCheck({ roots, walk, samples }) {
+  if (!roots.length) {
+    return {
+      id: "sitemap",
+      label: LABELS.sitemap,
+      status: "fail",
+      details: "No sitemap found at common paths or in robots.txt",
+    }
+  }
+
+  const log = createIssueLog()
+  log.merge(walk.issues)
+  for (const s of samples) {
+    if (s.redirectTo !== undefined) {
+      log.add("redirect", { url: s.url, message: `${s.status} → ${s.redirectTo || "(no Location header)"}` })
+    } else if (s.status !== 200) {
+      log.add("status", { url: s.url, message: s.error || `HTTP ${s.status}` })
+    }
+    if (s.noindex) log.add("noindex", { url: s.url, message: "noindex (meta robots or X-Robots-Tag)" })
+    if (s.canonical) log.add("canonical", { url: s.url, message: `Canonical points to ${s.canonical}` })
+  }
+  const issues = Object.fromEntries(SITEMAP_ISSUES.filter((k) => log.issues[k]).map((k) => [k, log.issues[k]]))
+  const { totals } = walk
+  const samplesOk = samples.filter((s) => s.status === 200 && !s.noindex && !s.canonical).length
+
+  // nothing readable: fail if we tried, warn if the budget ran out first
+  const status = !totals.files
+    ? walk.files.length ? "fail" : "warn"
+    : Object.keys(issues).length || !totals.urls ? "warn" : "pass"
+  const gzipped = walk.files.filter((f) => f.gzip).length
+  const details = [
+    `Found: ${roots[0]}${roots.length > 1 ? ` (+${roots.length - 1} more)` : ""}`,
+    `${totals.files} file(s) read${totals.indexes ? `, ${totals.indexes} index` : ""}${gzipped ? `, ${gzipped} gzipped` : ""}`,
+    `URLs: ${totals.urls.toLocaleString("en-US")}`,
+    samples.length && `Valid samples: ${samplesOk}/${samples.length}`,
+    walk.skipped && `${walk.skipped} sitemap(s) not checked (limit)`,
+    Object.keys(issues).length &&
+      `Issues: ${Object.entries(issues).map(([k, c]) => `${k} ${c.count}`).join(", ")}`,
+  ].filter(Boolean)
+
+  return {
+    id: "sitemap",
+    label: LABELS.sitemap,
+    status,
+    details: details.join(" • "),
+    value: {
+      roots,
+      files: walk.files,
+      totals,
+      skipped: walk.skipped,
+      samples,
+      issues,
+    },
+  }
+}
+
+// Discover → walk (indexes, gzip) → sample a few listed URLs → one check row
+async function auditSitemaps(
+  origin,
+  robotsSitemaps = [],
+  { timeoutMs, canFetch, maxFiles = LIMITS.SITEMAP_FILES, maxDepth = LIMITS.SITEMAP_DEPTH, samples = LIMITS.SITEMAP_SAMPLES } = {}
+) {
+  const roots = await findSitemaps(origin, robotsSitemaps, { timeoutMs, canFetch })
+  const walk = await walkSitemaps(roots, { maxFiles, maxDepth, timeoutMs, canFetch, headers: BROWSER_HEADERS })
+  const picked = []
+  for (const e of spreadSample(walk.urls, samples)) {
+    if (!canFetch()) break
+    picked.push(e)
+  }
+  const inspected = await Promise.all(picked.map((e) => inspectUrl(e.loc, { timeoutMs: timeoutMs() })))
+  return sitemapCheck({ roots, walk, samples: inspected })
+}
+
+/** ---------- hreflang ---------- */
+// Same URL for hreflang purposes (only the fragment is ignored)
+const sameUrl = (a, b) => {
+  try {
+    const x = new URL(a)
+    const y = new URL(b)
+    x.hash = ""
+    y.hash = ""
+    return x.toString() === y.toString()
+  } catch {
+    return false
+  }
+}
+
+// <link rel="alternate" hreflang> tags plus `Link: <…>; rel="alternate"; hreflang="…"` headers
+function extractHreflang(html = "", headers, baseUrl = "") {
+  const out = []
+  const doc = html.replace(/<!--[\s\S]*?-->/g, "")
+  for (const [tag] of doc.matchAll(/<link\b[^>]*>/gi)) {
+    const rel = (getAttr(tag, "rel") || "").toLowerCase().split(/\s+/)
+    const hreflang = getAttr(tag, "hreflang")
+    if (!rel.includes("alternate") || hreflang === undefined) continue
+    const href = decodeEntities(getAttr(tag, "href") || "").trim()
+    out.push({
+      hreflang: decodeEntities(hreflang).trim(),
+      href: absUrl(baseUrl, href) || href,
+      source: "html",
+      ...(!/^https?:\/\//i.test(href) && { relative: true }),
+    })
+  }
+  const link = headers?.get?.("link") || ""
+  for (const [, target, params] of link.matchAll(/<([^>]*)>([^<]*)/g)) {
+    if (!/\brel\s*=\s*"?[^";,]*\balternate\b/i.test(params)) continue
+    const hl = /\bhreflang\s*=\s*"?([^";,\s]+)/i.exec(params)
+    if (!hl) continue
+    out.push({
+      hreflang: hl[1],
+      href: absUrl(baseUrl, target.trim()) || target,
+      source: "header",
+      ...(!/^https?:\/\//i.test(target.trim()) && { relative: true }),
+    })
+  }
+  return out
+}
+
+// Page-level language signals + hreflang set, with alternates fetched (within budget)
+// to confirm they answer 200, are indexable and link back.
+async function auditHreflang(html = "", headers, pageUrl = "", { timeoutMs, canFetch, maxFetches = LIMITS.HREFLANG_FETCHES } = {}) {
+  const htmlLang = getAttr(/<html\b[^>]*>/i.exec(html)?.[0] || "", "lang")?.trim() || ""
+  const contentLanguage = (headers?.get?.("content-language") || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+
+  // one row per (code, href); the same pair in HTML and header counts once
+  const rows = []
+  for (const a of extractHreflang(html, headers, pageUrl)) {
+    if (rows.some((r) => r.hreflang.toLowerCase() === a.hreflang.toLowerCase() && sameUrl(r.href, a.href))) continue
+    const tag = parseLangTag(a.hreflang)
+    rows.push({
+      ...a,
+      self: sameUrl(a.href, pageUrl),
+      ...((tag.error || a.relative) && { error: tag.error || "Relative href (must be absolute)" }),
+    })
+  }
+
+  const errors = []
+  const warnings = []
+  const langTag = htmlLang ? parseLangTag(htmlLang) : null
+  if (!htmlLang) warnings.push("<html lang> missing")
+  else if (langTag.error) warnings.push(`<html lang="${htmlLang}">: ${langTag.error}`)
+  const clTags = contentLanguage.map((c) => parseLangTag(c))
+  for (const t of clTags) if (t.error) warnings.push(`Content-Language "${t.code}": ${t.error}`)
+  if (langTag?.lang && clTags.length && !clTags.some((t) => t.lang === langTag.lang)) {
+    warnings.push(`Content-Language (${contentLanguage.join(", ")}) does not match <html lang="${htmlLang}">`)
+  }
+
+  if (rows.length) {
+    const invalid = rows.filter((r) => r.error && !r.relative)
+    if (invalid.length) errors.push(`Invalid code(s): ${invalid.map((r) => r.hreflang || "(empty)").join(", ")}`)
+    const relative = rows.filter((r) => r.relative)
+    if (relative.length) errors.push(`${relative.length} relative href(s)`)
+    const conflicts = [...new Set(rows.map((r) => r.hreflang.toLowerCase()))].filter(
+      (code) => rows.filter((r) => r.hreflang.toLowerCase() === code).length > 1
+    )
+    if (conflicts.length) errors.push(`Same code on different URLs: ${conflicts.join(", ")}`)
+
+    const self = rows.find((r) => r.self)
+    if (!self) errors.push("No self-referencing hreflang")
+    if (!rows.some((r) => r.hreflang.toLowerCase() === "x-default")) warnings.push("No x-default")
+    const selfLang = self && parseLangTag(self.hreflang).lang
+    if (selfLang && langTag?.lang && selfLang !== langTag.lang) {
+      warnings.push(`Self hreflang "${self.hreflang}" vs <html lang="${htmlLang}">`)
+    }
+
+    // fetch the other versions (x-default often repeats one of them; each URL once)
+    const targets = []
+    for (const r of rows) {
+      if (r.self || r.error || targets.some((u) => sameUrl(u, r.href))) continue
+      targets.push(r.href)
+    }
+    const picked = []
+    for (const u of targets.slice(0, maxFetches)) {
+      if (!canFetch()) break
+      picked.push(u)
+    }
+    const results = await Promise.all(picked.map((u) => inspectUrl(u, { timeoutMs: timeoutMs(), withPage: true })))
+    const selfHref = self?.href || pageUrl
+    for (const r of rows) {
+      const res = results.find((x) => sameUrl(x.url, r.href))
+      if (!res) continue
+      r.status = res.status
+      if (res.redirectTo !== undefined) r.redirectTo = res.redirectTo
+      r.indexable = res.status === 200 && !res.noindex && !res.canonical
+      if (res.noindex) r.noindex = true
+      if (res.canonical) r.canonical = res.canonical
+      r.returnLink = res.page
+        ? extractHreflang(res.page.html, res.page.headers, res.url).some((b) => sameUrl(b.href, selfHref))
+        : false
+    }
+
+    const checked = rows.filter((r) => r.status !== undefined)
+    const redirected = checked.filter((r) => r.redirectTo !== undefined)
+    const broken = checked.filter((r) => r.redirectTo === undefined && r.status !== 200)
+    const notIndexable = checked.filter((r) => r.status === 200 && !r.indexable)
+    const noReturn = checked.filter((r) => r.status === 200 && !r.returnLink)
+    if (broken.length) errors.push(`${broken.length} alternate(s) not 200`)
+    if (notIndexable.length) errors.push(`${notIndexable.length} alternate(s) noindex or canonicalised elsewhere`)
+    if (noReturn.length) errors.push(`${noReturn.length} alternate(s) without a return link`)
+    if (redirected.length) warnings.push(`${redirected.length} alternate(s) redirect`)
+    if (targets.length > picked.length) warnings.push(`${targets.length - picked.length} alternate(s) not checked (budget)`)
+  }
+
+  const signals = [
+    htmlLang && `html lang: ${htmlLang}`,
+    contentLanguage.length && `Content-Language: ${contentLanguage.join(", ")}`,
+  ].filter(Boolean)
+  const details = rows.length
+    ? [`${rows.length} hreflang alternate(s)`, ...signals, ...errors, ...warnings]
+    : ["No hreflang annotations", ...signals, ...warnings]
+
+  return {
+    id: "hreflang",
+    label: LABELS.hreflang,
+    status: errors.length ? "fail" : warnings.length ? "warn" : "pass",
+    details: details.join(" • "),
+    value: {
+      htmlLang: htmlLang || null,
+      contentLanguage,
+      alternates: rows.map(({ page, ...r }) => r),
+      errors,
+      warnings,
+    },
+  }
+}
+
+/** ---------- links ---------- */
+const LINK_REL_FLAGS = ["nofollow", "sponsored", "ugc"]
+const LIST_CAP = 10 // redirect chains / javascript / empty-text examples
+
+const bareHost = (h = "") => h.toLowerCase().replace(/^www\./, "")
+
+// Every <a href> on the page → { href, url?, kind, internal, text, rel }
+// kind: http | javascript | fragment | mailto | tel | other
+function extractAnchors(html = "", pageUrl = "") {
+  const doc = html.replace(/<!--[\s\S]*?-->/g, "").replace(/<(script|style|template)\b[\s\S]*?<\/\1>/gi, "")
+  let host = ""
+  try {
+    host = bareHost(new URL(pageUrl).host)
+  } catch {}
+
+  const out = []
+  for (const [, attrs, inner] of doc.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)) {
+    const tag = `<a ${attrs}>`
+    const raw = getAttr(tag, "href")
+    if (raw === undefined) continue
+    const href = decodeEntities(raw).trim()
+    const rel = (getAttr(tag, "rel") || "").toLowerCase().split(/\s+/).filter((r) => LINK_REL_FLAGS.includes(r))
+    const text = stripTags(inner) || (getAttr(tag, "aria-label") || getAttr(tag, "title") || "").trim()
+    const a = { href, kind: "other", internal: false, text, rel }
+    if (/^javascript:/i.test(href)) a.kind = "javascript"
+    else if (!href || href.startsWith("#")) a.kind = "fragment"
+    else if (/^mailto:/i.test(href)) a.kind = "mailto"
+    else if (/^tel:/i.test(href)) a.kind = "tel"
+    else {
+      const abs = absUrl(pageUrl, href)
+      try {
+        const u = new URL(abs)
+        if (/^https?:$/.test(u.protocol)) {
+          u.hash = ""
+          a.kind = "http"
+          a.url = u.toString()
+          a.internal = bareHost(u.host) === host
+        }
+      } catch {}
+    }
+    out.push(a)
+  }
+  return out
+}
+
+// Follows a link hop by hop → { url, status, hops: [url…], finalUrl, error? }, or null
+// when `spend` runs out first. HEAD first; a failed HEAD or a 4xx/5xx is re-tried
+// once with a plain GET before it counts as broken. Every request is spent.
+async function checkLink(url, { timeoutMs, spend, maxHops = LIMITS.REDIRECT_MAX_HOPS }) {
+  const hops = []
+  let current = url
+  try {
+    while (true) {
+      const r = await tryHeadThenGet(current, { timeoutMs: timeoutMs(), redirect: "manual", headers: BROWSER_HEADERS, spend })
+      if (!r) return null
+      r.body?.cancel().catch(() => {})
+      const next = r.status >= 300 && r.status < 400 && absUrl(current, r.headers.get("location") || "")
+      if (!next) return { url, status: r.status, hops, finalUrl: current }
+      if (hops.length >= maxHops || hops.includes(next) || next === url) {
+        return { url, status: r.status, hops: [...hops, next], finalUrl: next, error: "Redirect loop or too many hops" }
+      }
+      hops.push(next)
+      current = next
+    }
+  } catch (e) {
+    return { url, status: 0, hops, finalUrl: current, error: e?.name === "AbortError" ? "Timed out" : "Unreachable" }
+  }
+}
+
+// Anchor hygiene + status of unique http(s) targets, internal first, `concurrency` at a
+// time, until `maxFetches` requests (a budget separate from the audit's) are spent.
+async function auditLinks(
+  html = "",
+  pageUrl = "",
+  { timeoutMs, canContinue = () => true, maxFetches = LIMITS.LINK_FETCHES, concurrency = LIMITS.LINK_CONCURRENCY, failureCap = LIMITS.LINK_FAILURES_CAP } = {}
+) {
+  const anchors = extractAnchors(html, pageUrl)
+  const http = anchors.filter((a) => a.kind === "http")
+  const targets = new Map() // url -> { internal, text }
+  for (const a of [...http.filter((a) => a.internal), ...http.filter((a) => !a.internal)]) {
+    if (!targets.has(a.url)) targets.set(a.url, { internal: a.internal, text: a.text })
+  }
+
+  let fetchesLeft = maxFetches
+  const spend = () => fetchesLeft-- > 0
+  const queue = [...targets.keys()]
+  const results = []
+  const worker = async () => {
+    while (queue.length && fetchesLeft > 0 && canContinue()) {
+      const url = queue.shift()
+      const r = await checkLink(url, { timeoutMs, spend })
+      if (r) results.push({ ...r, ...targets.get(url) })
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker))
+
+  const broken = results.filter((r) => r.status >= 400 && !BLOCK_CODES.has(r.status))
+  const blocked = results.filter((r) => BLOCK_CODES.has(r.status))
+  const unreachable = results.filter((r) => r.status === 0 || (r.error && r.status < 400))
+  const redirected = results.filter((r) => r.hops.length)
+  const chains = redirected.filter((r) => r.hops.length > 1)
+  const internalBroken = broken.filter((r) => r.internal)
+  const javascript = anchors.filter((a) => a.kind === "javascript")
+  const emptyText = anchors.filter((a) => !a.text && a.kind !== "fragment")
+  const relCount = (flag, internal) => http.filter((a) => a.rel.includes(flag) && (internal === undefined || a.internal === internal)).length
+  const nofollowInternal = relCount("nofollow", true)
+
+  const counts = {
+    anchors: anchors.length,
+    internal: http.filter((a) => a.internal).length,
+    external: http.filter((a) => !a.internal).length,
+    unique: targets.size,
+    checked: results.length,
+    unchecked: targets.size - results.length,
+    broken: broken.length,
+    internalBroken: internalBroken.length,
+    blocked: blocked.length,
+    unreachable: unreachable.length,
+    redirected: redirected.length,
+    redirectChains: chains.length,
+    nofollow: relCount("nofollow"),
+    nofollowInternal,
+    sponsored: relCount("sponsored"),
+    ugc: relCount("ugc"),
+    emptyText: emptyText.length,
+    javascript: javascript.length,
+  }
+
+  const issues = [
+    broken.length && `${broken.length} broken (${internalBroken.length} internal)`,
+    unreachable.length && `${unreachable.length} unreachable`,
+    chains.length && `${chains.length} redirect chain(s)`,
+    javascript.length && `${javascript.length} javascript: href(s)`,
+    emptyText.length && `${emptyText.length} without anchor text`,
+    nofollowInternal && `${nofollowInternal} internal nofollow`,
+  ].filter(Boolean)
+
+  const status = !anchors.length
+    ? "warn"
+    : internalBroken.length
+      ? "fail"
+      : issues.length
+        ? "warn"
+        : "pass"
+  const rels = LINK_REL_FLAGS.filter((f) => counts[f]).map((f) => `${f} ${counts[f]}`)
+  const details = anchors.length
+    ? [
+        `${counts.internal} internal, ${counts.external} external`,
+        `${results.length}/${targets.size} checked${redirected.length ? `, ${redirected.length} redirect` : ""}`,
+        rels.length && `rel: ${rels.join(", ")}`,
+        ...issues,
+      ]
+        .filter(Boolean)
+        .join(" • ")
+    : "No <a href> links found"
+
+  const row = (r) => ({
+    url: r.url,
+    status: r.status,
+    internal: r.internal,
+    text: (r.text || "").slice(0, 80),
+    ...(r.hops.length && { hops: r.hops }),
+    ...(r.error && { error: r.error }),
+  })
+  return {
+    id: "links",
+    label: LABELS.links,
+    status,
+    details,
+    value: {
+      counts,
+      failures: [...broken, ...unreachable].slice(0, failureCap).map(row),
+      redirectChains: chains.slice(0, LIST_CAP).map(row),
+      javascript: javascript.slice(0, LIST_CAP).map((a) => ({ href: a.href.slice(0, 120), text: a.text.slice(0, 80) })),
+      emptyText: emptyText.slice(0, LIST_CAP).map((a) => a.url || a.href),
+    },
+  }
+}
+
+async function auditLlms(
+  origin,
+  {
+    robotsText = "",
+    timeoutMs = () => LIMITS.TIME_SMALL_MS,
+    spend = () => true,
+    headers = BROWSER_HEADERS,
+    linkSamples = LIMITS.LLMS_LINK_SAMPLES,
+  } = {}
+) {
+  const aiCrawlers = aiCrawlerAccess(robotsText)
+  const llmsUrl = absUrl(origin + "/", "/llms.txt")
+  const fullUrl = absUrl(origin + "/", "/llms-full.txt")
+
+  const get = async (u) => {
+    if (!spend()) return { found: false, skipped: true }
+    try {
+      return await fetchTextFile(u, { timeoutMs: timeoutMs(), headers })
+    } catch {
+      return { found: false, error: true }
+    }
+  }
+  const [llms, full] = await Promise.all([get(llmsUrl), get(fullUrl)])
+
+  let parsed = null
+  const broken = []
+  let checked = 0
+  if (llms.found) {
+    parsed = parseLlmsTxt(llms.text, llms.finalUrl)
+    for (const u of parsed.links.slice(0, linkSamples)) {
+      if (!spend()) break
+      checked++
+      try {
+        const r = await tryHeadThenGet(u, { timeoutMs: timeoutMs(), headers })
+        if (!isOk(r)) broken.push({ url: u, status: r.status })
+      } catch {
+        broken.push({ url: u, status: 0 })
+      }
+    }
+  }
+
+  const blockedAgents = aiCrawlers.filter((c) => c.state === "blocked").map((c) => c.agent)
+  const crawlerNote = blockedAgents.length
+    ? `AI crawlers blocked: ${blockedAgents.join(", ")}`
+    : "AI crawlers not blocked"
+
+  let status = "warn"
+  const parts = []
+  if (!llms.found) {
+    parts.push(llms.skipped ? "Not checked (sub-request budget)" : "No llms.txt found")
+  } else {
+    const issues = [...parsed.issues]
+    if (broken.length) issues.push(`${broken.length}/${checked} sampled link(s) broken`)
+    status = parsed.issues.includes("Missing H1 title") ? "fail" : issues.length ? "warn" : "pass"
+    parts.push(`llms.txt: ${parsed.sections.length} section(s), ${parsed.links.length} link(s)`)
+    if (issues.length) parts.push(issues.slice(0, 2).join("; "))
+  }
+  if (full.found) parts.push(full.over ? `llms-full.txt present (over ${TEXT_MAX_BYTES / 1024 / 1024} MB)` : "llms-full.txt present")
+  parts.push(crawlerNote)
+
+  return {
+    id: "llms",
+    label: LABELS.llms,
+    status,
+    details: parts.join(" • "),
+    value: {
+      llmsTxt: {
+        url: llmsUrl,
+        found: !!llms.found,
+        ...(parsed && {
+          title: parsed.title,
+          summary: parsed.summary.slice(0, 300),
+          sections: parsed.sections,
+          issues: parsed.issues,
+          links: { total: parsed.links.length, checked, broken },
+        }),
+      },
+      llmsFullTxt: {
+        url: fullUrl,
+        found: !!full.found,
+        // over: larger than `bytes`, where counting stopped
+        ...(full.found && { bytes: full.bytes, ...(full.over && { over: true }) }),
+      },
+      aiCrawlers,
+    },
+  }
+}
+
+/** ---------- PageSpeed Insights ---------- */
+const FIELD_STATUS = { FAST: "pass", AVERAGE: "warn", SLOW: "fail" }
+const STATUS_RANK = { pass: 0, warn: 1, fail: 2 }
+
+const rateMetric = (v, { good, poor }) => (v <= good ? "pass" : v <= poor ? "warn" : "fail")
+const rateScore = (n) => (n >= 90 ? "pass" : n >= 50 ? "warn" : "fail")
+const fmtMetric = (v, unit) =>
+  unit !== "ms" ? String(v) : v >= 1000 ? `${(v / 1000).toFixed(1)} s` : `${v} ms`
+
+// One row across strategies: details "mobile: …; desktop: …", value keyed by
+// strategy, status the worst reading. No reading at all → no row.
+function strategyRow(id, label, runs, read) {
+  const parts = []
+  const value = {}
+  let status = null
+  for (const run of runs) {
+    const r = run.ok ? read(run.result) : null
+    if (!r) continue
+    parts.push(`${run.strategy}: ${r.text}`)
+    value[run.strategy] = r.value
+    if (!status || STATUS_RANK[r.status] > STATUS_RANK[status]) status = r.status
+  }
+  return status ? { id, label, status, details: parts.join("; "), value } : null
+}
+
+// startPsi() results → psi (mobile performance score, as it always was),
+// field-*, lab-* and lighthouse-* rows
+function psiChecks(runs) {
+  const mobile = runs.find((r) => r.strategy === "mobile" && r.ok)?.result.scores.performance ?? null
+  const rows = [
+    mobile !== null && {
+      id: "psi",
+      label: LABELS.psi,
+      status: mobile >= 70 ? "pass" : "warn",
+      details: `${mobile}/100`,
+      value: mobile,
+    },
+  ]
+
+  for (const [id, m] of Object.entries(FIELD_METRICS)) {
+    rows.push(
+      strategyRow(`field-${id}`, LABELS[`field-${id}`], runs, (r) => {
+        const f = r.field?.[id]
+        if (!f) return null
+        const scope = r.field.scope === "origin" ? ", origin" : ""
+        return {
+          status: FIELD_STATUS[f.category] || rateMetric(f.p75, m),
+          text: `${fmtMetric(f.p75, m.unit)} (${f.category || "no category"}${scope})`,
+          value: { ...f, scope: r.field.scope },
+        }
+      })
+    )
+  }
+
+  for (const [id, m] of Object.entries(LAB_METRICS)) {
+    rows.push(
+      strategyRow(`lab-${id}`, LABELS[`lab-${id}`], runs, (r) => {
+        const v = r.lab[id]
+        if (v === null) return null
+        return { status: rateMetric(v, m), text: fmtMetric(v, m.unit), value: v }
+      })
+    )
+  }
+
+  for (const c of ["seo", "accessibility", "best-practices"]) {
+    rows.push(
+      strategyRow(`lighthouse-${c}`, LABELS[`lighthouse-${c}`], runs, (r) => {
+        const score = r.scores[c]
+        if (score === null) return null
+        return { status: rateScore(score), text: `${score}/100`, value: score }
+      })
+    )
+  }
+  return rows.filter(Boolean)
+}
+
+// Payload `speed`: performance score, mobile preferred
+function psiSpeed(runs) {
+  const run = runs.find((r) => r.ok && r.result.scores.performance !== null)
+  return run ? run.result.scores.performance : undefined
+}
+
+// Payload `pagespeed`: per strategy, the category scores with the top failing
+// audits and opportunities, or the error; undefined when PSI did not run
+function psiDetail(runs) {
+  if (!runs.length) return undefined
+  const out = {}
+  for (const run of runs) {
+    if (!run.ok) {
+      out[run.strategy] = { error: run.error }
+      continue
+    }
+    const { scores, failing, opportunities, lighthouseVersion } = run.result
+    out[run.strategy] = { scores, failing, opportunities, lighthouseVersion }
+  }
+  return out
+}
+
+/** ---------- Site crawl (multi-page) ---------- */
+// Each POST crawls what fits in OVERALL_BUDGET_MS and hands back a signed cursor;
+// the client re-POSTs { url, crawl: { cursor } } until crawl.done is true.
+// `pages` holds only that call's results; `summary` covers the whole crawl.
+const CRAWL_LIMITS = {
+  DEFAULT_PAGES: 10,
+  MAX_PAGES: 50,
+  DEFAULT_DEPTH: 2,
+  MAX_DEPTH: 5,
+  CONCURRENCY: 3,
+  SITEMAP_CHILDREN: 3,
+  MIN_TIME_FOR_BATCH_MS: 1500,
+  SEEN_PER_PAGE: 4, // URLs discovered per allowed page; bounds queue, seen and the cursor
+}
+const CRAWL_CHECK_IDS = ["title-length", "meta-description", "canonical", "noindex", "h1-structure", "img-alt"]
+const NON_HTML_EXT = /\.(pdf|jpe?g|png|gif|webp|avif|svg|ico|css|js|mjs|json|xml|txt|zip|gz|rar|mp3|mp4|mov|webm|woff2?|ttf|eot|docx?|xlsx?|pptx?)$/i
+
+const clampInt = (v, def, max) => {
+  const n = parseInt(v, 10)
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : def
+}
+
+// base64url(state) + "." + HMAC, so clients can't rewrite the host, queue or limits
+async function encodeCursor(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state))
+  let bin = ""
+  for (const b of bytes) bin += String.fromCharCode(b)
+  const body = btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")
+  return `${body}.${await signValue(body)}`
+}
+
+export async function decodeCursor(cursor) {
+  try {
+    const [body, sig] = String(cursor).split(".")
+    if (!body || !(await signatureMatches(body, sig))) return null
+    const bin = atob(body.replace(/-/g, "+").replace(/_/g, "/"))
+    const state = JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0))))
+    const valid =
+      state?.v === 2 &&
+      Array.isArray(state.queue) &&
+      Array.isArray(state.seen) &&
+      Array.isArray(state.digests) &&
+      Array.isArray(state.rules)
+    return valid ? state : null
+  } catch {
+    return null
+  }
+}
+
+// What the cursor keeps of a crawled page: enough for summarizeCrawl, no details
+const digestPage = (p) => ({
+  url: p.url,
+  ...(p.error && { error: true }),
+  title: (p.title || "").slice(0, 200),
+  metaDescription: (p.metaDescription || "").slice(0, 300),
+  checks: Object.fromEntries((p.checks || []).map((c) => [c.id, c.status])),
+})
+
+function extractInternalLinks(html = "", pageUrl = "", host = "") {
+  const out = new Set()
+  const doc = html.replace(/<!--[\s\S]*?-->/g, "")
+  for (const m of doc.matchAll(/<a\b[^>]*>/gi)) {
+    const href = getAttr(m[0], "href")
+    if (!href || /^(#|mailto:|tel:|javascript:)/i.test(href.trim())) continue
+    const abs = absUrl(pageUrl, href.trim())
+    if (!abs) continue
+    try {
+      const u = new URL(abs)
+      if (!/^https?:$/.test(u.protocol) || u.host !== host) continue
+      if (NON_HTML_EXT.test(u.pathname)) continue
+      out.add(normalizeKey(u.toString()))
+    } catch {}
+  }
+  return [...out]
+}
+
+// Sitemap-listed pages on this host (follows a few children of a sitemap index)
+async function discoverSitemapPages(origin, robotsText, { limit, timeoutMs, canFetch }) {
+  const listed = parseRobots(robotsText).sitemaps.map((u) => absUrl(origin + "/", u))
+  const candidates = [...new Set([...listed, absUrl(origin + "/", "/sitemap.xml")].filter(Boolean))]
+  const host = new URL(origin).host
+  const pages = new Set()
+
+  for (const sm of candidates) {
+    const walk = await walkSitemaps([sm], {
+      maxDepth: 1,
+      maxFiles: 1 + CRAWL_LIMITS.SITEMAP_CHILDREN,
+      maxUrls: limit,
+      timeoutMs,
+      canFetch,
+      headers: BROWSER_HEADERS,
+    })
+    for (const { loc } of walk.urls) {
+      try {
+        if (new URL(loc).host === host) pages.add(normalizeKey(loc))
+      } catch {}
+    }
+    if (pages.size) break
+  }
+  return [...pages].slice(0, limit)
+}
+
+async function crawlPage(url, depth, { timeoutMs, host }) {
+  const to = withTimeout(timeoutMs)
+  let res
+  try {
+    res = await fetch(url, { redirect: "follow", signal: to.signal, headers: UA_HEADERS, cache: "no-store" })
+  } catch (e) {
+    return { page: { url, depth, status: 0, error: e?.name === "AbortError" ? "Timed out" : "Fetch failed", checks: [] }, links: [] }
+  } finally {
+    to.done()
+  }
+
+  const finalUrl = res.url || url
+  const ct = (res.headers.get("content-type") || "").toLowerCase()
+  if (!res.ok || (ct && !ct.includes("html"))) {
+    res.body?.cancel().catch(() => {})
+    return {
+      page: { url, finalUrl, depth, status: res.status, error: res.ok ? `Not HTML (${ct})` : `HTTP ${res.status}`, checks: [] },
+      links: [],
+    }
+  }
+
+  const html = await res.text()
+  const title = decodeEntities(parseTitle(html))
+  const metaDescription = getMetaName(html, "description") || ""
+  const imgTags = [...html.matchAll(/<img[^>]*>/gi)].map((m) => m[0]).slice(0, 40)
+  const headings = makeHeadingOutlineCheck(html, title)
+  const checks = [
+    makeTitleCheck(title),
+    makeMetaDescriptionCheck(metaDescription),
+    makeCanonicalCheck(html, finalUrl),
+    makeRobotsDirectiveChecks(html, res.headers)[0],
+    // the full outline is too heavy to repeat per page
+    { ...headings, value: { counts: headings.value.counts, issues: headings.value.issues } },
+    makeImageAltCheck(imgTags),
+  ]
+  return {
+    page: { url, finalUrl, depth, status: res.status, title, metaDescription, checks },
+    links: extractInternalLinks(html, finalUrl, host),
+  }
+}
+
+// pages: digestPage() rows for everything crawled so far
+function summarizeCrawl(pages = []) {
+  const checks = Object.fromEntries(CRAWL_CHECK_IDS.map((id) => [id, { pass: 0, warn: 0, fail: 0 }]))
+  for (const p of pages) {
+    for (const [id, status] of Object.entries(p.checks || {})) {
+      if (checks[id] && status in checks[id]) checks[id][status]++
+    }
+  }
+  const dupes = (key) => {
+    const by = new Map()
+    for (const p of pages) {
+      const v = (p[key] || "").trim().toLowerCase()
+      if (v) by.set(v, [...(by.get(v) || []), p.url])
+    }
+    return [...by].filter(([, urls]) => urls.length > 1).map(([text, urls]) => ({ text, urls }))
+  }
+  return {
+    pagesCrawled: pages.length,
+    pagesWithErrors: pages.filter((p) => p.error).length,
+    noindexPages: pages.filter((p) => p.checks?.noindex === "fail").map((p) => p.url),
+    checks,
+    duplicateTitles: dupes("title"),
+    duplicateDescriptions: dupes("metaDescription"),
+  }
+}
+
+export async function runCrawl(rawUrl, opts = {}, cursorState = null) {
+  const startedAt = Date.now()
+  const timeLeft = () => Math.max(0, OVERALL_BUDGET_MS - (Date.now() - startedAt))
+  const within = (ms) => Math.max(150, Math.min(ms, timeLeft() - 200))
+
+  let state = cursorState
+  if (!state) {
+    const normalizedUrl = /^https?:\/\//i.test(rawUrl) ? rawUrl : `https://${rawUrl}`
+    const start = new URL(normalizedUrl)
+    const maxPages = clampInt(opts.maxPages, CRAWL_LIMITS.DEFAULT_PAGES, CRAWL_LIMITS.MAX_PAGES)
+    const maxDepth = clampInt(opts.maxDepth, CRAWL_LIMITS.DEFAULT_DEPTH, CRAWL_LIMITS.MAX_DEPTH)
+
+    let robotsText = ""
+    try {
+      const robots = await fetchTextFile(absUrl(start.origin + "/", "/robots.txt"), {
+        timeoutMs: within(LIMITS.TIME_SMALL_MS),
+      })
+      if (robots.found) robotsText = robots.text
+    } catch {}
+    const { rules } = rulesFor(parseRobots(robotsText), "*")
+
+    const startKey = normalizeKey(normalizedUrl)
+    const fromSitemap = await discoverSitemapPages(start.origin, robotsText, {
+      limit: maxPages * 2,
+      timeoutMs: () => within(LIMITS.TIME_SMALL_MS),
+      canFetch: () => timeLeft() > CRAWL_LIMITS.MIN_TIME_FOR_BATCH_MS,
+    })
+    const queue = [{ url: startKey, depth: 0 }]
+    for (const u of fromSitemap) if (u !== startKey) queue.push({ url: u, depth: 1 })
+
+    state = {
+      v: 2,
+      start: startKey,
+      host: start.host,
+      maxPages,
+      maxDepth,
+      rules,
+      sitemapPages: fromSitemap.length,
+      queue,
+      seen: queue.map((q) => q.url),
+      digests: [],
+      skippedByRobots: [],
+    }
+  }
+  // a resumed cursor gets the same limits as a fresh request
+  state.maxPages = clampInt(state.maxPages, CRAWL_LIMITS.DEFAULT_PAGES, CRAWL_LIMITS.MAX_PAGES)
+  state.maxDepth = clampInt(state.maxDepth, CRAWL_LIMITS.DEFAULT_DEPTH, CRAWL_LIMITS.MAX_DEPTH)
+  const maxSeen = state.maxPages * CRAWL_LIMITS.SEEN_PER_PAGE
+
+  const pages = []
+  const seen = new Set(state.seen)
+  // Checked right before each fetch: queue entries only ever point at the crawl's own host
+  const onHost = (u) => {
+    try {
+      const x = new URL(u)
+      return /^https?:$/.test(x.protocol) && x.host === state.host
+    } catch {
+      return false
+    }
+  }
+  const allowed = (u) => {
+    const x = new URL(u)
+    return robotsAllows(state.rules, x.pathname + x.search)
+  }
+
+  while (
+    state.queue.length &&
+    state.digests.length < state.maxPages &&
+    timeLeft() > CRAWL_LIMITS.MIN_TIME_FOR_BATCH_MS
+  ) {
+    const room = state.maxPages - state.digests.length
+    const batch = []
+    while (state.queue.length && batch.length < Math.min(CRAWL_LIMITS.CONCURRENCY, room)) {
+      const next = state.queue.shift()
+      if (!onHost(next?.url)) continue
+      if (allowed(next.url)) batch.push(next)
+      else state.skippedByRobots.push(next.url)
+    }
+    if (!batch.length) continue
+
+    const results = await Promise.all(
+      batch.map((b) => crawlPage(b.url, b.depth, { timeoutMs: within(LIMITS.TIME_PAGE_MS), host: state.host }))
+    )
+    results.forEach(({ page, links }, i) => {
+      pages.push(page)
+      state.digests.push(digestPage(page))
+      const depth = batch[i].depth + 1
+      if (depth > state.maxDepth) return
+      for (const l of links) {
+        if (seen.size >= maxSeen) break
+        if (seen.has(l)) continue
+        seen.add(l)
+        state.queue.push({ url: l, depth })
+      }
+    })
+  }
+  state.seen = [...seen]
+
+  const done = !state.queue.length || state.digests.length >= state.maxPages
+  return {
+    ok: true,
+    mode: "crawl",
+    url: rawUrl,
+    normalizedUrl: state.start,
+    timingMs: Date.now() - startedAt,
+    crawl: {
+      done,
+      maxPages: state.maxPages,
+      maxDepth: state.maxDepth,
+      pagesCrawled: state.digests.length,
+      queued: state.queue.length,
+      sitemapPages: state.sitemapPages,
+      skippedByRobots: state.skippedByRobots,
+      ...(!done && { cursor: await encodeCursor(state) }),
+    },
+    summary: summarizeCrawl(state.digests),
+    pages,
+  }
+}
+
+/** ---------- audit core ---------- */
+// Every audit payload carries the shared score (see lib/scoring.js):
+// overall, catScores, uncappedOverall, the gate that capped it (if any) and
+// the scoring profile used. Cached payloads are re-scored per request.
+export function scoreAudit(checks, profile) {
+  const { overall, uncapped, catScores, gate, gates, profile: used } = computeOverall(checks, profile)
+  return { overall, catScores, uncappedOverall: uncapped, gate, gates, profile: used }
+}
+
+// Every path (normal, blocked, timeout) leaves here in the one versioned shape
+export async function runAudit(req, rawUrl, { profile, ...opts } = {}) {
+  const out = normalizeAudit(await auditPage(req, rawUrl, opts))
+  return { ...out, ...scoreAudit(out.checks, profile) }
+}
+
+// Graceful partial for when an AbortError escapes runAudit
+export function abortedAudit(rawUrl, profile) {
+  const url = rawUrl || "(unknown)"
+  const normalizedUrl = /^https?:\/\//i.test(url) ? url : `https://${url}`
+  const out = normalizeAudit({
+    timeout: true,
+    crawlerWarning: true,
+    crawlerWarningMsg: DEFAULT_CRAWLER_MSG,
+    url,
+    normalizedUrl,
+    timingMs: OVERALL_BUDGET_MS,
+    checks: [{ id: "timeout", label: LABELS.timeout, status: "warn", details: "Operation aborted" }],
+  })
+  return { ...out, ...scoreAudit(out.checks, profile) }
+}
+
+// Options let longer-lived callers (background jobs) raise the time budget and
+// per-step limits; `onCheck` sees every check row as soon as it is recorded and
+// `onProgress` gets a start/end event for each timed() step.
+async function auditPage(
+  req,
+  rawUrl,
+  { budgetMs = OVERALL_BUDGET_MS, limits = {}, onCheck, onProgress } = {}
+) {
+  const L = { ...LIMITS, ...limits }
+  const normalizedUrl = /^https?:\/\//i.test(rawUrl) ? rawUrl : `https://${rawUrl}`
+
+  // diag (only when DEBUG_AUDIT=1)
+  const DIAG = []
+  const timed = async (label, fn) => {
+    const t = Date.now()
+    onProgress?.({ label, phase: "start", elapsedMs: t - startedAt })
+    try {
+      return await fn()
+    } finally {
+      const ms = Date.now() - t
+      if (process.env.DEBUG_AUDIT === "1") DIAG.push({ label, ms })
+      onProgress?.({ label, phase: "end", ms, elapsedMs: Date.now() - startedAt })
+    }
+  }
+
+  // overall budget
+  const startedAt = Date.now()
+  const timeLeft = () => Math.max(0, budgetMs - (Date.now() - startedAt))
+  const within = (ms) => Math.max(150, Math.min(ms, timeLeft()))
+
+  // sub-request budget
+  let budget = L.MAX_SUBREQUESTS
+  const spend = (n = 1) => {
+    if (budget - n < 0) return false
+    budget -= n
+    return true
+  }
+
+  // PSI takes longer than most of the audit, so it starts as soon as the page
+  // answers (on the URL it landed on) and is collected last
+  const psiStrategies = parseStrategies(L.PSI_STRATEGIES)
+  let psiRun = null
+  const startPsiRun = (url) => {
+    if (psiRun || !spend(psiStrategies.length)) return
+    psiRun = startPsi(url, {
+      strategies: psiStrategies,
+      key: process.env.PSI_API_KEY,
+      timeoutMs: within(L.TIME_PSI_MS),
+    })
+  }
+  const collectPsi = async (label) => {
+    if (!psiRun) return { checks: [], speed: undefined, pagespeed: undefined }
+    const runs = await timed(label, () => psiRun.collect(timeLeft() - 150))
+    return { checks: psiChecks(runs), speed: psiSpeed(runs), pagespeed: psiDetail(runs) }
+  }
+
+  // check rows, reported to onCheck as they land
+  const checkList = () => {
+    const list = []
+    if (onCheck) {
+      list.push = (...rows) => {
+        for (const row of rows) onCheck(row)
+        return Array.prototype.push.apply(list, rows)
+      }
+    }
+    return list
+  }
+
+  // Always-defined meta fields
+  let title = ""
+  let metaDesc = ""
+
+  // Helper: partial fallback for TIMEOUT/abort
+  const timeoutPartial = async (
+    statusText = "Main page fetch exceeded time budget"
+  ) => {
+    const checks = checkList()
+    // no page to follow; PSI tries the URL as given
+    startPsiRun(normalizedUrl)
+
+    checks.push({
+      id: "timeout",
+      label: LABELS.timeout,
+      status: "warn",
+      details: statusText,
+    })
+
+    // favicon (best effort)
+    try {
+      const favUrl = new URL("/favicon.ico", normalizedUrl).toString()
+      const r = await tryHeadThenGet(favUrl, {
+        timeoutMs: within(L.TIME_ASSET_MS),
+        headers: BROWSER_HEADERS,
+      })
+      checks.push({
+        id: "favicon",
+        label: "Favicon present & loads",
+        status: isOk(r) ? "pass" : "warn",
+        details: favUrl,
+        value: isOk(r),
+      })
+    } catch {
+      checks.push({
+        id: "favicon",
+        label: "Favicon present & loads",
+        status: "warn",
+        details: "Unknown",
+      })
+    }
+
+    const origin = (() => {
+      try {
+        return new URL(normalizedUrl).origin
+      } catch {
+        return normalizedUrl
+      }
+    })()
+
+    // robots + collect Sitemap URLs
+    const robots = await timed("robots-timeout", () =>
+      fetchRobots(origin, { timeoutMs: () => within(L.TIME_SMALL_MS) })
+    )
+    const robotsSitemaps = robots.sitemaps
+    const robotsTxt = robots.text
+    checks.push(robotsCheck(robots, { pageUrl: normalizedUrl }))
+
+    // sitemap probe (HEAD/GET some common paths + robots-listed)
+
+    let sitemapFound = null
+    const candidates = new Set([
+      new URL("/sitemap.xml", origin).toString(),
+      new URL("/sitemap_index.xml", origin).toString(),
+      new URL("/sitemap-index.xml", origin).toString(),
+      new URL("/wp-sitemap.xml", origin).toString(),
+      ...(robotsSitemaps || []),
+    ])
+
+    for (const u of candidates) {
+      if (timeLeft && timeLeft() < 300) break
+      try {
+        const h = await tryHeadThenGet(u, {
+          timeoutMs: within ? within(L.TIME_SMALL_MS) : L.TIME_SMALL_MS,
+          headers: BROWSER_HEADERS,
+        })
+        if (isOk(h)) {
+          sitemapFound = h.url || u
+          break
+        }
+      } catch {}
+    }
+
+    checks.push({
+      id: "sitemap",
+      label: LABELS.sitemap,
+      status: sitemapFound ? "warn" : "fail",
+      details: sitemapFound
+        ? `Found: ${sitemapFound} (content not parsed in this fast path)`
+        : "No sitemap found at common paths or in robots.txt",
+    })
+
+    // llms.txt + AI crawler rules
+    if (timeLeft() > 500) {
+      const llmsCheck = await timed("llms-timeout", () =>
+        auditLlms(origin, {
+          robotsText: robotsTxt,
+          timeoutMs: () => within(L.TIME_SMALL_MS),
+          spend: () => spend() && timeLeft() > 200,
+          linkSamples: L.LLMS_LINK_SAMPLES,
+        })
+      )
+      checks.push(llmsCheck)
+    }
+
+    // PSI (started with the audit)
+    const psi = await collectPsi("psi-timeout")
+    checks.push(...psi.checks)
+
+    const payload = {
+      ok: true,
+      timeout: true,
+      crawlerWarning: true,
+      crawlerWarningMsg: DEFAULT_CRAWLER_MSG,
+      url: rawUrl,
+      normalizedUrl,
+      finalUrl: normalizedUrl,
+      fetchedStatus: 0,
+      timingMs: budgetMs,
+      title,
+      metaTitle: title,
+      metaDescription: metaDesc,
+      speed: psi.speed,
+      pagespeed: psi.pagespeed,
+      checks,
+    }
+    if (process.env.DEBUG_AUDIT === "1") payload._diag = DIAG
+    return payload
+  }
+
+  try {
+    // MAIN PAGE FETCH (with soft timeout)
+    const t0 = Date.now()
+    let pageRes
+    try {
+      pageRes = await timed("page", () =>
+        retry(async () => {
+          const to = withTimeout(within(L.TIME_PAGE_MS))
+          try {
+            return await fetch(normalizedUrl, {
+              redirect: "follow",
+              signal: to.signal,
+              headers: UA_HEADERS,
+              cache: "no-store",
+            })
+          } finally {
+            to.done()
+          }
+        })
+      )
+    } catch (e) {
+      // SOFT TIMEOUT: return partial instead of throwing
+      if (e?.name === "AbortError") {
+        return timeoutPartial(`Main page fetch exceeded ~${L.TIME_PAGE_MS}ms`)
+      }
+      throw e
+    }
+
+    // ---- Blocked handling (401/403/429) ----
+    if (BLOCK_CODES.has(pageRes.status)) {
+      await timed("blocked-retry", async () => {
+        try {
+          const to2 = withTimeout(within(6000))
+          try {
+            const r = await fetch(normalizedUrl, {
+              redirect: "follow",
+              signal: to2.signal,
+              headers: BROWSER_HEADERS,
+              cache: "no-store",
+            })
+            pageRes = r
+          } finally {
+            to2.done()
+          }
+        } catch {}
+      })
+
+      if (BLOCK_CODES.has(pageRes.status)) {
+        const status = pageRes.status
+        const finalUrlBlocked = pageRes.url || normalizedUrl
+
+        // derive origin
+        let originBlocked
+        try {
+          originBlocked = new URL(finalUrlBlocked).origin
+        } catch {
+          originBlocked = normalizedUrl
+        }
+
+        const checks = checkList()
+
+        checks.push({
+          id: "blocked",
+          label: "Blocked by bot protection",
+          status: "fail",
+          details: `Received ${status} from ${finalUrlBlocked}`,
+        })
+
+        // robots (best effort)
+        const robots = await timed("robots-blocked", () =>
+          fetchRobots(originBlocked, { timeoutMs: () => within(L.TIME_SMALL_MS) })
+        )
+        const robotsSitemaps = robots.sitemaps
+        const robotsTxt = robots.text
+        checks.push(robotsCheck(robots, { pageUrl: finalUrlBlocked }))
+
+        // sitemap probe
+        let sitemapFound = null
+        const candidates = new Set([
+          new URL("/sitemap.xml", originBlocked).toString(),
+          new URL("/sitemap_index.xml", originBlocked).toString(),
+          new URL("/sitemap-index.xml", originBlocked).toString(),
+          new URL("/wp-sitemap.xml", originBlocked).toString(),
+          ...robotsSitemaps,
+        ])
+
+        for (const u of candidates) {
+          if (timeLeft() < 300) break
+          try {
+            const h = await tryHeadThenGet(u, {
+              timeoutMs: within(L.TIME_SMALL_MS),
+              headers: BROWSER_HEADERS,
+            })
+            if (isOk(h)) {
+              sitemapFound = h.url || u
+              break
+            }
+          } catch {}
+        }
+
+        checks.push({
+          id: "sitemap",
+          label: LABELS.sitemap,
+          status: sitemapFound ? "warn" : "fail",
+          details: sitemapFound
+            ? `Found: ${sitemapFound} (content not parsed in blocked path)`
+            : "No sitemap found at common paths or in robots.txt",
+        })
+
+        // favicon quick probe
+        try {
+          const fav = new URL("/favicon.ico", originBlocked).toString()
+          const h = await tryHeadThenGet(fav, {
+            timeoutMs: within(L.TIME_ASSET_MS),
+            headers: BROWSER_HEADERS,
+          })
+          checks.push({
+            id: "favicon",
+            label: "Favicon present & loads",
+            status: isOk(h) ? "pass" : "warn",
+            details: fav,
+          })
+        } catch {
+          checks.push({
+            id: "favicon",
+            label: "Favicon present & loads",
+            status: "warn",
+            details: "Unknown",
+          })
+        }
+
+        // llms.txt + AI crawler rules
+        if (timeLeft() > 500) {
+          const llmsCheck = await timed("llms-blocked", () =>
+            auditLlms(originBlocked, {
+              robotsText: robotsTxt,
+              timeoutMs: () => within(L.TIME_SMALL_MS),
+              spend: () => spend() && timeLeft() > 200,
+              linkSamples: L.LLMS_LINK_SAMPLES,
+            })
+          )
+          checks.push(llmsCheck)
+        }
+
+        const payload = {
+          ok: true,
+          blocked: true,
+          crawlerWarning: true, // still set, UI can choose to only show the red banner
+          crawlerWarningMsg: DEFAULT_CRAWLER_MSG,
+          url: rawUrl,
+          normalizedUrl,
+          finalUrl: finalUrlBlocked,
+          fetchedStatus: status,
+          timingMs: Date.now() - t0,
+          title: "",
+          metaTitle: title,
+          metaDescription: "",
+          checks,
+        }
+        if (process.env.DEBUG_AUDIT === "1") payload._diag = DIAG
+        return payload
+      }
+    }
+
+    // ---- Normal path ----
+    const finalUrl = pageRes.url
+    startPsiRun(finalUrl)
+    const html = await pageRes.text()
+    const timingMs = Date.now() - Date.now() + Date.now() // noop guard
+
+    title = parseTitle(html)
+
+    const urlObj = new URL(finalUrl)
+    const origin = `${urlObj.protocol}//${urlObj.host}`
+    const host = urlObj.host
+
+    const checks = checkList()
+
+    /** -------- Open Graph -------- */
+    const ogTitle = getMetaProp(html, "og:title")
+    const ogDesc = getMetaProp(html, "og:description")
+    const ogImageRel = getMetaProp(html, "og:image")
+    const ogImage = ogImageRel ? absUrl(finalUrl, ogImageRel) : undefined
+    let ogImageLoads = undefined
+    if (ogImage && spend() && timeLeft() > 300) {
+      try {
+        await timed("og:image", async () => {
+          const to = withTimeout(within(L.TIME_ASSET_MS))
+          try {
+            const r = await fetch(ogImage, {
+              method: "GET",
+              signal: to.signal,
+              headers: UA_HEADERS,
+              cache: "no-store",
+            })
+            ogImageLoads = r.ok
+          } finally {
+            to.done()
+          }
+        })
+      } catch {
+        ogImageLoads = false
+      }
+    }
+    checks.push({
+      id: "opengraph",
+      label: "Open Graph tags",
+      status:
+        ogTitle && (ogImage && ogImageLoads !== false)
+          ? "pass"
+          : ogTitle || ogDesc || ogImage
+          ? "warn"
+          : "fail",
+      details: `og:title=${!!ogTitle} og:description=${!!ogDesc} og:image=${!!ogImage} (image loads: ${
+        ogImageLoads === true ? "yes" : ogImageLoads === false ? "no" : "unknown"
+      })`,
+    })
+
+    /** -------- Favicon -------- */
+    let faviconLoads = undefined
+    let faviconUrl = undefined
+    const iconRelMatch = [...html.matchAll(/<link[^>]*rel=["'][^"']*icon[^"']*["'][^>]*>/gi)][0]?.[0]
+    const iconHref = iconRelMatch ? iconRelMatch.match(/href=["']([^"']+)["']/i)?.[1] : null
+    faviconUrl = absUrl(finalUrl, iconHref || "/favicon.ico")
+    if (faviconUrl && spend() && timeLeft() > 250) {
+      try {
+        await timed("favicon", async () => {
+          const r = await tryHeadThenGet(faviconUrl, {
+            timeoutMs: within(L.TIME_ASSET_MS),
+          })
+          faviconLoads = isOk(r)
+        })
+      } catch {
+        faviconLoads = false
+      }
+    }
+    checks.push({
+      id: "favicon",
+      label: "Favicon present & loads",
+      status:
+        faviconLoads === true ? "pass" : faviconLoads === false ? "fail" : "warn",
+      details: faviconUrl || "No favicon reference found",
+      value: faviconLoads,
+    })
+
+    /** -------- robots.txt -------- */
+    let robotsSitemaps = []
+    let robotsText = ""
+
+    if (timeLeft() > 250) {
+      const robots = await timed("robots", () =>
+        fetchRobots(origin, { timeoutMs: () => within(L.TIME_SMALL_MS), tries: 2 })
+      )
+      robotsSitemaps = robots.sitemaps
+      robotsText = robots.text
+      checks.push(robotsCheck(robots, { pageUrl: finalUrl, assets: renderAssetUrls(html, finalUrl) }))
+    } else {
+      checks.push({
+        id: "robots",
+        label: LABELS.robots,
+        status: "warn",
+        details: "Skipped: out of time",
+      })
+    }
+
+    /** -------- sitemap.xml -------- */
+    if (timeLeft() > 500) {
+      checks.push(
+        await timed("sitemap", () =>
+          auditSitemaps(origin, robotsSitemaps, {
+            timeoutMs: () => within(L.TIME_PAGE_MS),
+            canFetch: () => timeLeft() > 300 && spend(),
+            maxFiles: L.SITEMAP_FILES,
+            maxDepth: L.SITEMAP_DEPTH,
+            samples: L.SITEMAP_SAMPLES,
+          })
+        )
+      )
+    } else {
+      checks.push({
+        id: "sitemap",
+        label: LABELS.sitemap,
+        status: "warn",
+        details: "Skipped: out of time",
+      })
+    }
+
+    /** -------- www ↔ non-www redirect -------- */
+    let canonicalization = { tested: false, from: "", to: "", code: 0, good: false }
+    if (timeLeft() > 250) {
+      try {
+        const variantHost = /^www\./i.test(host) ? host.replace(/^www\./i, "") : "www." + host
+        if (variantHost !== host && spend()) {
+          const variantOrigin = `${urlObj.protocol}//${variantHost}`
+          const variantUrl = variantOrigin + "/"
+          await timed("www-variant", async () => {
+            const r = await retry(async () => {
+              const tv = withTimeout(within(L.TIME_SMALL_MS))
+              try {
+                return await fetch(variantUrl, {
+                  method: "GET",
+                  redirect: "manual",
+                  signal: tv.signal,
+                  headers: UA_HEADERS,
+                  cache: "no-store",
+                })
+              } finally {
+                tv.done()
+              }
+            })
+            const code = r.status
+            const loc = r.headers.get("location")
+            let good = false
+            let to2 = ""
+            if (loc) {
+              const resolved = absUrl(variantUrl, loc)
+              to2 = resolved || loc
+              try {
+                good =
+                  new URL(to2).host === host &&
+                  [301, 308, 302, 307].includes(code)
+              } catch {}
+            }
+            canonicalization = { tested: true, from: variantUrl, to: to2, code, good }
+          })
+        }
+      } catch {
+        canonicalization = { tested: true, from: "", to: "", code: 0, good: false }
+      }
+    }
+    checks.push({
+      id: "www-canonical",
+      label: "www/non-www redirects to canonical",
+      status: canonicalization.tested
+        ? canonicalization.good
+          ? "pass"
+          : "warn"
+        : "warn",
+      details: canonicalization.tested
+        ? `from ${canonicalization.from} → ${canonicalization.to || "(no redirect)"} (${canonicalization.code})`
+        : "Not applicable",
+    })
+
+    /** -------- HTTP → HTTPS redirect chain -------- */
+    if (timeLeft() > 500) {
+      const starts = httpStarts(urlObj.hostname)
+      const chains = await timed("https-redirect", () =>
+        Promise.all(
+          starts.map((u) =>
+            traceRedirects(u, {
+              timeoutMs: () => within(L.TIME_SMALL_MS),
+              spend: () => spend() && timeLeft() > 200,
+            })
+          )
+        )
+      )
+      const redirectCheck = makeHttpsRedirectCheck(chains, host)
+      if (redirectCheck) checks.push(redirectCheck)
+    }
+
+    /** -------- simple status/ttfb -------- */
+    checks.push({
+      id: "http",
+      label: "HTTP status 200–399",
+      status: pageRes.status < 400 ? "pass" : "fail",
+      details: String(pageRes.status),
+    })
+    const ttfbMs = Date.now() - startedAt
+    checks.push({
+      id: "ttfb",
+      label: "Response time < 1500ms",
+      status: ttfbMs < 1500 ? "pass" : "warn",
+      details: `${ttfbMs} ms`,
+    })
+
+    /** -------- Canonical tag -------- */
+    checks.push(makeCanonicalCheck(html, finalUrl))
+
+    /** -------- Noindex + Robots directives -------- */
+    checks.push(...makeRobotsDirectiveChecks(html, pageRes.headers))
+
+    /** -------- Hreflang + language signals -------- */
+    checks.push(
+      await timed("hreflang", () =>
+        auditHreflang(html, pageRes.headers, finalUrl, {
+          timeoutMs: () => within(L.TIME_SMALL_MS),
+          canFetch: () => timeLeft() > 300 && spend(),
+          maxFetches: L.HREFLANG_FETCHES,
+        })
+      )
+    )
+
+    /** -------- Meta description + title quality -------- */
+    metaDesc = getMetaName(html, "description") || ""
+    checks.push(makeMetaDescriptionCheck(metaDesc))
+    checks.push(makeTitleCheck(title))
+
+    /** -------- Viewport -------- */
+    const hasViewport = /<meta[^>]+name=["']viewport["'][^>]*>/i.test(html)
+    checks.push({
+      id: "viewport",
+      label: "Mobile viewport tag",
+      status: hasViewport ? "pass" : "fail",
+      details: hasViewport ? "Present" : "Missing",
+    })
+
+    /** -------- Heading outline -------- */
+    {
+      const headingCheck = makeHeadingOutlineCheck(html, title)
+      if (headingCheck) checks.push(headingCheck)
+    }
+
+    /** -------- Google Analytics (GA / GTM) -------- */
+{
+  const gaCheck = makeGACheck(html);
+  if (gaCheck) checks.push(gaCheck);
+}
+
+    /** -------- Platform / CMS -------- */
+{
+  const platformCheck = makePlatformCheck(html, pageRes.headers, finalUrl);
+  if (platformCheck) checks.push(platformCheck);
+}
+
+    
+    /** -------- Images -------- */
+    const imgTags = [...html.matchAll(/<img[^>]*>/gi)]
+      .map((m) => m[0])
+      .slice(0, 40)
+    const imgSrcs = imgTags
+      .map((t) => t.match(/src=["']([^"']+)["']/i)?.[1])
+      .filter(Boolean)
+      .map((s) => absUrl(finalUrl, s))
+      .filter(Boolean)
+    const modernFmt = imgSrcs.filter((u) => /\.(avif|webp)(\?|#|$)/i.test(u)).length
+    const lazyCount = imgTags.filter((t) => /loading=["']lazy["']/i.test(t)).length
+
+    let huge = 0
+    for (const [i, u] of imgSrcs.slice(0, L.IMAGE_HEADS).entries()) {
+      if (!spend() || timeLeft() < 200) break
+      try {
+        await timed(`img-head-${i}`, async () => {
+          const r = await retry(async () => {
+            const th = withTimeout(within(L.TIME_ASSET_MS))
+            try {
+              return await fetch(u, {
+                method: "HEAD",
+                signal: th.signal,
+                headers: UA_HEADERS,
+                cache: "no-store",
+              })
+            } finally {
+              th.done()
+            }
+          })
+          const len = parseInt(r.headers.get("content-length") || "0", 10)
+          if (len > 300_000) huge++
+        })
+      } catch {}
+    }
+
+    checks.push(makeImageAltCheck(imgTags))
+    checks.push({
+      id: "img-modern",
+      label: "Modern image formats",
+      status: modernFmt > 0 ? "pass" : "warn",
+      details: `${modernFmt} AVIF/WebP seen`,
+    })
+    checks.push({
+      id: "img-size",
+      label: "Large images",
+      status: huge === 0 ? "pass" : huge <= 2 ? "warn" : "fail",
+      details: `${huge} images >300KB (first ${L.IMAGE_HEADS})`,
+    })
+    checks.push({
+      id: "img-lazy",
+      label: "Lazy-loading",
+      status: lazyCount > 0 ? "pass" : "warn",
+      details: `${lazyCount} images with loading="lazy"`,
+    })
+
+    /** -------- Mixed content -------- */
+    {
+      const mixedCheck = makeMixedContentCheck(html, finalUrl)
+      if (mixedCheck) checks.push(mixedCheck)
+    }
+
+    /** -------- Security headers -------- */
+    {
+      const securityCheck = makeSecurityHeadersCheck(pageRes.headers, finalUrl)
+      if (securityCheck) checks.push(securityCheck)
+    }
+
+    /** -------- HTML compression -------- */
+    if (timeLeft() > 1000) {
+      const encodings = COMPRESSION_ENCODINGS.filter(() => spend())
+      if (encodings.length) {
+        const probes = await timed("compression", () =>
+          Promise.all(
+            encodings.map((enc) =>
+              probeEncoding(finalUrl, enc, { timeoutMs: within(L.TIME_SMALL_MS) })
+            )
+          )
+        )
+        const compressionCheck = makeCompressionCheck(probes)
+        if (compressionCheck) checks.push(compressionCheck)
+      }
+    }
+
+    /** -------- Structured data -------- */
+    {
+      const sdCheck = makeStructuredDataCheck(html)
+      if (sdCheck) checks.push(sdCheck)
+    }
+
+    /** -------- Links -------- */
+    if (timeLeft() > 1000) {
+      checks.push(
+        await timed("links", () =>
+          auditLinks(html, finalUrl, {
+            timeoutMs: () => within(L.TIME_ASSET_MS),
+            canContinue: () => timeLeft() > 800,
+            maxFetches: L.LINK_FETCHES,
+            concurrency: L.LINK_CONCURRENCY,
+            failureCap: L.LINK_FAILURES_CAP,
+          })
+        )
+      )
+    } else {
+      checks.push({
+        id: "links",
+        label: LABELS.links,
+        status: "warn",
+        details: "Skipped: out of time",
+      })
+    }
+
+    /** -------- llms.txt + AI crawlers -------- */
+    if (timeLeft() > 500) {
+      const llmsCheck = await timed("llms", () =>
+        auditLlms(origin, {
+          robotsText,
+          timeoutMs: () => within(L.TIME_SMALL_MS),
+          spend: () => spend() && timeLeft() > 200,
+          linkSamples: L.LLMS_LINK_SAMPLES,
+        })
+      )
+      checks.push(llmsCheck)
+    }
+
+    /** -------- PSI (optional, started after the page fetch) -------- */
+    const psi = await collectPsi("psi")
+    checks.push(...psi.checks)
+
+    const payload = {
+      ok: true,
+      url: rawUrl,
+      normalizedUrl,
+      finalUrl,
+      fetchedStatus: pageRes.status,
+      timingMs: Date.now() - startedAt,
+      title,
+      metaTitle: title,
+      metaDescription: metaDesc,
+      speed: psi.speed,
+      pagespeed: psi.pagespeed,
+      checks,
+    }
+    if (process.env.DEBUG_AUDIT === "1") payload._diag = DIAG
+    return payload
+  } catch (e) {
+    // Last-resort: translate AbortError anywhere into partial
+    if (e?.name === "AbortError") {
+      return timeoutPartial("Audit aborted due to time limits")
+    }
+    throw e
+  }
+}
@@ -0,0 +1,268 @@
+// lib/bulk.js
+// Bulk audits: a batch of URLs (JSON or CSV) audited with bounded concurrency
+// and a politeness delay per host. Each batch is one store record with compact
+// per-URL rows; full payloads are stored one file per URL for JSONL export.
+
+import { runAudit } from "./audit.js"
+import { getStore, createSaver, makeId } from "./store.js"
+import { resolveProfile, CATS } from "./scoring.js"
+import { recordHistory } from "./history.js"
+
+export const BULK_LIMITS = {
+  MAX_URLS: parseInt(process.env.BULK_MAX_URLS || "200", 10),
+  DEFAULT_CONCURRENCY: 4,
+  MAX_CONCURRENCY: 8,
+  HOST_DELAY_MS: parseInt(process.env.BULK_HOST_DELAY_MS || "1000", 10),
+  // Stop picking up new URLs after this long (under maxDuration); POST /:id resumes
+  RUN_BUDGET_MS: parseInt(process.env.BULK_RUN_BUDGET_MS || "270000", 10),
+  SAVE_EVERY_MS: 2000,
+}
+
+const batchKey = (id) => `bulk/${id}.json`
+const resultKey = (id, i) => `bulk/${id}/results/${i}.json`
+const runKey = (id, n) => `bulk/${id}/runs/${n}.json`
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms))
+
+function hostOf(u) {
+  try {
+    return new URL(/^https?:\/\//i.test(u) ? u : `https://${u}`).host.toLowerCase()
+  } catch {
+    return ""
+  }
+}
+
+/** ---------- input parsing ---------- */
+function splitCsvLine(line) {
+  const out = []
+  let cur = ""
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i]
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"'
+        i++
+      } else if (ch === '"') quoted = false
+      else cur += ch
+    } else if (ch === '"') quoted = true
+    else if (ch === "," || ch === ";" || ch === "\t") {
+      out.push(cur)
+      cur = ""
+    } else cur += ch
+  }
+  out.push(cur)
+  return out.map((c) => c.trim())
+}
+
+// URL column = header named url/website/domain/site, else the first column
+export function parseCsvUrls(text) {
+  const lines = String(text || "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((l) => l.trim() && !l.trim().startsWith("#"))
+  if (!lines.length) return []
+
+  const first = splitCsvLine(lines[0]).map((h) => h.toLowerCase())
+  const named = first.findIndex((h) => ["url", "website", "domain", "site"].includes(h))
+  const col = named >= 0 ? named : 0
+  const rows = named >= 0 ? lines.slice(1) : lines
+  return rows.map((l) => splitCsvLine(l)[col] || "").filter(Boolean)
+}
+
+function cleanUrls(list) {
+  const seen = new Set()
+  const out = []
+  for (const raw of list) {
+    const u = String(raw || "").trim()
+    if (!u || !hostOf(u)) continue
+    const k = u.toLowerCase()
+    if (seen.has(k)) continue
+    seen.add(k)
+    out.push(u)
+  }
+  return out
+}
+
+/** ---------- create / read ---------- */
+export async function createBatch({ urls = [], concurrency, profile } = {}) {
+  const list = cleanUrls(urls)
+  if (!list.length) return { ok: false, errors: ["No valid URLs supplied"] }
+  if (list.length > BULK_LIMITS.MAX_URLS) {
+    return { ok: false, errors: [`At most ${BULK_LIMITS.MAX_URLS} URLs per batch (got ${list.length})`] }
+  }
+  const scoring = resolveProfile(profile || undefined)
+  if (!scoring) return { ok: false, errors: [`Unknown scoring profile "${profile}"`] }
+
+  const n = parseInt(concurrency, 10)
+  const batch = {
+    id: makeId(),
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    profile: scoring.id,
+    concurrency: Math.min(
+      BULK_LIMITS.MAX_CONCURRENCY,
+      Math.max(1, Number.isFinite(n) ? n : BULK_LIMITS.DEFAULT_CONCURRENCY)
+    ),
+    hostDelayMs: BULK_LIMITS.HOST_DELAY_MS,
+    total: list.length,
+    done: 0,
+    failed: 0,
+    items: list.map((url) => ({ url, state: "pending" })),
+  }
+  await getStore().set(batchKey(batch.id), batch)
+  return { ok: true, batch }
+}
+
+export async function getBatch(id) {
+  if (!/^[a-f0-9]{24}$/.test(String(id || ""))) return null
+  return getStore().get(batchKey(id))
+}
+
+export function batchProgress(batch) {
+  const finished = batch.done + batch.failed
+  return {
+    total: batch.total,
+    done: batch.done,
+    failed: batch.failed,
+    pending: batch.items.filter((i) => i.state === "pending").length,
+    running: batch.items.filter((i) => i.state === "running").length,
+    percent: batch.total ? Math.round((finished / batch.total) * 100) : 100,
+  }
+}
+
+/** ---------- run ---------- */
+// "incomplete" batches stopped at the run budget. A queued or running batch
+// that hasn't been saved for longer than a whole run lost its function.
+export function canResume(batch, now = Date.now()) {
+  if (batch.status === "incomplete") return true
+  if (batch.status !== "queued" && batch.status !== "running") return false
+  const last = Date.parse(batch.updatedAt || batch.startedAt || batch.createdAt || "")
+  return !Number.isFinite(last) || now - last > BULK_LIMITS.RUN_BUDGET_MS
+}
+
+// Lease for the next run: creating bulk/<id>/runs/<n>.json only succeeds once,
+// so of two concurrent resumes just one gets to process the items.
+export async function claimRun(batch) {
+  const run = (batch.run || 0) + 1
+  const claimed = await getStore().create(runKey(batch.id, run), { at: new Date().toISOString() })
+  if (claimed) batch.run = run
+  return claimed
+}
+
+// Processes pending items until done or out of run budget. Call claimRun()
+// first; calling it again on a batch canResume() accepts picks up where it stopped.
+export async function runBatch(batch) {
+  const store = getStore()
+  const saver = createSaver(batchKey(batch.id), () => batch, { everyMs: BULK_LIMITS.SAVE_EVERY_MS })
+  const save = (force) => {
+    batch.updatedAt = new Date().toISOString()
+    return saver(force)
+  }
+  const startedAt = Date.now()
+  const outOfTime = () => Date.now() - startedAt > BULK_LIMITS.RUN_BUDGET_MS
+
+  // anything left "running" by an interrupted run goes back in the queue
+  for (const it of batch.items) if (it.state === "running") it.state = "pending"
+  batch.status = "running"
+  batch.startedAt = batch.startedAt || new Date().toISOString()
+  await save(true)
+
+  const lastStart = new Map() // host -> ms
+  const nextItem = () => {
+    const now = Date.now()
+    let wait = Infinity
+    for (const [i, it] of batch.items.entries()) {
+      if (it.state !== "pending") continue
+      const ready = (lastStart.get(hostOf(it.url)) || 0) + batch.hostDelayMs
+      if (ready <= now) return { i, it }
+      wait = Math.min(wait, ready - now)
+    }
+    return wait === Infinity ? null : { wait }
+  }
+
+  const worker = async () => {
+    while (!outOfTime()) {
+      const next = nextItem()
+      if (!next) return
+      if (next.wait) {
+        await sleep(next.wait)
+        continue
+      }
+      const { i, it } = next
+      it.state = "running"
+      lastStart.set(hostOf(it.url), Date.now())
+      save()
+      try {
+        const { _diag, ...payload } = await runAudit(null, it.url, { profile: batch.profile })
+        await store.set(resultKey(batch.id, i), payload)
+        it.state = "done"
+        it.finalUrl = payload.finalUrl || it.url
+        it.overall = Number.isFinite(payload.overall) ? payload.overall : null
+        it.catScores = payload.catScores || null
+        it.flags = [payload.blocked && "blocked", payload.timeout && "timeout"].filter(Boolean)
+        it.statuses = Object.fromEntries((payload.checks || []).map((c) => [c.id, c.status]))
+        batch.done++
+        await recordHistory(payload)
+      } catch (e) {
+        it.state = "failed"
+        it.error = e?.message || "Audit failed"
+        batch.failed++
+      }
+      it.finishedAt = new Date().toISOString()
+      save()
+    }
+  }
+
+  await Promise.all(Array.from({ length: batch.concurrency }, worker))
+
+  const left = batch.items.some((it) => it.state === "pending")
+  batch.status = left ? "incomplete" : "done"
+  if (!left) batch.finishedAt = new Date().toISOString()
+  await save(true)
+  return batch
+}
+
+/** ---------- export ---------- */
+// Text that a spreadsheet would read as a formula (=, +, -, @) gets a leading '
+const csvCell = (v) => {
+  let s = v === null || v === undefined ? "" : String(v)
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+// one row per URL: scores, then one column per check id (status)
+export function batchToCsv(batch) {
+  const checkIds = []
+  for (const it of batch.items) {
+    for (const id of Object.keys(it.statuses || {})) if (!checkIds.includes(id)) checkIds.push(id)
+  }
+  const cats = Object.keys(CATS)
+  const header = ["url", "final_url", "state", "overall", ...cats.map((c) => c.toLowerCase()), ...checkIds, "error"]
+  const rows = batch.items.map((it) => [
+    it.url,
+    it.finalUrl || "",
+    [it.state, ...(it.flags || [])].join("+"),
+    it.overall ?? "",
+    ...cats.map((c) => (typeof it.catScores?.[c] === "number" ? Math.round(it.catScores[c] * 100) : "")),
+    ...checkIds.map((id) => it.statuses?.[id] || ""),
+    it.error || "",
+  ])
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n"
+}
+
+// full payload per finished URL, one JSON document per line
+export async function* batchToJsonl(batch) {
+  const store = getStore()
+  for (const [i, it] of batch.items.entries()) {
+    if (it.state === "done") {
+      const payload = await store.get(resultKey(batch.id, i)).catch(() => null)
+      yield JSON.stringify(payload || { url: it.url, ok: false, errors: ["Result missing"] }) + "\n"
+    } else if (it.state === "failed") {
+      yield JSON.stringify({ url: it.url, ok: false, errors: [it.error] }) + "\n"
+    }
+  }
+}
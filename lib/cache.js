@@ -0,0 +1,68 @@
+// lib/cache.js
+// Short-lived JSON cache shared by the audit routes.
+//   redis  → Upstash / Vercel KV REST API (KV_REST_API_URL + KV_REST_API_TOKEN)   CACHE_DRIVER=redis
+//   memory → per-process Map; a local stand-in for dev and tests                 CACHE_DRIVER=memory (default without KV)
+// Both implement get(key) → value | null, set(key, value, { ttlMs }), del(key).
+
+const restUrl = () => process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL || ""
+const restToken = () => process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN || ""
+
+/** ---------- drivers ---------- */
+function memoryCache() {
+  const MAP = new Map() // key -> { value, expiresAt }
+  return {
+    driver: "memory",
+    async get(key) {
+      const rec = MAP.get(key)
+      if (!rec) return null
+      if (Date.now() > rec.expiresAt) {
+        MAP.delete(key)
+        return null
+      }
+      return rec.value
+    },
+    async set(key, value, { ttlMs = 60000 } = {}) {
+      MAP.set(key, { value, expiresAt: Date.now() + ttlMs })
+    },
+    async del(key) {
+      MAP.delete(key)
+    },
+  }
+}
+
+// One command per request: POST ["SET", key, value, "PX", ttl] → { result }
+function redisCache(url = restUrl(), token = restToken()) {
+  const command = async (...args) => {
+    if (!url || !token) throw new Error("Missing KV_REST_API_URL / KV_REST_API_TOKEN")
+    const r = await fetch(url.replace(/\/+$/, ""), {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(args),
+      cache: "no-store",
+    })
+    const out = await r.json().catch(() => ({}))
+    if (!r.ok || out.error) throw new Error(`Cache ${args[0]} failed (${out.error || r.status})`)
+    return out.result
+  }
+  return {
+    driver: "redis",
+    async get(key) {
+      const raw = await command("GET", key)
+      return raw == null ? null : JSON.parse(raw)
+    },
+    async set(key, value, { ttlMs = 60000 } = {}) {
+      await command("SET", key, JSON.stringify(value), "PX", String(Math.max(1, Math.round(ttlMs))))
+    },
+    async del(key) {
+      await command("DEL", key)
+    },
+  }
+}
+
+let CACHE = null
+export function getCache() {
+  if (CACHE) return CACHE
+  const driver = process.env.CACHE_DRIVER || (restUrl() && restToken() ? "redis" : "memory")
+  CACHE = driver === "redis" ? redisCache() : memoryCache()
+  return CACHE
+}
@@ -0,0 +1,89 @@
+// lib/compare.js
+// Side-by-side audit of a prospect and its competitors.
+
+import { runAudit, LABELS, OVERALL_BUDGET_MS } from "./audit.js"
+import { CATS } from "./scoring.js"
+
+export const COMPARE_MAX_URLS = parseInt(process.env.COMPARE_MAX_URLS || "5", 10)
+
+// Sub-requests for the whole comparison, split evenly so no site starves the others;
+// link checks have a budget of their own, split the same way
+const COMPARE_SUBREQUESTS = 48
+const COMPARE_LINK_FETCHES = 40
+
+const STATUS_RANK = { fail: 0, warn: 1, pass: 2 }
+
+// Indexes of the best entries; empty when everyone ties (nobody "leads")
+function leadersBy(values, better = (a, b) => a > b) {
+  const present = values.map((v, i) => [v, i]).filter(([v]) => v !== null && v !== undefined)
+  if (present.length < 2) return []
+  let best = present[0][0]
+  for (const [v] of present) if (better(v, best)) best = v
+  const lead = present.filter(([v]) => v === best).map(([, i]) => i)
+  return lead.length === present.length ? [] : lead
+}
+
+export async function runComparison(req, urls, { profile } = {}) {
+  const perSite = Math.max(6, Math.floor(COMPARE_SUBREQUESTS / urls.length))
+  const limits = {
+    MAX_SUBREQUESTS: perSite,
+    LINK_FETCHES: Math.max(4, Math.floor(COMPARE_LINK_FETCHES / urls.length)),
+  }
+
+  // Same wall-clock budget for everyone: all sites run side by side
+  const results = await Promise.all(
+    urls.map((u) =>
+      runAudit(req, u, { profile, budgetMs: OVERALL_BUDGET_MS, limits }).catch((e) => ({
+        ok: false,
+        url: u,
+        errors: [e?.message || "Audit failed"],
+      }))
+    )
+  )
+
+  const sites = results.map((r, i) => ({
+    url: urls[i],
+    finalUrl: r.finalUrl || null,
+    ok: r.ok !== false,
+    overall: Number.isFinite(r.overall) ? r.overall : null,
+    catScores: r.catScores || null,
+    gate: r.gate || null,
+    ...(r.blocked && { blocked: true }),
+    ...(r.timeout && { timeout: true }),
+    ...(r.errors && { errors: r.errors }),
+  }))
+
+  // check id × site matrix, in first-seen order
+  const ids = []
+  const byId = results.map((r) => new Map((r.checks || []).map((c) => [c.id, c])))
+  for (const m of byId) for (const id of m.keys()) if (!ids.includes(id)) ids.push(id)
+
+  const matrix = ids.map((id) => {
+    const cells = byId.map((m) => m.get(id) || null)
+    const statuses = cells.map((c) => c?.status || null)
+    const lead = leadersBy(statuses.map((s) => (s in STATUS_RANK ? STATUS_RANK[s] : null)))
+    return {
+      id,
+      label: cells.find(Boolean)?.label || LABELS[id] || id,
+      statuses,
+      details: cells.map((c) => c?.details || ""),
+      leaders: lead.map((i) => urls[i]),
+    }
+  })
+
+  const categories = {}
+  for (const cat of Object.keys(CATS)) {
+    const scores = sites.map((s) => (typeof s.catScores?.[cat] === "number" ? s.catScores[cat] : null))
+    categories[cat] = { scores, leaders: leadersBy(scores).map((i) => urls[i]) }
+  }
+  const overallLeaders = leadersBy(sites.map((s) => s.overall)).map((i) => urls[i])
+  for (const s of sites) s.checksLed = matrix.filter((row) => row.leaders.includes(s.url)).length
+
+  return {
+    profile: results.find((r) => r.profile)?.profile || null,
+    sites,
+    matrix,
+    categories,
+    leaders: { overall: overallLeaders },
+  }
+}
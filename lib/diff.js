@@ -0,0 +1,110 @@
+// lib/diff.js
+// Before/after comparison of two audit payloads (snapshots or live runs).
+
+import { LABELS, scoreAudit } from "./audit.js"
+
+const STATUS_RANK = { fail: 0, warn: 1, pass: 2 }
+
+const sameJson = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+const labelOf = (c) => c?.label || LABELS[c?.id] || c?.id
+
+function side(payload, score, source) {
+  return {
+    source,
+    url: payload.finalUrl || payload.url || "",
+    createdAt: payload.snapshot?.createdAt || payload.createdAt || null,
+    overall: score.overall,
+    catScores: score.catScores,
+    gate: score.gate,
+  }
+}
+
+function direction(from, to) {
+  const a = STATUS_RANK[from]
+  const b = STATUS_RANK[to]
+  if (a === undefined || b === undefined) return "changed"
+  return b > a ? "improved" : "regressed"
+}
+
+// Scores are recomputed with one profile so old snapshots compare fairly
+export function diffAudits(before, after, { profile, sources = {} } = {}) {
+  const scoreA = scoreAudit(before.checks || [], profile)
+  const scoreB = scoreAudit(after.checks || [], profile)
+
+  const byIdA = new Map((before.checks || []).map((c) => [c.id, c]))
+  const byIdB = new Map((after.checks || []).map((c) => [c.id, c]))
+
+  const transitions = []
+  const changed = []
+  const added = []
+  const removed = []
+  let unchanged = 0
+
+  for (const [id, b] of byIdB) {
+    const a = byIdA.get(id)
+    if (!a) {
+      added.push({ id, label: labelOf(b), status: b.status, details: b.details || "" })
+      continue
+    }
+    const statusMoved = a.status !== b.status
+    const detailsMoved = (a.details || "") !== (b.details || "")
+    const valueMoved = !sameJson(a.value, b.value)
+
+    if (statusMoved) {
+      transitions.push({
+        id,
+        label: labelOf(b),
+        from: a.status,
+        to: b.status,
+        direction: direction(a.status, b.status),
+      })
+    }
+    if (detailsMoved || valueMoved) {
+      changed.push({
+        id,
+        label: labelOf(b),
+        status: b.status,
+        ...(detailsMoved && { details: { from: a.details || "", to: b.details || "" } }),
+        ...(valueMoved && { value: { from: a.value ?? null, to: b.value ?? null } }),
+      })
+    }
+    if (!statusMoved && !detailsMoved && !valueMoved) unchanged++
+  }
+  for (const [id, a] of byIdA) {
+    if (!byIdB.has(id)) removed.push({ id, label: labelOf(a), status: a.status, details: a.details || "" })
+  }
+
+  // worst news first
+  transitions.sort((x, y) => (x.direction === "regressed" ? -1 : 0) - (y.direction === "regressed" ? -1 : 0))
+
+  const catDelta = {}
+  for (const cat of Object.keys(scoreB.catScores || {})) {
+    const a = scoreA.catScores?.[cat]
+    const b = scoreB.catScores?.[cat]
+    catDelta[cat] = typeof a === "number" && typeof b === "number" ? b - a : null
+  }
+
+  return {
+    profile: scoreB.profile,
+    from: side(before, scoreA, sources.from),
+    to: side(after, scoreB, sources.to),
+    score: {
+      from: scoreA.overall,
+      to: scoreB.overall,
+      delta: scoreB.overall - scoreA.overall,
+      catDelta,
+    },
+    transitions,
+    changed,
+    added,
+    removed,
+    summary: {
+      improved: transitions.filter((t) => t.direction === "improved").length,
+      regressed: transitions.filter((t) => t.direction === "regressed").length,
+      changed: changed.length,
+      added: added.length,
+      removed: removed.length,
+      unchanged,
+    },
+  }
+}
@@ -0,0 +1,124 @@
+// lib/history.js
+// Per-site audit history: every completed audit writes a compact run
+// (scores + check statuses) under its normalizeKey, so trends and
+// regressions can be reported without keeping whole snapshots around.
+// One key per run (history/<host>/<hash>/<time>-<id>.json): concurrent audits
+// of the same URL never overwrite each other's runs.
+
+import { normalizeKey } from "./audit.js"
+import { getStore, makeId } from "./store.js"
+
+const HISTORY_MAX_RUNS = parseInt(process.env.HISTORY_MAX_RUNS || "100", 10)
+
+const STATUS_RANK = { fail: 0, warn: 1, pass: 2 }
+
+async function historyKey(rawUrl) {
+  const key = normalizeKey(rawUrl)
+  const host = (() => {
+    try {
+      return new URL(key).host.toLowerCase().replace(/[^a-z0-9.-]/g, "_")
+    } catch {
+      return "unknown"
+    }
+  })()
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(key))
+  const hash = Array.from(new Uint8Array(digest).slice(0, 12), (b) =>
+    b.toString(16).padStart(2, "0")
+  ).join("")
+  return { key, prefix: `history/${host}/${hash}/` }
+}
+
+function toRun(payload) {
+  const statuses = {}
+  for (const c of payload.checks || []) {
+    if (c?.id && c.status in STATUS_RANK) statuses[c.id] = c.status
+  }
+  return {
+    at: new Date().toISOString(),
+    overall: Number.isFinite(payload.overall) ? payload.overall : null,
+    catScores: payload.catScores || null,
+    profile: payload.profile?.id || null,
+    gate: payload.gate?.id || null,
+    statuses,
+  }
+}
+
+// prev/next are { [checkId]: status } maps
+export function compareStatuses(prev = {}, next = {}) {
+  const regressed = []
+  const improved = []
+  const added = []
+  const removed = []
+  for (const [id, to] of Object.entries(next)) {
+    const from = prev[id]
+    if (!from) added.push({ id, to })
+    else if (STATUS_RANK[to] < STATUS_RANK[from]) regressed.push({ id, from, to })
+    else if (STATUS_RANK[to] > STATUS_RANK[from]) improved.push({ id, from, to })
+  }
+  for (const [id, from] of Object.entries(prev)) {
+    if (!(id in next)) removed.push({ id, from })
+  }
+  return { regressed, improved, added, removed }
+}
+
+/** ---------- write ---------- */
+// Best-effort: history must never fail the audit that produced it
+export async function recordHistory(payload) {
+  if (!payload?.ok || payload.blocked || payload.timeout || !payload.checks?.length) return null
+  try {
+    const store = getStore()
+    const { key, prefix } = await historyKey(payload.normalizedUrl || payload.url)
+    const run = { ...toRun(payload), key, url: payload.finalUrl || payload.url }
+    // ISO time first so keys list in run order
+    await store.set(`${prefix}${run.at.replace(/[:.]/g, "-")}-${makeId().slice(0, 8)}.json`, run)
+
+    const keys = (await store.list(prefix)).sort()
+    if (keys.length > HISTORY_MAX_RUNS) await store.del(keys.slice(0, keys.length - HISTORY_MAX_RUNS))
+    return run
+  } catch {
+    return null
+  }
+}
+
+/** ---------- read ---------- */
+// → { key, url, runs: [...each with regressed/improved ids vs the run before], changes } | null
+export async function getHistory(rawUrl) {
+  const store = getStore()
+  const { key, prefix } = await historyKey(rawUrl)
+  const keys = (await store.list(prefix)).sort().slice(-HISTORY_MAX_RUNS)
+  const all = (await Promise.all(keys.map((k) => store.get(k).catch(() => null)))).filter(Boolean)
+  if (!all.length) return null
+  const rec = {
+    key,
+    url: all[all.length - 1].url,
+    updatedAt: all[all.length - 1].at,
+    runs: all.map(({ key, url, ...run }) => run),
+  }
+
+  const runs = rec.runs.map((run, i) => {
+    if (i === 0) return { ...run, regressed: [], improved: [] }
+    const prev = rec.runs[i - 1]
+    const d = compareStatuses(prev.statuses, run.statuses)
+    return {
+      ...run,
+      scoreDelta:
+        Number.isFinite(run.overall) && Number.isFinite(prev.overall)
+          ? run.overall - prev.overall
+          : null,
+      regressed: d.regressed.map((x) => x.id),
+      improved: d.improved.map((x) => x.id),
+    }
+  })
+
+  const latest = rec.runs[rec.runs.length - 1]
+  const previous = rec.runs.length > 1 ? rec.runs[rec.runs.length - 2] : null
+  const changes = previous
+    ? {
+        since: previous.at,
+        scoreDelta: runs[runs.length - 1].scoreDelta,
+        ...compareStatuses(previous.statuses, latest.statuses),
+      }
+    : null
+
+  return { key: rec.key, url: rec.url, updatedAt: rec.updatedAt, runs, changes }
+}
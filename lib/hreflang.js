@@ -0,0 +1,67 @@
+// lib/hreflang.js
+// hreflang / lang tag validation as search engines read it: an ISO 639-1
+// language, optionally an ISO 15924 script and an ISO 3166-1 alpha-2 region,
+// or the special "x-default".
+
+// ISO 639-1 (two-letter language codes)
+const LANGUAGES = new Set(
+  `aa ab ae af ak am an ar as av ay az ba be bg bi bm bn bo br bs ca ce ch co cr cs cu cv cy
+  da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu
+  hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb
+  lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om
+  or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw
+  ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu`.split(/\s+/)
+)
+
+// ISO 3166-1 alpha-2 (officially assigned region codes)
+const REGIONS = new Set(
+  `AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR
+  BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ
+  EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW
+  GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY
+  KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV
+  MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY
+  QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG
+  TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM
+  ZW`.split(/\s+/)
+)
+
+// Codes people reach for that are not what they think
+const REGION_HINTS = { UK: "GB" }
+const LANGUAGE_HINTS = { jp: "ja", cz: "cs", dk: "da", gr: "el", cn: "zh", ua: "uk", gb: "en", us: "en" }
+
+// → { code, lang, script, region, xDefault, error? }
+export function parseLangTag(code = "") {
+  const raw = String(code || "").trim()
+  const out = { code: raw, lang: null, script: null, region: null, xDefault: false }
+  if (!raw) return { ...out, error: "Empty code" }
+  if (raw.toLowerCase() === "x-default") return { ...out, xDefault: true }
+  if (raw.includes("_")) return { ...out, error: `Use "-" not "_" (${raw.replace(/_/g, "-")})` }
+
+  const parts = raw.split("-")
+  const lang = parts.shift().toLowerCase()
+  if (!LANGUAGES.has(lang)) {
+    const hint = LANGUAGE_HINTS[lang]
+    return { ...out, error: `"${lang}" is not an ISO 639-1 language${hint ? ` (did you mean "${hint}"?)` : ""}` }
+  }
+  out.lang = lang
+  if (parts[0] && /^[a-z]{4}$/i.test(parts[0])) {
+    const s = parts.shift()
+    out.script = s[0].toUpperCase() + s.slice(1).toLowerCase()
+  }
+  if (parts.length) {
+    const region = parts.shift().toUpperCase()
+    if (!REGIONS.has(region)) {
+      const hint = REGION_HINTS[region]
+      return {
+        ...out,
+        error: `"${region}" is not an ISO 3166-1 alpha-2 region${hint ? ` (use "${hint}")` : ""}`,
+      }
+    }
+    out.region = region
+  }
+  if (parts.length) return { ...out, error: `Unexpected subtag "${parts.join("-")}"` }
+  return out
+}
+
+export const isValidHreflang = (code) => !parseLangTag(code).error
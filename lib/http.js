@@ -0,0 +1,31 @@
+// lib/http.js
+// CORS + JSON response helpers shared by the API routes.
+
+export function corsHeadersFrom(req, methods = "GET,POST,OPTIONS") {
+  const origin = req?.headers?.get("origin") || "*"
+  const reqHdrs =
+    req?.headers?.get("access-control-request-headers") || "Content-Type"
+  return {
+    "Access-Control-Allow-Origin": origin,
+    Vary: "Origin",
+    "Access-Control-Allow-Methods": methods,
+    "Access-Control-Allow-Headers": reqHdrs,
+    "Access-Control-Max-Age": "86400",
+  }
+}
+
+export const json = (req, status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeadersFrom(req), "Content-Type": "application/json" },
+  })
+
+// Bearer-token gate for operator routes. Fails closed: 503 while the secret is
+// unset, 401 on a missing or wrong token, null when the request may proceed.
+export function denyUnauthorized(req, secret, name) {
+  if (!secret) return json(req, 503, { ok: false, errors: [`${name} is not configured`] })
+  if (req?.headers?.get("authorization") !== `Bearer ${secret}`) {
+    return json(req, 401, { ok: false, errors: ["Unauthorized"] })
+  }
+  return null
+}
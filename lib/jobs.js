@@ -0,0 +1,189 @@
+// lib/jobs.js
+// Background audit jobs: same engine as /api/check, but with a budget big
+// enough for PSI, sitemap samples and image HEADs to finish.
+
+import { runAudit, normalizeKey } from "./audit.js"
+import { getStore, getPrivateStore, createSaver, makeId } from "./store.js"
+import { resolveProfile, CATS, EXCLUDE_FROM_SCORE } from "./scoring.js"
+import { recordHistory } from "./history.js"
+
+// Comma-separated hosts webhooks may go to; any http(s) host when unset
+const WEBHOOK_HOSTS = (process.env.JOB_WEBHOOK_HOSTS || "")
+  .split(",")
+  .map((h) => h.trim().toLowerCase())
+  .filter(Boolean)
+const WEBHOOK_ATTEMPTS = 3
+const WEBHOOK_TIMEOUT_MS = 5000
+const WEBHOOK_BACKOFF_MS = 500 // doubles after each failed attempt
+// every attempt timing out, plus the backoffs between them
+const WEBHOOK_WORST_MS =
+  WEBHOOK_ATTEMPTS * WEBHOOK_TIMEOUT_MS + WEBHOOK_BACKOFF_MS * (2 ** (WEBHOOK_ATTEMPTS - 1) - 1)
+
+// The route's maxDuration (60 s) minus webhook delivery and ~3 s of store
+// writes, so the final write and the webhook both land in time
+export const JOB_BUDGET_MS = parseInt(
+  process.env.AUDIT_JOB_BUDGET_MS || String(60000 - WEBHOOK_WORST_MS - 3000),
+  10
+)
+
+const JOB_LIMITS = {
+  SITEMAP_SAMPLES: 5,
+  IMAGE_HEADS: 8,
+  TIME_PAGE_MS: 15000,
+  TIME_ASSET_MS: 5000,
+  TIME_SMALL_MS: 6000,
+  TIME_PSI_MS: 30000,
+  PSI_STRATEGIES: "both",
+  LLMS_LINK_SAMPLES: 10,
+  MAX_SUBREQUESTS: 80,
+}
+
+// Scored checks of a full audit; percent = how many of them have been emitted
+const SCORED_CHECKS = new Set(Object.values(CATS).flat().filter((id) => !EXCLUDE_FROM_SCORE.has(id)))
+const SAVE_EVERY_MS = 1000
+
+const jobKey = (id) => `jobs/${id}.json`
+// the target URL stays in the private store; the public job only shows delivery state
+const webhookKey = (id) => `jobs/${id}/webhook.json`
+
+function isHttpUrl(u) {
+  try {
+    return /^https?:$/.test(new URL(u).protocol)
+  } catch {
+    return false
+  }
+}
+
+/** ---------- create / read ---------- */
+export async function createJob({ url, webhookUrl, profile } = {}) {
+  if (!url || typeof url !== "string") return { ok: false, errors: ["Invalid URL"] }
+  const scoring = resolveProfile(profile || undefined)
+  if (!scoring) return { ok: false, errors: [`Unknown scoring profile "${profile}"`] }
+  if (webhookUrl != null && !isHttpUrl(webhookUrl)) {
+    return { ok: false, errors: ["Invalid webhookUrl (http/https only)"] }
+  }
+  if (webhookUrl != null && WEBHOOK_HOSTS.length && !WEBHOOK_HOSTS.includes(new URL(webhookUrl).host.toLowerCase())) {
+    return { ok: false, errors: [`webhookUrl host not allowed (allowed: ${WEBHOOK_HOSTS.join(", ")})`] }
+  }
+
+  const job = {
+    id: makeId(),
+    url,
+    normalizedUrl: normalizeKey(url),
+    profile: scoring.id,
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    budgetMs: JOB_BUDGET_MS,
+    progress: { checksDone: 0, percent: 0, finished: [] },
+    ...(webhookUrl && { webhook: { status: "pending", attempts: 0 } }),
+    result: null,
+    errors: [],
+  }
+  if (webhookUrl) await getPrivateStore().set(webhookKey(job.id), { url: webhookUrl })
+  await getStore().set(jobKey(job.id), job)
+  return { ok: true, job }
+}
+
+export async function getJob(id) {
+  if (!/^[a-f0-9]{24}$/.test(String(id || ""))) return null
+  return getStore().get(jobKey(id))
+}
+
+/** ---------- run ---------- */
+export async function runJob(job) {
+  const save = createSaver(jobKey(job.id), () => job, { everyMs: SAVE_EVERY_MS })
+
+  job.status = "running"
+  job.startedAt = new Date().toISOString()
+  await save(true)
+
+  try {
+    const out = await runAudit(null, job.url, {
+      budgetMs: JOB_BUDGET_MS,
+      limits: JOB_LIMITS,
+      profile: job.profile,
+      onCheck: (c) => {
+        const p = job.progress
+        p.checksDone++
+        p.finished.push({ id: c.id, status: c.status })
+        const scored = p.finished.filter((f) => SCORED_CHECKS.has(f.id)).length
+        p.percent = Math.min(99, Math.round((scored / SCORED_CHECKS.size) * 100))
+        save()
+      },
+    })
+    const { _diag, ...payload } = out
+    job.result = payload
+    job.status = "done"
+    job.progress.percent = 100
+    await recordHistory(payload)
+  } catch (e) {
+    job.status = "failed"
+    job.errors.push(e?.message || "Unknown error")
+  }
+  job.finishedAt = new Date().toISOString()
+  await save(true)
+
+  if (job.webhook) {
+    await deliverWebhook(job)
+    await save(true)
+  }
+  return job
+}
+
+/** ---------- webhook ---------- */
+async function sign(body, secret) {
+  const enc = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    "raw",
+    enc.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  )
+  const mac = await crypto.subtle.sign("HMAC", key, enc.encode(body))
+  return Array.from(new Uint8Array(mac), (b) => b.toString(16).padStart(2, "0")).join("")
+}
+
+async function deliverWebhook(job) {
+  const body = JSON.stringify({
+    id: job.id,
+    status: job.status,
+    url: job.url,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    errors: job.errors,
+  })
+  const headers = { "Content-Type": "application/json", "X-Audit-Job": job.id }
+  const secret = process.env.JOB_WEBHOOK_SECRET
+  if (secret) headers["X-Audit-Signature"] = `sha256=${await sign(body, secret)}`
+
+  const hook = job.webhook
+  const target = await getPrivateStore().get(webhookKey(job.id)).catch(() => null)
+  if (!target?.url) {
+    hook.status = "failed"
+    hook.error = "Webhook URL missing"
+    return
+  }
+  for (let i = 0; i < WEBHOOK_ATTEMPTS; i++) {
+    hook.attempts++
+    const ac = new AbortController()
+    const t = setTimeout(() => ac.abort(), WEBHOOK_TIMEOUT_MS)
+    try {
+      const r = await fetch(target.url, { method: "POST", headers, body, signal: ac.signal })
+      hook.lastStatus = r.status
+      if (r.ok) {
+        hook.status = "delivered"
+        hook.deliveredAt = new Date().toISOString()
+        return
+      }
+    } catch (e) {
+      hook.error = e?.name === "AbortError" ? "Timed out" : e?.message || "Request failed"
+    } finally {
+      clearTimeout(t)
+    }
+    if (i < WEBHOOK_ATTEMPTS - 1) await new Promise((r) => setTimeout(r, WEBHOOK_BACKOFF_MS * 2 ** i))
+  }
+  hook.status = "failed"
+}
@@ -0,0 +1,233 @@
+// lib/monitors.js
+// Scheduled re-audits of client sites. A monitor is { url, cadence, recipients };
+// the cron route runs due monitors, compares with the previous run and emails
+// the recipients when something important breaks.
+
+import { Resend } from "resend"
+import { runAudit } from "./audit.js"
+import { getPrivateStore, makeId } from "./store.js"
+import { resolveProfile } from "./scoring.js"
+import { recordHistory } from "./history.js"
+
+const HOUR_MS = 3600 * 1000
+export const CADENCES = { hourly: HOUR_MS, daily: 24 * HOUR_MS, weekly: 7 * 24 * HOUR_MS }
+const MAX_RECIPIENTS = 10
+
+// Gates that alert the moment they start capping the score
+const ALERT_GATES = ["noindex", "http"]
+
+// Private store: monitors carry recipient addresses. One key per monitor, so
+// concurrent creates never race on a shared index.
+const PREFIX = "monitors/"
+const monitorKey = (id) => `${PREFIX}${id}.json`
+const MONITOR_KEY_RE = /^monitors\/([a-f0-9]{24})\.json$/
+
+const looksLikeEmail = (e = "") => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e)
+
+// "hourly" | "daily" | "weekly" | "<n>h"
+export function cadenceMs(cadence) {
+  if (CADENCES[cadence]) return CADENCES[cadence]
+  const m = /^(\d{1,4})h$/i.exec(String(cadence || ""))
+  return m && +m[1] > 0 ? +m[1] * HOUR_MS : null
+}
+
+function hostOf(u = "") {
+  try {
+    return new URL(/^https?:\/\//i.test(u) ? u : `https://${u}`).host
+  } catch {
+    return u
+  }
+}
+
+/** ---------- CRUD ---------- */
+export async function createMonitor({ url, cadence = "daily", recipients, profile } = {}) {
+  const errors = []
+  if (!url || typeof url !== "string" || !hostOf(url)) errors.push("Invalid URL")
+  if (!cadenceMs(cadence)) errors.push(`Invalid cadence (use ${Object.keys(CADENCES).join(", ")} or "<n>h")`)
+  const to = (Array.isArray(recipients) ? recipients : String(recipients || "").split(","))
+    .map((e) => String(e).trim())
+    .filter(Boolean)
+  if (!to.length || to.length > MAX_RECIPIENTS || !to.every(looksLikeEmail)) {
+    errors.push(`Recipients must be 1–${MAX_RECIPIENTS} valid email addresses`)
+  }
+  const scoring = resolveProfile(profile || undefined)
+  if (!scoring) errors.push(`Unknown scoring profile "${profile}"`)
+  if (errors.length) return { ok: false, errors }
+
+  const now = new Date().toISOString()
+  const monitor = {
+    id: makeId(),
+    url,
+    cadence,
+    recipients: to,
+    profile: scoring.id,
+    createdAt: now,
+    nextRunAt: now, // first run on the next cron tick sets the baseline
+    lastRunAt: null,
+    lastResult: null,
+    lastAlert: null,
+  }
+  await getPrivateStore().set(monitorKey(monitor.id), monitor)
+  return { ok: true, monitor }
+}
+
+export async function getMonitor(id) {
+  if (!/^[a-f0-9]{24}$/.test(String(id || ""))) return null
+  return getPrivateStore().get(monitorKey(id))
+}
+
+export async function listMonitors() {
+  const keys = await getPrivateStore().list(PREFIX)
+  const ids = keys.map((k) => MONITOR_KEY_RE.exec(k)?.[1]).filter(Boolean)
+  const all = await Promise.all(ids.map((id) => getMonitor(id).catch(() => null)))
+  return all.filter(Boolean)
+}
+
+export async function deleteMonitor(id) {
+  const monitor = await getMonitor(id)
+  if (!monitor) return false
+  await getPrivateStore().del(monitorKey(id))
+  return true
+}
+
+/** ---------- compare ---------- */
+function summarize(payload) {
+  return {
+    at: new Date().toISOString(),
+    overall: Number.isFinite(payload.overall) ? payload.overall : null,
+    gates: (payload.gates || []).map((g) => g.id),
+    blocked: !!payload.blocked,
+    timeout: !!payload.timeout,
+    checks: Object.fromEntries(
+      (payload.checks || []).map((c) => [
+        c.id,
+        { label: c.label || c.id, status: c.status, details: c.details || "" },
+      ])
+    ),
+  }
+}
+
+// → list of { id, kind: "check" | "gate", from, to, details }
+export function findRegressions(prev, next, weights) {
+  if (!prev || next.blocked || next.timeout) return []
+  const out = []
+  for (const [id, c] of Object.entries(next.checks)) {
+    const before = prev.checks?.[id]?.status
+    if (c.status === "fail" && before && before !== "fail" && weights[id] > 0) {
+      out.push({ id, label: c.label, kind: "check", from: before, to: "fail", details: c.details })
+    }
+  }
+  for (const g of ALERT_GATES) {
+    if (next.gates.includes(g) && !prev.gates?.includes(g)) {
+      out.push({
+        id: g,
+        label: next.checks[g]?.label || g,
+        kind: "gate",
+        from: "ok",
+        to: "triggered",
+        details: next.checks[g]?.details || "",
+      })
+    }
+  }
+  return out
+}
+
+/** ---------- alert email ---------- */
+const esc = (s = "") =>
+  String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]))
+
+async function sendAlert(monitor, prev, next, regressions) {
+  const apiKey = process.env.RESEND_API_KEY
+  const from = process.env.FROM_EMAIL
+  if (!apiKey || !from) throw new Error("Missing RESEND_API_KEY or FROM_EMAIL")
+
+  const host = hostOf(monitor.url)
+  const score = `${prev?.overall ?? "-"} → ${next.overall ?? "-"}`
+  const line = (r) =>
+    r.kind === "gate"
+      ? `${r.label} now caps the score${r.details ? ` (${r.details})` : ""}`
+      : `${r.label}: ${r.from} → fail${r.details ? ` (${r.details})` : ""}`
+
+  const text = `SEO monitor alert for ${monitor.url}
+
+Score: ${score}
+
+${regressions.map((r) => `- ${line(r)}`).join("\n")}
+
+Cadence: ${monitor.cadence}
+
+— Lekker Marketing`
+
+  const html = `
+      <div style="font-family:system-ui,Segoe UI,Roboto,Arial,sans-serif;line-height:1.45">
+        <h2 style="margin:0 0 8px">SEO monitor alert: ${esc(host)}</h2>
+        <p style="margin:0 0 6px"><strong>URL:</strong> <a href="${esc(monitor.url)}">${esc(monitor.url)}</a></p>
+        <p style="margin:0 0 6px"><strong>Score:</strong> ${esc(score)}</p>
+        <ul style="margin:8px 0;padding-left:18px">
+          ${regressions.map((r) => `<li>${esc(line(r))}</li>`).join("")}
+        </ul>
+        <p style="margin:12px 0 0;color:#6B7280">Cadence: ${esc(monitor.cadence)}</p>
+      </div>
+    `
+
+  const resend = new Resend(apiKey)
+  const { error } = await resend.emails.send({
+    from,
+    to: monitor.recipients,
+    subject: `SEO alert: ${host} (${regressions.length} regression${regressions.length === 1 ? "" : "s"})`,
+    text,
+    html,
+  })
+  if (error) throw new Error(error.message || "Resend error")
+}
+
+/** ---------- run ---------- */
+export async function runMonitor(monitor, now = Date.now()) {
+  const profile = resolveProfile(monitor.profile) || resolveProfile()
+  const { _diag, ...payload } = await runAudit(null, monitor.url, { profile })
+  await recordHistory(payload)
+
+  const next = summarize(payload)
+  const prev = monitor.lastResult
+  const regressions = findRegressions(prev, next, profile.weights)
+
+  if (regressions.length) {
+    monitor.lastAlert = { at: next.at, regressions }
+    try {
+      await sendAlert(monitor, prev, next, regressions)
+      monitor.lastAlert.sent = true
+    } catch (e) {
+      monitor.lastAlert.sent = false
+      monitor.lastAlert.error = e?.message || "Send failed"
+    }
+  }
+
+  // Blocked/timed-out runs don't replace the baseline; they'd mask real changes
+  if (!next.blocked && !next.timeout) monitor.lastResult = next
+  monitor.lastRunAt = next.at
+  monitor.nextRunAt = new Date(now + cadenceMs(monitor.cadence)).toISOString()
+  // deleted while the audit ran: don't write it back into the listing
+  if (await getMonitor(monitor.id)) await getPrivateStore().set(monitorKey(monitor.id), monitor)
+  return { id: monitor.id, url: monitor.url, overall: next.overall, regressions, alert: monitor.lastAlert }
+}
+
+// Runs every due monitor (or just `onlyId`) until the time budget is spent
+export async function runDueMonitors({ budgetMs = 240000, onlyId } = {}) {
+  const started = Date.now()
+  const monitors = onlyId ? [await getMonitor(onlyId)].filter(Boolean) : await listMonitors()
+  const due = monitors
+    .filter((m) => onlyId || Date.parse(m.nextRunAt || 0) <= started)
+    .sort((a, b) => Date.parse(a.nextRunAt || 0) - Date.parse(b.nextRunAt || 0))
+
+  const ran = []
+  const errors = []
+  for (const m of due) {
+    if (Date.now() - started > budgetMs) break
+    try {
+      ran.push(await runMonitor(m))
+    } catch (e) {
+      errors.push({ id: m.id, url: m.url, error: e?.message || "Run failed" })
+    }
+  }
+  return { due: due.length, ran, errors, skipped: due.length - ran.length - errors.length }
+}
@@ -0,0 +1,176 @@
+// lib/psi.js
+// PageSpeed Insights v5: CrUX field data (loadingExperience), Lighthouse lab
+// metrics, category scores and the top failing audits / opportunities, per
+// strategy. Edge-safe: fetch only.
+
+// Overridable so a local fixture server can stand in for Google
+export const PSI_BASE_URL =
+  process.env.PSI_BASE_URL || "https://www.googleapis.com/pagespeedonline/v5/runPagespeed"
+
+export const PSI_STRATEGIES = ["mobile", "desktop"]
+export const PSI_CATEGORIES = ["performance", "seo", "accessibility", "best-practices"]
+
+const MAX_FAILING = 10
+const MAX_OPPORTUNITIES = 5
+
+// CrUX p75 readings; CLS percentiles come multiplied by 100.
+// good / poor are the Core Web Vitals thresholds, used when CrUX sends no category.
+export const FIELD_METRICS = {
+  lcp: { key: "LARGEST_CONTENTFUL_PAINT_MS", good: 2500, poor: 4000, unit: "ms" },
+  inp: { key: "INTERACTION_TO_NEXT_PAINT", good: 200, poor: 500, unit: "ms" },
+  cls: { key: "CUMULATIVE_LAYOUT_SHIFT_SCORE", good: 0.1, poor: 0.25, scale: 100 },
+}
+
+// Lighthouse audits behind the lab checks, with web.dev good / poor thresholds
+export const LAB_METRICS = {
+  lcp: { audit: "largest-contentful-paint", good: 2500, poor: 4000, unit: "ms" },
+  tbt: { audit: "total-blocking-time", good: 200, poor: 600, unit: "ms" },
+  cls: { audit: "cumulative-layout-shift", good: 0.1, poor: 0.25 },
+  fcp: { audit: "first-contentful-paint", good: 1800, poor: 3000, unit: "ms" },
+  si: { audit: "speed-index", good: 3400, poor: 5800, unit: "ms" },
+}
+
+// "mobile" | "desktop" | "both" | "mobile,desktop" → ["mobile", "desktop"]; mobile when unset
+export function parseStrategies(value) {
+  const list = Array.isArray(value) ? value : String(value || "").toLowerCase().split(/[\s,]+/)
+  const out = PSI_STRATEGIES.filter((s) => list.includes(s) || list.includes("both"))
+  return out.length ? out : ["mobile"]
+}
+
+const roundMetric = (v, unit) => (unit === "ms" ? Math.round(v) : Math.round(v * 1000) / 1000)
+
+/** ---------- parse ---------- */
+// Page-level CrUX when Google has it, else the origin's; null when neither has data
+function fieldData(data) {
+  const read = (exp, scope) => {
+    if (!exp?.metrics) return null
+    const out = { scope, overall: exp.overall_category || null }
+    let any = false
+    for (const [id, m] of Object.entries(FIELD_METRICS)) {
+      const raw = exp.metrics[m.key]
+      if (!Number.isFinite(raw?.percentile)) {
+        out[id] = null
+        continue
+      }
+      out[id] = { p75: roundMetric(raw.percentile / (m.scale || 1), m.unit), category: raw.category || null }
+      any = true
+    }
+    return any ? out : null
+  }
+  const page = data?.loadingExperience
+  return (
+    read(page, page?.origin_fallback ? "origin" : "page") ||
+    read(data?.originLoadingExperience, "origin")
+  )
+}
+
+// Weighted audits scoring under 0.9, heaviest first. Performance metrics are
+// left out: they have their own lab checks.
+function failingAudits(lh) {
+  const seen = new Map()
+  for (const category of PSI_CATEGORIES) {
+    for (const ref of lh.categories?.[category]?.auditRefs || []) {
+      if (!ref.weight || ref.group === "metrics") continue
+      const a = lh.audits?.[ref.id]
+      if (typeof a?.score !== "number" || a.score >= 0.9) continue
+      if (seen.get(ref.id)?.weight >= ref.weight) continue
+      seen.set(ref.id, {
+        id: ref.id,
+        title: a.title || ref.id,
+        category,
+        score: Math.round(a.score * 100),
+        weight: ref.weight,
+        ...(a.displayValue && { displayValue: a.displayValue }),
+      })
+    }
+  }
+  return [...seen.values()]
+    .sort((a, b) => b.weight - a.weight || a.score - b.score)
+    .slice(0, MAX_FAILING)
+    .map(({ weight, ...row }) => row)
+}
+
+// Opportunities with an estimated saving, biggest first
+function opportunities(audits) {
+  return Object.entries(audits)
+    .filter(([, a]) => a?.details?.type === "opportunity" && a.details.overallSavingsMs > 0)
+    .map(([id, a]) => ({
+      id,
+      title: a.title || id,
+      savingsMs: Math.round(a.details.overallSavingsMs),
+      ...(a.details.overallSavingsBytes > 0 && { savingsBytes: Math.round(a.details.overallSavingsBytes) }),
+    }))
+    .sort((a, b) => b.savingsMs - a.savingsMs)
+    .slice(0, MAX_OPPORTUNITIES)
+}
+
+// PSI v5 response → { scores, field, lab, failing, opportunities, lighthouseVersion }
+export function parsePsi(data) {
+  const lh = data?.lighthouseResult || {}
+  const audits = lh.audits || {}
+
+  const scores = {}
+  for (const c of PSI_CATEGORIES) {
+    const s = lh.categories?.[c]?.score
+    scores[c] = typeof s === "number" ? Math.round(s * 100) : null
+  }
+
+  const lab = {}
+  for (const [id, m] of Object.entries(LAB_METRICS)) {
+    const v = audits[m.audit]?.numericValue
+    lab[id] = Number.isFinite(v) ? roundMetric(v, m.unit) : null
+  }
+
+  return {
+    scores,
+    field: fieldData(data),
+    lab,
+    failing: failingAudits(lh),
+    opportunities: opportunities(audits),
+    lighthouseVersion: lh.lighthouseVersion || null,
+  }
+}
+
+/** ---------- fetch ---------- */
+// One strategy → { strategy, ok: true, result } | { strategy, ok: false, error }
+export async function fetchPsi(url, { strategy = "mobile", key, signal, baseUrl = PSI_BASE_URL } = {}) {
+  try {
+    const u = new URL(baseUrl)
+    u.searchParams.set("url", url)
+    u.searchParams.set("strategy", strategy)
+    for (const c of PSI_CATEGORIES) u.searchParams.append("category", c)
+    if (key) u.searchParams.set("key", key)
+
+    const res = await fetch(u.toString(), { signal, cache: "no-store" })
+    const data = await res.json().catch(() => null)
+    if (!res.ok) return { strategy, ok: false, error: data?.error?.message || `PSI HTTP ${res.status}` }
+    return { strategy, ok: true, result: parsePsi(data) }
+  } catch (e) {
+    const error = e?.name === "AbortError" ? "PSI timed out" : e?.message || "PSI request failed"
+    return { strategy, ok: false, error }
+  }
+}
+
+// Starts every strategy at once so PSI (often 10 s+) overlaps the rest of an
+// audit. collect(ms) waits at most `ms` more, then aborts whatever is still running.
+export function startPsi(url, { strategies = ["mobile"], key, timeoutMs = 30000, baseUrl } = {}) {
+  const c = new AbortController()
+  const timer = setTimeout(() => c.abort(), timeoutMs)
+  const all = Promise.all(
+    strategies.map((strategy) => fetchPsi(url, { strategy, key, signal: c.signal, baseUrl }))
+  ).finally(() => clearTimeout(timer))
+
+  return {
+    async collect(ms) {
+      let wait
+      const late = new Promise((r) => {
+        wait = setTimeout(r, Math.max(0, ms))
+      })
+      await Promise.race([all, late])
+      clearTimeout(wait)
+      c.abort()
+      return all
+    },
+    cancel: () => c.abort(),
+  }
+}
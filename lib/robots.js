@@ -0,0 +1,134 @@
+// lib/robots.js
+// robots.txt per RFC 9309: groups (merged per product token, "*" fallback),
+// longest-match Allow/Disallow with "*" / "$" patterns, plus the lint the
+// robots check reports (syntax errors, unknown directives, crawl-delay).
+
+const MAX_BYTES = 500 * 1024 // parsers must read at least 500 KiB; we stop there
+const MAX_REPORTED = 10
+
+// Non-standard but widely honoured; everything else is "unknown"
+const KNOWN = new Set(["user-agent", "allow", "disallow", "sitemap", "crawl-delay"])
+
+// Product token of a user-agent line ("Googlebot/2.1 (+http://…)" → "googlebot")
+const productToken = (v = "") => v.trim().split(/[\/\s]/)[0].toLowerCase()
+
+// Percent-encode non-ASCII, decode escaped unreserved chars, uppercase the rest (RFC 9309 §2.2.2)
+export function normalizeRobotsPath(s = "") {
+  return String(s)
+    .replace(/[^\x00-\x7F]+/g, (c) => encodeURIComponent(c))
+    .replace(/%([0-9a-f]{2})/gi, (m, h) => {
+      const c = String.fromCharCode(parseInt(h, 16))
+      return /[A-Za-z0-9\-._~]/.test(c) ? c : `%${h.toUpperCase()}`
+    })
+}
+
+/** ---------- parse ---------- */
+// → { groups: [{ agents, rules: [{ type, path, line }], crawlDelay }], sitemaps, errors, unknown, truncated }
+export function parseRobots(text = "") {
+  let src = String(text || "").replace(/^\uFEFF/, "")
+  const bytes = new TextEncoder().encode(src)
+  const truncated = bytes.length > MAX_BYTES
+  if (truncated) src = new TextDecoder().decode(bytes.subarray(0, MAX_BYTES))
+
+  const groups = []
+  const sitemaps = []
+  const errors = []
+  const unknown = []
+  const note = (list, item) => list.length < MAX_REPORTED && list.push(item)
+
+  let group = null
+  let collectingAgents = false
+  src.split(/\r\n|\r|\n/).forEach((raw, i) => {
+    const line = i + 1
+    const content = raw.replace(/#.*$/, "").trim()
+    if (!content) return
+    const m = /^([^:\s]+)\s*:\s*(.*)$/.exec(content)
+    if (!m) return note(errors, { line, text: raw.trim(), message: "Not a \"key: value\" line" })
+    const key = m[1].toLowerCase()
+    const value = m[2].trim()
+
+    if (!KNOWN.has(key)) return note(unknown, { line, directive: m[1] })
+
+    if (key === "user-agent") {
+      if (!value) return note(errors, { line, text: raw.trim(), message: "Empty user-agent" })
+      if (!collectingAgents) {
+        group = { agents: [], rules: [], crawlDelay: null }
+        groups.push(group)
+      }
+      group.agents.push(value === "*" ? "*" : productToken(value))
+      collectingAgents = true
+      return
+    }
+
+    if (key === "sitemap") {
+      // not part of any group
+      if (!/^https?:\/\//i.test(value)) {
+        note(errors, { line, text: raw.trim(), message: "Sitemap must be an absolute URL" })
+      } else sitemaps.push(value)
+      return
+    }
+
+    collectingAgents = false
+    if (!group) return note(errors, { line, text: raw.trim(), message: `${m[1]} before any user-agent line` })
+
+    if (key === "crawl-delay") {
+      const n = Number(value)
+      if (!value || !Number.isFinite(n) || n < 0) {
+        return note(errors, { line, text: raw.trim(), message: "Crawl-delay must be a number of seconds" })
+      }
+      group.crawlDelay = n
+      return
+    }
+
+    // allow / disallow; an empty Disallow means "allow everything" and is valid
+    if (value && !value.startsWith("/") && !value.startsWith("*")) {
+      note(errors, { line, text: raw.trim(), message: "Path must start with \"/\"" })
+    }
+    group.rules.push({ type: key, path: normalizeRobotsPath(value), line })
+  })
+
+  return { groups, sitemaps, errors, unknown, truncated }
+}
+
+/** ---------- evaluate ---------- */
+// Merged rules for one crawler: every group naming its product token, else the "*" groups
+// → { group: token | "*" | null, rules, crawlDelay }
+export function rulesFor(parsed, agent = "*") {
+  const token = agent === "*" ? "*" : productToken(agent)
+  let matched = parsed.groups.filter((g) => g.agents.includes(token))
+  let group = matched.length ? token : null
+  if (!matched.length && token !== "*") {
+    matched = parsed.groups.filter((g) => g.agents.includes("*"))
+    group = matched.length ? "*" : null
+  }
+  const delays = matched.map((g) => g.crawlDelay).filter((d) => d !== null)
+  return {
+    group,
+    rules: matched.flatMap((g) => g.rules.map(({ type, path }) => ({ type, path }))),
+    crawlDelay: delays.length ? Math.max(...delays) : null,
+  }
+}
+
+// robots.txt path pattern ("*" wildcard, trailing "$" anchor) -> RegExp
+function robotsPatternToRegExp(pattern = "") {
+  const anchored = pattern.endsWith("$")
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+  return new RegExp(`^${body}${anchored ? "$" : ""}`)
+}
+
+// Longest matching rule wins; Allow wins a tie. No matching rule = allowed.
+export function robotsAllows(rules = [], path = "/") {
+  const target = normalizeRobotsPath(path || "/")
+  if (target === "/robots.txt") return true // always implicitly allowed
+  let best = null
+  for (const r of rules) {
+    if (!r.path) continue
+    if (!robotsPatternToRegExp(r.path).test(target)) continue
+    const longer = !best || r.path.length > best.path.length
+    const tieAllow = best && r.path.length === best.path.length && r.type === "allow"
+    if (longer || tieAllow) best = r
+  }
+  return !best || best.type === "allow"
+}
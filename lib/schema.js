@@ -0,0 +1,341 @@
+// lib/schema.js
+// Versioned JSON Schema for audit results and check rows, plus a small
+// validator (no code generation, so it also runs on the edge runtime).
+// Bump the minor version for additive fields, the major one for breaking changes;
+// validators accept any payload with the same major version.
+
+export const SCHEMA_VERSION = "1.1.0"
+const MAJOR = SCHEMA_VERSION.split(".")[0]
+
+const nullable = (type) => ({ type: [type, "null"] })
+
+const GATE = {
+  type: "object",
+  required: ["id", "cap", "reason", "checks"],
+  properties: {
+    id: { type: "string" },
+    cap: { type: "number", minimum: 0, maximum: 100 },
+    reason: { type: "string" },
+    checks: { type: "array", items: { type: "string" } },
+  },
+}
+
+const PROFILE = {
+  type: "object",
+  required: ["id", "label"],
+  properties: { id: { type: "string" }, label: { type: "string" } },
+}
+
+export const CHECK_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: `urn:seo-audit:check:${SCHEMA_VERSION}`,
+  title: "Audit check",
+  type: "object",
+  required: ["id", "label", "status"],
+  properties: {
+    id: { type: "string", minLength: 1 },
+    label: { type: "string" },
+    // "locked" only appears in snapshots saved by older versions
+    status: { enum: ["pass", "warn", "fail", "locked"] },
+    details: { type: "string" },
+    value: {},
+  },
+  additionalProperties: false,
+}
+
+export const AUDIT_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: `urn:seo-audit:result:${SCHEMA_VERSION}`,
+  title: "Audit result",
+  type: "object",
+  required: [
+    "schemaVersion",
+    "ok",
+    "url",
+    "normalizedUrl",
+    "finalUrl",
+    "fetchedStatus",
+    "timingMs",
+    "title",
+    "metaTitle",
+    "metaDescription",
+    "speed",
+    "blocked",
+    "timeout",
+    "crawlerWarning",
+    "crawlerWarningMsg",
+    "checks",
+    "overall",
+    "uncappedOverall",
+    "catScores",
+    "gate",
+    "gates",
+    "profile",
+  ],
+  properties: {
+    schemaVersion: { type: "string", pattern: `^${MAJOR}\\.\\d+\\.\\d+$` },
+    ok: { const: true },
+    url: { type: "string", minLength: 1 },
+    normalizedUrl: { type: "string", minLength: 1 },
+    finalUrl: { type: "string" },
+    fetchedStatus: { type: "integer", minimum: 0, maximum: 599 },
+    timingMs: { type: "number", minimum: 0 },
+    title: { type: "string" },
+    metaTitle: { type: "string" },
+    metaDescription: { type: "string" },
+    speed: { type: ["number", "null"], minimum: 0, maximum: 100 },
+    blocked: { type: "boolean" },
+    timeout: { type: "boolean" },
+    crawlerWarning: { type: "boolean" },
+    crawlerWarningMsg: nullable("string"),
+    checks: { type: "array", items: { $ref: "#/$defs/check" } },
+    overall: { type: "number", minimum: 0, maximum: 100 },
+    uncappedOverall: { type: "number", minimum: 0, maximum: 100 },
+    catScores: {
+      type: "object",
+      required: ["SEO", "PERFORMANCE", "SECURITY"],
+      additionalProperties: { type: ["number", "null"], minimum: 0, maximum: 1 },
+    },
+    gate: { ...GATE, type: ["object", "null"] },
+    gates: { type: "array", items: GATE },
+    profile: PROFILE,
+    // since 1.1.0: PSI detail per strategy (scores, failing audits, opportunities | error)
+    pagespeed: { type: "object", additionalProperties: { type: "object" } },
+    // set by the API around the result, never by the engine
+    cached: { type: "boolean" },
+    cacheAgeMs: { type: "number", minimum: 0 },
+    fromSnapshot: { type: "boolean" },
+    shareBlobPath: { type: "string" },
+    shareBlobUrl: { type: "string" },
+    shareId: { type: "string" },
+    shareUrl: { type: "string" },
+    deleteToken: { type: "string" },
+    expiresAt: { type: "string" },
+    snapshot: {
+      type: "object",
+      required: ["createdAt", "expiresAt"],
+      properties: {
+        createdAt: { type: "string" },
+        expiresAt: { type: "string" },
+      },
+    },
+    _diag: { type: "array" },
+  },
+  $defs: { check: CHECK_SCHEMA },
+}
+
+// GET /api/check/diff response (see lib/diff.js)
+const SCORE = { type: "number", minimum: 0, maximum: 100 }
+const CHECK_ROW = {
+  type: "object",
+  required: ["id", "label", "status"],
+  properties: { id: { type: "string", minLength: 1 }, label: { type: "string" }, status: { type: "string" } },
+}
+const DIFF_SIDE = {
+  type: "object",
+  required: ["url", "overall"],
+  properties: {
+    url: { type: "string" },
+    createdAt: nullable("string"),
+    overall: SCORE,
+    catScores: { type: ["object", "null"] },
+    gate: { ...GATE, type: ["object", "null"] },
+  },
+}
+
+export const DIFF_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: `urn:seo-audit:diff:${SCHEMA_VERSION}`,
+  title: "Audit diff",
+  type: "object",
+  required: ["profile", "from", "to", "score", "transitions", "changed", "added", "removed", "summary"],
+  properties: {
+    ok: { const: true },
+    profile: PROFILE,
+    from: DIFF_SIDE,
+    to: DIFF_SIDE,
+    score: {
+      type: "object",
+      required: ["from", "to", "delta", "catDelta"],
+      properties: {
+        from: SCORE,
+        to: SCORE,
+        delta: { type: "number" },
+        catDelta: { type: "object", additionalProperties: nullable("number") },
+      },
+    },
+    transitions: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "label", "from", "to", "direction"],
+        properties: {
+          ...CHECK_ROW.properties,
+          from: { type: "string" },
+          to: { type: "string" },
+          direction: { enum: ["improved", "regressed", "changed"] },
+        },
+      },
+    },
+    changed: { type: "array", items: CHECK_ROW },
+    added: { type: "array", items: CHECK_ROW },
+    removed: { type: "array", items: CHECK_ROW },
+    summary: { type: "object", additionalProperties: { type: "integer", minimum: 0 } },
+  },
+}
+
+// POST /api/check/compare response (see lib/compare.js)
+const urlList = { type: "array", items: { type: "string" } }
+
+export const COMPARISON_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: `urn:seo-audit:comparison:${SCHEMA_VERSION}`,
+  title: "Competitor comparison",
+  type: "object",
+  required: ["sites", "matrix", "categories", "leaders"],
+  properties: {
+    ok: { const: true },
+    profile: { ...PROFILE, type: ["object", "null"] },
+    sites: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["url", "ok", "overall"],
+        properties: {
+          url: { type: "string", minLength: 1 },
+          finalUrl: nullable("string"),
+          ok: { type: "boolean" },
+          overall: { ...SCORE, type: ["number", "null"] },
+          catScores: { type: ["object", "null"] },
+          gate: { ...GATE, type: ["object", "null"] },
+          checksLed: { type: "integer", minimum: 0 },
+          errors: { type: "array", items: { type: "string" } },
+        },
+      },
+    },
+    matrix: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "label", "statuses", "details", "leaders"],
+        properties: {
+          id: { type: "string", minLength: 1 },
+          label: { type: "string" },
+          statuses: { type: "array", items: { enum: ["pass", "warn", "fail", "locked", null] } },
+          details: { type: "array", items: { type: "string" } },
+          leaders: urlList,
+        },
+      },
+    },
+    categories: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        required: ["scores", "leaders"],
+        properties: { scores: { type: "array", items: nullable("number") }, leaders: urlList },
+      },
+    },
+    leaders: { type: "object", required: ["overall"], properties: { overall: urlList } },
+  },
+}
+
+/** ---------- validator ---------- */
+const typeOf = (v) =>
+  v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v
+const typeMatches = (v, t) => {
+  const actual = typeOf(v)
+  return actual === t || (t === "number" && actual === "integer")
+}
+const show = (v) => {
+  const s = JSON.stringify(v)
+  return s === undefined ? "undefined" : s.length > 40 ? `${s.slice(0, 37)}...` : s
+}
+
+function walk(schema, value, path, root, errors) {
+  if (schema.$ref) {
+    const name = schema.$ref.replace(/^#\/\$defs\//, "")
+    return walk(root.$defs[name], value, path, root, errors)
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type)
+    if (!types.some((t) => typeMatches(value, t))) {
+      errors.push(`${path}: expected ${types.join(" or ")}, got ${typeOf(value)}`)
+      return
+    }
+  }
+  if ("const" in schema && value !== schema.const) {
+    errors.push(`${path}: must be ${show(schema.const)} (got ${show(value)})`)
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(", ")} (got ${show(value)})`)
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum} (got ${value})`)
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum} (got ${value})`)
+  }
+  if (typeof value === "string") {
+    if (schema.minLength && value.length < schema.minLength) errors.push(`${path}: must not be empty`)
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: must match ${schema.pattern} (got ${show(value)})`)
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => walk(schema.items, item, `${path}[${i}]`, root, errors))
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value) || value[key] === undefined) errors.push(`${path}.${key}: required`)
+    }
+    const props = schema.properties || {}
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined) continue
+      if (props[key]) walk(props[key], v, `${path}.${key}`, root, errors)
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: unexpected property`)
+      else if (typeof schema.additionalProperties === "object") {
+        walk(schema.additionalProperties, v, `${path}.${key}`, root, errors)
+      }
+    }
+  }
+}
+
+// → [] when valid, else messages like "$.checks[3].status: must be one of …"
+export function validate(schema, value, { maxErrors = 20 } = {}) {
+  const errors = []
+  walk(schema, value, "$", schema, errors)
+  return errors.slice(0, maxErrors)
+}
+
+export const validateAudit = (payload) => validate(AUDIT_SCHEMA, payload)
+export const validateDiff = (payload) => validate(DIFF_SCHEMA, payload)
+export const validateComparison = (payload) => validate(COMPARISON_SCHEMA, payload)
+
+/** ---------- normalize ---------- */
+// One shape for every engine path (normal, blocked, timeout, aborted) and for
+// snapshots saved before the schema existed; scoring fields are left to the caller.
+export function normalizeAudit(p) {
+  return {
+    ...p,
+    schemaVersion: SCHEMA_VERSION,
+    ok: true,
+    url: p.url || p.normalizedUrl || "",
+    normalizedUrl: p.normalizedUrl || p.url || "",
+    finalUrl: p.finalUrl || p.normalizedUrl || p.url || "",
+    fetchedStatus: Number.isInteger(p.fetchedStatus) ? p.fetchedStatus : 0,
+    timingMs: Number.isFinite(p.timingMs) ? p.timingMs : 0,
+    title: p.title || "",
+    metaTitle: p.metaTitle || "",
+    metaDescription: p.metaDescription || "",
+    speed: Number.isFinite(p.speed) ? p.speed : null,
+    blocked: !!p.blocked,
+    timeout: !!p.timeout,
+    crawlerWarning: !!p.crawlerWarning,
+    crawlerWarningMsg: p.crawlerWarningMsg || null,
+    checks: (p.checks || []).map(({ id, label, status, details, value }) => ({
+      id,
+      label: label || id,
+      status,
+      ...(details !== undefined && { details: String(details) }),
+      ...(value !== undefined && { value }),
+    })),
+  }
+}
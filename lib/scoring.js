@@ -0,0 +1,303 @@
+// lib/scoring.js
+// Single source of truth for the audit score. /api/check attaches it to every
+// payload and send-pdf recomputes with the same code, so screen and PDF agree.
+
+import customProfiles from "../config/scoring-profiles.json" with { type: "json" }
+
+/** ---------- categories & weights ---------- */
+export const CATS = {
+  SEO: [
+    "sitemap",
+    "robots",
+    "favicon",
+    "opengraph",
+    "canonical",
+    "noindex",
+    "meta-robots",
+    "meta-description",
+    "title-length",
+    "viewport",
+    "www-canonical",
+    "img-alt",
+    "structured-data",
+    "h1-structure",
+    "hreflang",
+    "links",
+    "llms",
+    "lighthouse-seo",
+    "lighthouse-accessibility",
+  ],
+  PERFORMANCE: [
+    "timeout",
+    "psi",
+    "field-lcp",
+    "field-inp",
+    "field-cls",
+    "lab-lcp",
+    "lab-tbt",
+    "lab-cls",
+    "lab-fcp",
+    "lab-si",
+    "ttfb",
+    "img-modern",
+    "img-size",
+    "img-lazy",
+    "compression",
+  ],
+  SECURITY: [
+    "blocked",
+    "http",
+    "https-redirect",
+    "mixed-content",
+    "security-headers",
+    "lighthouse-best-practices",
+  ],
+}
+
+export const EXCLUDE_FROM_SCORE = new Set(["blocked", "timeout"])
+
+export const WEIGHTS = {
+  // SEO
+  sitemap: 2.2,
+  canonical: 2.0,
+  "meta-robots": 1.0,
+  robots: 1.6,
+  "www-canonical": 1.2,
+  noindex: 5,
+  "img-alt": 1.2,
+  "structured-data": 1.4,
+  "h1-structure": 1.0,
+  hreflang: 0.8,
+  links: 1.2,
+  viewport: 1.1,
+  "meta-description": 0.8,
+  "title-length": 0.8,
+  opengraph: 0.5,
+  favicon: 0.3,
+  llms: 0.3,
+  "lighthouse-seo": 0.6,
+  "lighthouse-accessibility": 0.4,
+  // Performance
+  psi: 2.4,
+  // real-user CrUX data; lab metrics already feed the psi score, so they weigh little
+  "field-lcp": 1.2,
+  "field-inp": 1.0,
+  "field-cls": 1.0,
+  "lab-lcp": 0.3,
+  "lab-tbt": 0.3,
+  "lab-cls": 0.3,
+  "lab-fcp": 0.2,
+  "lab-si": 0.2,
+  ttfb: 1.4,
+  "img-size": 1.2,
+  "img-modern": 0.8,
+  "img-lazy": 0.6,
+  compression: 1.2,
+  // Security / Tech
+  http: 2.0,
+  "mixed-content": 1.8,
+  "security-headers": 1.0,
+  "https-redirect": 1.8,
+  "lighthouse-best-practices": 0.5,
+}
+
+export const CATEGORY_WEIGHTS = { SEO: 0.55, PERFORMANCE: 0.35, SECURITY: 0.1 }
+
+// Hard caps: a failing check here limits the overall score no matter how good
+// the rest is. Checked in order; the lowest triggered cap wins.
+export const GATES = [
+  { id: "noindex", checks: ["noindex"], cap: 0, reason: "Page disallows indexing (noindex)" },
+  { id: "http", checks: ["http"], cap: 40, reason: "Page does not return a 2xx/3xx status" },
+  { id: "canonical", checks: ["canonical"], cap: 65, reason: "Canonical tag missing or points elsewhere" },
+  { id: "crawl", checks: ["sitemap", "robots"], cap: 80, reason: "Sitemap or robots.txt failing" },
+]
+
+/** ---------- profiles ---------- */
+// A profile overrides the defaults above. Shape (also used by custom profiles):
+//   { label, extends?, weights: { [checkId]: n }, categoryWeights: { SEO, PERFORMANCE, SECURITY },
+//     gates: { [gateId]: cap | null (off) | { cap, checks, reason } (new gate) } }
+// Custom profiles come from config/scoring-profiles.json and the SCORING_PROFILES
+// env var (same JSON shape, keyed by profile name); env wins over file wins over built-ins.
+const BUILTIN_PROFILES = {
+  default: { label: "Default" },
+  ecommerce: {
+    label: "E-commerce",
+    weights: {
+      "structured-data": 2.4,
+      "img-size": 1.8,
+      "img-modern": 1.2,
+      "img-alt": 1.6,
+      psi: 3.0,
+      ttfb: 1.8,
+      "mixed-content": 2.2,
+      "https-redirect": 2.2,
+    },
+    categoryWeights: { SEO: 0.45, PERFORMANCE: 0.4, SECURITY: 0.15 },
+  },
+  local: {
+    label: "Local services",
+    weights: {
+      "structured-data": 2.2,
+      viewport: 1.6,
+      "title-length": 1.2,
+      "meta-description": 1.2,
+      opengraph: 0.8,
+      psi: 2.0,
+    },
+    categoryWeights: { SEO: 0.6, PERFORMANCE: 0.3, SECURITY: 0.1 },
+    gates: { crawl: 85 },
+  },
+  publisher: {
+    label: "Publisher",
+    weights: {
+      sitemap: 2.8,
+      canonical: 2.4,
+      "structured-data": 2.0,
+      "h1-structure": 1.6,
+      opengraph: 1.2,
+      "meta-description": 1.2,
+      llms: 0.8,
+    },
+    categoryWeights: { SEO: 0.6, PERFORMANCE: 0.3, SECURITY: 0.1 },
+    gates: { canonical: 60, crawl: 70 },
+  },
+}
+
+function parseProfiles(raw) {
+  if (!raw) return {}
+  try {
+    const obj = typeof raw === "string" ? JSON.parse(raw) : raw
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) return {}
+    return Object.fromEntries(
+      Object.entries(obj)
+        .filter(([, def]) => def && typeof def === "object")
+        .map(([name, def]) => [name.toLowerCase(), def])
+    )
+  } catch {
+    return {}
+  }
+}
+
+const PROFILE_DEFS = {
+  ...BUILTIN_PROFILES,
+  ...parseProfiles(customProfiles),
+  ...parseProfiles(process.env.SCORING_PROFILES),
+}
+
+export const DEFAULT_PROFILE = "default"
+export const PROFILE_NAMES = Object.keys(PROFILE_DEFS)
+
+const finite = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null)
+
+function mergeGates(base, overrides = {}) {
+  const out = base.map((g) => ({ ...g }))
+  for (const [id, o] of Object.entries(overrides || {})) {
+    const i = out.findIndex((g) => g.id === id)
+    if (o === null) {
+      if (i >= 0) out.splice(i, 1)
+    } else if (finite(o) !== null) {
+      if (i >= 0) out[i].cap = o
+    } else if (o && typeof o === "object" && Array.isArray(o.checks) && finite(o.cap) !== null) {
+      const g = { id, checks: o.checks.map(String), cap: o.cap, reason: String(o.reason || `${id} failing`) }
+      if (i >= 0) out[i] = g
+      else out.push(g)
+    }
+  }
+  return out
+}
+
+const numbersOnly = (obj) =>
+  Object.fromEntries(Object.entries(obj || {}).filter(([, v]) => finite(v) !== null))
+
+// → { id, label, weights, categoryWeights, gates } or null when unknown
+export function resolveProfile(name = DEFAULT_PROFILE, seen = new Set()) {
+  const id = String(name || DEFAULT_PROFILE).toLowerCase()
+  const def = Object.hasOwn(PROFILE_DEFS, id) ? PROFILE_DEFS[id] : null
+  if (!def || seen.has(id)) return null
+  seen.add(id)
+
+  const parent =
+    def.extends && def.extends !== id ? resolveProfile(def.extends, seen) : null
+  const base = parent || { weights: WEIGHTS, categoryWeights: CATEGORY_WEIGHTS, gates: GATES }
+  return {
+    id,
+    label: String(def.label || id),
+    weights: { ...base.weights, ...numbersOnly(def.weights) },
+    categoryWeights: { ...base.categoryWeights, ...numbersOnly(def.categoryWeights) },
+    gates: mergeGates(base.gates, def.gates),
+  }
+}
+
+/** ---------- helpers ---------- */
+// Older snapshots may still carry locked placeholder rows; never score or list them
+export const isLocked = (c) => c.status === "locked"
+export const weightOf = (id, weights = WEIGHTS) => (Number.isFinite(weights[id]) ? weights[id] : 1)
+
+const usable = (c) => c && !isLocked(c) && !EXCLUDE_FROM_SCORE.has(c.id)
+const vFor = (st) => (st === "pass" ? 1 : st === "warn" ? 0.5 : 0)
+
+export function catWeightedScore(checks, ids, weights = WEIGHTS) {
+  const items = (checks || []).filter((c) => usable(c) && ids.includes(c.id))
+  if (!items.length) return null
+  let sum = 0,
+    wsum = 0
+  for (const c of items) {
+    const w = weightOf(c.id, weights)
+    sum += w * vFor(String(c.status).toLowerCase())
+    wsum += w
+  }
+  return wsum ? sum / wsum : 1
+}
+
+export function harmonicMean(catScores, catWeights) {
+  const entries = Object.entries(catScores).filter(([, v]) => typeof v === "number" && v > 0)
+  if (!entries.length) return 1
+  let num = 0,
+    denom = 0
+  for (const [cat, s] of entries) {
+    const w = Number(catWeights?.[cat] ?? 1)
+    const sClamped = Math.max(0.05, Math.min(1, s))
+    num += w
+    denom += w / sClamped
+  }
+  return num / denom
+}
+
+// → { overall, gate: { id, cap, reason, checks } | null, gates: [...all triggered] }
+export function applyGates(overall0to100, checks = [], gateList = GATES) {
+  const byId = Object.fromEntries((checks || []).map((c) => [c.id, c]))
+  const isFail = (id) => String(byId[id]?.status || "").toLowerCase() === "fail"
+
+  const gates = []
+  for (const g of gateList) {
+    const failing = g.checks.filter(isFail)
+    if (failing.length) gates.push({ id: g.id, cap: g.cap, reason: g.reason, checks: failing })
+  }
+
+  let overall = overall0to100
+  let gate = null
+  for (const g of gates) {
+    if (g.cap < overall) {
+      overall = g.cap
+      gate = g
+    }
+  }
+  return { overall, gate, gates }
+}
+
+/** ---------- overall ---------- */
+// `profile` is a name or a resolved profile; unknown names fall back to default
+export function computeOverall(checks, profile = DEFAULT_PROFILE) {
+  const p =
+    (typeof profile === "object" && profile) ||
+    resolveProfile(profile) ||
+    resolveProfile(DEFAULT_PROFILE)
+  const catScores = {
+    SEO: catWeightedScore(checks, CATS.SEO, p.weights),
+    PERFORMANCE: catWeightedScore(checks, CATS.PERFORMANCE, p.weights),
+    SECURITY: catWeightedScore(checks, CATS.SECURITY, p.weights),
+  }
+  const uncapped = Math.round(harmonicMean(catScores, p.categoryWeights) * 100)
+  const { overall, gate, gates } = applyGates(uncapped, checks, p.gates)
+  return { overall, uncapped, catScores, gate, gates, profile: { id: p.id, label: p.label } }
+}
@@ -0,0 +1,547 @@
+// lib/sitemaps.js
+// Sitemaps per sitemaps.org 0.9: fetch (gzip included), a structural XML pass,
+// protocol limits, lastmod formats and hreflang xhtml:link alternates, plus a
+// bounded walk through sitemap indexes. Edge-safe: fetch + Web streams only.
+
+import { parseLangTag } from "./hreflang.js"
+
+export const SITEMAP_NS = "http://www.sitemaps.org/schemas/sitemap/0.9"
+const XHTML_NS = "http://www.w3.org/1999/xhtml"
+
+export const SITEMAP_MAX_URLS = 50000
+export const SITEMAP_MAX_BYTES = 50 * 1024 * 1024 // uncompressed
+// Only this much of a file is kept and parsed; the rest is just counted
+export const SITEMAP_PARSE_BYTES = 4 * 1024 * 1024
+const MAX_LOC_LENGTH = 2048
+const MAX_KEPT = 1000 // entries kept per file for sampling and hreflang cross-checks
+const MAX_REPORTED = 10 // examples per issue category
+
+// Issue categories reported in the sitemap check's value, in display order
+export const SITEMAP_ISSUES = [
+  "fetch", // sitemap unreachable / non-200 / bad gzip
+  "xml", // malformed XML, wrong root or namespace, unexpected elements
+  "limits", // > 50,000 URLs or > 50 MB
+  "loc", // missing, relative, too long or off-host <loc>
+  "lastmod", // not W3C Datetime, or in the future
+  "hreflang", // bad xhtml:link alternates
+  "status", // sampled URL not 200
+  "redirect", // sampled URL redirects
+  "noindex", // sampled URL is noindex
+  "canonical", // sampled URL canonicalises elsewhere
+]
+
+const CHANGEFREQ = new Set(["always", "hourly", "daily", "weekly", "monthly", "yearly", "never"])
+// W3C Datetime: YYYY, YYYY-MM, YYYY-MM-DD, or a date with hh:mm[:ss[.s]] and a zone
+const LASTMOD_RE =
+  /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d))?)?)?$/
+
+/** ---------- issue log ---------- */
+// { [category]: { count, examples: [{ url?, line?, message }] } }
+export function createIssueLog() {
+  const issues = {}
+  const add = (category, example) => {
+    const c = (issues[category] ||= { count: 0, examples: [] })
+    c.count++
+    if (c.examples.length < MAX_REPORTED) c.examples.push(example)
+  }
+  // fold another log in (e.g. one file's parse issues), tagging its examples
+  const merge = (other = {}, extra = {}) => {
+    for (const [category, c] of Object.entries(other)) {
+      const into = (issues[category] ||= { count: 0, examples: [] })
+      into.count += c.count
+      for (const ex of c.examples) {
+        if (into.examples.length < MAX_REPORTED) into.examples.push({ ...extra, ...ex })
+      }
+    }
+  }
+  return { issues, add, merge }
+}
+
+const decodeXml = (s = "") =>
+  String(s)
+    .replace(/&#(\d+);/g, (m, n) => {
+      try { return String.fromCodePoint(parseInt(n, 10)) } catch { return m }
+    })
+    .replace(/&#x([\da-f]+);/gi, (m, n) => {
+      try { return String.fromCodePoint(parseInt(n, 16)) } catch { return m }
+    })
+    .replace(/&(amp|lt|gt|quot|apos);/g, (m, name) => ({ amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[name]))
+
+const parseAttrs = (s = "") => {
+  const out = {}
+  for (const m of s.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) out[m[1]] = decodeXml(m[2] ?? m[3])
+  return out
+}
+
+const isAbsoluteHttp = (u) => {
+  try {
+    return /^https?:$/.test(new URL(u).protocol)
+  } catch {
+    return false
+  }
+}
+
+/** ---------- parse ---------- */
+const TOKEN_RE =
+  /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([A-Za-z_][\w.:-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g
+const ENTITY_RE = /&(?!(#\d+|#x[\da-f]+|[a-z][\w.-]*);)/i
+const URL_FIELDS = new Set(["loc", "lastmod", "changefreq", "priority"])
+
+// → { type: "urlset" | "sitemapindex" | null, namespace, count, entries, issues }
+// entries: urlset → [{ loc, lastmod, alternates: [{ hreflang, href }] }], index → [{ loc, lastmod }]
+// truncated: xml is a prefix of the file, so an unfinished end is not an error;
+// more: entries counted past that prefix ({ url, sitemap }), added to count
+export function parseSitemap(xml = "", { url = "", now = Date.now(), truncated = false, more = null } = {}) {
+  const src = String(xml || "").replace(/^\uFEFF/, "")
+  const { issues, add } = createIssueLog()
+  const host = (() => {
+    try {
+      return new URL(url).host
+    } catch {
+      return ""
+    }
+  })()
+
+  // line numbers for issue examples; tokens only move forward
+  let lineAt = 0
+  let line = 1
+  const lineOf = (idx) => {
+    for (let i = lineAt; i < idx; i++) if (src.charCodeAt(i) === 10) line++
+    lineAt = Math.max(lineAt, idx)
+    return line
+  }
+
+  const ns = {}
+  const nsOf = (name) => {
+    const i = name.indexOf(":")
+    return i === -1 ? ns[""] : ns[name.slice(0, i)]
+  }
+  const local = (name) => name.slice(name.indexOf(":") + 1)
+
+  let type = null
+  let namespace = null
+  let count = 0
+  const entries = []
+  const stack = []
+  let rootClosed = false
+  let entry = null
+  let field = null // sitemap-namespace child of <url>/<sitemap> whose text we collect
+  let text = ""
+  let xhtmlUndeclared = false
+
+  const checkText = (s, idx) => {
+    if (!s.trim()) return
+    if (s.includes("<")) add("xml", { line: lineOf(idx), message: "Unescaped \"<\" in text" })
+    if (ENTITY_RE.test(s)) add("xml", { line: lineOf(idx), message: "Unescaped \"&\" (use &amp;)" })
+    if (field) text += s
+    else if (!stack.length) add("xml", { line: lineOf(idx), message: "Text outside the root element" })
+  }
+
+  const closeEntry = () => {
+    const at = entry.line
+    const loc = decodeXml(entry.loc?.trim() || "")
+    if (!entry.locs) add("loc", { line: at, message: `<${entry.kind}> without <loc>` })
+    else if (entry.locs > 1) add("xml", { line: at, message: `<${entry.kind}> has ${entry.locs} <loc> elements` })
+    if (loc) {
+      if (!isAbsoluteHttp(loc)) add("loc", { line: at, message: `Not an absolute http(s) URL: ${loc.slice(0, 100)}` })
+      else if (host && new URL(loc).host !== host) add("loc", { line: at, message: `On another host: ${loc.slice(0, 100)}` })
+      if (loc.length > MAX_LOC_LENGTH) add("loc", { line: at, message: `Longer than ${MAX_LOC_LENGTH} characters` })
+    }
+    const lastmod = entry.lastmod?.trim() || null
+    if (lastmod !== null) {
+      if (!LASTMOD_RE.test(lastmod)) {
+        add("lastmod", { line: at, message: `Not W3C Datetime: "${lastmod.slice(0, 40)}"` })
+      } else if (Date.parse(lastmod) > now + 24 * 3600 * 1000) {
+        add("lastmod", { line: at, message: `In the future: ${lastmod}` })
+      }
+    }
+    if (entry.changefreq != null && !CHANGEFREQ.has(entry.changefreq.trim())) {
+      add("xml", { line: at, message: `Invalid changefreq "${entry.changefreq.trim().slice(0, 20)}"` })
+    }
+    if (entry.priority != null) {
+      const p = entry.priority.trim()
+      if (!/^(0(\.\d+)?|1(\.0+)?)$/.test(p)) add("xml", { line: at, message: `Priority must be 0.0–1.0 (got "${p.slice(0, 10)}")` })
+    }
+
+    const alternates = entry.alternates || []
+    if (alternates.length) {
+      const seen = new Set()
+      for (const a of alternates) {
+        const tag = parseLangTag(a.hreflang)
+        if (tag.error) {
+          add("hreflang", { line: a.line, message: `Invalid hreflang "${a.hreflang || ""}": ${tag.error}` })
+        } else if (seen.has(a.hreflang.toLowerCase())) {
+          add("hreflang", { line: a.line, message: `Duplicate hreflang "${a.hreflang}"` })
+        }
+        seen.add((a.hreflang || "").toLowerCase())
+        if (!isAbsoluteHttp(a.href)) add("hreflang", { line: a.line, message: `Alternate href not absolute: ${a.href.slice(0, 100)}` })
+      }
+      if (loc && !alternates.some((a) => a.href === loc)) {
+        add("hreflang", { line: at, message: `No self-referencing alternate for ${loc.slice(0, 100)}` })
+      }
+    }
+
+    count++
+    if (entries.length < MAX_KEPT && loc) {
+      entries.push(
+        entry.kind === "url"
+          ? { loc, lastmod, alternates: alternates.map(({ hreflang, href }) => ({ hreflang, href })) }
+          : { loc, lastmod }
+      )
+    }
+    entry = null
+  }
+
+  // close the innermost open element (also used to recover from mismatched tags)
+  const pop = () => {
+    const name = stack.pop()
+    const depth = stack.length
+    if (field && depth === 2 && local(name) === field) {
+      entry[field] = (entry[field] || "") + text
+      if (field === "loc") entry.locs = (entry.locs || 0) + 1
+      field = null
+    } else if (entry && depth === 1) closeEntry()
+    if (!depth) rootClosed = true
+  }
+
+  let last = 0
+  for (const m of src.matchAll(TOKEN_RE)) {
+    checkText(src.slice(last, m.index), last)
+    last = m.index + m[0].length
+    const [tok, cdata, closing, name, rawAttrs, selfClosing] = m
+    if (cdata !== undefined) {
+      if (field) text += cdata
+      continue
+    }
+    if (!name) {
+      if (/^<!DOCTYPE/i.test(tok)) add("xml", { line: lineOf(m.index), message: "DOCTYPE is not allowed in sitemaps" })
+      continue
+    }
+
+    if (closing) {
+      const top = stack[stack.length - 1]
+      if (top !== name) {
+        add("xml", { line: lineOf(m.index), message: top ? `Mismatched </${name}> (expected </${top}>)` : `Stray </${name}>` })
+        if (!stack.includes(name)) continue
+        while (stack[stack.length - 1] !== name) pop()
+      }
+      pop()
+      continue
+    }
+
+    const attrs = parseAttrs(rawAttrs)
+    for (const [k, v] of Object.entries(attrs)) {
+      if (k === "xmlns") ns[""] = v
+      else if (k.startsWith("xmlns:")) ns[k.slice(6)] = v
+    }
+    const depth = stack.length
+    if (!selfClosing) stack.push(name)
+
+    if (depth === 0) {
+      if (rootClosed || type) {
+        add("xml", { line: lineOf(m.index), message: "More than one root element" })
+        continue
+      }
+      const root = local(name)
+      if (root !== "urlset" && root !== "sitemapindex") {
+        add("xml", { line: lineOf(m.index), message: `Root element must be <urlset> or <sitemapindex> (got <${name}>)` })
+        type = "invalid"
+        continue
+      }
+      type = root
+      namespace = nsOf(name) || null
+      if (namespace !== SITEMAP_NS) {
+        add("xml", { line: lineOf(m.index), message: `Namespace must be ${SITEMAP_NS} (got ${namespace || "none"})` })
+      }
+      continue
+    }
+    if (type === "invalid") continue
+
+    const inSitemapNs = (nsOf(name) || null) === namespace
+    const child = type === "urlset" ? "url" : "sitemap"
+    if (depth === 1) {
+      if (inSitemapNs && local(name) === child) {
+        entry = { kind: child, line: lineOf(m.index) }
+        if (selfClosing) closeEntry()
+      } else if (inSitemapNs) {
+        add("xml", { line: lineOf(m.index), message: `Unexpected <${name}> in <${type}>` })
+      }
+      continue
+    }
+    if (depth === 2 && entry) {
+      const l = local(name)
+      if (inSitemapNs && (child === "url" ? URL_FIELDS.has(l) : l === "loc" || l === "lastmod")) {
+        field = selfClosing ? null : l
+        text = ""
+        if (selfClosing && l === "loc") entry.locs = (entry.locs || 0) + 1
+      } else if (inSitemapNs) {
+        add("xml", { line: lineOf(m.index), message: `Unexpected <${name}> in <${child}>` })
+      } else if (l === "link" && child === "url") {
+        const prefix = name.includes(":") ? name.slice(0, name.indexOf(":")) : ""
+        if (nsOf(name) !== XHTML_NS && !xhtmlUndeclared) {
+          xhtmlUndeclared = true
+          add("xml", { line: lineOf(m.index), message: `Prefix "${prefix}" is not bound to ${XHTML_NS}` })
+        }
+        if ((attrs.rel || "").toLowerCase() !== "alternate") {
+          add("hreflang", { line: lineOf(m.index), message: `<${name}> without rel="alternate"` })
+          continue
+        }
+        ;(entry.alternates ||= []).push({ hreflang: attrs.hreflang || "", href: attrs.href || "", line: lineOf(m.index) })
+      }
+    }
+  }
+  const tail = src.slice(last)
+  if (tail.trim() && !truncated) checkText(tail, last)
+
+  if (!type) add("xml", { line: 1, message: "Not a sitemap: no <urlset> or <sitemapindex> root element" })
+  else if (stack.length && !truncated) add("xml", { line: lineOf(src.length), message: `Unclosed <${stack[stack.length - 1]}>` })
+  if (more && (type === "urlset" || type === "sitemapindex")) count += more[type === "urlset" ? "url" : "sitemap"] || 0
+  if (count > SITEMAP_MAX_URLS) {
+    add("limits", { message: `${count.toLocaleString("en-US")} entries (limit ${SITEMAP_MAX_URLS.toLocaleString("en-US")})` })
+  }
+
+  // hreflang return links between entries of the same file
+  if (type === "urlset") {
+    const byLoc = new Map(entries.map((e) => [e.loc, e]))
+    for (const e of entries) {
+      for (const a of e.alternates) {
+        const other = a.href !== e.loc && byLoc.get(a.href)
+        if (other && !other.alternates.some((b) => b.href === e.loc)) {
+          add("hreflang", { message: `${a.href.slice(0, 100)} does not link back to ${e.loc.slice(0, 100)}` })
+        }
+      }
+    }
+  }
+
+  return { type: type === "invalid" ? null : type, namespace, count, entries, issues }
+}
+
+/** ---------- fetch ---------- */
+// <url> / <sitemap> start tags, for counting entries in text that is not parsed
+const ENTRY_TAG_RE = /<(?:[\w.-]{1,20}:)?(url|sitemap)[\s/>]/g
+const ENTRY_TAG_MAX = 32 // longest possible ENTRY_TAG_RE match, plus slack
+
+// Streaming count of entry start tags → { push(bytes), end() → { url, sitemap } }.
+// The last few characters of each chunk wait for the next one, so a tag split
+// across chunks is counted once.
+function createEntryCounter() {
+  const decoder = new TextDecoder("utf-8")
+  const counts = { url: 0, sitemap: 0 }
+  let carry = ""
+  const scan = (text, upTo) => {
+    for (const m of text.matchAll(ENTRY_TAG_RE)) if (m.index < upTo) counts[m[1]]++
+  }
+  return {
+    push(bytes) {
+      const text = carry + decoder.decode(bytes, { stream: true })
+      const upTo = Math.max(0, text.length - ENTRY_TAG_MAX)
+      scan(text, upTo)
+      carry = text.slice(upTo)
+    },
+    end() {
+      scan(carry + decoder.decode(), Infinity)
+      carry = ""
+      return counts
+    },
+  }
+}
+
+// Counts a stream's bytes up to `max` but keeps only the first `keep` of them
+// → { bytes, total, over }; stops reading as soon as `max` is passed.
+// onChunk sees every chunk read, kept or not.
+export async function readPrefix(stream, keep, max, onChunk = () => {}) {
+  const reader = stream.getReader()
+  const chunks = []
+  let kept = 0
+  let total = 0
+  let over = false
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+    total += value.byteLength
+    onChunk(value)
+    if (kept < keep) {
+      const part = value.byteLength > keep - kept ? value.slice(0, keep - kept) : value
+      chunks.push(part)
+      kept += part.byteLength
+    }
+    if (total > max) {
+      over = true
+      reader.cancel().catch(() => {})
+      break
+    }
+  }
+  const bytes = new Uint8Array(kept)
+  let offset = 0
+  for (const c of chunks) {
+    bytes.set(c, offset)
+    offset += c.byteLength
+  }
+  return { bytes, total, over }
+}
+
+// The body again, with the chunk already read (to sniff gzip) put back in front
+function unshift(first, reader) {
+  return new ReadableStream({
+    start(ctrl) {
+      if (first.value?.byteLength) ctrl.enqueue(first.value)
+      if (first.done) ctrl.close()
+    },
+    async pull(ctrl) {
+      const { done, value } = await reader.read()
+      if (done) ctrl.close()
+      else ctrl.enqueue(value)
+    },
+    cancel: (reason) => reader.cancel(reason),
+  })
+}
+
+// A prefix ends mid-entry: cut back to the last whole <url>/<sitemap> and close
+// the root, so the parse reports the entries instead of the cut
+function closePrefix(xml) {
+  const ends = [
+    ["</url>", "</urlset>"],
+    ["</sitemap>", "</sitemapindex>"],
+  ].map(([tag, root]) => ({ at: xml.lastIndexOf(tag), tag, root }))
+  const last = ends.reduce((a, b) => (b.at > a.at ? b : a))
+  return last.at < 0 ? xml : xml.slice(0, last.at + last.tag.length) + last.root
+}
+
+// One sitemap file → { url, finalUrl, status, gzip, bytes, oversize, truncated, more, xml, error? }
+// bytes: uncompressed size (counted up to maxBytes); oversize: over maxBytes;
+// truncated: only the first parseBytes are in xml; more: entries past what is in
+// xml ({ url, sitemap }), counted while the rest streamed by.
+// Gzip is detected by its magic bytes, so it works whatever the Content-Type says.
+export async function readSitemap(
+  url,
+  { timeoutMs = 6000, headers = {}, maxBytes = SITEMAP_MAX_BYTES, parseBytes = SITEMAP_PARSE_BYTES } = {}
+) {
+  const c = new AbortController()
+  const timer = setTimeout(() => c.abort(), timeoutMs)
+  const out = { url, finalUrl: url, status: 0, gzip: false, bytes: 0, oversize: false, truncated: false, more: null, xml: "" }
+  try {
+    const r = await fetch(url, { redirect: "follow", signal: c.signal, headers, cache: "no-store" })
+    out.status = r.status
+    out.finalUrl = r.url || url
+    if (!r.ok) {
+      r.body?.cancel().catch(() => {})
+      return { ...out, error: `HTTP ${r.status}` }
+    }
+    if (!r.body) return out
+
+    const reader = r.body.getReader()
+    const first = await reader.read()
+    let body = unshift(first, reader)
+    if (first.value?.[0] === 0x1f && first.value?.[1] === 0x8b) {
+      out.gzip = true
+      let gunzip
+      try {
+        gunzip = new DecompressionStream("gzip")
+      } catch {
+        body.cancel().catch(() => {})
+        return { ...out, error: "Gzip not supported by this runtime" }
+      }
+      body = body.pipeThrough(gunzip)
+    }
+
+    // entry start tags in everything read, kept or not ({ url, sitemap })
+    const counter = createEntryCounter()
+    let read
+    try {
+      read = await readPrefix(body, parseBytes, maxBytes, (chunk) => counter.push(chunk))
+    } catch (e) {
+      if (!out.gzip || e?.name === "AbortError") throw e
+      return { ...out, error: "Invalid gzip data" }
+    }
+    out.bytes = read.total
+    out.oversize = read.over
+    out.truncated = read.total > read.bytes.byteLength
+    const xml = new TextDecoder("utf-8").decode(read.bytes)
+    out.xml = out.truncated ? closePrefix(xml) : xml
+    if (out.truncated) {
+      const inXml = { url: 0, sitemap: 0 }
+      for (const m of out.xml.matchAll(ENTRY_TAG_RE)) inXml[m[1]]++
+      const tags = counter.end()
+      out.more = { url: tags.url - inXml.url, sitemap: tags.sitemap - inXml.sitemap }
+    }
+    return out
+  } catch (e) {
+    return { ...out, error: e?.name === "AbortError" ? "Timed out" : "Fetch failed" }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/** ---------- walk ---------- */
+// Breadth-first through sitemap indexes from `roots`, at most `maxFiles` fetches and
+// `maxDepth` levels below a root.
+// → { files, urls: [{ loc, lastmod, alternates, sitemap }], totals, skipped, issues }
+export async function walkSitemaps(
+  roots = [],
+  { maxDepth = 2, maxFiles = 5, maxUrls = MAX_KEPT, timeoutMs = () => 6000, canFetch = () => true, headers = {} } = {}
+) {
+  const log = createIssueLog()
+  const files = []
+  const urls = []
+  const totals = { files: 0, indexes: 0, urls: 0 }
+  let skipped = 0
+  const seen = new Set()
+  const queue = roots.map((url) => ({ url, depth: 0, parent: null }))
+
+  while (queue.length) {
+    const { url, depth, parent } = queue.shift()
+    if (seen.has(url)) continue
+    seen.add(url)
+    if (files.length >= maxFiles || !canFetch()) {
+      skipped++
+      continue
+    }
+
+    const res = await readSitemap(url, { timeoutMs: timeoutMs(), headers })
+    const file = { url, finalUrl: res.finalUrl, depth, status: res.status, gzip: res.gzip, bytes: res.bytes, type: null, entries: 0 }
+    if (parent) file.parent = parent
+    files.push(file)
+    if (res.error) {
+      file.error = res.error
+      log.add("fetch", { url, message: res.error })
+      continue
+    }
+    const mb = (n) => `${Math.round(n / 1024 / 1024)} MB`
+    if (res.oversize) log.add("limits", { url, message: `Larger than ${mb(SITEMAP_MAX_BYTES)} uncompressed` })
+    if (res.truncated) {
+      file.truncated = true
+      log.add("limits", { url, message: `Too large to parse fully; checked the first ${mb(SITEMAP_PARSE_BYTES)}, counted entries in all of it` })
+    }
+
+    const parsed = parseSitemap(res.xml, { url: res.finalUrl, truncated: res.truncated, more: res.more })
+    log.merge(parsed.issues, { url: res.finalUrl })
+    file.type = parsed.type
+    file.entries = parsed.count
+    if (!parsed.type) continue
+    totals.files++
+
+    if (parsed.type === "sitemapindex") {
+      totals.indexes++
+      if (depth > 0) log.add("xml", { url: res.finalUrl, message: "Sitemap index listed inside another sitemap index" })
+      if (depth >= maxDepth) {
+        skipped += parsed.entries.length
+        continue
+      }
+      for (const e of parsed.entries) queue.push({ url: e.loc, depth: depth + 1, parent: res.finalUrl })
+    } else {
+      totals.urls += parsed.count
+      for (const e of parsed.entries) {
+        if (urls.length >= maxUrls) break
+        urls.push({ ...e, sitemap: res.finalUrl })
+      }
+    }
+  }
+  return { files, urls, totals, skipped, issues: log.issues }
+}
+
+// `count` entries spread evenly over the list (first one always included)
+export function spreadSample(list = [], count = 1) {
+  if (list.length <= count) return list.slice()
+  const step = list.length / count
+  return Array.from({ length: count }, (_, i) => list[Math.floor(i * step)])
+}
@@ -0,0 +1,151 @@
+// lib/snapshots.js
+// Shareable audit snapshots, kept in the private store (lib/store.js) so they
+// are only ever served through the API, which enforces expiry.
+// Snapshots live at snapshots/<expiry day>/<id>.json and carry
+// { snapshot: { createdAt, expiresAt } }; the owner's address sits apart in
+// snapshot-owners/<expiry day>/<id>.json. The day folder lets the cleanup cron
+// drop whole days without reading every snapshot.
+// Snapshots shared before the store existed stay readable (read-only) from their
+// public blobs at the bucket root.
+
+import { getPrivateStore, makeId, BLOB_PUBLIC_BASE } from "./store.js"
+
+export const SNAPSHOT_TTL_DAYS = parseInt(process.env.SNAPSHOT_TTL_DAYS || "90", 10)
+const DAY_MS = 24 * 3600 * 1000
+const PREFIX = "snapshots/"
+const OWNER_PREFIX = "snapshot-owners/"
+// snapshots/<day>/<id>.json → snapshot-owners/<day>/<id>.json
+const ownerPathOf = (path) => OWNER_PREFIX + path.slice(PREFIX.length)
+// Only what saveSnapshot writes; ?blob= must never reach other store keys
+const SNAPSHOT_PATH_RE = /^snapshots\/\d{4}-\d{2}-\d{2}\/[a-f0-9]{24}\.json$/
+// Old public snapshots: "<id>.json" or "<id>-<blob random suffix>.json"
+const LEGACY_PATH_RE = /^[a-f0-9]{24}(-[A-Za-z0-9]+)?\.json$/
+
+const pathOf = (pathOrUrl) => {
+  const s = String(pathOrUrl || "")
+  try {
+    return s.includes("://") ? new URL(s).pathname.replace(/^\/+/, "") : s.replace(/^\/+/, "")
+  } catch {
+    return s
+  }
+}
+
+/** ---------- signing ---------- */
+const signingSecret = () =>
+  process.env.SNAPSHOT_SECRET ||
+  process.env.BLOB_READ_WRITE_TOKEN ||
+  process.env.S3_SECRET_ACCESS_KEY ||
+  ""
+
+// false → signValue() would throw; lets callers refuse up front
+export const hasSigningSecret = () => !!signingSecret()
+
+// HMAC-SHA256 hex of `value`; also signs crawl cursors (lib/audit.js)
+export async function signValue(value) {
+  const secret = signingSecret()
+  if (!secret) throw new Error("Missing SNAPSHOT_SECRET")
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  )
+  const sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(value))
+  return Array.from(new Uint8Array(sig), (b) => b.toString(16).padStart(2, "0")).join("")
+}
+
+// Constant-time compare against signValue(value)
+export async function signatureMatches(value, signature) {
+  const expected = await signValue(value)
+  const given = String(signature || "")
+  if (given.length !== expected.length) return false
+  let diff = 0
+  for (let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ given.charCodeAt(i)
+  return diff === 0
+}
+
+// Delete tokens sign the snapshot path; only handed out once, in the save response
+const signPath = (path) => signValue(pathOf(path))
+
+/** ---------- save / load ---------- */
+// Save snapshot and return its path and delete token. The owner's address is
+// kept for takedown requests only, never next to the shared audit.
+export async function saveSnapshot(payload, { owner = null, ttlDays = SNAPSHOT_TTL_DAYS } = {}) {
+  const store = getPrivateStore()
+  const now = Date.now()
+  const expiresAt = new Date(now + ttlDays * DAY_MS).toISOString()
+  const snapshot = { createdAt: new Date(now).toISOString(), expiresAt }
+
+  // 96 random bits in the name keep share links unguessable
+  const path = `${PREFIX}${expiresAt.slice(0, 10)}/${makeId()}.json`
+  const deleteToken = await signPath(path)
+  await store.set(path, { ...payload, snapshot })
+  if (owner) await store.set(ownerPathOf(path), { owner, path, expiresAt })
+  return { shareBlobPath: path, deleteToken, expiresAt }
+}
+
+// Load by full URL OR by path; expired snapshots are refused even before cleanup runs
+export async function loadSnapshotByPath(pathOrUrl) {
+  const store = getPrivateStore()
+  const path = pathOf(pathOrUrl)
+  if (LEGACY_PATH_RE.test(path)) return loadLegacySnapshot(path)
+  const attempted = store.url(path) || path
+  if (!SNAPSHOT_PATH_RE.test(path)) return { ok: false, error: "Not a snapshot path", attempted }
+
+  let json
+  try {
+    json = await store.get(path)
+  } catch (e) {
+    return { ok: false, error: e?.message || "Snapshot read failed", attempted }
+  }
+  if (!json) return { ok: false, error: "Snapshot not found", attempted }
+
+  const expiresAt = Date.parse(json.snapshot?.expiresAt || "")
+  if (Number.isFinite(expiresAt) && expiresAt <= Date.now()) {
+    return { ok: false, expired: true, error: "Snapshot expired", attempted }
+  }
+  return { ok: true, json }
+}
+
+// Legacy ?id=<id> share links: the id is the blob name without ".json"
+export const loadSnapshotById = (id) => loadSnapshotByPath(`${String(id || "").replace(/\.json$/, "")}.json`)
+
+// Public blob written by the old saveSnapshot; no expiry, no delete token
+async function loadLegacySnapshot(path) {
+  const attempted = `${BLOB_PUBLIC_BASE}/${path}`
+  try {
+    const r = await fetch(attempted, { cache: "no-store" })
+    if (!r.ok) return { ok: false, error: `Blob fetch failed (${r.status})`, attempted }
+    const json = await r.json().catch(() => null)
+    return json ? { ok: true, json } : { ok: false, error: "Blob JSON parse failed", attempted }
+  } catch (e) {
+    return { ok: false, error: e?.message || "Blob fetch failed", attempted }
+  }
+}
+
+/** ---------- delete / cleanup ---------- */
+// → { ok: true } | { ok: false, status, error }
+export async function deleteSnapshot(pathOrUrl, token) {
+  const path = pathOf(pathOrUrl)
+  if (!path || !token) return { ok: false, status: 400, error: "Provide ?blob=<path>&token=<deleteToken>" }
+  if (!SNAPSHOT_PATH_RE.test(path)) return { ok: false, status: 400, error: "Not a snapshot path" }
+  if (!(await signatureMatches(path, token))) return { ok: false, status: 403, error: "Invalid delete token" }
+  await getPrivateStore().del([path, ownerPathOf(path)])
+  return { ok: true }
+}
+
+// Deletes every day folder whose expiry day is over, snapshots and owner records alike
+export async function purgeExpiredSnapshots({ now = Date.now() } = {}) {
+  const store = getPrivateStore()
+  const today = new Date(now).toISOString().slice(0, 10)
+  const dayOf = (key) => key.split("/")[1]
+  const expired = [
+    ...(await store.list(PREFIX)),
+    ...(await store.list(OWNER_PREFIX)),
+  ].filter((key) => /^\d{4}-\d{2}-\d{2}$/.test(dayOf(key)) && dayOf(key) < today)
+  const days = [...new Set(expired.filter((key) => key.startsWith(PREFIX)).map(dayOf))]
+  const deleted = expired.filter((key) => key.startsWith(PREFIX)).length
+  for (let i = 0; i < expired.length; i += 100) await store.del(expired.slice(i, i + 100))
+  return { days, deleted }
+}
@@ -0,0 +1,341 @@
+// lib/store.js
+// JSON object storage for server-side state (jobs, history, snapshots, …).
+//   blob → Vercel Blob (production)                  STORE_DRIVER=blob
+//   s3   → any S3-compatible bucket (AWS, R2, MinIO)  STORE_DRIVER=s3
+//   file → JSON files under STORE_DIR                 STORE_DRIVER=file (dev, default without credentials)
+// Every driver implements get/set/del/list plus url(key) (public URL or null)
+// and create(key, value): write only if the key is absent → true, else false.
+// getPrivateStore() wraps the same driver for records that must never be served.
+
+import { put, del as blobDel, list as blobList } from "@vercel/blob"
+
+export const BLOB_PUBLIC_BASE =
+  process.env.BLOB_PUBLIC_BASE ||
+  "https://fqnbg6i9weauas3p.public.blob.vercel-storage.com"
+
+const blobToken = () =>
+  process.env.BLOB_READ_WRITE_TOKEN ||
+  process.env.BLOB_READ_WRITE_TOKEN_READ_WRITE_TOKEN ||
+  ""
+
+// 24 hex chars; ids of stored records (jobs, batches)
+export function makeId() {
+  const a = new Uint8Array(12)
+  crypto.getRandomValues(a)
+  return Array.from(a, (b) => b.toString(16).padStart(2, "0")).join("")
+}
+
+const safeKey = (key) => String(key).replace(/^\/+/, "").replace(/\.\.+/g, ".")
+const keysOf = (keys) => (Array.isArray(keys) ? keys : [keys]).map(safeKey)
+
+/** ---------- drivers ---------- */
+function blobStore() {
+  const token = () => {
+    const t = blobToken()
+    if (!t) throw new Error("Missing BLOB token")
+    return t
+  }
+  const url = (key) => `${BLOB_PUBLIC_BASE}/${safeKey(key)}`
+  return {
+    driver: "blob",
+    url,
+    async get(key) {
+      // public blobs sit behind a CDN; bust it so pollers see fresh state
+      const r = await fetch(`${url(key)}?t=${Date.now()}`, { cache: "no-store" })
+      if (r.status === 404) return null
+      if (!r.ok) throw new Error(`Store read failed (${r.status})`)
+      return r.json()
+    },
+    async set(key, value) {
+      await put(safeKey(key), JSON.stringify(value), {
+        access: "public",
+        contentType: "application/json",
+        addRandomSuffix: false,
+        allowOverwrite: true,
+        cacheControlMaxAge: 60,
+        token: token(),
+      })
+    },
+    async create(key, value) {
+      try {
+        await put(safeKey(key), JSON.stringify(value), {
+          access: "public",
+          contentType: "application/json",
+          addRandomSuffix: false,
+          allowOverwrite: false,
+          token: token(),
+        })
+        return true
+      } catch (e) {
+        if (/already exists/i.test(e?.message || "")) return false
+        throw e
+      }
+    },
+    async del(keys) {
+      const list = keysOf(keys)
+      if (list.length) await blobDel(list.map(url), { token: token() })
+    },
+    async list(prefix = "") {
+      const out = []
+      let cursor
+      do {
+        const page = await blobList({ prefix: safeKey(prefix), cursor, token: token() })
+        out.push(...page.blobs.map((b) => b.pathname))
+        cursor = page.hasMore ? page.cursor : undefined
+      } while (cursor)
+      return out
+    },
+  }
+}
+
+/** ---------- S3 (SigV4 over fetch, so it also runs on the edge) ---------- */
+const enc = new TextEncoder()
+const toHex = (buf) => Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("")
+const sha256Hex = async (data) => toHex(await crypto.subtle.digest("SHA-256", typeof data === "string" ? enc.encode(data) : data))
+async function hmac(key, data) {
+  const k = await crypto.subtle.importKey(
+    "raw",
+    typeof key === "string" ? enc.encode(key) : key,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  )
+  return crypto.subtle.sign("HMAC", k, enc.encode(data))
+}
+// RFC 3986 encoding as SigV4 expects it
+const awsEncode = (s) =>
+  encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+
+export async function signS3Request({ method, url, body = "", region, accessKeyId, secretAccessKey, now = new Date() }) {
+  const u = new URL(url)
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "")
+  const day = amzDate.slice(0, 8)
+  const payloadHash = await sha256Hex(body)
+  const canonicalUri = u.pathname.split("/").map((s) => awsEncode(decodeURIComponent(s))).join("/")
+  const canonicalQuery = [...u.searchParams]
+    .map(([k, v]) => [awsEncode(k), awsEncode(v)])
+    .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : 1) : a < b ? -1 : 1))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&")
+  const headers = { host: u.host, "x-amz-content-sha256": payloadHash, "x-amz-date": amzDate }
+  const signedHeaders = Object.keys(headers).sort().join(";")
+  const canonicalRequest = [
+    method,
+    canonicalUri,
+    canonicalQuery,
+    ...Object.keys(headers).sort().map((h) => `${h}:${headers[h]}`),
+    "",
+    signedHeaders,
+    payloadHash,
+  ].join("\n")
+  const scope = `${day}/${region}/s3/aws4_request`
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, await sha256Hex(canonicalRequest)].join("\n")
+  let key = await hmac(`AWS4${secretAccessKey}`, day)
+  for (const part of [region, "s3", "aws4_request"]) key = await hmac(key, part)
+  const signature = toHex(await hmac(key, stringToSign))
+  return {
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  }
+}
+
+const xmlText = (s = "") =>
+  s.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&")
+
+// Path-style addressing (endpoint/bucket/key) works for AWS, R2 and MinIO alike
+function s3Store({
+  endpoint = process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`,
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || "us-east-1",
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  publicBase = process.env.S3_PUBLIC_BASE || "",
+} = {}) {
+  const base = `${String(endpoint).replace(/\/+$/, "")}/${bucket}`
+  const objectUrl = (key) => `${base}/${safeKey(key).split("/").map(awsEncode).join("/")}`
+  const request = async (method, url, { body = "", headers = {} } = {}) => {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error("Missing S3_BUCKET / S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY")
+    }
+    const signed = await signS3Request({ method, url, body, region, accessKeyId, secretAccessKey })
+    return fetch(url, { method, body: method === "PUT" ? body : undefined, headers: { ...headers, ...signed }, cache: "no-store" })
+  }
+  return {
+    driver: "s3",
+    url: (key) => (publicBase ? `${publicBase.replace(/\/+$/, "")}/${safeKey(key)}` : null),
+    async get(key) {
+      const r = await request("GET", objectUrl(key))
+      if (r.status === 404) return null
+      if (!r.ok) throw new Error(`Store read failed (${r.status})`)
+      return r.json()
+    },
+    async set(key, value) {
+      const r = await request("PUT", objectUrl(key), {
+        body: JSON.stringify(value),
+        headers: { "content-type": "application/json" },
+      })
+      if (!r.ok) throw new Error(`Store write failed (${r.status})`)
+    },
+    async create(key, value) {
+      const r = await request("PUT", objectUrl(key), {
+        body: JSON.stringify(value),
+        headers: { "content-type": "application/json", "if-none-match": "*" },
+      })
+      // 412: already there; 409: a concurrent conditional write won
+      if (r.status === 412 || r.status === 409) return false
+      if (!r.ok) throw new Error(`Store write failed (${r.status})`)
+      return true
+    },
+    async del(keys) {
+      for (const key of keysOf(keys)) {
+        const r = await request("DELETE", objectUrl(key))
+        if (!r.ok && r.status !== 404) throw new Error(`Store delete failed (${r.status})`)
+      }
+    },
+    async list(prefix = "") {
+      const out = []
+      let token
+      do {
+        const u = new URL(base)
+        u.searchParams.set("list-type", "2")
+        u.searchParams.set("prefix", safeKey(prefix))
+        if (token) u.searchParams.set("continuation-token", token)
+        const r = await request("GET", u.toString())
+        if (!r.ok) throw new Error(`Store list failed (${r.status})`)
+        const xml = await r.text()
+        for (const m of xml.matchAll(/<Key>([\s\S]*?)<\/Key>/g)) out.push(xmlText(m[1]))
+        token = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+          ? xmlText(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/.exec(xml)?.[1] || "")
+          : ""
+      } while (token)
+      return out
+    },
+  }
+}
+
+function fileStore(dir = process.env.STORE_DIR || ".data") {
+  // No filesystem on the edge runtime; callers treat store errors as best-effort
+  const fs = () => {
+    if (typeof EdgeRuntime === "string") {
+      throw new Error("File store is not available on the edge runtime")
+    }
+    return import(/* webpackIgnore: true */ "node:fs/promises")
+  }
+  const pathOf = async (key) => {
+    const path = await import(/* webpackIgnore: true */ "node:path")
+    return path.join(dir, ...safeKey(key).split("/"))
+  }
+  return {
+    driver: "file",
+    url: () => null,
+    async get(key) {
+      try {
+        const txt = await (await fs()).readFile(await pathOf(key), "utf8")
+        return JSON.parse(txt)
+      } catch (e) {
+        if (e?.code === "ENOENT") return null
+        throw e
+      }
+    },
+    async set(key, value) {
+      const { mkdir, writeFile, rename } = await fs()
+      const { dirname } = await import(/* webpackIgnore: true */ "node:path")
+      const file = await pathOf(key)
+      await mkdir(dirname(file), { recursive: true })
+      // write-then-rename so readers never see half a file
+      const tmp = `${file}.${process.pid}.tmp`
+      await writeFile(tmp, JSON.stringify(value))
+      await rename(tmp, file)
+    },
+    async create(key, value) {
+      const { mkdir, writeFile } = await fs()
+      const { dirname } = await import(/* webpackIgnore: true */ "node:path")
+      const file = await pathOf(key)
+      await mkdir(dirname(file), { recursive: true })
+      try {
+        await writeFile(file, JSON.stringify(value), { flag: "wx" })
+        return true
+      } catch (e) {
+        if (e?.code === "EEXIST") return false
+        throw e
+      }
+    },
+    async del(keys) {
+      const { rm } = await fs()
+      for (const key of keysOf(keys)) await rm(await pathOf(key), { force: true })
+    },
+    async list(prefix = "") {
+      const { readdir } = await fs()
+      const p = safeKey(prefix)
+      // walk from the deepest whole folder in the prefix
+      const folder = p.includes("/") ? p.slice(0, p.lastIndexOf("/")) : ""
+      try {
+        const entries = await readdir(await pathOf(folder), { recursive: true, withFileTypes: true })
+        const { relative, join, sep } = await import(/* webpackIgnore: true */ "node:path")
+        return entries
+          .filter((e) => e.isFile() && !e.name.endsWith(".tmp"))
+          .map((e) => relative(dir, join(e.parentPath || e.path, e.name)).split(sep).join("/"))
+          .filter((k) => k.startsWith(p))
+      } catch (e) {
+        if (e?.code === "ENOENT") return []
+        throw e
+      }
+    },
+  }
+}
+
+let STORE = null
+export function getStore() {
+  if (STORE) return STORE
+  const driver =
+    process.env.STORE_DRIVER || (blobToken() ? "blob" : process.env.S3_BUCKET ? "s3" : "file")
+  STORE = driver === "blob" ? blobStore() : driver === "s3" ? s3Store() : fileStore()
+  return STORE
+}
+
+/** ---------- private records ---------- */
+// Blob (and S3 behind a public base) serve every key at a public URL. Records
+// that must stay server-side (recipients, owners, webhook URLs) live under a
+// prefix derived from the store credential: unguessable, and never handed out.
+async function privatePrefix() {
+  const secret = process.env.STORE_PRIVATE_SECRET || blobToken() || process.env.S3_SECRET_ACCESS_KEY || ""
+  // no credential → file store, which has no URLs to guess
+  return secret ? `private/${(await sha256Hex(`private:${secret}`)).slice(0, 32)}/` : "private/local/"
+}
+
+let PRIVATE = null
+export function getPrivateStore() {
+  if (PRIVATE) return PRIVATE
+  const store = getStore()
+  let prefix
+  const keyOf = async (key) => (await (prefix ||= privatePrefix())) + safeKey(key)
+  PRIVATE = {
+    driver: store.driver,
+    url: () => null,
+    get: async (key) => store.get(await keyOf(key)),
+    set: async (key, value) => store.set(await keyOf(key), value),
+    create: async (key, value) => store.create(await keyOf(key), value),
+    del: async (keys) => store.del(await Promise.all(keysOf(keys).map(keyOf))),
+    async list(p = "") {
+      const base = await keyOf("")
+      return (await store.list(base + safeKey(p))).map((k) => k.slice(base.length))
+    },
+  }
+  return PRIVATE
+}
+
+// Throttled, ordered writer for a record that changes often (job progress…).
+// save() drops writes closer than `everyMs` apart; save(true) always writes.
+export function createSaver(key, current, { everyMs = 1000 } = {}) {
+  const store = getStore()
+  let chain = Promise.resolve()
+  let lastSave = 0
+  return (force = false) => {
+    if (!force && Date.now() - lastSave < everyMs) return chain
+    lastSave = Date.now()
+    const snapshot = JSON.stringify(current())
+    chain = chain.then(() => store.set(key, JSON.parse(snapshot))).catch(() => {})
+    return chain
+  }
+}
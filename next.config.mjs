@@ -1,3 +1,12 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  webpack(config, { nextRuntime }) {
+    // @vercel/functions lazily imports the optional `ws` package (WebSocket
+    // upgrades only); edge routes never use it, so resolve it to an empty module
+    if (nextRuntime === "edge") {
+      config.resolve.alias = { ...config.resolve.alias, ws: false }
+    }
+    return config
+  },
+};
 export default nextConfig;
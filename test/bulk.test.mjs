@@ -0,0 +1,76 @@
+// test/bulk.test.mjs
+// CSV in and out, resume rules and the run lease, on the file store
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { mkdtemp, rm } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+
+const dir = await mkdtemp(join(tmpdir(), "bulk-"))
+process.env.STORE_DIR = dir
+for (const k of ["STORE_DRIVER", "BLOB_READ_WRITE_TOKEN", "S3_BUCKET", "BULK_API_KEY"]) delete process.env[k]
+const { parseCsvUrls, batchToCsv, canResume, claimRun, createBatch, getBatch, BULK_LIMITS } = await import("../lib/bulk.js")
+const bulkRoute = await import("../app/api/check/bulk/route.js")
+
+test.after(() => rm(dir, { recursive: true, force: true }))
+
+test("parseCsvUrls takes the url column, or the first one without a header", () => {
+  const csv = '﻿name;Website\r\n# comment\r\n"Acme, Inc";https://acme.example\r\nFoo;"foo.example"\r\n\r\n;\r\n'
+  assert.deepEqual(parseCsvUrls(csv), ["https://acme.example", "foo.example"])
+  assert.deepEqual(parseCsvUrls("a.example\nb.example,extra\n"), ["a.example", "b.example"])
+  assert.deepEqual(parseCsvUrls(""), [])
+})
+
+test("batchToCsv quotes cells and defuses formulas", () => {
+  const csv = batchToCsv({
+    items: [
+      { url: "https://a.example/", finalUrl: "https://a.example/", state: "done", overall: 81, catScores: { SEO: 0.9 }, statuses: { robots: "pass" } },
+      { url: "=HYPERLINK(\"http://x\")", state: "failed", flags: ["timeout"], error: "-1, broke" },
+    ],
+  })
+  const [header, a, b] = csv.split("\r\n")
+  assert.equal(header, "url,final_url,state,overall,seo,performance,security,robots,error")
+  assert.equal(a, "https://a.example/,https://a.example/,done,81,90,,,pass,")
+  assert.equal(b, `"'=HYPERLINK(""http://x"")",,failed+timeout,,,,,,"'-1, broke"`)
+  assert.ok(csv.endsWith("\r\n"))
+})
+
+test("canResume takes incomplete batches and stalled runs only", () => {
+  const now = Date.parse("2025-01-01T00:10:00Z")
+  const ago = (ms) => new Date(now - ms).toISOString()
+  assert.equal(canResume({ status: "incomplete" }, now), true)
+  assert.equal(canResume({ status: "done" }, now), false)
+  assert.equal(canResume({ status: "running", updatedAt: ago(1000) }, now), false)
+  assert.equal(canResume({ status: "running", updatedAt: ago(BULK_LIMITS.RUN_BUDGET_MS + 1) }, now), true)
+  assert.equal(canResume({ status: "queued" }, now), true)
+})
+
+test("claimRun hands each run number out once", async () => {
+  const { ok, batch } = await createBatch({ urls: ["a.example", "A.EXAMPLE", "b.example", "not a url"] })
+  assert.equal(ok, true)
+  assert.deepEqual(batch.items.map((i) => i.url), ["a.example", "b.example"])
+  assert.deepEqual((await getBatch(batch.id)).items, batch.items)
+
+  const other = structuredClone(batch)
+  assert.equal(await claimRun(batch), true)
+  assert.equal(batch.run, 1)
+  assert.equal(await claimRun(other), false)
+  assert.equal(other.run, undefined)
+  assert.equal(await claimRun(batch), true)
+  assert.equal(batch.run, 2)
+})
+
+test("bulk POST needs BULK_API_KEY", async () => {
+  const post = (headers = {}) =>
+    bulkRoute.POST(
+      new Request("http://localhost/api/check/bulk", {
+        method: "POST",
+        headers: { "content-type": "application/json", ...headers },
+        body: JSON.stringify({ urls: [] }),
+      })
+    )
+  assert.equal((await post()).status, 503)
+  process.env.BULK_API_KEY = "k"
+  assert.equal((await post()).status, 401)
+  assert.equal((await post({ authorization: "Bearer k" })).status, 400)
+})
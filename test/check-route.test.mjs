@@ -0,0 +1,154 @@
+// test/check-route.test.mjs
+// /api/check and /api/check/diff end to end against a local site, with the file
+// store and no Vercel credentials
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import http from "node:http"
+import { mkdtemp, rm } from "node:fs/promises"
+import { readFileSync } from "node:fs"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+
+const PAGE = `<!doctype html><html lang="en"><head><title>Fixture site home page</title>
+<meta name="description" content="A small page served to the audit by the integration test suite.">
+<meta name="viewport" content="width=device-width, initial-scale=1"></head>
+<body><h1>Fixture</h1><p>Hello</p></body></html>`
+const LEGACY = {
+  ok: true,
+  url: "https://old.example/",
+  normalizedUrl: "https://old.example/",
+  finalUrl: "https://old.example/",
+  fetchedStatus: 200,
+  timingMs: 120,
+  title: "Old",
+  metaTitle: "Old",
+  metaDescription: "",
+  checks: [
+    { id: "http", label: "HTTP status 200–399", status: "pass", details: "200" },
+    { id: "llms", label: "llms.txt", status: "locked" },
+  ],
+}
+
+// the audited site, the PSI endpoint and the old public blob bucket
+const psiRequests = []
+const psiFixture = readFileSync(new URL("./fixtures/psi-mobile.json", import.meta.url))
+const server = http.createServer((req, res) => {
+  if (req.url === "/") return res.writeHead(200, { "content-type": "text/html" }).end(PAGE)
+  if (req.url === "/moved") return res.writeHead(301, { location: "/landed" }).end()
+  if (req.url === "/landed") return res.writeHead(200, { "content-type": "text/html" }).end(PAGE)
+  if (req.url.startsWith("/psi?")) {
+    const page = new URL(req.url, origin).searchParams.get("url")
+    psiRequests.push(page)
+    if (page.endsWith("/landed")) return res.writeHead(200, { "content-type": "application/json" }).end(psiFixture)
+  }
+  if (req.url === "/0123456789abcdef01234567-AbC1.json") {
+    return res.writeHead(200, { "content-type": "application/json" }).end(JSON.stringify(LEGACY))
+  }
+  res.writeHead(req.url.startsWith("/psi") ? 500 : 404).end()
+})
+await new Promise((r) => server.listen(0, "127.0.0.1", r))
+const origin = `http://127.0.0.1:${server.address().port}`
+
+const dir = await mkdtemp(join(tmpdir(), "check-route-"))
+Object.assign(process.env, {
+  STORE_DIR: dir,
+  SNAPSHOT_SECRET: "test-secret",
+  AUDIT_BUDGET_MS: "4000",
+  PSI_BASE_URL: `${origin}/psi`,
+  BLOB_PUBLIC_BASE: origin,
+})
+for (const k of ["STORE_DRIVER", "BLOB_READ_WRITE_TOKEN", "S3_BUCKET", "CACHE_DRIVER"]) delete process.env[k]
+
+const check = await import("../app/api/check/route.js")
+const { SCHEMA_VERSION } = await import("../lib/schema.js")
+const diff = await import("../app/api/check/diff/route.js")
+
+test.after(async () => {
+  server.close()
+  await rm(dir, { recursive: true, force: true })
+})
+
+const call = async (handler, path, init) => {
+  const res = await handler(new Request(`http://localhost${path}`, init))
+  return { status: res.status, body: await res.json() }
+}
+
+test("snapshots are saved, read back, diffed and deleted through the file store", async () => {
+  const saved = await call(check.POST, "/api/check", {
+    method: "POST",
+    body: JSON.stringify({ url: `${origin}/`, snapshot: true }),
+  })
+  assert.equal(saved.status, 200, JSON.stringify(saved.body.errors))
+  const { shareBlobPath, shareBlobUrl, deleteToken } = saved.body
+  assert.match(shareBlobPath, /^snapshots\/\d{4}-\d{2}-\d{2}\/[a-f0-9]{24}\.json$/)
+  assert.equal(shareBlobUrl, `http://localhost/api/check?blob=${encodeURIComponent(shareBlobPath)}`)
+
+  const read = await call(check.GET, `/api/check?blob=${encodeURIComponent(shareBlobPath)}`)
+  assert.equal(read.status, 200)
+  assert.equal(read.body.fromSnapshot, true)
+  assert.equal(read.body.title, "Fixture site home page")
+
+  const d = await call(diff.GET, `/api/check/diff?from=${encodeURIComponent(shareBlobPath)}&to=${encodeURIComponent(shareBlobPath)}`)
+  assert.equal(d.status, 200)
+  assert.equal(d.body.score.delta, 0)
+  const live = await call(diff.GET, `/api/check/diff?from=${encodeURIComponent(shareBlobPath)}&toUrl=${encodeURIComponent(`${origin}/`)}`)
+  assert.equal(live.status, 200, JSON.stringify(live.body.errors))
+
+  const denied = await call(check.DELETE, `/api/check?blob=${encodeURIComponent(shareBlobPath)}&token=nope`, { method: "DELETE" })
+  assert.equal(denied.status, 403)
+  const deleted = await call(check.DELETE, `/api/check?blob=${encodeURIComponent(shareBlobPath)}&token=${deleteToken}`, {
+    method: "DELETE",
+  })
+  assert.equal(deleted.status, 200)
+  assert.equal((await call(check.GET, `/api/check?blob=${encodeURIComponent(shareBlobPath)}`)).status, 404)
+})
+
+test("legacy share links still load from the public bucket", async () => {
+  const byBlob = await call(check.GET, "/api/check?blob=0123456789abcdef01234567-AbC1.json")
+  assert.equal(byBlob.status, 200)
+  assert.equal(byBlob.body.url, "https://old.example/")
+  assert.equal(byBlob.body.schemaVersion, SCHEMA_VERSION)
+
+  const byId = await call(check.GET, "/api/check?id=0123456789abcdef01234567-AbC1")
+  assert.equal(byId.status, 200)
+  assert.equal(byId.body.shareId, "0123456789abcdef01234567-AbC1")
+})
+
+test("other store keys are never served as snapshots", async () => {
+  for (const blob of ["history/a.json", "private/local/monitors/x.json", "snapshots/../jobs/a.json"]) {
+    assert.equal((await call(check.GET, `/api/check?blob=${encodeURIComponent(blob)}`)).status, 404, blob)
+  }
+})
+
+test("PageSpeed runs on the URL the page landed on and keeps a numeric psi row", async () => {
+  const { status, body } = await call(check.POST, "/api/check", {
+    method: "POST",
+    body: JSON.stringify({ url: `${origin}/moved` }),
+  })
+  assert.equal(status, 200, JSON.stringify(body.errors))
+  assert.deepEqual(psiRequests.filter((u) => u.includes("/moved") || u.includes("/landed")), [`${origin}/landed`])
+  const psi = body.checks.find((c) => c.id === "psi")
+  assert.deepEqual({ label: psi.label, value: psi.value, details: psi.details }, { label: "PageSpeed (mobile)", value: 62, details: "62/100" })
+  assert.equal(body.speed, 62)
+  assert.equal(body.pagespeed.mobile.scores.performance, 62)
+  assert.equal(body.pagespeed.mobile.failing[0].id, "image-alt")
+})
+
+test("crawl requests are refused up front without a signing secret or with an unknown profile", async () => {
+  const crawl = (extra) =>
+    call(check.POST, "/api/check", { method: "POST", body: JSON.stringify({ url: `${origin}/`, crawl: { maxPages: 1 }, ...extra }) })
+
+  assert.equal((await crawl({ profile: "nope" })).status, 400)
+  delete process.env.SNAPSHOT_SECRET
+  try {
+    const refused = await crawl()
+    assert.equal(refused.status, 503)
+    assert.match(refused.body.errors[0], /SNAPSHOT_SECRET/)
+  } finally {
+    process.env.SNAPSHOT_SECRET = "test-secret"
+  }
+
+  const ok = await crawl()
+  assert.equal(ok.status, 200, JSON.stringify(ok.body.errors))
+  assert.equal(ok.body.ok, true)
+})
@@ -0,0 +1,87 @@
+// test/compare.test.mjs
+// runComparison against two local sites: the matrix, the leaders and the split link budget
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import http from "node:http"
+
+const LINKS = Array.from({ length: 30 }, (_, i) => `/l/${i}`)
+const page = ({ title, description, h1 }) => `<!doctype html><html lang="en"><head>
+${title ? `<title>${title}</title>` : ""}
+${description ? `<meta name="description" content="${description}">` : ""}
+<meta name="viewport" content="width=device-width, initial-scale=1"></head>
+<body>${h1 ? `<h1>${h1}</h1>` : ""}${LINKS.map((l) => `<a href="${l}">${l}</a>`).join("\n")}</body></html>`
+
+// one local site; `linkHits` counts requests to its link targets
+async function site(html) {
+  const s = { linkHits: 0 }
+  s.server = http.createServer((req, res) => {
+    if (req.url === "/") return res.writeHead(200, { "content-type": "text/html" }).end(html)
+    if (req.url.startsWith("/l/")) {
+      s.linkHits++
+      return res.writeHead(200).end()
+    }
+    res.writeHead(404).end()
+  })
+  await new Promise((r) => s.server.listen(0, "127.0.0.1", r))
+  s.url = `http://127.0.0.1:${s.server.address().port}/`
+  return s
+}
+
+const good = await site(
+  page({
+    title: "Acme widgets for every workshop and garage",
+    description: "Hand-made widgets from Acme, shipped worldwide with a lifetime warranty and free returns.",
+    h1: "Acme widgets",
+  })
+)
+const poor = await site(page({}))
+process.env.PSI_BASE_URL = `${good.url}psi`
+process.env.AUDIT_BUDGET_MS = "5000"
+const { runComparison } = await import("../lib/compare.js")
+const { validateComparison } = await import("../lib/schema.js")
+
+test.after(() => {
+  good.server.close()
+  poor.server.close()
+})
+
+test("sites are audited side by side and the better one leads", async () => {
+  const out = await runComparison(null, [good.url, poor.url], { profile: "publisher" })
+  assert.deepEqual(validateComparison({ ok: true, ...out }), [])
+  assert.equal(out.profile.id, "publisher")
+  assert.deepEqual(out.sites.map((s) => [s.url, s.ok]), [[good.url, true], [poor.url, true]])
+  assert.ok(out.sites[0].overall > out.sites[1].overall)
+  assert.deepEqual(out.leaders.overall, [good.url])
+
+  const row = (id) => out.matrix.find((r) => r.id === id)
+  assert.deepEqual(row("h1-structure").statuses, ["pass", "fail"])
+  assert.deepEqual(row("h1-structure").leaders, [good.url])
+  // a tie leads nobody
+  assert.equal(row("viewport").statuses[0], row("viewport").statuses[1])
+  assert.deepEqual(row("viewport").leaders, [])
+
+  assert.equal(out.sites[0].checksLed, out.matrix.filter((r) => r.leaders.includes(good.url)).length)
+  assert.equal(out.sites[1].checksLed, out.matrix.filter((r) => r.leaders.includes(poor.url)).length)
+  assert.deepEqual(Object.keys(out.categories), ["SEO", "PERFORMANCE", "SECURITY"])
+})
+
+test("the link budget is split between the compared sites", async () => {
+  good.linkHits = poor.linkHits = 0
+  const solo = await runComparison(null, [good.url])
+  assert.equal(good.linkHits, LINKS.length)
+  assert.equal(solo.sites[0].ok, true)
+
+  good.linkHits = poor.linkHits = 0
+  await runComparison(null, [good.url, poor.url])
+  assert.equal(good.linkHits, 20)
+  assert.equal(poor.linkHits, 20)
+})
+
+test("a failing audit becomes an errored site instead of failing the comparison", async () => {
+  const out = await runComparison(null, [good.url, null])
+  assert.equal(out.sites[0].ok, true)
+  assert.equal(out.sites[1].ok, false)
+  assert.equal(out.sites[1].overall, null)
+  assert.ok(out.sites[1].errors.length)
+  assert.deepEqual(out.leaders.overall, [])
+})
@@ -0,0 +1,75 @@
+// test/compression.test.mjs
+// The compression check through a whole audit of a local site
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import http from "node:http"
+import { gzipSync, brotliCompressSync } from "node:zlib"
+
+const PAGE = `<!doctype html><html lang="en"><head><title>Compression fixture</title></head><body>
+<h1>Compression</h1>${"<p>Lorem ipsum dolor sit amet, consectetur adipiscing elit.</p>\n".repeat(400)}</body></html>`
+const gz = gzipSync(PAGE)
+const br = brotliCompressSync(PAGE)
+
+// gzip with a content-length, brotli chunked (no content-length), identity otherwise;
+// `huge` serves 3 MB uncompressed
+let huge = false
+const server = http.createServer((req, res) => {
+  if (req.url !== "/") return res.writeHead(404).end()
+  const accept = req.headers["accept-encoding"] || ""
+  if (huge) {
+    res.writeHead(200, { "content-type": "text/html" })
+    for (let i = 0; i < 48; i++) res.write(Buffer.alloc(64 * 1024, " "))
+    return res.end(PAGE)
+  }
+  if (/^br$/.test(accept)) {
+    res.writeHead(200, { "content-type": "text/html", "content-encoding": "br", vary: "Accept-Encoding" })
+    res.write(br.subarray(0, 100))
+    return res.end(br.subarray(100))
+  }
+  if (/^gzip$/.test(accept)) {
+    return res
+      .writeHead(200, { "content-type": "text/html", "content-encoding": "gzip", "content-length": gz.length, vary: "Accept-Encoding" })
+      .end(gz)
+  }
+  res.writeHead(200, { "content-type": "text/html", "content-length": Buffer.byteLength(PAGE) }).end(PAGE)
+})
+await new Promise((r) => server.listen(0, "127.0.0.1", r))
+const origin = `http://127.0.0.1:${server.address().port}`
+process.env.PSI_BASE_URL = `${origin}/psi`
+const { runAudit } = await import("../lib/audit.js")
+
+test.after(() => server.close())
+
+const compression = async () => (await runAudit(null, `${origin}/`, { budgetMs: 5000 })).checks.find((c) => c.id === "compression")
+
+test("transferred size comes from content-length, and is unknown without one", async () => {
+  const { status, details, value } = await compression()
+  const probe = (enc) => value.probes.find((p) => p.requested === enc)
+  assert.equal(status, "pass")
+  assert.deepEqual(value.encodings.sort(), ["br", "gzip"])
+
+  assert.equal(probe("gzip").transferredBytes, gz.length)
+  assert.equal(probe("gzip").decodedBytes, Buffer.byteLength(PAGE))
+  assert.equal(probe("gzip").ratio, +(gz.length / Buffer.byteLength(PAGE)).toFixed(3))
+  assert.equal(probe("br").transferredBytes, null)
+  assert.equal(probe("br").ratio, null)
+  assert.equal(probe("br").decodedBytes, Buffer.byteLength(PAGE))
+  assert.equal(probe("identity").transferredBytes, Buffer.byteLength(PAGE))
+  assert.match(details, /% saved/)
+})
+
+test("large pages are counted up to the cap, not buffered", async () => {
+  huge = true
+  try {
+    const { status, details, value } = await compression()
+    assert.equal(status, "fail")
+    assert.match(details, /Uncompressed HTML \(over \d+\.\d KB\)/)
+    for (const p of value.probes) {
+      assert.equal(p.decodedOver, true)
+      assert.ok(p.decodedBytes > 2 * 1024 * 1024 && p.decodedBytes < 3 * 1024 * 1024)
+      assert.equal(p.transferredBytes, null)
+    }
+  } finally {
+    huge = false
+  }
+})
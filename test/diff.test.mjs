@@ -0,0 +1,92 @@
+// test/diff.test.mjs
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { diffAudits } from "../lib/diff.js"
+import { scoreAudit, LABELS } from "../lib/audit.js"
+import { resolveProfile } from "../lib/scoring.js"
+
+const row = (id, status, extra = {}) => ({ id, label: id, status, ...extra })
+
+const before = {
+  url: "example.com",
+  finalUrl: "https://example.com/",
+  snapshot: { createdAt: "2026-01-01T00:00:00.000Z", expiresAt: "2026-02-01T00:00:00.000Z" },
+  checks: [
+    row("title-length", "pass", { details: "52 chars" }),
+    row("canonical", "fail"),
+    row("https-redirect", "pass", { value: { hops: 1 } }),
+    row("ttfb", "warn"),
+    row("llms", "warn"),
+  ],
+}
+const after = {
+  url: "example.com",
+  finalUrl: "https://www.example.com/",
+  createdAt: "2026-01-02T00:00:00.000Z",
+  checks: [
+    row("title-length", "fail", { details: "80 chars" }),
+    row("canonical", "pass"),
+    row("https-redirect", "pass", { value: { hops: 2 } }),
+    row("ttfb", "warn"),
+    { id: "compression", status: "pass" },
+  ],
+}
+
+test("status moves become transitions, regressions first", () => {
+  const diff = diffAudits(before, after)
+  assert.deepEqual(diff.transitions, [
+    { id: "title-length", label: "title-length", from: "pass", to: "fail", direction: "regressed" },
+    { id: "canonical", label: "canonical", from: "fail", to: "pass", direction: "improved" },
+  ])
+  const moved = diffAudits({ checks: [row("x", "locked")] }, { checks: [row("x", "pass")] })
+  assert.equal(moved.transitions[0].direction, "changed")
+})
+
+test("details and value changes are listed with both sides", () => {
+  const { changed } = diffAudits(before, after)
+  assert.deepEqual(changed, [
+    { id: "title-length", label: "title-length", status: "fail", details: { from: "52 chars", to: "80 chars" } },
+    { id: "https-redirect", label: "https-redirect", status: "pass", value: { from: { hops: 1 }, to: { hops: 2 } } },
+  ])
+})
+
+test("added and removed checks are reported, labels fall back to LABELS", () => {
+  const diff = diffAudits(before, after)
+  assert.deepEqual(diff.added, [{ id: "compression", label: LABELS.compression, status: "pass", details: "" }])
+  assert.deepEqual(diff.removed, [{ id: "llms", label: "llms", status: "warn", details: "" }])
+  assert.deepEqual(diff.summary, { improved: 1, regressed: 1, changed: 2, added: 1, removed: 1, unchanged: 1 })
+})
+
+test("both sides are rescored with one profile and carry their source", () => {
+  const profile = resolveProfile("ecommerce")
+  const sources = { from: { type: "snapshot", blob: "snapshots/a.json" }, to: { type: "live", url: "example.com" } }
+  const diff = diffAudits(before, after, { profile, sources })
+  const a = scoreAudit(before.checks, profile)
+  const b = scoreAudit(after.checks, profile)
+
+  assert.deepEqual(diff.profile, { id: "ecommerce", label: "E-commerce" })
+  assert.deepEqual(diff.score, {
+    from: a.overall,
+    to: b.overall,
+    delta: b.overall - a.overall,
+    catDelta: Object.fromEntries(
+      Object.keys(b.catScores).map((k) => [
+        k,
+        typeof a.catScores[k] === "number" && typeof b.catScores[k] === "number" ? b.catScores[k] - a.catScores[k] : null,
+      ])
+    ),
+  })
+  assert.equal(diff.from.url, "https://example.com/")
+  assert.equal(diff.from.createdAt, "2026-01-01T00:00:00.000Z")
+  assert.deepEqual(diff.from.source, sources.from)
+  assert.equal(diff.to.url, "https://www.example.com/")
+  assert.equal(diff.to.createdAt, "2026-01-02T00:00:00.000Z")
+  assert.deepEqual(diff.to.source, sources.to)
+})
+
+test("identical audits diff to nothing", () => {
+  const diff = diffAudits(after, structuredClone(after))
+  assert.equal(diff.score.delta, 0)
+  assert.deepEqual([diff.transitions, diff.changed, diff.added, diff.removed], [[], [], [], []])
+  assert.equal(diff.summary.unchanged, after.checks.length)
+})
@@ -0,0 +1,63 @@
+// test/heading-outline.test.mjs
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { makeHeadingOutlineCheck } from "../lib/audit.js"
+
+test("a clean outline passes and nests headings under shallower ones", () => {
+  const html = `
+    <h1>Acme widgets</h1>
+    <h2>Pricing</h2><h3>Plans</h3><h3>Discounts</h3>
+    <h2>Support</h2>`
+  const check = makeHeadingOutlineCheck(html, "Widgets by Acme")
+  assert.equal(check.id, "h1-structure")
+  assert.equal(check.status, "pass")
+  assert.deepEqual(check.value.issues, [])
+  assert.deepEqual(check.value.counts, { h1: 1, h2: 2, h3: 2, h4: 0, h5: 0, h6: 0 })
+  assert.deepEqual(check.value.titleKeywordOverlap.sort(), ["acme", "widgets"])
+
+  const [h1] = check.value.outline
+  assert.equal(h1.text, "Acme widgets")
+  assert.deepEqual(h1.children.map((c) => c.text), ["Pricing", "Support"])
+  assert.deepEqual(h1.children[0].children.map((c) => c.text), ["Plans", "Discounts"])
+})
+
+test("a page without a visible h1 fails", () => {
+  assert.equal(makeHeadingOutlineCheck("<h2>Intro</h2>").status, "fail")
+  const hidden = makeHeadingOutlineCheck(`<h1 style="display:none">Logo</h1><h2>Intro</h2>`)
+  assert.equal(hidden.status, "fail")
+  assert.ok(hidden.value.issues.includes("The only <h1> is hidden"))
+  assert.equal(hidden.value.outline[0].hidden, true)
+})
+
+test("skipped levels, empty and duplicate headings warn", () => {
+  const html = `<h1>Guide</h1><h3>Step</h3><h2>FAQ</h2><h2>faq</h2><h2></h2>`
+  const check = makeHeadingOutlineCheck(html)
+  assert.equal(check.status, "warn")
+  assert.ok(check.value.issues.includes("Skipped levels: H1→H3"))
+  assert.ok(check.value.issues.includes("1 empty heading(s)"))
+  assert.ok(check.value.issues.includes('Duplicate H2: "faq"'))
+})
+
+test("multiple visible h1s and an unrelated title warn", () => {
+  const check = makeHeadingOutlineCheck("<h1>Shoes</h1><h1>Boots</h1>", "Garden furniture")
+  assert.equal(check.status, "warn")
+  assert.ok(check.value.issues.includes("2 visible <h1> tags"))
+  assert.ok(check.value.issues.includes("H1 shares no keywords with <title>"))
+})
+
+test("headings inside scripts and comments are ignored, and the outline is capped", () => {
+  const html = `<!-- <h1>Old</h1> --><script>"<h1>x</h1>"</script><h1>Real</h1>`
+  const check = makeHeadingOutlineCheck(html)
+  assert.equal(check.value.counts.h1, 1)
+  assert.equal(check.status, "pass")
+
+  const many = makeHeadingOutlineCheck(`<h1>Top</h1>${"<h2>Item</h2>".repeat(100)}`)
+  assert.equal(many.value.counts.h2, 100)
+  assert.equal(many.value.truncated, true)
+  assert.equal(many.value.outline[0].children.length, 79)
+})
+
+test("empty or non-string input is skipped", () => {
+  assert.equal(makeHeadingOutlineCheck(""), null)
+  assert.equal(makeHeadingOutlineCheck(null), null)
+})
@@ -0,0 +1,71 @@
+// test/history.test.mjs
+// Per-site audit history on the file store
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { mkdtemp, rm } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+
+const dir = await mkdtemp(join(tmpdir(), "history-"))
+Object.assign(process.env, { STORE_DIR: dir, HISTORY_MAX_RUNS: "3" })
+for (const k of ["STORE_DRIVER", "BLOB_READ_WRITE_TOKEN", "S3_BUCKET"]) delete process.env[k]
+const { recordHistory, getHistory, compareStatuses } = await import("../lib/history.js")
+const { getStore } = await import("../lib/store.js")
+
+test.after(() => rm(dir, { recursive: true, force: true }))
+
+const audit = (overall, statuses, extra = {}) => ({
+  ok: true,
+  url: "https://Example.com/",
+  normalizedUrl: "https://example.com/",
+  finalUrl: "https://example.com/",
+  overall,
+  catScores: { SEO: overall / 100 },
+  profile: { id: "default", label: "Default" },
+  gate: null,
+  checks: Object.entries(statuses).map(([id, status]) => ({ id, label: id, status })),
+  ...extra,
+})
+
+// run keys sort by their millisecond timestamp
+const later = async (payload) => {
+  await new Promise((r) => setTimeout(r, 2))
+  return recordHistory(payload)
+}
+
+test("compareStatuses sorts changes into regressed, improved, added and removed", () => {
+  assert.deepEqual(
+    compareStatuses({ a: "pass", b: "fail", c: "warn", d: "pass" }, { a: "warn", b: "pass", c: "warn", e: "fail" }),
+    {
+      regressed: [{ id: "a", from: "pass", to: "warn" }],
+      improved: [{ id: "b", from: "fail", to: "pass" }],
+      added: [{ id: "e", to: "fail" }],
+      removed: [{ id: "d", from: "pass" }],
+    }
+  )
+})
+
+test("recordHistory skips partial audits", async () => {
+  assert.equal(await recordHistory(audit(50, { a: "pass" }, { blocked: true })), null)
+  assert.equal(await recordHistory(audit(50, { a: "pass" }, { timeout: true })), null)
+  assert.equal(await recordHistory(audit(50, {})), null)
+  assert.equal(await getHistory("https://example.com/"), null)
+})
+
+test("getHistory reports deltas per run and keeps the newest HISTORY_MAX_RUNS", async () => {
+  const run = await later(audit(40, { a: "fail", b: "pass", locked: "locked" }))
+  assert.deepEqual(run.statuses, { a: "fail", b: "pass" })
+  await later(audit(60, { a: "pass", b: "pass" }))
+  await later(audit(70, { a: "pass", b: "pass" }))
+  await later(audit(55, { a: "pass", b: "warn", c: "pass" }))
+
+  const h = await getHistory("example.com")
+  assert.equal(h.key, "https://example.com/")
+  assert.equal(h.url, "https://example.com/")
+  assert.deepEqual(h.runs.map((r) => r.overall), [60, 70, 55])
+  assert.deepEqual(h.runs.map((r) => r.scoreDelta), [undefined, 10, -15])
+  assert.deepEqual(h.runs[2].regressed, ["b"])
+  assert.deepEqual(h.changes.added, [{ id: "c", to: "pass" }])
+  assert.equal(h.changes.since, h.runs[1].at)
+  assert.equal((await getStore().list("history/")).length, 3)
+})
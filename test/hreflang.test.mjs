@@ -0,0 +1,29 @@
+// test/hreflang.test.mjs
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { parseLangTag, isValidHreflang } from "../lib/hreflang.js"
+
+test("parseLangTag splits language, script and region", () => {
+  assert.deepEqual(parseLangTag("en"), { code: "en", lang: "en", script: null, region: null, xDefault: false })
+  assert.deepEqual(parseLangTag("zh-hant-tw"), {
+    code: "zh-hant-tw",
+    lang: "zh",
+    script: "Hant",
+    region: "TW",
+    xDefault: false,
+  })
+  assert.equal(parseLangTag("X-Default").xDefault, true)
+})
+
+test("parseLangTag explains common mistakes", () => {
+  const cases = {
+    "": "Empty code",
+    en_GB: "Use \"-\" not \"_\" (en-GB)",
+    jp: "\"jp\" is not an ISO 639-1 language (did you mean \"ja\"?)",
+    "en-UK": "\"UK\" is not an ISO 3166-1 alpha-2 region (use \"GB\")",
+    "en-GB-oxendict": "Unexpected subtag \"oxendict\"",
+  }
+  for (const [code, error] of Object.entries(cases)) assert.equal(parseLangTag(code).error, error, code)
+  assert.equal(isValidHreflang("nl-NL"), true)
+  assert.equal(isValidHreflang("eng"), false)
+})
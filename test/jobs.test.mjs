@@ -0,0 +1,107 @@
+// test/jobs.test.mjs
+// Background jobs end to end: a local site to audit and a local webhook receiver
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import http from "node:http"
+import { createHmac } from "node:crypto"
+import { mkdtemp, rm } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+
+const PAGE = `<!doctype html><html lang="en"><head><title>Jobs fixture page</title></head>
+<body><h1>Jobs</h1></body></html>`
+
+// site at /, PSI (always 500) at /psi, webhooks at /hook/<n>: n failures, then 200
+const hooks = []
+const failures = new Map()
+const server = http.createServer((req, res) => {
+  if (req.url === "/") return res.writeHead(200, { "content-type": "text/html" }).end(PAGE)
+  const hook = req.url.match(/^\/hook\/(\d+)$/)
+  if (!hook) return res.writeHead(req.url.startsWith("/psi") ? 500 : 404).end()
+  let body = ""
+  req.on("data", (c) => (body += c))
+  req.on("end", () => {
+    hooks.push({ path: req.url, headers: req.headers, body })
+    const left = failures.get(req.url) ?? Number(hook[1])
+    failures.set(req.url, left - 1)
+    res.writeHead(left > 0 ? 502 : 200).end()
+  })
+})
+await new Promise((r) => server.listen(0, "127.0.0.1", r))
+const origin = `http://127.0.0.1:${server.address().port}`
+
+const dir = await mkdtemp(join(tmpdir(), "jobs-"))
+Object.assign(process.env, {
+  STORE_DIR: dir,
+  AUDIT_JOB_BUDGET_MS: "3000",
+  PSI_BASE_URL: `${origin}/psi`,
+  JOB_WEBHOOK_SECRET: "hook-secret",
+})
+for (const k of ["STORE_DRIVER", "BLOB_READ_WRITE_TOKEN", "S3_BUCKET", "JOBS_API_KEY", "JOB_WEBHOOK_HOSTS"]) delete process.env[k]
+const { createJob, getJob, runJob } = await import("../lib/jobs.js")
+const { getPrivateStore } = await import("../lib/store.js")
+const jobsRoute = await import("../app/api/check/jobs/route.js")
+
+test.after(async () => {
+  server.close()
+  await rm(dir, { recursive: true, force: true })
+})
+
+test("createJob validates its input and keeps the webhook URL private", async () => {
+  assert.deepEqual(await createJob({}), { ok: false, errors: ["Invalid URL"] })
+  assert.equal((await createJob({ url: origin, webhookUrl: "ftp://x" })).ok, false)
+  assert.equal((await createJob({ url: origin, profile: "nope" })).ok, false)
+
+  const { ok, job } = await createJob({ url: `${origin}/`, webhookUrl: `${origin}/hook/0` })
+  assert.equal(ok, true)
+  assert.equal(job.status, "queued")
+  assert.deepEqual(job.webhook, { status: "pending", attempts: 0 })
+  assert.ok(!JSON.stringify(await getJob(job.id)).includes("/hook/"))
+  assert.deepEqual(await getPrivateStore().get(`jobs/${job.id}/webhook.json`), { url: `${origin}/hook/0` })
+})
+
+test("runJob records progress and delivers a signed webhook, retrying failures", async () => {
+  const { job } = await createJob({ url: `${origin}/`, webhookUrl: `${origin}/hook/2` })
+  await runJob(job)
+
+  const saved = await getJob(job.id)
+  assert.equal(saved.status, "done")
+  assert.equal(saved.progress.percent, 100)
+  assert.equal(saved.progress.checksDone, saved.result.checks.length)
+  assert.ok(saved.progress.finished.some((f) => f.id === "robots"))
+  assert.equal(saved.result.title, "Jobs fixture page")
+  assert.equal(saved.webhook.status, "delivered")
+  assert.equal(saved.webhook.attempts, 3)
+  assert.equal(saved.webhook.lastStatus, 200)
+
+  const sent = hooks.filter((h) => h.path === "/hook/2")
+  assert.equal(sent.length, 3)
+  const { body, headers } = sent[2]
+  assert.equal(headers["x-audit-job"], job.id)
+  assert.equal(headers["x-audit-signature"], `sha256=${createHmac("sha256", "hook-secret").update(body).digest("hex")}`)
+  assert.equal(JSON.parse(body).status, "done")
+})
+
+test("runJob gives up on a webhook after three attempts", async () => {
+  const { job } = await createJob({ url: `${origin}/`, webhookUrl: `${origin}/hook/9` })
+  await runJob(job)
+  const saved = await getJob(job.id)
+  assert.equal(saved.webhook.status, "failed")
+  assert.equal(saved.webhook.attempts, 3)
+  assert.equal(saved.webhook.lastStatus, 502)
+})
+
+test("jobs POST needs JOBS_API_KEY", async () => {
+  const post = (headers = {}) =>
+    jobsRoute.POST(
+      new Request("http://localhost/api/check/jobs", {
+        method: "POST",
+        headers: { "content-type": "application/json", ...headers },
+        body: JSON.stringify({}),
+      })
+    )
+  assert.equal((await post()).status, 503)
+  process.env.JOBS_API_KEY = "k"
+  assert.equal((await post({ authorization: "Bearer nope" })).status, 401)
+  assert.equal((await post({ authorization: "Bearer k" })).status, 400)
+})
@@ -0,0 +1,61 @@
+// test/links.test.mjs
+// The link check through a whole audit of a local site, counting every request
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import http from "node:http"
+
+const LINKS = ["/ok", "/head-404", "/no-head", "/moved", "/chain-1", "/gone"]
+const PAGE = `<!doctype html><html lang="en"><head><title>Links fixture</title></head><body><h1>Links</h1>
+${LINKS.map((l) => `<a href="${l}">${l.slice(1)}</a>`).join("\n")}</body></html>`
+
+const requests = [] // "METHOD /path" for link targets only
+const server = http.createServer((req, res) => {
+  const { method, url } = req
+  if (url === "/") return res.writeHead(200, { "content-type": "text/html" }).end(PAGE)
+  if (LINKS.includes(url) || url.startsWith("/chain-")) requests.push(`${method} ${url}`)
+  if (url === "/ok") return res.writeHead(200).end()
+  // broken for HEAD only: a plain GET finds it
+  if (url === "/head-404") return res.writeHead(method === "HEAD" ? 404 : 200).end()
+  if (url === "/no-head") return res.writeHead(method === "HEAD" ? 405 : 200).end()
+  if (url === "/moved") return res.writeHead(301, { location: "/ok" }).end()
+  if (url === "/chain-1") return res.writeHead(302, { location: "/chain-2" }).end()
+  if (url === "/chain-2") return res.writeHead(302, { location: "/ok" }).end()
+  res.writeHead(404).end()
+})
+await new Promise((r) => server.listen(0, "127.0.0.1", r))
+const origin = `http://127.0.0.1:${server.address().port}`
+process.env.PSI_BASE_URL = `${origin}/psi`
+const { runAudit } = await import("../lib/audit.js")
+
+test.after(() => server.close())
+
+const links = async (limits) => {
+  requests.length = 0
+  const out = await runAudit(null, `${origin}/`, { budgetMs: 5000, limits: { LINK_CONCURRENCY: 1, ...limits } })
+  return out.checks.find((c) => c.id === "links")
+}
+
+test("HEAD first, a plain GET only after a 4xx/5xx or a refused HEAD, never after a redirect", async () => {
+  const { status, value } = await links()
+  assert.equal(status, "fail")
+  assert.deepEqual(value.failures.map((f) => [f.url, f.status]), [[`${origin}/gone`, 404]])
+  assert.deepEqual(value.redirectChains.map((r) => r.hops), [[`${origin}/chain-2`, `${origin}/ok`]])
+  assert.equal(value.counts.checked, 6)
+  assert.equal(value.counts.redirected, 2)
+
+  const count = (req) => requests.filter((r) => r === req).length
+  assert.equal(count("HEAD /moved"), 1)
+  assert.equal(count("GET /moved"), 0)
+  assert.equal(count("GET /chain-1"), 0)
+  assert.equal(count("GET /head-404"), 1)
+  assert.equal(count("GET /no-head"), 1)
+  assert.equal(count("GET /gone"), 1)
+})
+
+test("every HEAD and GET comes out of LINK_FETCHES", async () => {
+  const { value } = await links({ LINK_FETCHES: 4 })
+  assert.equal(requests.length, 4)
+  // /ok (1) and /head-404 (2) finish; /no-head runs out between its HEAD and GET
+  assert.equal(value.counts.checked, 2)
+  assert.equal(value.counts.unchecked, 4)
+})
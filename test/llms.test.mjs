@@ -0,0 +1,55 @@
+// test/llms.test.mjs
+// llms.txt / llms-full.txt through a whole audit of a local site
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import http from "node:http"
+
+const PAGE = `<!doctype html><html lang="en"><head><title>llms fixture</title></head><body><h1>Hi</h1></body></html>`
+const LLMS = `# Fixture\n\n> A site for tests.\n\n## Docs\n\n- [Home](/): the home page\n`
+const CHUNK = Buffer.alloc(64 * 1024, "a")
+
+let fullBytes = 0 // size of /llms-full.txt
+let fullSent = 0 // bytes actually written for it
+const server = http.createServer(async (req, res) => {
+  if (req.url === "/") return res.writeHead(200, { "content-type": "text/html" }).end(PAGE)
+  if (req.url === "/llms.txt") return res.writeHead(200, { "content-type": "text/plain" }).end(LLMS)
+  if (req.url !== "/llms-full.txt") return res.writeHead(404).end()
+  // no content-length: the size is only known by reading
+  res.writeHead(200, { "content-type": "text/plain" })
+  fullSent = 0
+  while (fullSent < fullBytes && !res.destroyed) {
+    const part = CHUNK.subarray(0, Math.min(CHUNK.length, fullBytes - fullSent))
+    fullSent += part.length
+    if (!res.write(part)) await new Promise((r) => res.once("drain", r).once("close", r))
+  }
+  res.end()
+})
+await new Promise((r) => server.listen(0, "127.0.0.1", r))
+const origin = `http://127.0.0.1:${server.address().port}`
+process.env.PSI_BASE_URL = `${origin}/psi`
+const { runAudit } = await import("../lib/audit.js")
+
+test.after(() => server.close())
+
+const llmsValue = async () => {
+  const out = await runAudit(null, `${origin}/`, { budgetMs: 5000 })
+  return out.checks.find((c) => c.id === "llms")
+}
+
+test("llms-full.txt is measured without being kept", async () => {
+  fullBytes = 300 * 1024
+  const { value, details } = await llmsValue()
+  assert.equal(value.llmsTxt.found, true)
+  assert.equal(value.llmsTxt.sections.length, 1)
+  assert.deepEqual(value.llmsFullTxt, { url: `${origin}/llms-full.txt`, found: true, bytes: 300 * 1024 })
+  assert.match(details, /llms-full\.txt present •/)
+})
+
+test("counting stops past 10 MB", async () => {
+  fullBytes = 40 * 1024 * 1024
+  const { value, details } = await llmsValue()
+  assert.equal(value.llmsFullTxt.over, true)
+  assert.ok(value.llmsFullTxt.bytes > 10 * 1024 * 1024)
+  assert.ok(fullSent < fullBytes)
+  assert.match(details, /over 10 MB/)
+})
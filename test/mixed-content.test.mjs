@@ -0,0 +1,64 @@
+// test/mixed-content.test.mjs
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { makeMixedContentCheck } from "../lib/audit.js"
+
+const PAGE = "https://example.com/"
+
+test("active content fails, passive content warns", () => {
+  const html = `<html><head>
+<script src="http://cdn.example/a.js"></script>
+<link rel="stylesheet" href="http://cdn.example/a.css">
+<link rel="icon" href="http://cdn.example/favicon.ico">
+<style>@import url("http://cdn.example/b.css"); body { background: url(http://cdn.example/bg.png) }
+@font-face { font-family: X; src: url('http://cdn.example/x.woff2') }</style>
+</head><body>
+<img src="http://cdn.example/a.png" srcset="https://cdn.example/b.png 1x, http://cdn.example/c.png 2x">
+<video poster="http://cdn.example/poster.jpg"></video>
+<iframe src="http://embed.example/"></iframe>
+<object data="http://cdn.example/o.swf"></object>
+<div style="background-image:url('http://cdn.example/d.png')"></div>
+<!-- <script src="http://cdn.example/commented.js"></script> -->
+<a href="http://other.example/">links are not subresources</a>
+<script src="//cdn.example/relative.js"></script><img src="https://cdn.example/ok.png">
+</body></html>`
+  const check = makeMixedContentCheck(html, PAGE)
+  assert.equal(check.status, "fail")
+  assert.deepEqual(check.value.active.sort(), [
+    "http://cdn.example/a.css",
+    "http://cdn.example/a.js",
+    "http://cdn.example/b.css",
+    "http://cdn.example/o.swf",
+    "http://cdn.example/x.woff2",
+    "http://embed.example/",
+  ])
+  assert.deepEqual(check.value.passive.sort(), [
+    "http://cdn.example/a.png",
+    "http://cdn.example/bg.png",
+    "http://cdn.example/c.png",
+    "http://cdn.example/d.png",
+    "http://cdn.example/poster.jpg",
+  ])
+  assert.match(check.details, /^6 active, 5 passive http:\/\/ resource\(s\): .*, …$/)
+})
+
+test("passive content only warns; a clean page passes", () => {
+  assert.equal(makeMixedContentCheck('<img src="http://cdn.example/a.png">', PAGE).status, "warn")
+  const clean = makeMixedContentCheck('<img src="https://cdn.example/a.png"><script src="/a.js"></script>', PAGE)
+  assert.equal(clean.status, "pass")
+  assert.deepEqual(clean.value, { active: [], passive: [] })
+})
+
+test("plain http pages warn as a whole; no html, no row", () => {
+  const check = makeMixedContentCheck('<script src="http://cdn.example/a.js"></script>', "http://example.com/")
+  assert.equal(check.status, "warn")
+  assert.match(check.details, /not served over HTTPS/)
+  assert.equal(makeMixedContentCheck("", PAGE), null)
+})
+
+test("lists are capped at ten", () => {
+  const html = Array.from({ length: 15 }, (_, i) => `<img src="http://cdn.example/${i}.png">`).join("")
+  const check = makeMixedContentCheck(html, PAGE)
+  assert.equal(check.value.passive.length, 10)
+  assert.match(check.details, /^0 active, 15 passive/)
+})
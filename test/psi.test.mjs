@@ -0,0 +1,67 @@
+// test/psi.test.mjs
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { readFileSync } from "node:fs"
+import http from "node:http"
+import { parsePsi, parseStrategies, startPsi } from "../lib/psi.js"
+
+const fixture = JSON.parse(readFileSync(new URL("./fixtures/psi-mobile.json", import.meta.url), "utf8"))
+
+test("parsePsi keeps category scores, field data and lab metrics", () => {
+  const out = parsePsi(fixture)
+  assert.deepEqual(out.scores, { performance: 62, seo: 92, accessibility: 78, "best-practices": null })
+  assert.equal(out.field.scope, "origin")
+  assert.deepEqual(out.field.cls, { p75: 0.12, category: "AVERAGE" })
+  assert.deepEqual(out.lab, { lcp: 4523, tbt: 251, cls: 0.081, fcp: 1900, si: null })
+  assert.equal(out.lighthouseVersion, "12.0.0")
+})
+
+test("parsePsi ranks failing audits and opportunities", () => {
+  const out = parsePsi(fixture)
+  assert.deepEqual(out.failing.map((a) => a.id), ["image-alt", "color-contrast", "link-text"])
+  assert.equal(out.failing[2].displayValue, "2 links found")
+  assert.deepEqual(out.opportunities, [
+    { id: "unused-javascript", title: "Reduce unused JavaScript", savingsMs: 1450 },
+    { id: "render-blocking-resources", title: "Eliminate render-blocking resources", savingsMs: 820, savingsBytes: 10240 },
+  ])
+})
+
+test("parsePsi tolerates an empty response", () => {
+  const out = parsePsi({})
+  assert.equal(out.field, null)
+  assert.equal(out.scores.performance, null)
+  assert.deepEqual(out.failing, [])
+})
+
+test("parseStrategies", () => {
+  assert.deepEqual(parseStrategies("both"), ["mobile", "desktop"])
+  assert.deepEqual(parseStrategies("desktop"), ["desktop"])
+  assert.deepEqual(parseStrategies(""), ["mobile"])
+})
+
+test("startPsi runs every strategy against baseUrl and collect() stops waiting", async () => {
+  const seen = []
+  const server = http.createServer((req, res) => {
+    const u = new URL(req.url, "http://x")
+    seen.push({ url: u.searchParams.get("url"), strategy: u.searchParams.get("strategy"), key: u.searchParams.get("key") })
+    if (u.searchParams.get("strategy") === "desktop") return // never answers
+    res.writeHead(200, { "content-type": "application/json" }).end(JSON.stringify(fixture))
+  })
+  await new Promise((r) => server.listen(0, "127.0.0.1", r))
+  try {
+    const run = startPsi("https://example.com/", {
+      strategies: ["mobile", "desktop"],
+      key: "k",
+      baseUrl: `http://127.0.0.1:${server.address().port}/psi`,
+    })
+    const [mobile, desktop] = await run.collect(300)
+    assert.equal(mobile.ok, true)
+    assert.equal(mobile.result.scores.performance, 62)
+    assert.deepEqual(desktop, { strategy: "desktop", ok: false, error: "PSI timed out" })
+    assert.deepEqual(seen.map((s) => s.strategy).sort(), ["desktop", "mobile"])
+    assert.ok(seen.every((s) => s.url === "https://example.com/" && s.key === "k"))
+  } finally {
+    server.closeAllConnections()
+    server.close()
+  }
+})
@@ -0,0 +1,108 @@
+// test/redirects.test.mjs
+// http:// → https:// redirect chains: tracing against a local server, then grading
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import http from "node:http"
+import { httpStarts, traceRedirects, gradeRedirectChain, makeHttpsRedirectCheck } from "../lib/audit.js"
+
+// /<status>-<next> redirects, /hop-<n> counts down, /loop-a ↔ /loop-b, anything else 200
+const server = http.createServer((req, res) => {
+  const m = req.url.match(/^\/(30[1278])-(.*)$/)
+  if (m) return res.writeHead(+m[1], { location: `/${m[2]}` }).end()
+  const hop = req.url.match(/^\/hop-(\d+)$/)
+  if (hop && +hop[1] > 0) return res.writeHead(301, { location: `/hop-${hop[1] - 1}` }).end()
+  if (req.url === "/loop-a") return res.writeHead(301, { location: "/loop-b" }).end()
+  if (req.url === "/loop-b") return res.writeHead(301, { location: "/loop-a" }).end()
+  if (req.url === "/missing") return res.writeHead(404).end()
+  res.writeHead(200).end("ok")
+})
+await new Promise((r) => server.listen(0, "127.0.0.1", r))
+const base = `http://127.0.0.1:${server.address().port}`
+test.after(() => server.close())
+
+test("httpStarts probes apex and www only on registrable domains", () => {
+  assert.deepEqual(httpStarts("www.example.com"), ["http://example.com/", "http://www.example.com/"])
+  assert.deepEqual(httpStarts("shop.example.co.uk"), ["http://shop.example.co.uk/"])
+  assert.deepEqual(httpStarts("example.co.uk"), ["http://example.co.uk/", "http://www.example.co.uk/"])
+  assert.deepEqual(httpStarts("Blog.Example.com"), ["http://blog.example.com/"])
+  assert.deepEqual(httpStarts("127.0.0.1"), ["http://127.0.0.1/"])
+})
+
+test("traceRedirects records every hop", async () => {
+  const chain = await traceRedirects(`${base}/302-301-done`)
+  assert.deepEqual(chain.hops, [
+    { url: `${base}/302-301-done`, status: 302, location: `${base}/301-done` },
+    { url: `${base}/301-done`, status: 301, location: `${base}/done` },
+    { url: `${base}/done`, status: 200, location: null },
+  ])
+  assert.equal(chain.finalUrl, `${base}/done`)
+  assert.equal(chain.finalStatus, 200)
+  assert.equal(chain.loop, false)
+  assert.equal(chain.truncated, false)
+})
+
+test("traceRedirects stops on loops, the hop cap and the sub-request budget", async () => {
+  const loop = await traceRedirects(`${base}/loop-a`)
+  assert.equal(loop.loop, true)
+  assert.equal(loop.finalStatus, 0)
+
+  const long = await traceRedirects(`${base}/hop-9`, { maxHops: 3 })
+  assert.equal(long.hops.length, 4)
+  assert.equal(long.truncated, true)
+
+  let left = 1
+  const spent = await traceRedirects(`${base}/hop-2`, { spend: () => left-- > 0 })
+  assert.equal(spent.hops.length, 1)
+  assert.equal(spent.error, "Sub-request budget exhausted")
+})
+
+const hop = (url, status, location = null) => ({ url, status, location })
+const chain = (hops, extra = {}) => {
+  const last = hops[hops.length - 1]
+  return { from: hops[0].url, hops, finalUrl: last.location || last.url, finalStatus: last.status, loop: false, truncated: false, error: "", ...extra }
+}
+
+test("gradeRedirectChain: one permanent hop to https on the canonical host passes", () => {
+  const good = chain([hop("http://example.com/", 301, "https://example.com/"), hop("https://example.com/", 200)])
+  assert.deepEqual(gradeRedirectChain(good, "example.com"), { status: "pass", issues: [] })
+})
+
+test("gradeRedirectChain flags temporary hops, long chains, other hosts and no redirect", () => {
+  const temp = chain([
+    hop("http://example.com/", 302, "https://example.com/"),
+    hop("https://example.com/", 307, "https://www.example.com/"),
+    hop("https://www.example.com/", 301, "https://www.example.com/home"),
+    hop("https://www.example.com/home", 200),
+  ])
+  const graded = gradeRedirectChain(temp, "example.com")
+  assert.equal(graded.status, "warn")
+  assert.deepEqual(graded.issues, [
+    "302 (temporary) at http://example.com/; use 301/308",
+    "307 (temporary) at https://example.com/; use 301/308",
+    "3 hops (more than 2)",
+    "Ends on www.example.com, not example.com",
+  ])
+
+  const plain = gradeRedirectChain(chain([hop("http://example.com/", 200)]), "example.com")
+  assert.deepEqual(plain, { status: "fail", issues: ["Served over http:// without redirect (200)"] })
+
+  const down = gradeRedirectChain(
+    chain([hop("http://example.com/", 301, "https://example.com/"), hop("https://example.com/", 301, "http://example.com/x"), hop("http://example.com/x", 404)]),
+    "example.com"
+  )
+  assert.equal(down.status, "fail")
+  assert.ok(down.issues.includes("Downgrade to http at https://example.com/"))
+  assert.ok(down.issues.includes("Ends on http: http://example.com/x"))
+  assert.ok(down.issues.includes("Final response 404"))
+})
+
+test("makeHttpsRedirectCheck takes the worst reachable chain", () => {
+  const ok = chain([hop("http://example.com/", 301, "https://example.com/"), hop("https://example.com/", 200)])
+  const temp = chain([hop("http://www.example.com/", 302, "https://example.com/"), hop("https://example.com/", 200)])
+  const down = { from: "http://x.example.com/", hops: [], finalUrl: null, finalStatus: 0, loop: false, truncated: false, error: "Unreachable" }
+  const check = makeHttpsRedirectCheck([ok, temp, down], "example.com")
+  assert.equal(check.status, "warn")
+  assert.equal(check.value.chains.length, 3)
+  assert.match(check.details, /^http:\/\/example.com\/ \[301 → 200\] • http:\/\/www.example.com\/ \[302 → 200\] • http:\/\/x.example.com\/ \(unreachable\)/)
+  assert.equal(makeHttpsRedirectCheck([], "example.com"), null)
+})
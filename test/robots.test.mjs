@@ -0,0 +1,45 @@
+// test/robots.test.mjs
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { readFileSync } from "node:fs"
+import { parseRobots, rulesFor, robotsAllows } from "../lib/robots.js"
+
+const fixture = readFileSync(new URL("./fixtures/robots.txt", import.meta.url), "utf8")
+
+test("parseRobots groups agents and collects sitemaps, errors and unknown directives", () => {
+  const parsed = parseRobots(fixture)
+  assert.deepEqual(parsed.groups.map((g) => g.agents), [["*"], ["gptbot", "ccbot"]])
+  assert.equal(parsed.groups[0].crawlDelay, 2)
+  assert.deepEqual(parsed.sitemaps, ["https://example.com/sitemap.xml"])
+  assert.deepEqual(
+    parsed.errors.map((e) => [e.line, e.message]),
+    [
+      [2, "Disallow before any user-agent line"],
+      [15, "Sitemap must be an absolute URL"],
+    ]
+  )
+  assert.deepEqual(parsed.unknown, [{ line: 16, directive: "Noindex" }])
+  assert.equal(parsed.truncated, false)
+})
+
+test("rulesFor falls back to * and robotsAllows picks the longest match", () => {
+  const parsed = parseRobots(fixture)
+  assert.equal(rulesFor(parsed, "GPTBot/1.1").group, "gptbot")
+  assert.equal(rulesFor(parsed, "Googlebot").group, "*")
+
+  const { rules } = rulesFor(parsed, "Googlebot")
+  assert.equal(robotsAllows(rules, "/"), true)
+  assert.equal(robotsAllows(rules, "/private/x"), false)
+  assert.equal(robotsAllows(rules, "/private/open"), true)
+  assert.equal(robotsAllows(rules, "/private/open/more"), false)
+  assert.equal(robotsAllows(rules, "/files/a.pdf"), false)
+  assert.equal(robotsAllows(rules, "/files/a.pdf?x=1"), true)
+  assert.equal(robotsAllows(rulesFor(parsed, "CCBot").rules, "/robots.txt"), true)
+})
+
+test("parseRobots stops at 500 KiB of UTF-8, not of characters", () => {
+  const line = "Disallow: /é\n" // 14 bytes, 13 characters
+  const parsed = parseRobots("User-agent: *\n" + line.repeat(60000))
+  assert.equal(parsed.truncated, true)
+  assert.ok(parsed.groups[0].rules.length <= Math.floor((500 * 1024) / 14))
+})
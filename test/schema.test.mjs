@@ -0,0 +1,107 @@
+// test/schema.test.mjs
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import {
+  SCHEMA_VERSION,
+  validate,
+  validateAudit,
+  validateDiff,
+  validateComparison,
+  normalizeAudit,
+} from "../lib/schema.js"
+import { scoreAudit, abortedAudit } from "../lib/audit.js"
+import { diffAudits } from "../lib/diff.js"
+
+const audit = (checks) => {
+  const out = normalizeAudit({ url: "example.com", normalizedUrl: "https://example.com", checks })
+  return { ...out, ...scoreAudit(out.checks) }
+}
+const rows = [
+  { id: "title", label: "Title", status: "pass", details: "ok" },
+  { id: "https", status: "warn", value: { redirects: 2 } },
+]
+
+test("normalizeAudit fills every required field from a sparse payload", () => {
+  const p = normalizeAudit({ url: "example.com", fetchedStatus: "200", checks: [{ id: "x", status: "pass", details: 5 }] })
+  assert.equal(p.schemaVersion, SCHEMA_VERSION)
+  assert.equal(p.normalizedUrl, "example.com")
+  assert.equal(p.finalUrl, "example.com")
+  assert.equal(p.fetchedStatus, 0)
+  assert.equal(p.speed, null)
+  assert.equal(p.crawlerWarningMsg, null)
+  assert.deepEqual(p.checks, [{ id: "x", label: "x", status: "pass", details: "5" }])
+
+  assert.deepEqual(validateAudit(audit(rows)), [])
+  assert.deepEqual(validateAudit(abortedAudit("example.com")), [])
+})
+
+test("validateAudit reports paths for missing and malformed fields", () => {
+  const bad = { ...audit(rows), overall: 120, title: undefined }
+  bad.checks = [...bad.checks, { id: "x", label: "X", status: "skipped", extra: 1 }]
+  delete bad.gates
+  const errors = validateAudit(bad)
+  assert.ok(errors.includes("$.gates: required"))
+  assert.ok(errors.includes("$.title: required"))
+  assert.ok(errors.includes("$.overall: must be <= 100 (got 120)"))
+  assert.ok(errors.includes('$.checks[2].status: must be one of pass, warn, fail, locked (got "skipped")'))
+  assert.ok(errors.includes("$.checks[2].extra: unexpected property"))
+  assert.deepEqual(validateAudit(null), ["$: expected object, got null"])
+})
+
+test("payloads with the same major version validate, other majors do not", () => {
+  const [major] = SCHEMA_VERSION.split(".")
+  assert.deepEqual(validateAudit({ ...audit(rows), schemaVersion: `${major}.0.0` }), [])
+  assert.deepEqual(validateAudit({ ...audit(rows), schemaVersion: `${major}.99.3` }), [])
+  const next = `${Number(major) + 1}.0.0`
+  assert.equal(validateAudit({ ...audit(rows), schemaVersion: next }).length, 1)
+  assert.match(validateAudit({ ...audit(rows), schemaVersion: next })[0], /^\$\.schemaVersion: must match/)
+})
+
+test("validate understands type unions, integers, const and maxErrors", () => {
+  const schema = {
+    type: "object",
+    properties: { n: { type: "integer" }, s: { type: ["string", "null"] }, k: { const: true } },
+    additionalProperties: { type: "number" },
+  }
+  assert.deepEqual(validate(schema, { n: 1, s: null, k: true, extra: 2.5 }), [])
+  assert.deepEqual(validate(schema, { n: 1.5, s: 3, k: false, extra: "x" }), [
+    "$.n: expected integer, got number",
+    "$.s: expected string or null, got integer",
+    "$.k: must be true (got false)",
+    "$.extra: expected number, got string",
+  ])
+  assert.equal(validate({ type: "array", items: { type: "string" } }, [1, 2, 3], { maxErrors: 2 }).length, 2)
+})
+
+test("validateDiff accepts diffAudits output and rejects unknown directions", () => {
+  const before = audit(rows)
+  const after = audit([{ ...rows[0], status: "fail" }, { id: "canonical", label: "Canonical", status: "pass" }])
+  const diff = { ok: true, ...diffAudits(before, after) }
+  assert.deepEqual(validateDiff(diff), [])
+
+  diff.transitions = [{ id: "title", label: "Title", from: "pass", to: "fail", direction: "worse" }]
+  assert.deepEqual(validateDiff(diff), ["$.transitions[0].direction: must be one of improved, regressed, changed (got \"worse\")"])
+  assert.ok(validateDiff({}).includes("$.score: required"))
+})
+
+test("validateComparison checks sites, matrix statuses and leaders", () => {
+  const comparison = {
+    ok: true,
+    profile: null,
+    sites: [
+      { url: "a.example", finalUrl: "https://a.example/", ok: true, overall: 80, checksLed: 1 },
+      { url: "b.example", finalUrl: null, ok: false, overall: null, errors: ["Fetch failed"] },
+    ],
+    matrix: [{ id: "title", label: "Title", statuses: ["pass", null], details: ["ok", ""], leaders: ["a.example"] }],
+    categories: { SEO: { scores: [0.8, null], leaders: ["a.example"] } },
+    leaders: { overall: ["a.example"] },
+  }
+  assert.deepEqual(validateComparison(comparison), [])
+
+  comparison.matrix[0].statuses = ["pass", "skipped"]
+  delete comparison.leaders.overall
+  const errors = validateComparison(comparison)
+  assert.equal(errors.length, 2)
+  assert.match(errors[0], /^\$\.matrix\[0\]\.statuses\[1\]: must be one of pass, warn, fail, locked/)
+  assert.equal(errors[1], "$.leaders.overall: required")
+})
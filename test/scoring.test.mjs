@@ -0,0 +1,75 @@
+// test/scoring.test.mjs
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+// Custom profiles are read once at import time
+process.env.SCORING_PROFILES = JSON.stringify({
+  Shop: { extends: "ecommerce", label: "Shop", weights: { psi: 4, ttfb: "fast" }, gates: { canonical: null } },
+  strict: { gates: { http: 20, images: { checks: ["img-alt"], cap: 50, reason: "Alt text missing" } } },
+  loop: { extends: "loop" },
+})
+const { resolveProfile, computeOverall, PROFILE_NAMES, WEIGHTS, GATES } = await import("../lib/scoring.js")
+
+const checks = (statuses) => Object.entries(statuses).map(([id, status]) => ({ id, label: id, status }))
+
+test("resolveProfile knows built-in and custom profiles, case-insensitively", () => {
+  assert.ok(["default", "ecommerce", "local", "publisher", "shop", "strict"].every((n) => PROFILE_NAMES.includes(n)))
+  assert.equal(resolveProfile().id, "default")
+  assert.equal(resolveProfile("SHOP").id, "shop")
+  assert.equal(resolveProfile("nope"), null)
+  for (const name of ["constructor", "__proto__", "toString"]) assert.equal(resolveProfile(name), null, name)
+})
+
+test("extends layers weights and gates over the parent profile", () => {
+  const ecommerce = resolveProfile("ecommerce")
+  const shop = resolveProfile("shop")
+  assert.equal(shop.label, "Shop")
+  assert.equal(shop.weights.psi, 4)
+  assert.equal(shop.weights.ttfb, ecommerce.weights.ttfb) // non-numbers are ignored
+  assert.equal(shop.weights["img-size"], 1.8) // inherited from ecommerce
+  assert.equal(shop.weights.sitemap, WEIGHTS.sitemap) // and from the defaults
+  assert.deepEqual(shop.categoryWeights, ecommerce.categoryWeights)
+  assert.equal(shop.gates.some((g) => g.id === "canonical"), false)
+  assert.equal(resolveProfile("loop").weights.psi, WEIGHTS.psi) // self-reference falls back to defaults
+})
+
+test("gate overrides change caps and add new gates", () => {
+  const gates = resolveProfile("strict").gates
+  assert.equal(gates.find((g) => g.id === "http").cap, 20)
+  assert.deepEqual(gates.find((g) => g.id === "images"), {
+    id: "images",
+    checks: ["img-alt"],
+    cap: 50,
+    reason: "Alt text missing",
+  })
+  assert.equal(gates.length, GATES.length + 1)
+  assert.equal(resolveProfile("local").gates.find((g) => g.id === "crawl").cap, 85)
+})
+
+test("computeOverall weighs categories and applies the lowest triggered cap", () => {
+  const allPass = computeOverall(checks({ sitemap: "pass", psi: "pass", http: "pass" }))
+  assert.equal(allPass.overall, 100)
+  assert.equal(allPass.gate, null)
+  assert.deepEqual(allPass.profile, { id: "default", label: "Default" })
+
+  const seo = { sitemap: "fail", canonical: "fail", noindex: "pass", robots: "pass", viewport: "pass" }
+  const mixed = computeOverall(checks({ ...seo, psi: "pass", ttfb: "warn", http: "pass" }))
+  assert.equal(mixed.catScores.PERFORMANCE, (2.4 + 1.4 * 0.5) / (2.4 + 1.4))
+  assert.equal(mixed.catScores.SECURITY, 1)
+  assert.ok(mixed.uncapped > 65)
+  assert.equal(mixed.gate.id, "canonical")
+  assert.equal(mixed.overall, 65)
+  assert.deepEqual(mixed.gates.map((g) => g.id), ["canonical", "crawl"])
+
+  const noindex = computeOverall(checks({ noindex: "fail", http: "pass" }))
+  assert.equal(noindex.overall, 0)
+})
+
+test("computeOverall scores with the requested profile", () => {
+  const rows = checks({ "img-alt": "fail", sitemap: "pass", http: "pass" })
+  assert.equal(computeOverall(rows).gate, null)
+  assert.equal(computeOverall(rows, "strict").overall <= 50, true)
+  assert.equal(computeOverall(rows, "strict").gate.id, "images")
+  assert.deepEqual(computeOverall(rows, "nope").profile, { id: "default", label: "Default" })
+  assert.equal(computeOverall(checks({ "http-locked": "locked" })).overall, 100)
+})
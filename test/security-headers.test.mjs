@@ -0,0 +1,81 @@
+// test/security-headers.test.mjs
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { makeSecurityHeadersCheck } from "../lib/audit.js"
+
+const PAGE = "https://example.com/"
+const byShort = (check) => Object.fromEntries(check.value.headers.map((h) => [h.short, h]))
+
+const STRICT = {
+  "content-security-policy": "default-src 'self'; script-src 'self' 'nonce-abc' 'unsafe-inline'; object-src 'none'; frame-ancestors 'self'",
+  "strict-transport-security": "max-age=31536000; includeSubDomains; preload",
+  "x-content-type-options": "nosniff",
+  "referrer-policy": "no-referrer, strict-origin-when-cross-origin",
+  "permissions-policy": "camera=(), geolocation=(self)",
+  "cross-origin-opener-policy": "same-origin",
+  "cross-origin-embedder-policy": "require-corp",
+}
+
+test("a strict set passes every header", () => {
+  const check = makeSecurityHeadersCheck(new Headers(STRICT), PAGE)
+  assert.equal(check.status, "pass")
+  assert.equal(check.details, "8/8 headers pass")
+  // frame-ancestors stands in for X-Frame-Options; a nonce neutralises 'unsafe-inline'
+  assert.deepEqual(byShort(check).XFO.notes, ["frame-ancestors 'self'"])
+  assert.equal(byShort(check).CSP.status, "pass")
+})
+
+test("no headers at all fails", () => {
+  const check = makeSecurityHeadersCheck(new Headers(), PAGE)
+  assert.equal(check.status, "fail")
+  const rows = byShort(check)
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(rows).map(([k, r]) => [k, r.status])),
+    { CSP: "fail", HSTS: "fail", XFO: "fail", XCTO: "fail", RP: "warn", PP: "warn", COOP: "warn", COEP: "warn" }
+  )
+  assert.match(check.details, /^0\/8 headers pass • CSP: Missing; HSTS: Missing; XFO: Neither/)
+})
+
+test("weak values are graded down with a reason", () => {
+  const rows = byShort(
+    makeSecurityHeadersCheck(
+      new Headers({
+        "content-security-policy": "script-src * 'unsafe-inline' 'unsafe-eval'",
+        "strict-transport-security": "max-age=86400",
+        "x-frame-options": "ALLOW-FROM https://a.example",
+        "x-content-type-options": "sniff",
+        "referrer-policy": "unsafe-url",
+        "permissions-policy": "camera=*",
+        "cross-origin-opener-policy": "unsafe-none",
+        "cross-origin-embedder-policy": "unsafe-none",
+      }),
+      PAGE
+    )
+  )
+  assert.deepEqual(rows.CSP.notes, [
+    "script-src allows 'unsafe-inline'",
+    "script-src allows 'unsafe-eval'",
+    "script-src allows any host or scheme",
+    "object-src not restricted",
+  ])
+  assert.deepEqual(rows.HSTS.notes, ["max-age 86400s is shorter than 180 days", "includeSubDomains missing"])
+  assert.equal(rows.XFO.status, "warn")
+  assert.equal(rows.XCTO.status, "fail")
+  assert.equal(rows.RP.status, "fail")
+  assert.equal(rows.PP.status, "warn")
+})
+
+test("HSTS does not apply to http pages; report-only CSP only warns", () => {
+  const rows = byShort(
+    makeSecurityHeadersCheck(new Headers({ "content-security-policy-report-only": "default-src 'self'" }), "http://example.com/")
+  )
+  assert.equal(rows.HSTS.status, "warn")
+  assert.match(rows.HSTS.notes[0], /Not applicable/)
+  assert.equal(rows.CSP.status, "warn")
+  assert.equal(makeSecurityHeadersCheck(null, PAGE), null)
+})
+
+test("max-age=0 switches HSTS off", () => {
+  const rows = byShort(makeSecurityHeadersCheck(new Headers({ "strict-transport-security": "max-age=0" }), PAGE))
+  assert.deepEqual(rows.HSTS.notes, ["max-age=0 disables HSTS"])
+})
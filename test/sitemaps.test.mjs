@@ -0,0 +1,77 @@
+// test/sitemaps.test.mjs
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { readFileSync } from "node:fs"
+import http from "node:http"
+import { parseSitemap, readSitemap, SITEMAP_NS } from "../lib/sitemaps.js"
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8")
+const opts = { url: "https://example.com/sitemap.xml", now: Date.parse("2025-01-01T00:00:00Z") }
+
+test("parseSitemap reads a urlset with alternates and reports bad entries", () => {
+  const out = parseSitemap(fixture("sitemap.xml"), opts)
+  assert.equal(out.type, "urlset")
+  assert.equal(out.count, 4)
+  assert.deepEqual(out.entries[0].alternates, [
+    { hreflang: "en", href: "https://example.com/" },
+    { hreflang: "nl-NL", href: "https://example.com/nl/" },
+  ])
+  assert.equal(out.entries[1].loc, "https://example.com/about?a=1&b=2")
+
+  assert.deepEqual(out.issues.lastmod.examples.map((e) => e.line), [9, 17])
+  assert.match(out.issues.loc.examples[0].message, /Not an absolute/)
+  assert.match(out.issues.loc.examples[1].message, /On another host/)
+  assert.match(out.issues.hreflang.examples[0].message, /en_GB/)
+})
+
+test("parseSitemap reads a sitemap index", () => {
+  const out = parseSitemap(fixture("sitemap-index.xml"), opts)
+  assert.equal(out.type, "sitemapindex")
+  assert.deepEqual(
+    out.entries.map((e) => e.loc),
+    ["https://example.com/sitemap-1.xml", "https://example.com/sitemap-2.xml.gz"]
+  )
+  assert.deepEqual(out.issues, {})
+})
+
+test("parseSitemap flags a wrong root element", () => {
+  const out = parseSitemap("<?xml version=\"1.0\"?><rss><channel/></rss>", opts)
+  assert.equal(out.type, null)
+  assert.ok(out.issues.xml.count > 0)
+})
+
+test("parseSitemap does not report the cut end of a truncated prefix", () => {
+  const xml = `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>https://example.com/very-long-p`
+  assert.ok(parseSitemap(xml, opts).issues.xml.examples.some((e) => /Unclosed/.test(e.message)))
+  const out = parseSitemap(xml, { ...opts, truncated: true, more: { url: 60000, sitemap: 0 } })
+  assert.equal(out.issues.xml, undefined)
+  assert.equal(out.count, 60000)
+  assert.match(out.issues.limits.examples[0].message, /60,000 entries/)
+})
+
+test("readSitemap counts entries past the parsed prefix", async () => {
+  const entry = (i) => `<url><loc>https://example.com/p${i}</loc></url>\n`
+  const body = `<?xml version="1.0"?>\n<urlset xmlns="${SITEMAP_NS}">\n${Array.from({ length: 500 }, (_, i) => entry(i)).join("")}</urlset>\n`
+  // odd-sized chunks, so start tags get split across reads
+  const server = http.createServer(async (req, res) => {
+    res.writeHead(200, { "content-type": "application/xml" })
+    for (let i = 0; i < body.length; i += 997) {
+      res.write(body.slice(i, i + 997))
+      await new Promise((r) => setImmediate(r))
+    }
+    res.end()
+  })
+  await new Promise((r) => server.listen(0, "127.0.0.1", r))
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/sitemap.xml`
+    const res = await readSitemap(url, { parseBytes: 4096 })
+    assert.equal(res.truncated, true)
+    assert.equal(res.bytes, Buffer.byteLength(body))
+    const out = parseSitemap(res.xml, { url: "https://example.com/sitemap.xml", truncated: true, more: res.more })
+    assert.equal(out.count, 500)
+    assert.ok(out.entries.length < 100)
+    assert.deepEqual(out.issues, {})
+  } finally {
+    server.close()
+  }
+})
@@ -0,0 +1,62 @@
+// test/store.test.mjs
+// File store and memory cache: the local drivers used without any credentials
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { mkdtemp, rm } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+
+const dir = await mkdtemp(join(tmpdir(), "store-"))
+process.env.STORE_DIR = dir
+delete process.env.STORE_DRIVER
+delete process.env.BLOB_READ_WRITE_TOKEN
+delete process.env.S3_BUCKET
+delete process.env.CACHE_DRIVER
+const { getStore, getPrivateStore, makeId } = await import("../lib/store.js")
+const { getCache } = await import("../lib/cache.js")
+
+test.after(() => rm(dir, { recursive: true, force: true }))
+
+test("defaults to the file store without credentials", () => {
+  assert.equal(getStore().driver, "file")
+  assert.equal(getStore().url("a.json"), null)
+  assert.match(makeId(), /^[a-f0-9]{24}$/)
+})
+
+test("file store reads, writes, creates once, lists and deletes", async () => {
+  const store = getStore()
+  assert.equal(await store.get("jobs/x.json"), null)
+  await store.set("jobs/x.json", { a: 1 })
+  assert.deepEqual(await store.get("jobs/x.json"), { a: 1 })
+  assert.equal(await store.create("jobs/y.json", { b: 1 }), true)
+  assert.equal(await store.create("jobs/y.json", { b: 2 }), false)
+  assert.deepEqual(await store.get("jobs/y.json"), { b: 1 })
+  assert.deepEqual((await store.list("jobs/")).sort(), ["jobs/x.json", "jobs/y.json"])
+  assert.deepEqual(await store.list("nothing/"), [])
+  await store.del(["jobs/x.json", "jobs/y.json"])
+  assert.deepEqual(await store.list("jobs/"), [])
+})
+
+test("file store keeps keys inside STORE_DIR", async () => {
+  const store = getStore()
+  await store.set("../../escape.json", { x: 1 })
+  assert.deepEqual(await store.list("escape"), ["escape.json"])
+})
+
+test("private store nests keys under its own prefix", async () => {
+  const priv = getPrivateStore()
+  await priv.set("monitors/m.json", { url: "https://example.com/" })
+  assert.deepEqual(await priv.get("monitors/m.json"), { url: "https://example.com/" })
+  assert.deepEqual(await priv.list("monitors/"), ["monitors/m.json"])
+  assert.deepEqual(await getStore().list("private/local/monitors/"), ["private/local/monitors/m.json"])
+  assert.equal(priv.url("monitors/m.json"), null)
+})
+
+test("memory cache expires entries", async () => {
+  const cache = getCache()
+  assert.equal(cache.driver, "memory")
+  await cache.set("k", { v: 1 }, { ttlMs: 50 })
+  assert.deepEqual(await cache.get("k"), { v: 1 })
+  await new Promise((r) => setTimeout(r, 80))
+  assert.equal(await cache.get("k"), null)
+})
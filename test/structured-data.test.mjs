@@ -0,0 +1,73 @@
+// test/structured-data.test.mjs
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { makeStructuredDataCheck } from "../lib/audit.js"
+
+const ld = (data) => `<script type="application/ld+json">${JSON.stringify(data)}</script>`
+
+test("complete JSON-LD passes, including @graph nodes and subtypes", () => {
+  const html = ld({
+    "@context": "https://schema.org",
+    "@graph": [
+      { "@type": "Corporation", name: "Acme", url: "https://acme.example", logo: "l.png", sameAs: ["x"], contactPoint: {} },
+      {
+        "@type": "BreadcrumbList",
+        itemListElement: [
+          { "@type": "ListItem", position: 1, name: "Home" },
+          { "@type": "ListItem", position: 2, name: "Shop" },
+        ],
+      },
+    ],
+  })
+  const check = makeStructuredDataCheck(html)
+  assert.equal(check.status, "pass")
+  assert.deepEqual(check.value.types.sort(), ["BreadcrumbList", "Corporation", "ListItem"])
+  assert.deepEqual(
+    check.value.items.map((i) => [i.type, i.rule]),
+    [["Corporation", "Organization"], ["BreadcrumbList", "BreadcrumbList"]]
+  )
+})
+
+test("missing required properties fail, missing recommended ones warn", () => {
+  const product = makeStructuredDataCheck(ld({ "@type": "https://schema.org/Product", name: "Shoe" }))
+  assert.equal(product.status, "fail")
+  assert.deepEqual(product.value.items[0].missingRequired, ["offers | review | aggregateRating"])
+  assert.match(product.details, /Product missing offers \| review \| aggregateRating/)
+
+  const faq = makeStructuredDataCheck(ld({ "@type": "FAQPage", mainEntity: [{ name: "Q?" }] }))
+  assert.deepEqual(faq.value.items[0].missingRequired, ["mainEntity[0].acceptedAnswer"])
+
+  const article = makeStructuredDataCheck(ld({ "@type": "BlogPosting", headline: "Hi", author: "Me" }))
+  assert.equal(article.status, "warn")
+  assert.match(article.details, /BlogPosting could add image, datePublished, dateModified, publisher/)
+})
+
+test("JSON-LD that does not parse fails; comment and CDATA wrappers are tolerated", () => {
+  const check = makeStructuredDataCheck(
+    `<script type="application/ld+json">{ "@type": "Thing", }</script>` +
+      `<script type='application/ld+json'><!--{"@type":"WebSite","name":"x"}--></script>` +
+      `<script type=application/ld+json><![CDATA[{"@type":"Event"}]]></script>`
+  )
+  assert.equal(check.status, "fail")
+  assert.equal(check.value.jsonLd.blocks, 3)
+  assert.equal(check.value.jsonLd.errors.length, 1)
+  assert.equal(check.value.jsonLd.errors[0].block, 0)
+  assert.deepEqual(check.value.jsonLd.types.sort(), ["Event", "WebSite"])
+})
+
+test("Microdata and RDFa types are reported", () => {
+  const check = makeStructuredDataCheck(
+    `<div itemscope itemtype="https://schema.org/Recipe"><span itemprop="name">Soup</span></div>
+<div vocab="https://schema.org/" typeof="Person schema:Place"></div>`
+  )
+  assert.equal(check.status, "pass")
+  assert.deepEqual(check.value.microdata, ["Recipe"])
+  assert.deepEqual(check.value.rdfa, ["Person", "Place"])
+})
+
+test("no structured data warns; no html, no row", () => {
+  const check = makeStructuredDataCheck("<p>plain</p>")
+  assert.equal(check.status, "warn")
+  assert.equal(check.details, "No structured data found")
+  assert.equal(makeStructuredDataCheck(""), null)
+})